@@ -0,0 +1,192 @@
+#!/usr/bin/env node
+
+// Compares the old row-by-row connection insert with the bulk insert used by
+// ConnectionsDatabase.insertConnections() on a generated conntrack-like fixture:
+// a few dozen devices talking to a few thousand peers, one snapshot every 2
+// minutes, with every snapshot repeating part of the previous one (as
+// conntrack does for long-lived connections).
+//
+// Needs a scratch database; its connections table is emptied between runs.
+// Afterwards it checks that a batch inserted twice is skipped entirely the
+// second time.
+//
+//   node benchmark_insert.js --database firewalla_bench [--rows 20000] [--repeat 3]
+
+const { loadConfig } = require('./webapp/config');
+const ConnectionsDatabase = require('./webapp/database');
+
+function parseArgs(argv) {
+    const args = { rows: 20000, repeat: 3, database: null };
+    for (let index = 0; index < argv.length; index++) {
+        const name = argv[index].replace(/^--/, '');
+        const value = argv[++index];
+        if (name === 'database') args.database = value;
+        else if (name === 'rows' || name === 'repeat') args[name] = parseInt(value);
+        else throw new Error(`Unknown option --${name}`);
+    }
+    if (!args.database) throw new Error('--database <scratch database> is required');
+    if (!(args.rows > 0) || !(args.repeat > 0)) throw new Error('--rows and --repeat must be positive integers');
+    return args;
+}
+
+// Deterministic pseudo-random numbers so every run inserts the same fixture
+function random(seed) {
+    let state = seed;
+    return () => {
+        state = (state * 1103515245 + 12345) % 2147483648;
+        return state / 2147483648;
+    };
+}
+
+// Conntrack snapshots every 2 minutes; about 30% of each snapshot's rows are
+// the previous snapshot's rows again (duplicates for the unique key)
+function buildFixture(rowCount) {
+    const next = random(42);
+    const pick = (list) => list[Math.floor(next() * list.length)];
+    const devices = Array.from({ length: 40 }, (_, index) => `192.168.1.${index + 10}`);
+    const peers = Array.from({ length: 3000 }, (_, index) =>
+        index % 10 === 0
+            ? `2001:db8:${(index % 97).toString(16)}::${(index + 1).toString(16)}`
+            : `${[3, 13, 34, 52, 104, 142, 151, 172, 185, 203][index % 10]}.${index % 256}.${Math.floor(index / 256)}.${(index * 7) % 254 + 1}`);
+    const ports = [443, 443, 443, 80, 53, 123, 993, 5222, 8883, 3478];
+    const states = ['ESTABLISHED', 'ESTABLISHED', 'ESTABLISHED', 'SYN_SENT', 'UNREPLIED'];
+
+    const rows = [];
+    let snapshot = [];
+    let time = Date.parse('2025-01-01T00:00:00Z');
+    while (rows.length < rowCount) {
+        const repeated = snapshot.slice(0, Math.floor(snapshot.length * 0.3));
+        snapshot = [...repeated];
+        while (snapshot.length < 500) {
+            const outbound = next() < 0.85;
+            snapshot.push({
+                ip: pick(peers),
+                timestamp: new Date(time).toISOString(),
+                direction: outbound ? 'outbound' : 'inbound',
+                connection_type: 'conntrack',
+                internal_ip: pick(devices),
+                internal_port: 1024 + Math.floor(next() * 60000),
+                external_port: outbound ? pick(ports) : 1024 + Math.floor(next() * 60000),
+                protocol: next() < 0.9 ? 'tcp' : 'udp',
+                state: pick(states),
+                orig_packets: Math.floor(next() * 500),
+                orig_bytes: Math.floor(next() * 500000),
+                reply_packets: Math.floor(next() * 500),
+                reply_bytes: Math.floor(next() * 2000000),
+                details: null,
+                source_file: 'benchmark'
+            });
+        }
+        rows.push(...snapshot);
+        time += 2 * 60 * 1000;
+    }
+    return rows.slice(0, rowCount);
+}
+
+// The insert loop insertConnections() used before the bulk path: one INSERT
+// round-trip per row inside a single transaction. It skips the first-seen
+// ledger update insertConnections() also does, so the comparison favours it.
+async function insertRowByRow(pool, connections) {
+    const client = await pool.connect();
+    let inserted = 0;
+    try {
+        await client.query('BEGIN');
+        for (const conn of connections) {
+            const result = await client.query(`
+                INSERT INTO connections (
+                    ip, timestamp, direction, connection_type, internal_ip,
+                    internal_port, external_port, protocol, state, orig_packets, orig_bytes,
+                    reply_packets, reply_bytes, details, source_file, list_tag
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
+                ON CONFLICT (
+                    ip, timestamp, direction,
+                    COALESCE(internal_ip, '0.0.0.0'::inet), COALESCE(external_port, -1)
+                )
+                DO NOTHING
+            `, [
+                conn.ip, conn.timestamp, conn.direction, conn.connection_type, conn.internal_ip,
+                conn.internal_port, conn.external_port, conn.protocol, conn.state,
+                conn.orig_packets, conn.orig_bytes, conn.reply_packets, conn.reply_bytes,
+                conn.details, conn.source_file, null
+            ]);
+            inserted += result.rowCount;
+        }
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+    return { inserted, duplicates: connections.length - inserted };
+}
+
+// Inserting the same batch a second time must store nothing, including rows
+// without an internal IP or external port (NULLs in the unique key)
+async function checkDuplicates(db, fixture) {
+    const batch = [
+        ...fixture.slice(0, 1000),
+        ...fixture.slice(0, 100).map(conn => ({ ...conn, internal_ip: null, internal_port: null })),
+        ...fixture.slice(100, 200).map(conn => ({ ...conn, external_port: null }))
+    ];
+    await db.pool.query('TRUNCATE connections, first_seen_ledger');
+    await db.insertConnections(batch);
+    const again = await db.insertConnections(batch);
+    if (again.inserted !== 0 || again.duplicates !== batch.length) {
+        throw new Error(`Re-inserting ${batch.length} rows gave ${again.inserted} inserted, ` +
+            `${again.duplicates} duplicates; expected 0 and ${batch.length}`);
+    }
+    console.log(`Duplicate check: ${batch.length} rows inserted twice, all skipped the second time`);
+}
+
+// Fastest of args.repeat runs, each into an empty table
+async function measure(db, fixture, repeat, insert) {
+    let best = null;
+    for (let run = 0; run < repeat; run++) {
+        await db.pool.query('TRUNCATE connections, first_seen_ledger');
+        const started = process.hrtime.bigint();
+        const counts = await insert(fixture);
+        const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+        if (!best || seconds < best.seconds) best = { seconds, counts };
+    }
+    return best;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const config = loadConfig();
+    if (args.database === config.database.database) {
+        throw new Error(`Refusing to benchmark against the configured database ${args.database}; use a scratch database`);
+    }
+
+    const db = new ConnectionsDatabase({ ...config.database, database: args.database });
+    try {
+        await db.init();
+
+        const fixture = buildFixture(args.rows);
+        console.log(`Fixture: ${fixture.length} connection rows, best of ${args.repeat} runs each`);
+
+        const legacy = await measure(db, fixture, args.repeat, rows => insertRowByRow(db.pool, rows));
+        const bulk = await measure(db, fixture, args.repeat, rows => db.insertConnections(rows));
+
+        for (const [name, result] of [['row-by-row', legacy], ['bulk', bulk]]) {
+            const rate = Math.round(fixture.length / result.seconds);
+            console.log(`  ${name.padEnd(10)} ${result.seconds.toFixed(2)}s  ${rate} rows/s  ` +
+                `${result.counts.inserted} inserted, ${result.counts.duplicates} duplicates`);
+        }
+        console.log(`Speedup: ${(legacy.seconds / bulk.seconds).toFixed(1)}x`);
+
+        await checkDuplicates(db, fixture);
+
+        await db.pool.query('TRUNCATE connections, first_seen_ledger');
+    } finally {
+        await db.close();
+    }
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    });
+}
@@ -12,6 +12,7 @@ DATA_DIR="$(dirname "$0")/data"      # Data directory (relative to script)
 LOG_FILE="$(dirname "$0")/monitor.log" # Log file location
 WAN_INTERFACE="eth0"                 # WAN interface name
 WAN_IP=""                           # Leave empty - will be auto-detected
+LAN_IPV6_PREFIX=""                   # Delegated IPv6 LAN prefix in CIDR form, e.g. "2001:db8:1234::/56" (leave empty if no native IPv6)
 
 # Create data directory
 mkdir -p "${DATA_DIR}"
@@ -21,6 +22,127 @@ log() {
     echo "[$(date '+%Y-%m-%d %H:%M:%S')] $*" | tee -a "${LOG_FILE}"
 }
 
+# Print an address in the form the checks below compare: IPv6 expanded to
+# eight zero-padded lowercase groups (2001:db8::1 -> 2001:0db8:0000:...:0001,
+# as /proc/net/nf_conntrack prints it), IPv4-mapped IPv6 as plain IPv4, and
+# IPv4 unchanged. Anything else is printed as given.
+normalize_ip() {
+    local ip="${1,,}"
+    ip="${ip%%\%*}" # fe80::1%eth0
+    
+    if [[ "$ip" =~ ^::ffff:([0-9]+\.[0-9]+\.[0-9]+\.[0-9]+)$ ]]; then
+        echo "${BASH_REMATCH[1]}"
+        return
+    fi
+    if [[ "$ip" != *:* ]]; then
+        echo "$ip"
+        return
+    fi
+    
+    local head="$ip"
+    local tail=""
+    if [[ "$ip" == *::* ]]; then
+        head="${ip%%::*}"
+        tail="${ip#*::}"
+    fi
+    
+    local head_groups=()
+    local tail_groups=()
+    [[ -n "$head" ]] && IFS=: read -ra head_groups <<< "$head"
+    [[ -n "$tail" ]] && IFS=: read -ra tail_groups <<< "$tail"
+    local missing=$(( 8 - ${#head_groups[@]} - ${#tail_groups[@]} ))
+    if (( missing < 0 )) || [[ "$ip" != *::* && $missing -ne 0 ]]; then
+        echo "$ip"
+        return
+    fi
+    
+    local groups=(${head_groups[@]+"${head_groups[@]}"})
+    for (( index = 0; index < missing; index++ )); do
+        groups+=(0)
+    done
+    groups+=(${tail_groups[@]+"${tail_groups[@]}"})
+    
+    local expanded=""
+    local group
+    for group in "${groups[@]}"; do
+        if [[ ! "$group" =~ ^[0-9a-f]{1,4}$ ]]; then
+            echo "$ip"
+            return
+        fi
+        printf -v group '%04x' "0x$group"
+        expanded+="${group}:"
+    done
+    echo "${expanded%:}"
+}
+
+# LAN_IPV6_PREFIX as { hex digits of the network, prefix length }; checked
+# once by check_lan_ipv6_prefix
+LAN_IPV6_NETWORK_HEX=""
+LAN_IPV6_PREFIX_LENGTH=0
+
+# Validate LAN_IPV6_PREFIX (empty, or an IPv6 network in CIDR form)
+check_lan_ipv6_prefix() {
+    [[ -z "$LAN_IPV6_PREFIX" ]] && return 0
+    
+    local network=$(normalize_ip "${LAN_IPV6_PREFIX%/*}")
+    local length="${LAN_IPV6_PREFIX##*/}"
+    if [[ "$LAN_IPV6_PREFIX" != */* || ! "$network" =~ ^([0-9a-f]{4}:){7}[0-9a-f]{4}$ ||
+          ! "$length" =~ ^[0-9]{1,3}$ ]] || (( length > 128 )); then
+        log "LAN_IPV6_PREFIX must be an IPv6 network like 2001:db8:1234::/56, got '${LAN_IPV6_PREFIX}'"
+        exit 1
+    fi
+    
+    LAN_IPV6_NETWORK_HEX="${network//:/}"
+    LAN_IPV6_PREFIX_LENGTH=$length
+}
+
+# Check whether a normalized IPv6 address lies inside LAN_IPV6_PREFIX,
+# comparing the first LAN_IPV6_PREFIX_LENGTH bits
+in_lan_ipv6_prefix() {
+    [[ -z "$LAN_IPV6_NETWORK_HEX" ]] && return 1
+    
+    local hex="${1//:/}"
+    local nibbles=$(( LAN_IPV6_PREFIX_LENGTH / 4 ))
+    local bits=$(( LAN_IPV6_PREFIX_LENGTH % 4 ))
+    [[ "${hex:0:nibbles}" == "${LAN_IPV6_NETWORK_HEX:0:nibbles}" ]] || return 1
+    (( bits == 0 )) && return 0
+    
+    local mask=$(( (0xf << (4 - bits)) & 0xf ))
+    (( (0x${hex:nibbles:1} & mask) == (0x${LAN_IPV6_NETWORK_HEX:nibbles:1} & mask) ))
+}
+
+# Check whether an address (IPv4 or IPv6, any notation) belongs to the local
+# network. These rules only tell the LAN side of a connection from the remote
+# side; the server decides which remote addresses are public peers (CGNAT,
+# reserved, multicast, ... are dropped there, see webapp/ip-classify.js).
+is_internal_ip() {
+    local ip="${1,,}"
+    [[ "$ip" == *:* ]] && ip=$(normalize_ip "$ip")
+    
+    # RFC 1918 IPv4
+    [[ "$ip" =~ ^(192\.168\.|10\.|172\.(1[6-9]|2[0-9]|3[0-1])\.) ]] && return 0
+    [[ "$ip" != *:* ]] && return 1
+    # IPv6 unique local (fc00::/7) and link-local (fe80::/10)
+    [[ "$ip" =~ ^(f[cd][0-9a-f]{2}:|fe[89ab][0-9a-f]:) ]] && return 0
+    # IPv6 hosts inside the delegated LAN prefix (globally routable, so not caught above)
+    in_lan_ipv6_prefix "$ip" && return 0
+    
+    return 1
+}
+
+# Check whether an address can never be an external peer (internal, loopback,
+# unspecified)
+is_local_or_loopback_ip() {
+    local ip="${1,,}"
+    [[ "$ip" == *:* ]] && ip=$(normalize_ip "$ip")
+    
+    is_internal_ip "$ip" && return 0
+    [[ "$ip" =~ ^127\. || "$ip" == "0.0.0.0" ]] && return 0
+    [[ "$ip" == "0000:0000:0000:0000:0000:0000:0000:0001" || "$ip" == "0000:0000:0000:0000:0000:0000:0000:0000" ]] && return 0
+    
+    return 1
+}
+
 # Extract external IPs from FireMain logs
 collect_firemain_ips() {
     local output_file="${DATA_DIR}/connections_$(date +%Y%m%d_%H%M%S).json"
@@ -88,79 +210,70 @@ collect_firemain_ips() {
 # Collect current conntrack connections - captures ALL routed traffic (LIVE ONLY - NO HISTORY)
 collect_conntrack_connections() {
     local output_file="${DATA_DIR}/conntrack_live_$(date +%Y%m%d_%H%M%S).json"
+    local timestamp="$(date -Iseconds)"
     
     log "Collecting live routed connections via conntrack (no history storage)..."
     
-    # Use conntrack to capture ALL current routed connections including NAT
-    ssh "${FIREWALLA_USER}@${FIREWALLA_HOST}" "sudo conntrack -L 2>/dev/null | grep -E 'ESTABLISHED|SYN_SENT|SYN_RECV' | grep -v '127.0.0.1'" | \
-    awk -v timestamp="$(date -Iseconds)" '
-    BEGIN { 
-        print "["; 
-        first=1 
-    }
-    # Parse conntrack format: tcp 6 432000 ESTABLISHED src=192.168.86.162 dst=47.34.44.148 sport=51126 dport=15069 packets=4794 bytes=276119 src=47.34.44.148 dst=104.0.40.169 sport=15069 dport=51126 packets=3364 bytes=539526 [ASSURED] mark=2155937792 use=1
-    /^(tcp|udp).*src=.*dst=.*sport=.*dport=/ {
-        protocol = $1
-        state = ""
-        src_ip = ""
-        dst_ip = ""
-        src_port = ""
-        dst_port = ""
-        
-        # Extract state (varies by position)
-        if (protocol == "tcp") {
-            state = $4
-        } else {
-            state = "UDP"
-        }
+    {
+        echo "["
+        local first=true
         
-        # Extract original connection details
-        for (i = 1; i <= NF; i++) {
-            if ($i ~ /^src=/) {
-                gsub(/^src=/, "", $i)
-                if (src_ip == "") src_ip = $i
-            }
-            if ($i ~ /^dst=/) {
-                gsub(/^dst=/, "", $i)
-                if (dst_ip == "") dst_ip = $i
-            }
-            if ($i ~ /^sport=/) {
-                gsub(/^sport=/, "", $i)
-                if (src_port == "") src_port = $i
-            }
-            if ($i ~ /^dport=/) {
-                gsub(/^dport=/, "", $i)
-                if (dst_port == "") dst_port = $i
+        # Use conntrack to capture ALL current routed connections including NAT;
+        # "conntrack -L" lists IPv4 only, IPv6 needs "-f ipv6"
+        ssh "${FIREWALLA_USER}@${FIREWALLA_HOST}" "{ sudo conntrack -L; sudo conntrack -L -f ipv6; } 2>/dev/null | grep -E 'ESTABLISHED|SYN_SENT|SYN_RECV'" | \
+        awk '
+        # Parse conntrack format: tcp 6 432000 ESTABLISHED src=192.168.86.162 dst=47.34.44.148 sport=51126 dport=15069 packets=4794 bytes=276119 src=47.34.44.148 dst=104.0.40.169 sport=15069 dport=51126 packets=3364 bytes=539526 [ASSURED] mark=2155937792 use=1
+        # and prints "protocol state src dst sport dport" of the original direction
+        /^(tcp|udp).*src=.*dst=.*sport=.*dport=/ {
+            protocol = $1
+            state = (protocol == "tcp") ? $4 : "UDP"
+            src_ip = ""
+            dst_ip = ""
+            src_port = ""
+            dst_port = ""
+            
+            for (i = 1; i <= NF; i++) {
+                if ($i ~ /^src=/ && src_ip == "") src_ip = substr($i, 5)
+                if ($i ~ /^dst=/ && dst_ip == "") dst_ip = substr($i, 5)
+                if ($i ~ /^sport=/ && src_port == "") src_port = substr($i, 7)
+                if ($i ~ /^dport=/ && dst_port == "") dst_port = substr($i, 7)
             }
-        }
-        
-        # Determine external IP (check if source is internal, destination is external)
-        ext_ip = ""
-        local_ip = ""
-        direction = ""
-        
-        if (src_ip ~ /^(192\.168\.|10\.|172\.(1[6-9]|2[0-9]|3[0-1])\.)/ && dst_ip !~ /^(192\.168\.|10\.|172\.(1[6-9]|2[0-9]|3[0-1])\.|127\.)/) {
-            # Outbound: internal source -> external destination
-            ext_ip = dst_ip
-            local_ip = src_ip
-            direction = "outbound"
-        } else if (dst_ip ~ /^(192\.168\.|10\.|172\.(1[6-9]|2[0-9]|3[0-1])\.)/ && src_ip !~ /^(192\.168\.|10\.|172\.(1[6-9]|2[0-9]|3[0-1])\.|127\.)/) {
-            # Inbound: external source -> internal destination  
-            ext_ip = src_ip
-            local_ip = dst_ip
-            direction = "inbound"
-        }
+            print protocol, state, src_ip, dst_ip, src_port, dst_port
+        }' | while read -r protocol state src_ip dst_ip src_port dst_port; do
+            # The LAN side decides the direction (same rules as everywhere else in this script)
+            local ext_ip=""
+            local local_ip=""
+            local direction=""
+            local port=""
+            
+            if is_internal_ip "$src_ip" && ! is_local_or_loopback_ip "$dst_ip"; then
+                # Outbound: internal source -> external destination
+                ext_ip="$dst_ip"
+                local_ip="$src_ip"
+                direction="outbound"
+                port="$dst_port"
+            elif is_internal_ip "$dst_ip" && ! is_local_or_loopback_ip "$src_ip"; then
+                # Inbound: external source -> internal destination
+                ext_ip="$src_ip"
+                local_ip="$dst_ip"
+                direction="inbound"
+                port="$src_port"
+            fi
+            
+            # Only output if we found a valid external IP
+            if [[ -n "$ext_ip" ]]; then
+                if [[ "$first" == true ]]; then
+                    first=false
+                else
+                    echo ","
+                fi
+                echo -n "    {\"timestamp\": \"$timestamp\", \"type\": \"conntrack\", \"ip\": \"$ext_ip\", \"local_ip\": \"$local_ip\", \"port\": \"$port\", \"protocol\": \"$protocol\", \"state\": \"$state\", \"direction\": \"$direction\", \"details\": \"conntrack live connection\"}"
+            fi
+        done
         
-        # Only output if we found a valid external IP
-        if (ext_ip != "" && ext_ip != "0.0.0.0") {
-            if (first != 1) print ","
-            first = 0
-            printf "    {\"timestamp\": \"%s\", \"type\": \"conntrack\", \"ip\": \"%s\", \"local_ip\": \"%s\", \"port\": \"%s\", \"protocol\": \"%s\", \"state\": \"%s\", \"direction\": \"%s\", \"details\": \"conntrack live connection\"}", 
-                   timestamp, ext_ip, local_ip, (direction == "outbound" ? dst_port : src_port), protocol, state, direction
-        }
-    }
-    END { print "\n]" }
-    ' > "${output_file}"
+        echo ""
+        echo "]"
+    } > "${output_file}"
     
     log "Live conntrack connections saved to: ${output_file} (will be deleted after processing)"
 }
@@ -427,8 +540,9 @@ collect_connection_tracking() {
         # Get all active connections from the connection tracking table
         ssh "${FIREWALLA_USER}@${FIREWALLA_HOST}" "sudo cat /proc/net/nf_conntrack" | while read line; do
             # Parse conntrack format: ipv4 2 tcp 6 431999 ESTABLISHED src=A dst=B sport=X dport=Y packets=P bytes=B src=C dst=D sport=Z dport=W packets=Q bytes=R [ASSURED] mark=M zone=Z use=U
+            # IPv6 entries use the same layout with "ipv6 10" and colon-separated addresses
             
-            if [[ $line =~ ipv4.*tcp.*src=([0-9.]+).*dst=([0-9.]+).*sport=([0-9]+).*dport=([0-9]+).*packets=([0-9]+).*bytes=([0-9]+).*src=([0-9.]+).*dst=([0-9.]+).*sport=([0-9]+).*dport=([0-9]+).*packets=([0-9]+).*bytes=([0-9]+) ]]; then
+            if [[ $line =~ ipv[46].*tcp.*src=([0-9a-fA-F.:]+).*dst=([0-9a-fA-F.:]+).*sport=([0-9]+).*dport=([0-9]+).*packets=([0-9]+).*bytes=([0-9]+).*src=([0-9a-fA-F.:]+).*dst=([0-9a-fA-F.:]+).*sport=([0-9]+).*dport=([0-9]+).*packets=([0-9]+).*bytes=([0-9]+) ]]; then
                 local orig_src="${BASH_REMATCH[1]}"
                 local orig_dst="${BASH_REMATCH[2]}"
                 local orig_sport="${BASH_REMATCH[3]}"
@@ -456,24 +570,31 @@ collect_connection_tracking() {
                 local internal_port=""
                 
                 # Check if original source is internal (outbound connection)
-                if [[ "$orig_src" =~ ^(192\.168\.|10\.|172\.(1[6-9]|2[0-9]|3[0-1])\.) ]]; then
+                if is_internal_ip "$orig_src"; then
                     # Outbound connection: internal -> external
-                    if [[ ! "$orig_dst" =~ ^(192\.168\.|10\.|172\.(1[6-9]|2[0-9]|3[0-1])\.|127\.) ]] && [[ "$orig_dst" != "$WAN_IP" ]]; then
+                    if ! is_local_or_loopback_ip "$orig_dst" && [[ "$orig_dst" != "$WAN_IP" ]]; then
                         direction="outbound"
                         external_ip="$orig_dst"
                         internal_ip="$orig_src"
                         external_port="$orig_dport"
                         internal_port="$orig_sport"
                     fi
-                # Check if reply source is external (inbound connection)
-                elif [[ ! "$reply_src" =~ ^(192\.168\.|10\.|172\.(1[6-9]|2[0-9]|3[0-1])\.|127\.) ]] && [[ "$reply_src" != "$WAN_IP" ]]; then
-                    # Inbound connection: external -> internal (via NAT/port forwarding)
-                    direction="inbound"
-                    external_ip="$reply_src"
-                    internal_ip="$orig_dst"
-                    external_port="$reply_sport"
-                    internal_port="$orig_dport"
+                # Inbound connection: external -> internal, either forwarded to a
+                # LAN host (the reply comes from it) or routed to it directly (IPv6)
+                elif ! is_local_or_loopback_ip "$orig_src" && [[ "$orig_src" != "$WAN_IP" ]]; then
+                    if is_internal_ip "$reply_src"; then
+                        direction="inbound"
+                        internal_ip="$reply_src"
+                        internal_port="$reply_sport"
+                    elif is_internal_ip "$orig_dst"; then
+                        direction="inbound"
+                        internal_ip="$orig_dst"
+                        internal_port="$orig_dport"
+                    fi
+                    external_ip="$orig_src"
+                    external_port="$orig_sport"
                 fi
+                # Neither side on the LAN (e.g. traffic to the router itself): skipped
                 
                 # Only include if we have a valid external connection
                 if [[ -n "$direction" && -n "$external_ip" ]]; then
@@ -627,6 +748,8 @@ collect_all() {
     log "Full collection completed - check data directory for all files"
 }
 
+check_lan_ipv6_prefix
+
 # Handle script arguments
 case "${1:-}" in
     "--firemain")
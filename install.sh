@@ -227,10 +227,20 @@ setup_files() {
     sed -i "s|FIREWALLA_HOST=\".*\"|FIREWALLA_HOST=\"$FIREWALLA_IP\"|" "$INSTALL_DIR/collect_wan_connections.sh"
     sed -i "s|FIREWALLA_USER=\".*\"|FIREWALLA_USER=\"$FIREWALLA_USER\"|" "$INSTALL_DIR/collect_wan_connections.sh"
     
-    # Update database configuration in server.js
+    # Write retention limits to config.json (kept if it already exists)
     local max_size_mb=$((DB_MAX_SIZE_GB * 1024))
-    sed -i "s|maxSizeMB: [0-9]*|maxSizeMB: $max_size_mb|" "$INSTALL_DIR/webapp/server.js"
-    sed -i "s|maxAgeDays: [0-9]*|maxAgeDays: $DB_MAX_AGE_DAYS|" "$INSTALL_DIR/webapp/server.js"
+    if [[ ! -f "$INSTALL_DIR/config.json" ]]; then
+        cat > "$INSTALL_DIR/config.json" << EOF
+{
+    "retention": {
+        "maxSizeMB": $max_size_mb,
+        "maxAgeDays": $DB_MAX_AGE_DAYS
+    }
+}
+EOF
+        chmod 600 "$INSTALL_DIR/config.json"
+        log_info "Add your WAN hostname, home location and database password to $INSTALL_DIR/config.json (see config.example.json)"
+    fi
     
     # Make scripts executable
     chmod +x "$INSTALL_DIR/collect_wan_connections.sh"
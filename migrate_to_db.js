@@ -3,16 +3,17 @@
 const fs = require('fs').promises;
 const path = require('path');
 const ConnectionsDatabase = require('./webapp/database');
-
-const DATA_DIR = path.join(__dirname, 'data');
-const GEOLOCATION_CACHE_FILE = path.join(DATA_DIR, 'geolocation_cache.json');
+const { loadConfig } = require('./webapp/config');
 
 class DataMigration {
-    constructor() {
-        this.db = new ConnectionsDatabase();
+    // config: the deployment configuration from loadConfig() (database and data directory)
+    constructor(config) {
+        this.dataDir = config.dataDir;
+        this.db = new ConnectionsDatabase(config.database);
         this.stats = {
             filesProcessed: 0,
             connectionsInserted: 0,
+            duplicatesSkipped: 0,
             geolocationsInserted: 0,
             errors: 0
         };
@@ -20,7 +21,7 @@ class DataMigration {
 
     async run() {
         console.log('🚀 Starting database migration...');
-        console.log('📁 Data directory:', DATA_DIR);
+        console.log('📁 Data directory:', this.dataDir);
         
         try {
             // Initialize database
@@ -49,7 +50,7 @@ class DataMigration {
         console.log('\n📍 Migrating geolocation cache...');
         
         try {
-            const cacheData = await fs.readFile(GEOLOCATION_CACHE_FILE, 'utf8');
+            const cacheData = await fs.readFile(path.join(this.dataDir, 'geolocation_cache.json'), 'utf8');
             const cacheEntries = JSON.parse(cacheData);
             
             let inserted = 0;
@@ -76,7 +77,7 @@ class DataMigration {
     async migrateConnectionFiles() {
         console.log('\n🔗 Migrating connection files...');
         
-        const files = await fs.readdir(DATA_DIR);
+        const files = await fs.readdir(this.dataDir);
         const connectionFiles = files.filter(file => 
             file.includes('connections') || 
             file.includes('tracking') ||
@@ -99,7 +100,7 @@ class DataMigration {
     }
 
     async processConnectionFile(filename) {
-        const filePath = path.join(DATA_DIR, filename);
+        const filePath = path.join(this.dataDir, filename);
         
         try {
             const fileContent = await fs.readFile(filePath, 'utf8');
@@ -131,8 +132,9 @@ class DataMigration {
             })).filter(conn => conn.ip && conn.timestamp); // Only valid connections
             
             if (transformedConnections.length > 0) {
-                const inserted = await this.db.insertConnectionsBatch(transformedConnections);
-                this.stats.connectionsInserted += inserted;
+                const counts = await this.db.insertConnections(transformedConnections);
+                this.stats.connectionsInserted += counts.inserted;
+                this.stats.duplicatesSkipped += counts.duplicates;
             }
             
             this.stats.filesProcessed++;
@@ -152,6 +154,7 @@ class DataMigration {
         console.log('\n📊 Migration Statistics:');
         console.log(`  Files processed: ${this.stats.filesProcessed}`);
         console.log(`  Connections inserted: ${this.stats.connectionsInserted}`);
+        console.log(`  Duplicates skipped: ${this.stats.duplicatesSkipped}`);
         console.log(`  Geolocations inserted: ${this.stats.geolocationsInserted}`);
         console.log(`  Errors: ${this.stats.errors}`);
         
@@ -167,7 +170,15 @@ class DataMigration {
 
 // Run migration if called directly
 if (require.main === module) {
-    const migration = new DataMigration();
+    let config;
+    try {
+        config = loadConfig();
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+    
+    const migration = new DataMigration(config);
     migration.run();
 }
 
@@ -36,18 +36,25 @@ else
     echo -e "${BLUE}ℹ️  Skipping initial data collection (SSH connection failed - will use existing data)${NC}"
 fi
 
-# Check if port 3001 is available
-if netstat -tuln | grep -q ":3001 "; then
-    echo -e "${RED}❌ Port 3001 is already in use!${NC}"
-    echo "Please stop the service using port 3001 or modify server.js to use a different port."
+# Port from the environment or config.json (server.port), default 3001
+CONFIG_FILE="${FWM_CONFIG:-${SCRIPT_DIR}/config.json}"
+if [[ -z "${PORT:-}" && -f "${CONFIG_FILE}" ]]; then
+    PORT="$(node -e 'const c = JSON.parse(require("fs").readFileSync(process.argv[1], "utf8")); process.stdout.write(String((c.server && c.server.port) || ""))' "${CONFIG_FILE}" 2>/dev/null || true)"
+fi
+PORT="${PORT:-3001}"
+
+# Check if the port is available
+if netstat -tuln | grep -q ":${PORT} "; then
+    echo -e "${RED}❌ Port ${PORT} is already in use!${NC}"
+    echo "Please stop the service using port ${PORT} or set a different server.port in config.json (or PORT)."
     exit 1
 fi
 
-echo -e "${GREEN}✅ Starting web server on port 3001...${NC}"
+echo -e "${GREEN}✅ Starting web server on port ${PORT}...${NC}"
 echo -e "${GREEN}🌍 Access the monitor at:${NC}"
-echo -e "  ${BLUE}• Local: http://localhost:3001${NC}"
-echo -e "  ${BLUE}• Network: http://[your-server]:3001${NC}"
-echo -e "  ${BLUE}• IP: http://$(hostname -I | awk '{print $1}'):3001${NC}"
+echo -e "  ${BLUE}• Local: http://localhost:${PORT}${NC}"
+echo -e "  ${BLUE}• Network: http://[your-server]:${PORT}${NC}"
+echo -e "  ${BLUE}• IP: http://$(hostname -I | awk '{print $1}'):${PORT}${NC}"
 echo
 echo -e "${GREEN}💡 Tips:${NC}"
 echo -e "  • Press Ctrl+C to stop the server"
@@ -5,6 +5,12 @@
 
 set -e
 
+# This utility queries ip-api.com directly; respect the monitor's offline mode
+if [ "${GEOIP_OFFLINE}" = "true" ]; then
+    echo "GEOIP_OFFLINE=true: online geolocation lookups are disabled" >&2
+    exit 1
+fi
+
 SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
 DATA_DIR="${SCRIPT_DIR}/data"
 DB_FILE="${DATA_DIR}/connections.db"
@@ -0,0 +1,459 @@
+const { spawn, execFile } = require('child_process');
+const { promisify } = require('util');
+const { normalizeIP } = require('./ip-utils');
+const { NOVELTY_KINDS } = require('./novelty');
+const execFileAsync = promisify(execFile);
+
+const CHANNEL_TYPES = ['email', 'webhook', 'syslog'];
+const THREAT_LEVELS = ['clean', 'suspicious', 'malicious', 'unknown'];
+const DELIVERY_TIMEOUT_MS = 10000;
+
+// Channel settings end up as arguments of `mail` and `logger`, so they are
+// checked against these instead of passed through
+const EMAIL_PATTERN = /^[A-Za-z0-9._%+'-]+@[A-Za-z0-9](?:[A-Za-z0-9-]*[A-Za-z0-9])?(?:\.[A-Za-z0-9](?:[A-Za-z0-9-]*[A-Za-z0-9])?)+$/;
+const SYSLOG_FACILITIES = [
+    'auth', 'authpriv', 'cron', 'daemon', 'ftp', 'kern', 'lpr', 'mail', 'news', 'syslog', 'user', 'uucp',
+    'local0', 'local1', 'local2', 'local3', 'local4', 'local5', 'local6', 'local7'
+];
+const SYSLOG_SEVERITIES = ['emerg', 'alert', 'crit', 'err', 'warning', 'notice', 'info', 'debug'];
+const SYSLOG_TAG_PATTERN = /^[A-Za-z0-9_][A-Za-z0-9._-]{0,47}$/;
+
+// Evaluates user-defined alert rules against each batch of newly inserted
+// connections and delivers matches over email, webhook and syslog.
+//
+// Rule conditions are AND-ed; list conditions match when any entry matches:
+//   countries      ['CN', 'Russia']     country code or name
+//   asns           ['AS4134', 13335]    AS number
+//   threatLevels   ['malicious']        threat_intel.threat_level
+//   externalPorts  [22, 3389]
+//   minBytes       1000000              orig_bytes + reply_bytes of one connection
+//   direction      'inbound' | 'outbound'
+//   internalIPs    ['192.168.1.50']     internal device
+//   novelty        ['country', 'asn']   a device contacted an IP, ASN or country
+//                                       for the first time after its learning
+//                                       period (first-seen ledger)
+//
+// Novelty rules are evaluated against 'noveltyDetected' events rather than
+// connection batches, so they can't use direction, externalPorts or minBytes.
+class AlertEngine {
+    constructor(db, options = {}) {
+        this.db = db;
+        this.emailConfig = options.emailConfig || db.emailConfig;
+        this.syslogTag = options.syslogTag || 'firewalla-monitor';
+        this.log = options.logger || console.log;
+
+        // Batches are evaluated one at a time so cooldown checks see earlier alerts
+        this.queue = Promise.resolve();
+        this.stats = { batchesEvaluated: 0, alertsFired: 0, alertsSuppressed: 0 };
+    }
+
+    // Subscribe to the database's insert and first-seen events
+    attach() {
+        this.db.on('connectionsInserted', (connections) => {
+            this.queue = this.queue
+                .then(() => this.evaluate(connections))
+                .catch(error => this.log(`Error evaluating alert rules: ${error.message}`));
+        });
+
+        this.db.on('noveltyDetected', (entries) => {
+            this.queue = this.queue
+                .then(() => this.evaluateNovelty(entries))
+                .catch(error => this.log(`Error evaluating novelty alert rules: ${error.message}`));
+        });
+    }
+
+    async evaluate(connections) {
+        const rules = (await this.db.getAlertRules({ enabledOnly: true })).filter(rule => !isNoveltyRule(rule));
+        if (rules.length === 0 || connections.length === 0) return [];
+
+        this.stats.batchesEvaluated++;
+
+        const ips = [...new Set(connections.map(conn => conn.ip))];
+        const ipContext = await this.db.getIPContext(ips);
+        const fired = [];
+
+        for (const rule of rules) {
+            // Group matches by dedup key so one batch raises at most one alert per key
+            const groups = new Map();
+
+            for (const conn of connections) {
+                const context = ipContext.get(conn.ip) || {};
+                if (!matchesConditions(rule.conditions || {}, conn, context)) continue;
+
+                const key = dedupKey(conn);
+                const group = groups.get(key);
+                if (group) {
+                    group.count++;
+                    group.bytes += connectionBytes(conn);
+                } else {
+                    groups.set(key, { conn, context, count: 1, bytes: connectionBytes(conn) });
+                }
+            }
+
+            if (groups.size === 0) continue;
+
+            const recentKeys = await this.db.getRecentAlertKeys(rule.id, [...groups.keys()], rule.cooldown_minutes);
+
+            for (const [key, group] of groups) {
+                if (recentKeys.has(key)) {
+                    this.stats.alertsSuppressed++;
+                    continue;
+                }
+
+                fired.push(await this.fire(rule, buildAlert(rule, key, group)));
+            }
+        }
+
+        return fired;
+    }
+
+    // entries: [{ device, kind, value, firstSeen, firstIp }] from the ledger
+    async evaluateNovelty(entries) {
+        const rules = (await this.db.getAlertRules({ enabledOnly: true })).filter(isNoveltyRule);
+        if (rules.length === 0 || entries.length === 0) return [];
+
+        this.stats.batchesEvaluated++;
+
+        const ipContext = await this.db.getIPContext([...new Set(entries.map(entry => entry.firstIp))]);
+        const fired = [];
+
+        for (const rule of rules) {
+            const matches = new Map();
+
+            for (const entry of entries) {
+                if (!rule.conditions.novelty.includes(entry.kind)) continue;
+
+                const context = ipContext.get(entry.firstIp) || {};
+                const conn = { ip: entry.firstIp, internal_ip: entry.device, timestamp: entry.firstSeen };
+                if (!matchesConditions(rule.conditions, conn, context)) continue;
+
+                matches.set(`novelty|${entry.device}|${entry.kind}|${entry.value}`, { entry, context });
+            }
+
+            if (matches.size === 0) continue;
+
+            const recentKeys = await this.db.getRecentAlertKeys(rule.id, [...matches.keys()], rule.cooldown_minutes);
+
+            for (const [key, match] of matches) {
+                if (recentKeys.has(key)) {
+                    this.stats.alertsSuppressed++;
+                    continue;
+                }
+
+                fired.push(await this.fire(rule, buildNoveltyAlert(rule, key, match)));
+            }
+        }
+
+        return fired;
+    }
+
+    async fire(rule, alert) {
+        alert.deliveries = await this.deliver(alert, rule.channels || []);
+        alert.id = await this.db.insertAlertHistory(alert);
+
+        this.stats.alertsFired++;
+        this.log(`Alert "${rule.name}" fired: ${alert.summary}`);
+        return alert;
+    }
+
+    async deliver(alert, channels) {
+        const deliveries = [];
+
+        for (const channel of channels) {
+            try {
+                switch (channel.type) {
+                    case 'email':
+                        await this.sendEmail(alert, channel);
+                        break;
+                    case 'webhook':
+                        await this.sendWebhook(alert, channel);
+                        break;
+                    case 'syslog':
+                        await this.sendSyslog(alert, channel);
+                        break;
+                    default:
+                        throw new Error(`Unknown channel type: ${channel.type}`);
+                }
+                deliveries.push({ channel: channel.type, success: true });
+            } catch (error) {
+                this.log(`Alert delivery via ${channel.type} failed: ${error.message}`);
+                deliveries.push({ channel: channel.type, success: false, error: error.message });
+            }
+        }
+
+        return deliveries;
+    }
+
+    // Uses the system `mail` command, same as the rest of the host's notifications
+    sendEmail(alert, channel) {
+        if (!this.emailConfig.enabled) {
+            return Promise.reject(new Error('Email notifications are disabled'));
+        }
+
+        const recipient = channel.recipient || this.emailConfig.recipient;
+        const subject = `[Firewalla Monitor] ${alert.rule_name}: ${alert.ip}`;
+
+        return new Promise((resolve, reject) => {
+            // '--' so a recipient can never be read as an option
+            const child = spawn('mail', ['-s', subject, '--', recipient], { timeout: DELIVERY_TIMEOUT_MS });
+            let stderr = '';
+
+            child.stderr.on('data', chunk => { stderr += chunk; });
+            child.on('error', reject);
+            child.on('close', (code) => {
+                if (code === 0) resolve();
+                else reject(new Error(`mail exited with code ${code}${stderr ? `: ${stderr.trim()}` : ''}`));
+            });
+
+            child.stdin.end(formatAlertText(alert));
+        });
+    }
+
+    async sendWebhook(alert, channel) {
+        const axios = require('axios');
+        await axios.post(channel.url, {
+            rule: { id: alert.rule_id, name: alert.rule_name },
+            ip: alert.ip,
+            summary: alert.summary,
+            match_count: alert.match_count,
+            details: alert.details,
+            fired_at: new Date().toISOString()
+        }, {
+            headers: channel.headers || {},
+            timeout: DELIVERY_TIMEOUT_MS
+        });
+    }
+
+    async sendSyslog(alert, channel) {
+        const priority = `${channel.facility || 'user'}.${channel.severity || 'warning'}`;
+        await execFileAsync('logger', ['-t', channel.tag || this.syslogTag, '-p', priority, '--', `${alert.rule_name}: ${alert.summary}`], {
+            timeout: DELIVERY_TIMEOUT_MS
+        });
+    }
+}
+
+function connectionBytes(conn) {
+    return (parseInt(conn.orig_bytes) || 0) + (parseInt(conn.reply_bytes) || 0);
+}
+
+// Same external IP talking to the same internal device is one alert
+function dedupKey(conn) {
+    return `${conn.ip}|${conn.internal_ip || '*'}`;
+}
+
+function isNoveltyRule(rule) {
+    return Array.isArray((rule.conditions || {}).novelty) && rule.conditions.novelty.length > 0;
+}
+
+function asnNumber(value) {
+    const match = String(value || '').match(/^(?:AS)?(\d+)/i);
+    return match ? match[1] : null;
+}
+
+function matchesConditions(conditions, conn, context) {
+    if (conditions.direction && conn.direction !== conditions.direction) return false;
+
+    if (conditions.countries && conditions.countries.length > 0) {
+        const wanted = conditions.countries.map(country => String(country).toLowerCase());
+        const code = (context.country_code || '').toLowerCase();
+        const name = (context.country || '').toLowerCase();
+        if (!wanted.includes(code) && !wanted.includes(name)) return false;
+    }
+
+    if (conditions.asns && conditions.asns.length > 0) {
+        const asn = asnNumber(context.asn);
+        if (!asn || !conditions.asns.map(asnNumber).includes(asn)) return false;
+    }
+
+    if (conditions.threatLevels && conditions.threatLevels.length > 0) {
+        if (!conditions.threatLevels.includes(context.threat_level || 'unknown')) return false;
+    }
+
+    if (conditions.externalPorts && conditions.externalPorts.length > 0) {
+        if (!conditions.externalPorts.includes(parseInt(conn.external_port))) return false;
+    }
+
+    if (conditions.minBytes && connectionBytes(conn) < conditions.minBytes) return false;
+
+    if (conditions.internalIPs && conditions.internalIPs.length > 0) {
+        const internalIP = normalizeIP(conn.internal_ip);
+        if (!internalIP || !conditions.internalIPs.map(normalizeIP).includes(internalIP)) return false;
+    }
+
+    return true;
+}
+
+function buildAlert(rule, key, group) {
+    const { conn, context, count, bytes } = group;
+    const where = [context.city, context.country].filter(Boolean).join(', ') || 'unknown location';
+    const device = conn.internal_ip ? ` (device ${conn.internal_ip})` : '';
+
+    return {
+        rule_id: rule.id,
+        rule_name: rule.name,
+        dedup_key: key,
+        ip: conn.ip,
+        match_count: count,
+        summary: `${conn.direction} ${conn.ip}${conn.external_port ? `:${conn.external_port}` : ''} from ${where}${device} - ${count} connection(s), ${bytes} bytes`,
+        details: {
+            direction: conn.direction,
+            internal_ip: conn.internal_ip || null,
+            external_port: conn.external_port || null,
+            connection_type: conn.connection_type || null,
+            first_timestamp: conn.timestamp,
+            total_bytes: bytes,
+            country: context.country || null,
+            country_code: context.country_code || null,
+            asn: context.asn || null,
+            isp: context.isp || null,
+            threat_level: context.threat_level || null
+        }
+    };
+}
+
+function buildNoveltyAlert(rule, key, match) {
+    const { entry, context } = match;
+    const what = { ip: 'IP', asn: 'ASN', country: 'country' }[entry.kind];
+    const via = entry.kind === 'ip' ? '' : ` (first via ${entry.firstIp})`;
+
+    return {
+        rule_id: rule.id,
+        rule_name: rule.name,
+        dedup_key: key,
+        ip: entry.firstIp,
+        match_count: 1,
+        summary: `Device ${entry.device} contacted a new ${what}: ${entry.value}${via}`,
+        details: {
+            novelty: entry.kind,
+            value: entry.value,
+            internal_ip: entry.device,
+            first_ip: entry.firstIp,
+            first_seen: entry.firstSeen,
+            country: context.country || null,
+            country_code: context.country_code || null,
+            asn: context.asn || null,
+            isp: context.isp || null,
+            threat_level: context.threat_level || null
+        }
+    };
+}
+
+function formatAlertText(alert) {
+    const lines = [
+        `Alert rule: ${alert.rule_name}`,
+        `Summary: ${alert.summary}`,
+        ''
+    ];
+    for (const [key, value] of Object.entries(alert.details)) {
+        if (value !== null && value !== undefined) {
+            lines.push(`${key}: ${value}`);
+        }
+    }
+    return lines.join('\n') + '\n';
+}
+
+// Validate and normalize an alert rule from an API request body.
+// Returns { rule, errors } - rule is null when errors is non-empty.
+function validateAlertRule(body) {
+    const errors = [];
+    const input = body || {};
+    const conditions = input.conditions || {};
+    const channels = input.channels || [];
+
+    if (!input.name || typeof input.name !== 'string' || !input.name.trim()) {
+        errors.push('name is required');
+    }
+
+    if (typeof conditions !== 'object' || Array.isArray(conditions)) {
+        errors.push('conditions must be an object');
+    } else {
+        for (const listField of ['countries', 'asns', 'threatLevels', 'externalPorts', 'internalIPs', 'novelty']) {
+            if (conditions[listField] !== undefined && !Array.isArray(conditions[listField])) {
+                errors.push(`conditions.${listField} must be an array`);
+            }
+        }
+        if (Array.isArray(conditions.threatLevels)) {
+            const unknown = conditions.threatLevels.filter(level => !THREAT_LEVELS.includes(level));
+            if (unknown.length > 0) errors.push(`conditions.threatLevels has unknown values: ${unknown.join(', ')}`);
+        }
+        if (Array.isArray(conditions.externalPorts) && !conditions.externalPorts.every(port => Number.isInteger(port) && port > 0 && port < 65536)) {
+            errors.push('conditions.externalPorts must contain port numbers (1-65535)');
+        }
+        if (Array.isArray(conditions.internalIPs) && !conditions.internalIPs.every(ip => normalizeIP(ip))) {
+            errors.push('conditions.internalIPs must contain valid IP addresses');
+        }
+        if (conditions.minBytes !== undefined && !(Number.isFinite(conditions.minBytes) && conditions.minBytes > 0)) {
+            errors.push('conditions.minBytes must be a positive number');
+        }
+        if (conditions.direction !== undefined && !['inbound', 'outbound'].includes(conditions.direction)) {
+            errors.push('conditions.direction must be inbound or outbound');
+        }
+        if (Array.isArray(conditions.novelty)) {
+            const unknown = conditions.novelty.filter(kind => !NOVELTY_KINDS.includes(kind));
+            if (unknown.length > 0) errors.push(`conditions.novelty has unknown values: ${unknown.join(', ')}`);
+            const connectionOnly = ['direction', 'externalPorts', 'minBytes'].filter(field => conditions[field] !== undefined);
+            if (connectionOnly.length > 0) {
+                errors.push(`conditions.novelty cannot be combined with ${connectionOnly.join(', ')}`);
+            }
+        }
+        if (Object.keys(conditions).length === 0) {
+            errors.push('at least one condition is required');
+        }
+    }
+
+    if (!Array.isArray(channels) || channels.length === 0) {
+        errors.push('channels must be a non-empty array');
+    } else {
+        channels.forEach((channel, index) => {
+            if (!channel || !CHANNEL_TYPES.includes(channel.type)) {
+                errors.push(`channels[${index}].type must be one of ${CHANNEL_TYPES.join(', ')}`);
+            } else if (channel.type === 'email') {
+                if (channel.recipient !== undefined && (typeof channel.recipient !== 'string' ||
+                    channel.recipient.startsWith('-') || !EMAIL_PATTERN.test(channel.recipient))) {
+                    errors.push(`channels[${index}].recipient must be an email address`);
+                }
+            } else if (channel.type === 'webhook') {
+                if (!/^https?:\/\//.test(channel.url || '')) {
+                    errors.push(`channels[${index}].url must be an http(s) URL`);
+                }
+                const headers = channel.headers;
+                if (headers !== undefined && (!headers || typeof headers !== 'object' || Array.isArray(headers) ||
+                    !Object.values(headers).every(value => typeof value === 'string'))) {
+                    errors.push(`channels[${index}].headers must be an object of string values`);
+                }
+            } else if (channel.type === 'syslog') {
+                if (channel.facility !== undefined && !SYSLOG_FACILITIES.includes(channel.facility)) {
+                    errors.push(`channels[${index}].facility must be one of ${SYSLOG_FACILITIES.join(', ')}`);
+                }
+                if (channel.severity !== undefined && !SYSLOG_SEVERITIES.includes(channel.severity)) {
+                    errors.push(`channels[${index}].severity must be one of ${SYSLOG_SEVERITIES.join(', ')}`);
+                }
+                if (channel.tag !== undefined && (typeof channel.tag !== 'string' || !SYSLOG_TAG_PATTERN.test(channel.tag))) {
+                    errors.push(`channels[${index}].tag must be 1-48 letters, digits, '.', '_' or '-' and not start with '-'`);
+                }
+            }
+        });
+    }
+
+    const cooldown = input.cooldown_minutes === undefined ? 60 : input.cooldown_minutes;
+    if (!Number.isInteger(cooldown) || cooldown < 0) {
+        errors.push('cooldown_minutes must be a non-negative integer');
+    }
+
+    if (errors.length > 0) {
+        return { rule: null, errors };
+    }
+
+    return {
+        rule: {
+            name: input.name.trim(),
+            enabled: input.enabled !== false,
+            conditions,
+            channels,
+            cooldown_minutes: cooldown
+        },
+        errors
+    };
+}
+
+module.exports = { AlertEngine, validateAlertRule, matchesConditions };
@@ -0,0 +1,217 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const scryptAsync = promisify(crypto.scrypt);
+
+const ROLES = ['readonly', 'admin'];
+const SESSION_COOKIE = 'fwm_session';
+const API_TOKEN_PREFIX = 'fwm_';
+const SCRYPT_KEY_LENGTH = 64;
+const MIN_PASSWORD_LENGTH = 10;
+
+// Login failures per client address before further attempts are refused
+const MAX_FAILED_LOGINS = 10;
+const FAILED_LOGIN_WINDOW_MS = 15 * 60 * 1000;
+
+// Sessions for the web UI (HttpOnly cookie) and bearer API tokens for scripts.
+// Both resolve to a role: 'readonly' may read everything, 'admin' may also
+// change configuration and trigger actions.
+class AuthService {
+    constructor(db, options = {}) {
+        this.db = db;
+        this.sessionTTLHours = options.sessionTTLHours || 12;
+        this.publicPaths = options.publicPaths || [];
+        this.log = options.logger || console.log;
+
+        this.failedLogins = new Map();
+
+        // One-time code required to create the first admin, printed to the server log
+        this.bootstrapCode = null;
+    }
+
+    // Generate and log a bootstrap code when no accounts exist yet
+    async prepareBootstrap() {
+        if (await this.db.countUsers() > 0) {
+            this.bootstrapCode = null;
+            return false;
+        }
+
+        this.bootstrapCode = crypto.randomBytes(6).toString('hex');
+        this.log('No user accounts exist yet. Open the web UI to create the admin account.');
+        this.log(`First-run setup code: ${this.bootstrapCode}`);
+        return true;
+    }
+
+    async hashPassword(password) {
+        const salt = crypto.randomBytes(16);
+        const derived = await scryptAsync(password, salt, SCRYPT_KEY_LENGTH);
+        return `scrypt$${salt.toString('hex')}$${derived.toString('hex')}`;
+    }
+
+    async verifyPassword(password, stored) {
+        const [scheme, saltHex, hashHex] = String(stored || '').split('$');
+        if (scheme !== 'scrypt' || !saltHex || !hashHex) return false;
+
+        const expected = Buffer.from(hashHex, 'hex');
+        const derived = await scryptAsync(password, Buffer.from(saltHex, 'hex'), expected.length);
+        return crypto.timingSafeEqual(expected, derived);
+    }
+
+    // Session and API tokens are stored as SHA-256 digests, never in the clear
+    hashToken(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
+    }
+
+    isLockedOut(clientAddress) {
+        const entry = this.failedLogins.get(clientAddress);
+        if (!entry) return false;
+
+        if (Date.now() - entry.firstFailure > FAILED_LOGIN_WINDOW_MS) {
+            this.failedLogins.delete(clientAddress);
+            return false;
+        }
+        return entry.count >= MAX_FAILED_LOGINS;
+    }
+
+    recordFailedLogin(clientAddress) {
+        const entry = this.failedLogins.get(clientAddress);
+        if (entry && Date.now() - entry.firstFailure <= FAILED_LOGIN_WINDOW_MS) {
+            entry.count++;
+        } else {
+            this.failedLogins.set(clientAddress, { count: 1, firstFailure: Date.now() });
+        }
+    }
+
+    // Returns { token, expiresAt, user } or null when the credentials are wrong
+    async login(username, password) {
+        const user = await this.db.getUserByUsername(username);
+        if (!user || !(await this.verifyPassword(password, user.password_hash))) {
+            return null;
+        }
+
+        const token = crypto.randomBytes(32).toString('hex');
+        const expiresAt = new Date(Date.now() + this.sessionTTLHours * 60 * 60 * 1000);
+        await this.db.createSession(this.hashToken(token), user.id, expiresAt);
+
+        return { token, expiresAt, user: { id: user.id, username: user.username, role: user.role } };
+    }
+
+    async logout(req) {
+        const sessionToken = parseCookies(req)[SESSION_COOKIE];
+        if (sessionToken) {
+            await this.db.deleteSession(this.hashToken(sessionToken));
+        }
+    }
+
+    async createApiToken(name, role, createdBy) {
+        const token = API_TOKEN_PREFIX + crypto.randomBytes(24).toString('hex');
+        const record = await this.db.createApiToken(name, this.hashToken(token), role, createdBy);
+        return { ...record, token };
+    }
+
+    // Resolve the caller from the session cookie or Authorization header
+    async identify(req) {
+        const header = req.get('authorization') || '';
+        const bearer = header.match(/^Bearer\s+(\S+)$/i);
+        if (bearer && bearer[1].startsWith(API_TOKEN_PREFIX)) {
+            const apiToken = await this.db.useApiToken(this.hashToken(bearer[1]));
+            return apiToken ? { type: 'token', id: apiToken.id, name: apiToken.name, role: apiToken.role } : null;
+        }
+
+        const sessionToken = parseCookies(req)[SESSION_COOKIE];
+        if (sessionToken) {
+            const user = await this.db.getSessionUser(this.hashToken(sessionToken));
+            return user ? { type: 'session', id: user.id, name: user.username, role: user.role } : null;
+        }
+
+        return null;
+    }
+
+    // Guards every /api route: anonymous callers get 401, and anything that
+    // isn't a read needs the admin role
+    middleware() {
+        return async (req, res, next) => {
+            if (this.publicPaths.some(prefix => req.path === prefix || req.path.startsWith(`${prefix}/`))) {
+                return next();
+            }
+
+            try {
+                const principal = await this.identify(req);
+                if (!principal) {
+                    return res.status(401).json({ error: 'Authentication required' });
+                }
+
+                req.principal = principal;
+
+                const isRead = ['GET', 'HEAD', 'OPTIONS'].includes(req.method);
+                if (!isRead && principal.role !== 'admin') {
+                    return res.status(403).json({ error: 'Admin role required' });
+                }
+
+                next();
+            } catch (error) {
+                this.log(`Error authenticating request: ${error.message}`);
+                res.status(500).json({ error: 'Authentication failed' });
+            }
+        };
+    }
+
+    sessionCookie(req, token, expiresAt) {
+        const parts = [
+            `${SESSION_COOKIE}=${token}`,
+            'Path=/',
+            'HttpOnly',
+            'SameSite=Strict',
+            `Expires=${expiresAt.toUTCString()}`
+        ];
+        if (req.secure) parts.push('Secure');
+        return parts.join('; ');
+    }
+
+    clearedSessionCookie() {
+        return `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Strict; Expires=Thu, 01 Jan 1970 00:00:00 GMT`;
+    }
+}
+
+// Route guard for read endpoints that expose account data
+function requireRole(role) {
+    return (req, res, next) => {
+        if (!req.principal || req.principal.role !== role) {
+            return res.status(403).json({ error: `${role} role required` });
+        }
+        next();
+    };
+}
+
+function parseCookies(req) {
+    const cookies = {};
+    const header = req.headers.cookie;
+    if (!header) return cookies;
+
+    for (const pair of header.split(';')) {
+        const separator = pair.indexOf('=');
+        if (separator <= 0) continue;
+        try {
+            cookies[pair.slice(0, separator).trim()] = decodeURIComponent(pair.slice(separator + 1).trim());
+        } catch (error) {
+            // Malformed percent-encoding (another site's cookie); skip it
+        }
+    }
+    return cookies;
+}
+
+// Returns a list of problems with new account credentials (empty when valid)
+function validateCredentials(username, password, role) {
+    const errors = [];
+    if (!username || typeof username !== 'string' || !/^[A-Za-z0-9_.@-]{3,64}$/.test(username)) {
+        errors.push('username must be 3-64 characters (letters, digits, _ . @ -)');
+    }
+    if (!password || typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        errors.push(`password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+    if (role !== undefined && !ROLES.includes(role)) {
+        errors.push(`role must be one of ${ROLES.join(', ')}`);
+    }
+    return errors;
+}
+
+module.exports = { AuthService, requireRole, validateCredentials, ROLES };
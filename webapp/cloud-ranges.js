@@ -0,0 +1,345 @@
+// Published address ranges of cloud and hosting providers, stored as cidr in
+// the cloud_ranges table so SQL can label an address with the provider,
+// service and region of the most specific range containing it (inet
+// operators backed by a GiST index). Threat checks of cloud addresses are
+// scheduled less often than those of unknown ones.
+//
+// Built-in sources are imported on startup and refreshed every
+// cloudRanges.refreshHours. Other range files in one of the supported formats
+// can be imported through POST /api/cloud-ranges (Azure's ServiceTags JSON,
+// for instance, is republished weekly under a new URL, so it has to be
+// downloaded and imported by hand):
+//
+//   aws       AWS ip-ranges.json
+//   google    Google goog.json / cloud.json
+//   azure     Azure ServiceTags_Public_<date>.json
+//   oracle    Oracle Cloud public_ip_ranges.json
+//   geofeed   RFC 8805 CSV (prefix,country,region,city,...)
+//   text      one address or CIDR range per line
+
+const fs = require('fs');
+const path = require('path');
+const { parseNetwork } = require('./lists');
+const { parseFeedText } = require('./feeds');
+
+const FETCH_TIMEOUT_MS = 60000;
+const MAX_RANGES_BYTES = 100 * 1024 * 1024;
+const CHECK_INTERVAL_MS = 60 * 60 * 1000;
+const SOURCE_NAME_PATTERN = /^[A-Za-z0-9][\w.-]{0,63}$/;
+
+const BUILTIN_SOURCES = {
+    aws: {
+        provider: 'AWS',
+        format: 'aws',
+        locations: ['https://ip-ranges.amazonaws.com/ip-ranges.json']
+    },
+    'google-cloud': {
+        provider: 'Google Cloud',
+        format: 'google',
+        locations: ['https://www.gstatic.com/ipranges/cloud.json']
+    },
+    google: {
+        provider: 'Google',
+        format: 'google',
+        locations: ['https://www.gstatic.com/ipranges/goog.json']
+    },
+    oracle: {
+        provider: 'Oracle Cloud',
+        format: 'oracle',
+        locations: ['https://docs.oracle.com/en-us/iaas/tools/public_ip_ranges.json']
+    },
+    digitalocean: {
+        provider: 'DigitalOcean',
+        format: 'geofeed',
+        locations: ['https://digitalocean.com/geo/google.csv']
+    },
+    cloudflare: {
+        provider: 'Cloudflare',
+        format: 'text',
+        locations: ['https://www.cloudflare.com/ips-v4', 'https://www.cloudflare.com/ips-v6']
+    }
+};
+
+const BUILTIN_SOURCE_NAMES = Object.keys(BUILTIN_SOURCES);
+
+// Collects { network, service, region } entries keyed by network.
+// Later entries for a network replace earlier ones only when prefer() says so.
+function rangeCollector(prefer = () => false) {
+    const ranges = new Map();
+    let invalid = 0;
+
+    return {
+        add(prefix, service, region) {
+            const parsed = parseNetwork(String(prefix || '').trim());
+            if (!parsed) {
+                invalid++;
+                return;
+            }
+            const entry = { network: parsed.network, service: service || null, region: region || null };
+            const existing = ranges.get(parsed.network);
+            if (!existing || prefer(entry, existing)) ranges.set(parsed.network, entry);
+        },
+        result() {
+            return { ranges: [...ranges.values()], invalid };
+        }
+    };
+}
+
+// AWS lists each prefix once per service, always including the catch-all
+// AMAZON; keep the specific service (EC2, CLOUDFRONT, ...) where there is one
+function parseAws(data) {
+    const collector = rangeCollector((entry, existing) => existing.service === 'AMAZON' && entry.service !== 'AMAZON');
+    for (const prefix of data.prefixes || []) collector.add(prefix.ip_prefix, prefix.service, prefix.region);
+    for (const prefix of data.ipv6_prefixes || []) collector.add(prefix.ipv6_prefix, prefix.service, prefix.region);
+    return collector.result();
+}
+
+// cloud.json has service and scope (region); goog.json has neither
+function parseGoogle(data) {
+    const collector = rangeCollector();
+    for (const prefix of data.prefixes || []) {
+        collector.add(prefix.ipv4Prefix || prefix.ipv6Prefix, prefix.service, prefix.scope);
+    }
+    return collector.result();
+}
+
+// Service tags overlap heavily (AzureCloud covers everything, AzureCloud.<region>
+// a region, Storage.<region> one service in it); keep the most specific tag
+function parseAzure(data) {
+    const specificity = (entry) => (entry.service && entry.service !== 'AzureCloud' ? 2 : 0) + (entry.region ? 1 : 0);
+    const collector = rangeCollector((entry, existing) => specificity(entry) > specificity(existing));
+    for (const tag of data.values || []) {
+        const properties = tag.properties || {};
+        const service = properties.systemService || String(tag.name || '').split('.')[0];
+        for (const prefix of properties.addressPrefixes || []) collector.add(prefix, service, properties.region);
+    }
+    return collector.result();
+}
+
+function parseOracle(data) {
+    const collector = rangeCollector();
+    for (const region of data.regions || []) {
+        for (const cidr of region.cidrs || []) {
+            collector.add(cidr.cidr, (cidr.tags || []).join(', '), region.region);
+        }
+    }
+    return collector.result();
+}
+
+// RFC 8805: prefix,country,region,city,postal; the location becomes the region
+function parseGeofeed(text) {
+    const collector = rangeCollector();
+    for (const line of String(text).split(/\r?\n/)) {
+        const content = line.replace(/#.*$/, '').trim();
+        if (!content) continue;
+
+        const [prefix, country, region, city] = content.split(',').map(field => field.trim());
+        collector.add(prefix, null, [city, region, country].filter(Boolean).join(', '));
+    }
+    return collector.result();
+}
+
+function parseText(text) {
+    const { networks, invalid } = parseFeedText(text);
+    return { ranges: networks.map(network => ({ network, service: null, region: null })), invalid };
+}
+
+const FORMATS = {
+    aws: { json: true, parse: parseAws },
+    google: { json: true, parse: parseGoogle },
+    azure: { json: true, parse: parseAzure },
+    oracle: { json: true, parse: parseOracle },
+    geofeed: { json: false, parse: parseGeofeed },
+    text: { json: false, parse: parseText }
+};
+
+// Parse the contents of one range file. Returns { ranges, invalid }; throws on malformed JSON.
+function parseRanges(format, text) {
+    const handler = FORMATS[format];
+    if (!handler) throw new Error(`Unknown range format ${format}`);
+    return handler.parse(handler.json ? JSON.parse(text) : text);
+}
+
+// SQL expression: the cloud range label (jsonb { provider, service, region,
+// network, source }) of the most specific range containing ipExpr, or NULL
+function cloudRangeSql(ipExpr) {
+    return `(
+        SELECT jsonb_build_object('provider', r.provider, 'service', r.service, 'region', r.region,
+                                  'network', r.network, 'source', r.source)
+        FROM cloud_ranges r
+        WHERE r.network >>= ${ipExpr}
+        ORDER BY masklen(r.network) DESC, r.service IS NULL, r.source
+        LIMIT 1
+    )`;
+}
+
+// SQL condition: ipExpr lies in a known cloud range
+function inCloudRangeSql(ipExpr) {
+    return `EXISTS (SELECT 1 FROM cloud_ranges r WHERE r.network >>= ${ipExpr})`;
+}
+
+class CloudRanges {
+    constructor(db, options = {}) {
+        this.db = db;
+        this.log = options.logger || console.log;
+        this.dataDir = options.dataDir || process.cwd();
+        this.sources = options.sources || BUILTIN_SOURCE_NAMES;
+        this.refreshHours = options.refreshHours || 168;
+        this.refreshing = false;
+        this.timer = null;
+    }
+
+    // Make sure the configured built-in sources are registered
+    async registerBuiltins() {
+        for (const name of this.sources) {
+            const builtin = BUILTIN_SOURCES[name];
+            if (builtin) await this.db.saveCloudRangeSource({ name, ...builtin }, null);
+        }
+    }
+
+    // Fetch, parse and store one source's ranges, replacing its previous ones.
+    // Failures are recorded on the source and rethrown. Returns { entries, invalid }.
+    async import(source) {
+        const collected = new Map();
+        let invalid = 0;
+        try {
+            for (const location of source.locations) {
+                const parsed = parseRanges(source.format, await this.fetchSource(location));
+                for (const range of parsed.ranges) collected.set(range.network, range);
+                invalid += parsed.invalid;
+            }
+            if (collected.size === 0) {
+                throw new Error(`no ranges found (${invalid} unparseable entries)`);
+            }
+        } catch (error) {
+            await this.db.recordCloudRangeAttempt(source.name, error.message);
+            throw error;
+        }
+
+        const entries = await this.db.replaceCloudRanges(source.name, [...collected.values()]);
+        this.log(`Cloud ranges ${source.name} (${source.provider}) imported: ${entries} ranges`);
+        return { entries, invalid };
+    }
+
+    // File contents from an http(s) URL or a file (relative paths resolve against dataDir)
+    async fetchSource(location) {
+        if (/^https?:\/\//i.test(location)) {
+            const axios = require('axios');
+            const response = await axios.get(location, {
+                timeout: FETCH_TIMEOUT_MS,
+                responseType: 'text',
+                transformResponse: data => data,
+                maxContentLength: MAX_RANGES_BYTES
+            });
+            return String(response.data);
+        }
+
+        const file = path.resolve(this.dataDir, location);
+        const stat = await fs.promises.stat(file);
+        if (stat.size > MAX_RANGES_BYTES) {
+            throw new Error(`${file} is larger than ${MAX_RANGES_BYTES / 1024 / 1024}MB`);
+        }
+        return fs.promises.readFile(file, 'utf8');
+    }
+
+    // Re-import sources not attempted within refreshHours. Only sources fetched
+    // from URLs are refreshed; imported files stay as they are, and built-in
+    // sources left out of the configured list are no longer fetched.
+    async refreshDue() {
+        if (this.refreshing || !this.db.isInitialized) return 0;
+        this.refreshing = true;
+
+        let imported = 0;
+        try {
+            const now = Date.now();
+            const due = (await this.db.getCloudRangeSources()).filter(source =>
+                (!BUILTIN_SOURCE_NAMES.includes(source.name) || this.sources.includes(source.name)) &&
+                source.locations.every(location => /^https?:\/\//i.test(location)) &&
+                (!source.last_attempt_at || now - new Date(source.last_attempt_at).getTime() >= this.refreshHours * 60 * 60 * 1000));
+
+            for (const source of due) {
+                try {
+                    await this.import(source);
+                    imported++;
+                } catch (error) {
+                    this.log(`Error importing cloud ranges ${source.name}: ${error.message}`);
+                }
+            }
+        } catch (error) {
+            this.log(`Error checking cloud range schedules: ${error.message}`);
+        } finally {
+            this.refreshing = false;
+        }
+        return imported;
+    }
+
+    async start() {
+        if (this.db.isInitialized) {
+            try {
+                await this.registerBuiltins();
+            } catch (error) {
+                this.log(`Error registering cloud range sources: ${error.message}`);
+            }
+        }
+        this.timer = setInterval(() => this.refreshDue(), CHECK_INTERVAL_MS);
+        this.refreshDue();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+}
+
+// Validate a range source: { name, provider, format, source } where source is
+// an http(s) URL or a file path (or an array of them). Returns { source, errors }
+// like the other request validators; source.locations is always an array.
+function validateRangeSource(input) {
+    const errors = [];
+    const body = input || {};
+    const trim = value => (typeof value === 'string' ? value.trim() : value);
+    const locations = Array.isArray(body.source) ? body.source.map(trim) : [trim(body.source)];
+    const source = {
+        name: trim(body.name),
+        provider: trim(body.provider),
+        format: trim(body.format),
+        locations
+    };
+
+    if (typeof source.name !== 'string' || !SOURCE_NAME_PATTERN.test(source.name)) {
+        errors.push('name must be 1-64 letters, digits, dots, dashes or underscores');
+    } else if (BUILTIN_SOURCES[source.name]) {
+        errors.push(`${source.name} is a built-in source; refresh it with POST /api/cloud-ranges/${source.name}/refresh`);
+    }
+    if (typeof source.provider !== 'string' || source.provider === '' || source.provider.length > 64) {
+        errors.push('provider must be a name of 1-64 characters');
+    }
+    if (!FORMATS[source.format]) {
+        errors.push(`format must be one of: ${Object.keys(FORMATS).join(', ')}`);
+    }
+
+    if (locations.length === 0 || locations.some(location => typeof location !== 'string' || location === '')) {
+        errors.push('source must be an http(s) URL or a file path');
+    } else {
+        for (const location of locations.filter(location => /^[a-z][a-z0-9+.-]*:\/\//i.test(location))) {
+            let url = null;
+            try {
+                url = new URL(location);
+            } catch (error) {
+                url = null;
+            }
+            if (!url || !['http:', 'https:'].includes(url.protocol)) errors.push(`${location}: source URLs must use http or https`);
+        }
+    }
+
+    return { source, errors };
+}
+
+module.exports = {
+    CloudRanges,
+    BUILTIN_SOURCE_NAMES,
+    parseRanges,
+    cloudRangeSql,
+    inCloudRangeSql,
+    validateRangeSource
+};
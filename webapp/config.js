@@ -0,0 +1,317 @@
+// Deployment configuration shared by server.js and migrate_to_db.js.
+// Built-in defaults are overridden by a JSON config file (config.json in the
+// project root, or the file named by FWM_CONFIG), which is overridden in turn
+// by environment variables. loadConfig() validates every value and throws a
+// ConfigError listing all problems, so a bad setting stops startup with a
+// clear message. Site details and secrets (database password, tokens) live in
+// the config file or the environment, never in the source.
+
+const fs = require('fs');
+const path = require('path');
+const { parseRateLimits } = require('./rate-limit');
+const { PROVIDER_NAMES } = require('./geoip');
+const { THREAT_PROVIDER_NAMES } = require('./threat-intel');
+const { BUILTIN_SOURCE_NAMES } = require('./cloud-ranges');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const DEFAULT_CONFIG_FILE = path.join(ROOT_DIR, 'config.json');
+
+// Config file key, environment variable, type and default of every setting.
+// Nested keys are written with dots in this table and as objects in the file.
+const FIELDS = [
+    { key: 'server.port', env: 'PORT', type: 'port', default: 3001 },
+    { key: 'server.host', env: 'HOST', type: 'string', default: '0.0.0.0' },
+    { key: 'server.corsOrigins', env: 'CORS_ORIGINS', type: 'list', default: [] },
+    { key: 'server.ingestMaxBodySize', env: 'INGEST_MAX_BODY_SIZE', type: 'size', default: '10mb' },
+    { key: 'auth.sessionTTLHours', env: 'SESSION_TTL_HOURS', type: 'number', min: 1, default: 12 },
+
+    { key: 'wanHostname', env: 'WAN_HOSTNAME', type: 'string', default: null },
+    { key: 'homeLocation.latitude', env: 'HOME_LATITUDE', type: 'number', min: -90, max: 90, default: null },
+    { key: 'homeLocation.longitude', env: 'HOME_LONGITUDE', type: 'number', min: -180, max: 180, default: null },
+    { key: 'homeLocation.city', env: 'HOME_CITY', type: 'string', default: null },
+    { key: 'homeLocation.region', env: 'HOME_REGION', type: 'string', default: null },
+    { key: 'homeLocation.country', env: 'HOME_COUNTRY', type: 'string', default: null },
+
+    { key: 'database.host', env: 'PGHOST', type: 'string', default: 'localhost' },
+    { key: 'database.port', env: 'PGPORT', type: 'port', default: 5432 },
+    { key: 'database.database', env: 'PGDATABASE', type: 'string', default: 'firewalla_monitor' },
+    { key: 'database.user', env: 'PGUSER', type: 'string', default: 'firewalla_user' },
+    { key: 'database.password', env: 'PGPASSWORD', type: 'string', default: null, secret: true },
+
+    { key: 'retention.maxSizeMB', env: 'RETENTION_MAX_SIZE_MB', type: 'number', min: 1, default: 10240 },
+    { key: 'retention.maxAgeDays', env: 'RETENTION_MAX_AGE_DAYS', type: 'number', min: 1, default: 30 },
+    { key: 'retention.partitionDaysAhead', env: 'RETENTION_PARTITION_DAYS_AHEAD', type: 'integer', min: 1, max: 90, default: 7 },
+    { key: 'retention.enableSizeLimit', env: 'RETENTION_SIZE_LIMIT', type: 'boolean', default: true },
+    { key: 'retention.enableTimeLimit', env: 'RETENTION_TIME_LIMIT', type: 'boolean', default: true },
+
+    { key: 'email.enabled', env: 'EMAIL_NOTIFICATIONS', type: 'boolean', default: true },
+    { key: 'email.recipient', env: 'EMAIL_RECIPIENT', type: 'string', default: 'admin@example.com' },
+
+    { key: 'dataDir', env: 'DATA_DIR', type: 'path', default: path.join(ROOT_DIR, 'data') },
+    { key: 'collectorScript', env: 'COLLECTOR_SCRIPT', type: 'path', default: path.join(ROOT_DIR, 'collect_wan_connections.sh') },
+    { key: 'maxConnectionsPerIP', env: 'MAX_CONNECTIONS_PER_IP', type: 'integer', min: 1, default: 50 },
+
+    { key: 'geoip.providers', env: 'GEOIP_PROVIDERS', type: 'list', values: PROVIDER_NAMES, default: ['mmdb', 'ip-api'] },
+    { key: 'geoip.cityDatabase', env: 'GEOIP_CITY_DB', type: 'path', default: null }, // <dataDir>/GeoLite2-City.mmdb
+    { key: 'geoip.asnDatabase', env: 'GEOIP_ASN_DB', type: 'path', default: null }, // <dataDir>/GeoLite2-ASN.mmdb
+    { key: 'geoip.offline', env: 'GEOIP_OFFLINE', type: 'boolean', default: false },
+    { key: 'geoip.ipinfoToken', env: 'IPINFO_TOKEN', type: 'string', default: null, secret: true },
+
+    { key: 'enrichment.rateLimits', env: 'ENRICHMENT_RATE_LIMITS', type: 'rateLimits', default: {} },
+    { key: 'enrichment.batchSize', env: 'ENRICHMENT_BATCH_SIZE', type: 'integer', min: 1, default: 100 },
+    { key: 'enrichment.maxAttempts', env: 'ENRICHMENT_MAX_ATTEMPTS', type: 'integer', min: 1, default: 6 },
+
+    { key: 'geoCache.maxEntries', env: 'GEO_CACHE_MAX_ENTRIES', type: 'integer', min: 1, default: 10000 },
+    { key: 'geoCache.ttlDays', env: 'GEO_CACHE_TTL_DAYS', type: 'number', min: 0, default: 30 },
+    { key: 'geoCache.negativeTtlMinutes', env: 'GEO_CACHE_NEGATIVE_TTL_MINUTES', type: 'number', min: 0, default: 60 },
+    { key: 'geoCache.refreshIntervalMinutes', env: 'GEO_CACHE_REFRESH_MINUTES', type: 'number', min: 1, default: 30 },
+    { key: 'geoCache.refreshBatchSize', env: 'GEO_CACHE_REFRESH_BATCH_SIZE', type: 'integer', min: 1, default: 50 },
+
+    { key: 'threatIntel.providers', env: 'THREAT_INTEL_PROVIDERS', type: 'list', values: THREAT_PROVIDER_NAMES, default: THREAT_PROVIDER_NAMES },
+    { key: 'threatIntel.rateLimits', env: 'THREAT_INTEL_RATE_LIMITS', type: 'rateLimits', default: {} },
+    { key: 'threatIntel.batchSize', env: 'THREAT_INTEL_BATCH_SIZE', type: 'integer', min: 1, default: 3 },
+    { key: 'threatIntel.abuseipdb.apiKey', env: 'ABUSEIPDB_API_KEY', type: 'string', default: null, secret: true },
+    { key: 'threatIntel.abuseipdb.baseUrl', env: 'ABUSEIPDB_BASE_URL', type: 'url', default: null },
+    { key: 'threatIntel.abuseipdb.weight', env: 'ABUSEIPDB_WEIGHT', type: 'number', min: 0, max: 2, default: 1 },
+    { key: 'threatIntel.virustotal.apiKey', env: 'VIRUSTOTAL_API_KEY', type: 'string', default: null, secret: true },
+    { key: 'threatIntel.virustotal.baseUrl', env: 'VIRUSTOTAL_BASE_URL', type: 'url', default: null },
+    { key: 'threatIntel.virustotal.weight', env: 'VIRUSTOTAL_WEIGHT', type: 'number', min: 0, max: 2, default: 1 },
+    { key: 'threatIntel.greynoise.apiKey', env: 'GREYNOISE_API_KEY', type: 'string', default: null, secret: true },
+    { key: 'threatIntel.greynoise.baseUrl', env: 'GREYNOISE_BASE_URL', type: 'url', default: null },
+    { key: 'threatIntel.greynoise.weight', env: 'GREYNOISE_WEIGHT', type: 'number', min: 0, max: 2, default: 1 },
+    { key: 'threatIntel.otx.apiKey', env: 'OTX_API_KEY', type: 'string', default: null, secret: true },
+    { key: 'threatIntel.otx.baseUrl', env: 'OTX_BASE_URL', type: 'url', default: null },
+    { key: 'threatIntel.otx.weight', env: 'OTX_WEIGHT', type: 'number', min: 0, max: 2, default: 1 },
+
+    { key: 'cloudRanges.sources', env: 'CLOUD_RANGE_SOURCES', type: 'list', values: BUILTIN_SOURCE_NAMES, default: BUILTIN_SOURCE_NAMES },
+    { key: 'cloudRanges.refreshHours', env: 'CLOUD_RANGE_REFRESH_HOURS', type: 'number', min: 1, default: 168 },
+
+    { key: 'ingest.sources', env: 'INGEST_TOKENS', type: 'ingestSources', default: [], secret: true },
+    { key: 'ingest.maxBatchSize', env: 'INGEST_MAX_BATCH_SIZE', type: 'integer', min: 1, default: 5000 }
+];
+
+class ConfigError extends Error {
+    constructor(errors) {
+        super(`Invalid configuration:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+        this.name = 'ConfigError';
+        this.errors = errors;
+    }
+}
+
+function describeRange(field) {
+    if (field.min !== undefined && field.max !== undefined) return ` between ${field.min} and ${field.max}`;
+    return field.min !== undefined ? ` >= ${field.min}` : '';
+}
+
+// "name:token,name2:token2" -> [{ name, token }]; null when an entry is malformed
+function parseIngestSources(value) {
+    const sources = [];
+    for (const entry of value.split(',').map(part => part.trim()).filter(Boolean)) {
+        const separator = entry.indexOf(':');
+        const name = entry.slice(0, separator).trim();
+        const token = entry.slice(separator + 1).trim();
+        if (separator <= 0 || !name || !token) return null;
+        sources.push({ name, token });
+    }
+    return sources;
+}
+
+// Convert one raw value (a string from the environment, or any JSON value from
+// the config file) to the field's type. Returns { value } or { error }.
+function parseValue(field, raw, fromEnv) {
+    switch (field.type) {
+        case 'string':
+            if (typeof raw !== 'string' || raw.trim() === '') return { error: 'must be a non-empty string' };
+            return { value: raw.trim() };
+
+        case 'path':
+            if (typeof raw !== 'string' || raw.trim() === '') return { error: 'must be a file or directory path' };
+            return { value: raw.trim() };
+
+        case 'url': {
+            let url = null;
+            try {
+                url = typeof raw === 'string' ? new URL(raw.trim()) : null;
+            } catch (error) {
+                url = null;
+            }
+            if (!url || !['http:', 'https:'].includes(url.protocol)) return { error: 'must be an http(s) URL' };
+            return { value: raw.trim() };
+        }
+
+        case 'size':
+            if (typeof raw !== 'string' || !/^\d+\s*(b|kb|mb|gb)?$/i.test(raw.trim())) {
+                return { error: 'must be a size like 512kb or 10mb' };
+            }
+            return { value: raw.trim() };
+
+        case 'boolean': {
+            if (typeof raw === 'boolean') return { value: raw };
+            const text = fromEnv ? raw.trim().toLowerCase() : null;
+            if (['true', '1', 'yes'].includes(text)) return { value: true };
+            if (['false', '0', 'no'].includes(text)) return { value: false };
+            return { error: fromEnv ? 'must be true or false' : 'must be a boolean' };
+        }
+
+        case 'number':
+        case 'integer':
+        case 'port': {
+            const number = fromEnv ? Number(raw.trim()) : raw;
+            const min = field.type === 'port' ? 1 : field.min;
+            const max = field.type === 'port' ? 65535 : field.max;
+            const integer = field.type !== 'number';
+            const valid = typeof number === 'number' && Number.isFinite(number) &&
+                (!integer || Number.isInteger(number)) &&
+                (min === undefined || number >= min) &&
+                (max === undefined || number <= max);
+            if (!valid) {
+                return { error: `must be ${integer ? 'an integer' : 'a number'}${describeRange({ min, max })}` };
+            }
+            return { value: number };
+        }
+
+        case 'list': {
+            // An empty variable counts as unset, so "none" is how the environment asks for no entries
+            if (fromEnv && raw.trim().toLowerCase() === 'none') return { value: [] };
+            const items = typeof raw === 'string' ? raw.split(',') : raw;
+            if (!Array.isArray(items) || !items.every(item => typeof item === 'string')) {
+                return { error: 'must be a comma-separated string or a list of strings' };
+            }
+            const list = items.map(item => item.trim()).filter(Boolean);
+            if (field.values) {
+                const unknown = list.filter(item => !field.values.includes(item.toLowerCase()));
+                if (unknown.length > 0) return { error: `has unknown entries ${unknown.join(', ')} (allowed: ${field.values.join(', ')})` };
+                return { value: list.map(item => item.toLowerCase()) };
+            }
+            return { value: list };
+        }
+
+        case 'rateLimits': {
+            if (typeof raw !== 'string') return { error: 'must be a string like "ip-api=40/min,dns=20/s"' };
+            const entries = raw.split(',').map(entry => entry.trim()).filter(Boolean);
+            const invalid = entries.filter(entry => Object.keys(parseRateLimits(entry)).length === 0);
+            if (invalid.length > 0) return { error: `has invalid rate limits ${invalid.join(', ')} (expected name=count/unit, e.g. ip-api=40/min)` };
+            return { value: parseRateLimits(raw) };
+        }
+
+        case 'ingestSources': {
+            const sources = typeof raw === 'string' ? parseIngestSources(raw) : null;
+            if (!sources) return { error: 'must be a string of name:token pairs separated by commas' };
+            return { value: sources };
+        }
+
+        default:
+            return { error: `has unsupported type ${field.type}` };
+    }
+}
+
+function setPath(target, key, value) {
+    const parts = key.split('.');
+    let node = target;
+    for (const part of parts.slice(0, -1)) {
+        node = node[part] = node[part] || {};
+    }
+    node[parts[parts.length - 1]] = value;
+}
+
+function getPath(source, key) {
+    return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), source);
+}
+
+// Report file keys that no field uses (usually typos)
+function unknownKeys(object, prefix = '') {
+    const unknown = [];
+    for (const [name, value] of Object.entries(object)) {
+        const key = prefix ? `${prefix}.${name}` : name;
+        if (FIELDS.some(field => field.key === key)) continue;
+        if (value && typeof value === 'object' && !Array.isArray(value) && FIELDS.some(field => field.key.startsWith(`${key}.`))) {
+            unknown.push(...unknownKeys(value, key));
+        } else {
+            unknown.push(key);
+        }
+    }
+    return unknown;
+}
+
+function readConfigFile(file, required, errors) {
+    let text;
+    try {
+        text = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+        if (error.code !== 'ENOENT' || required) errors.push(`${file}: cannot read config file (${error.message})`);
+        return null;
+    }
+
+    let contents;
+    try {
+        contents = JSON.parse(text);
+    } catch (error) {
+        errors.push(`${file}: invalid JSON (${error.message})`);
+        return null;
+    }
+    if (!contents || typeof contents !== 'object' || Array.isArray(contents)) {
+        errors.push(`${file}: must contain a JSON object`);
+        return null;
+    }
+
+    for (const key of unknownKeys(contents)) {
+        errors.push(`${file}: unknown setting ${key}`);
+    }
+    return contents;
+}
+
+// Build the configuration from defaults, the config file and env (process.env
+// unless options.env is given). Returns the config object, including
+// configFile (the file read, or null). Throws ConfigError.
+function loadConfig(options = {}) {
+    const env = options.env || process.env;
+    const errors = [];
+
+    const explicitFile = options.file || env.FWM_CONFIG;
+    const configFile = path.resolve(explicitFile || DEFAULT_CONFIG_FILE);
+    const contents = readConfigFile(configFile, Boolean(explicitFile), errors);
+    const fileDir = path.dirname(configFile);
+
+    const config = {};
+    for (const field of FIELDS) {
+        let value = field.default;
+        const fileValue = contents ? getPath(contents, field.key) : undefined;
+        const envValue = env[field.env];
+
+        // Empty environment variables count as unset
+        if (envValue !== undefined && envValue !== '') {
+            const parsed = parseValue(field, envValue, true);
+            if (parsed.error) errors.push(`${field.env} ${parsed.error}${field.secret ? '' : ` (got "${envValue}")`}`);
+            else value = field.type === 'path' ? path.resolve(parsed.value) : parsed.value;
+        } else if (fileValue !== undefined && fileValue !== null) {
+            const parsed = parseValue(field, fileValue, false);
+            if (parsed.error) errors.push(`${configFile}: ${field.key} ${parsed.error}`);
+            else value = field.type === 'path' ? path.resolve(fileDir, parsed.value) : parsed.value;
+        }
+
+        setPath(config, field.key, value);
+    }
+
+    // The home marker needs coordinates; the name fields are optional
+    const home = config.homeLocation;
+    const homeSet = Object.values(home).some(value => value !== null);
+    if (homeSet && (home.latitude === null || home.longitude === null)) {
+        errors.push('homeLocation needs both latitude and longitude (HOME_LATITUDE, HOME_LONGITUDE)');
+    }
+    config.homeLocation = homeSet ? home : null;
+
+    if (errors.length > 0) {
+        throw new ConfigError(errors);
+    }
+
+    // Derived values
+    config.geoip.cityDatabase = config.geoip.cityDatabase || path.join(config.dataDir, 'GeoLite2-City.mmdb');
+    config.geoip.asnDatabase = config.geoip.asnDatabase || path.join(config.dataDir, 'GeoLite2-ASN.mmdb');
+    config.geoip.rateLimits = config.enrichment.rateLimits;
+    config.enrichment.dnsRatePerSecond = config.enrichment.rateLimits.dns || 20;
+    config.configFile = contents ? configFile : null;
+
+    return config;
+}
+
+module.exports = { loadConfig, ConfigError, FIELDS, DEFAULT_CONFIG_FILE };
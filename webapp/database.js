@@ -1,16 +1,201 @@
 const { Pool } = require('pg');
+const EventEmitter = require('events');
 const { exec } = require('child_process');
 const { promisify } = require('util');
 const execAsync = promisify(exec);
+const { runMigrations } = require('./migrations');
+const { normalizeIP } = require('./ip-utils');
+const { publicIPSql } = require('./ip-classify');
+const {
+    AGGREGATE_SORTS,
+    AGGREGATE_TIEBREAKER,
+    CONNECTION_SORTS,
+    CONNECTION_TIEBREAKER,
+    threatRankSql,
+    keysetCondition,
+    orderByClause,
+    buildPage
+} = require('./pagination');
+const { serviceNameSql, SERVICE_PORT_SQL, DEFAULT_SERVICES } = require('./services');
+const { listStatusSql } = require('./lists');
+const { cloudRangeSql, inCloudRangeSql } = require('./cloud-ranges');
+const { EXPORT_COLUMNS } = require('./export');
+const { DataReducer } = require('./reduction');
 
-class ConnectionsDatabase {
+// WHERE clauses shared by the connection listings (c = connections).
+// Pushes filter values onto queryParams. serviceTable resolves filters.service;
+// filters.list ('allow', 'block' or 'unlisted') checks the current allow/block lists.
+function connectionFilterClauses(filters, queryParams, serviceTable) {
+    // Always exclude invalid/internal IP addresses
+    const whereClauses = [publicIPSql('c.ip'), `c.ip IS NOT NULL`];
+
+    if (filters.direction) {
+        whereClauses.push(`c.direction = $${queryParams.length + 1}`);
+        queryParams.push(filters.direction);
+    }
+
+    if (filters.ip) {
+        whereClauses.push(`c.ip = $${queryParams.length + 1}`);
+        queryParams.push(normalizeIP(filters.ip) || filters.ip);
+    }
+
+    if (filters.internalIp) {
+        whereClauses.push(`c.internal_ip = $${queryParams.length + 1}`);
+        queryParams.push(normalizeIP(filters.internalIp) || filters.internalIp);
+    }
+
+    if (filters.startDate) {
+        whereClauses.push(`c.timestamp >= $${queryParams.length + 1}`);
+        queryParams.push(filters.startDate);
+    }
+
+    if (filters.endDate) {
+        whereClauses.push(`c.timestamp <= $${queryParams.length + 1}`);
+        queryParams.push(filters.endDate);
+    }
+
+    if (filters.service) {
+        const serviceName = serviceNameSql(SERVICE_PORT_SQL, 'c.protocol', serviceTable, queryParams);
+        whereClauses.push(`${serviceName} = $${queryParams.length + 1}`);
+        queryParams.push(filters.service);
+    }
+
+    if (filters.list === 'unlisted') {
+        whereClauses.push(`${listStatusSql('c.ip')} IS NULL`);
+    } else if (filters.list) {
+        whereClauses.push(`${listStatusSql('c.ip')} = $${queryParams.length + 1}`);
+        queryParams.push(filters.list);
+    }
+
+    return whereClauses;
+}
+
+// WHERE clause for a free-text search over the IP and its geolocation (g),
+// or null for an empty term. Pushes its value onto queryParams.
+function searchTermClause(searchTerm, queryParams) {
+    if (!searchTerm || searchTerm.trim().length === 0) return null;
+
+    const term = searchTerm.trim();
+    // A full address may be typed in non-canonical IPv6 form (leading zeros, no ::)
+    const exactIP = normalizeIP(term);
+    if (exactIP && exactIP !== term) {
+        queryParams.push(exactIP);
+        return `c.ip = $${queryParams.length}`;
+    }
+
+    queryParams.push(`%${term}%`);
+    const n = queryParams.length;
+    return `(
+        c.ip::text ILIKE $${n} OR
+        g.hostname ILIKE $${n} OR
+        g.city ILIKE $${n} OR
+        g.country ILIKE $${n} OR
+        g.region ILIKE $${n} OR
+        g.isp ILIKE $${n} OR
+        g.org ILIKE $${n}
+    )`;
+}
+
+// Rows fetched per FETCH from an export cursor
+const EXPORT_BATCH_ROWS = 1000;
+
+// Rows per multi-row INSERT in insertConnections(); each statement binds one
+// array per column, so the parameter count doesn't grow with the chunk
+const BULK_INSERT_ROWS = 1000;
+
+// The connections table's unique key, in a form that compares equal for the
+// values we bind and the values RETURNING gives back. NULLs fold to the same
+// values as in idx_connections_unique_key (migration 18).
+function connectionKey(ip, timestamp, direction, internalIp, externalPort) {
+    return [
+        normalizeIP(ip),
+        new Date(timestamp).getTime(),
+        direction,
+        internalIp ? normalizeIP(internalIp) : '0.0.0.0',
+        externalPort === null || externalPort === undefined ? -1 : Number(externalPort)
+    ].join('|');
+}
+
+function toPort(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const port = Number(value);
+    return Number.isInteger(port) && port >= 0 && port <= 65535 ? port : undefined;
+}
+
+function toCount(value) {
+    const count = Number(value);
+    return Number.isFinite(count) && count > 0 ? Math.round(count) : 0;
+}
+
+// Column values for one connection, or null when it can't be stored
+// (no usable IP, timestamp or direction, or a port out of range)
+function connectionRow(conn) {
+    const ip = normalizeIP(conn.ip);
+    const timestamp = new Date(conn.timestamp);
+    const internalIp = conn.internal_ip ? normalizeIP(conn.internal_ip) : null;
+    const internalPort = toPort(conn.internal_port);
+    const externalPort = toPort(conn.external_port);
+
+    if (!ip || !conn.timestamp || isNaN(timestamp.getTime()) || !conn.direction) return null;
+    if ((conn.internal_ip && !internalIp) || internalPort === undefined || externalPort === undefined) return null;
+
+    return [
+        ip,
+        timestamp.toISOString(),
+        conn.direction,
+        conn.connection_type || null,
+        internalIp,
+        internalPort,
+        externalPort,
+        conn.protocol || null,
+        conn.state || null,
+        toCount(conn.orig_packets),
+        toCount(conn.orig_bytes),
+        toCount(conn.reply_packets),
+        toCount(conn.reply_bytes),
+        conn.details || null,
+        conn.source_file || null,
+        conn.list_tag || null
+    ];
+}
+
+// connections is range-partitioned by UTC day (migration 14): one
+// connections_pYYYYMMDD table per day plus connections_default for rows no
+// daily partition covers
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_PARTITION = 'connections_default';
+
+function startOfDay(date) {
+    return new Date(Math.floor(date.getTime() / DAY_MS) * DAY_MS);
+}
+
+function partitionName(day) {
+    return `connections_p${day.toISOString().slice(0, 10).replace(/-/g, '')}`;
+}
+
+// 'connections_p20250101' -> 2025-01-01T00:00:00Z (null for other tables)
+function partitionDay(name) {
+    const match = name.match(/^connections_p(\d{4})(\d{2})(\d{2})$/);
+    return match ? new Date(Date.UTC(parseInt(match[1]), parseInt(match[2]) - 1, parseInt(match[3]))) : null;
+}
+
+// Events:
+//   'connectionsInserted' (rows, { startedAt }) - rows actually written by an
+//       insertConnections() batch (duplicates excluded); startedAt is the
+//       database time the batch transaction began
+//   'threatIntelUpdated' (ip, threatData) - after insertThreatIntel()
+//   'noveltyDetected' (entries) - first-seen ledger entries (device first
+//       contacting an IP, ASN or country) past the device's learning period
+class ConnectionsDatabase extends EventEmitter {
     constructor(options = {}) {
+        super();
+        
         // PostgreSQL connection configuration
         this.pool = new Pool({
             user: options.user || 'firewalla_user',
             host: options.host || 'localhost',
             database: options.database || 'firewalla_monitor',
-            password: options.password || 'firewalla123',
+            password: options.password || undefined, // Falls back to PGPASSWORD / .pgpass
             port: options.port || 5432,
             max: 20, // Maximum number of clients in the pool
             idleTimeoutMillis: 30000,
@@ -18,22 +203,35 @@ class ConnectionsDatabase {
         });
         
         this.isInitialized = false;
+        this.schemaStatus = null; // Set by init() once migrations have run
         
         // Retention policies configuration
         this.retentionConfig = {
             maxSizeMB: options.maxSizeMB || 3000, // 3GB max database size
             maxAgeDays: options.maxAgeDays || 7, // 7 days retention (reduced from 30)
-            cleanupBatchSize: options.cleanupBatchSize || 50000, // Records to delete per batch
+            partitionDaysAhead: options.partitionDaysAhead || 7, // Daily partitions created in advance
             enableSizeLimit: options.enableSizeLimit !== false,
-            enableTimeLimit: options.enableTimeLimit !== false
+            enableTimeLimit: options.enableTimeLimit !== false,
+            rollupHourlyDays: options.rollupHourlyDays || 90, // Hourly rollups outlive raw rows...
+            rollupDailyDays: options.rollupDailyDays || 730 // ...and daily ones much longer
+        };
+        
+        // Connection rollups (refreshRollups)
+        this.rollupRun = null;
+        this.lastRollupAt = null;
+        
+        // Port -> service table for SQL classification; ServiceClassifier
+        // swaps in the built-ins merged with the user's overrides
+        this.serviceTable = DEFAULT_SERVICES;
+        
+        // First-seen ledger: what a device contacts during its first
+        // learningDays is its baseline, not novelty
+        this.noveltyConfig = {
+            learningDays: options.noveltyLearningDays || 7
         };
 
-        // Tracking for data reduction strategies
-        this.recentListeningPorts = new Map();
-        this.highVolumeIPs = new Set(['0.0.0.0', '8.8.8.8', '3.12.68.8', '15.197.187.26', '3.33.190.236']);
-        this.listeningPortCleanupInterval = setInterval(() => {
-            this.recentListeningPorts.clear();
-        }, 3600000);
+        // Data reduction applied by insertConnectionsAggregated() (see reduction.js)
+        this.reduction = new DataReducer(options.reduction);
         
         // Email notification configuration
         this.emailConfig = {
@@ -47,72 +245,143 @@ class ConnectionsDatabase {
         });
     }
 
-    // Initialize database connection
+    // Initialize database connection and bring the schema up to date
     async init() {
         try {
             // Test connection
             const client = await this.pool.connect();
             console.log(`Connected to PostgreSQL database`);
             client.release();
-            this.isInitialized = true;
         } catch (err) {
             console.error('Error connecting to PostgreSQL:', err.message);
             throw err;
         }
+
+        try {
+            this.schemaStatus = await runMigrations(this.pool);
+            console.log(`Database schema at version ${this.schemaStatus.to}`);
+            this.isInitialized = true;
+        } catch (err) {
+            console.error('Error migrating database schema:', err.message);
+            throw err;
+        }
+        
+        // Rows without a partition land in connections_default, so a failure
+        // here costs efficiency, not data
+        try {
+            const created = await this.ensurePartitions();
+            if (created.length > 0) {
+                console.log(`Created connection partitions: ${created.join(', ')}`);
+            }
+        } catch (err) {
+            console.error('Error creating connection partitions:', err.message);
+        }
     }
 
     // Close database connections
     async close() {
-        if (this.listeningPortCleanupInterval) {
-            clearInterval(this.listeningPortCleanupInterval);
-        }
         await this.pool.end();
     }
 
-    // Insert connections into database
+    // Run work(client) inside BEGIN/COMMIT, rolling back if it throws
+    async inTransaction(work) {
+        const client = await this.pool.connect();
+        try {
+            await client.query('BEGIN');
+            const result = await work(client);
+            await client.query('COMMIT');
+            return result;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Insert connections with multi-row INSERTs of BULK_INSERT_ROWS rows in one
+    // transaction. Rows already stored (same ip, timestamp, direction, internal
+    // IP and external port) are skipped, as are rows that can't be stored.
+    // Returns { inserted, duplicates, invalid } row counts.
     async insertConnections(connections) {
-        if (!connections || connections.length === 0) return 0;
+        const counts = { inserted: 0, duplicates: 0, invalid: 0 };
+        if (!connections || connections.length === 0) return counts;
+        
+        const rows = [];
+        const valid = [];
+        for (const conn of connections) {
+            const row = connectionRow(conn);
+            if (row) {
+                rows.push(row);
+                valid.push(conn);
+            }
+        }
+        counts.invalid = connections.length - valid.length;
+        if (counts.invalid > 0) {
+            console.warn(`Skipped ${counts.invalid} connection records without a valid IP, timestamp, direction or port`);
+        }
+        if (rows.length === 0) return counts;
         
         const client = await this.pool.connect();
-        let insertCount = 0;
+        const inserted = [];
+        let novel = [];
+        let startedAt = null;
         
         try {
             await client.query('BEGIN');
+            // NOW() is fixed for the transaction, so it equals created_at of every row inserted below
+            startedAt = (await client.query('SELECT NOW() as now')).rows[0].now;
             
             const insertQuery = `
                 INSERT INTO connections (
                     ip, timestamp, direction, connection_type, internal_ip, 
-                    internal_port, external_port, state, orig_packets, orig_bytes,
-                    reply_packets, reply_bytes, details, source_file
-                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
-                ON CONFLICT (ip, timestamp, direction, internal_ip, external_port) 
+                    internal_port, external_port, protocol, state, orig_packets, orig_bytes,
+                    reply_packets, reply_bytes, details, source_file, list_tag
+                )
+                SELECT * FROM unnest(
+                    $1::inet[], $2::timestamptz[], $3::text[], $4::text[], $5::inet[],
+                    $6::integer[], $7::integer[], $8::text[], $9::text[], $10::bigint[], $11::bigint[],
+                    $12::bigint[], $13::bigint[], $14::text[], $15::text[], $16::text[]
+                )
+                ON CONFLICT (
+                    ip, timestamp, direction,
+                    COALESCE(internal_ip, '0.0.0.0'::inet), COALESCE(external_port, -1)
+                )
                 DO NOTHING
+                RETURNING ip, timestamp, direction, internal_ip, external_port
             `;
             
-            for (const conn of connections) {
-                try {
-                    const result = await client.query(insertQuery, [
-                        conn.ip,
-                        conn.timestamp,
-                        conn.direction,
-                        conn.connection_type,
-                        conn.internal_ip,
-                        conn.internal_port,
-                        conn.external_port,
-                        conn.state,
-                        conn.orig_packets || 0,
-                        conn.orig_bytes || 0,
-                        conn.reply_packets || 0,
-                        conn.reply_bytes || 0,
-                        conn.details,
-                        conn.source_file
-                    ]);
-                    insertCount++;
-                } catch (err) {
-                    if (!err.message.includes('duplicate key')) {
-                        console.error('Error inserting connection:', err.message);
-                    }
+            for (let start = 0; start < rows.length; start += BULK_INSERT_ROWS) {
+                const chunk = rows.slice(start, start + BULK_INSERT_ROWS);
+                const columns = chunk[0].map((value, column) => chunk.map(row => row[column]));
+                const result = await client.query(insertQuery, columns);
+                counts.inserted += result.rowCount;
+                
+                // RETURNING only lists rows actually written; match them back
+                // to the input (first occurrence of each key) so duplicates, in
+                // the table or earlier in the batch, aren't reported as inserted
+                const written = new Map();
+                for (const row of result.rows) {
+                    const key = connectionKey(row.ip, row.timestamp, row.direction, row.internal_ip, row.external_port);
+                    written.set(key, (written.get(key) || 0) + 1);
                 }
+                chunk.forEach((row, index) => {
+                    const key = connectionKey(row[0], row[1], row[2], row[4], row[6]);
+                    const remaining = written.get(key) || 0;
+                    if (remaining > 0) {
+                        written.set(key, remaining - 1);
+                        inserted.push(valid[start + index]);
+                    }
+                });
+            }
+            
+            // A ledger failure must not cost us the connections themselves
+            await client.query('SAVEPOINT first_seen');
+            try {
+                novel = await this.recordFirstSeen(client, inserted);
+            } catch (err) {
+                await client.query('ROLLBACK TO SAVEPOINT first_seen');
+                console.error('Error updating first-seen ledger:', err.message);
             }
             
             await client.query('COMMIT');
@@ -125,12 +394,21 @@ class ConnectionsDatabase {
             client.release();
         }
         
-        return insertCount;
+        if (inserted.length > 0) {
+            this.emit('connectionsInserted', inserted, { startedAt });
+        }
+        if (novel.length > 0) {
+            this.emit('noveltyDetected', novel);
+        }
+        
+        counts.duplicates = rows.length - counts.inserted;
+        return counts;
     }
 
-    // Alias for insertConnections (for backward compatibility)
+    // insertConnections() after the data reduction pipeline (ingestion path)
     async insertConnectionsAggregated(connections) {
-        return await this.insertConnections(connections);
+        if (!connections || connections.length === 0) return { inserted: 0, duplicates: 0, invalid: 0 };
+        return await this.insertConnections(this.reduction.apply(connections));
     }
 
     // Get recent connections for API
@@ -170,32 +448,7 @@ class ConnectionsDatabase {
             LEFT JOIN geolocations g ON c.ip = g.ip
         `;
         const queryParams = [];
-        const whereClauses = [];
-        
-        // Always exclude invalid/internal IP addresses
-        whereClauses.push(`c.ip != '0.0.0.0'`);
-        whereClauses.push(`c.ip IS NOT NULL`);
-        
-        // Add filters
-        if (filters.direction) {
-            whereClauses.push(`c.direction = $${queryParams.length + 1}`);
-            queryParams.push(filters.direction);
-        }
-        
-        if (filters.ip) {
-            whereClauses.push(`c.ip = $${queryParams.length + 1}`);
-            queryParams.push(filters.ip);
-        }
-        
-        if (filters.startDate) {
-            whereClauses.push(`c.timestamp >= $${queryParams.length + 1}`);
-            queryParams.push(filters.startDate);
-        }
-        
-        if (filters.endDate) {
-            whereClauses.push(`c.timestamp <= $${queryParams.length + 1}`);
-            queryParams.push(filters.endDate);
-        }
+        const whereClauses = connectionFilterClauses(filters, queryParams, this.serviceTable);
         
         if (whereClauses.length > 0) {
             query += ' WHERE ' + whereClauses.join(' AND ');
@@ -215,11 +468,112 @@ class ConnectionsDatabase {
         }
     }
 
+    // One page of raw connection rows, sorted server-side with a keyset cursor
+    // (see pagination.js). Returns { connections, totalCount, nextCursor }.
+    async getConnectionHistory(filters = {}, page = {}) {
+        page = { sort: 'timestamp', order: 'desc', limit: 1000, cursor: null, ...page };
+        const sort = CONNECTION_SORTS[page.sort];
+        
+        const queryParams = [];
+        const whereClauses = connectionFilterClauses(filters, queryParams, this.serviceTable);
+        const countParams = [...queryParams];
+        const countQuery = `SELECT COUNT(*) AS total FROM connections c WHERE ${whereClauses.join(' AND ')}`;
+        
+        if (page.cursor) {
+            whereClauses.push(keysetCondition(sort, CONNECTION_TIEBREAKER, page, queryParams));
+        }
+        queryParams.push(page.limit + 1);
+        
+        const query = `
+            SELECT c.*, g.country, g.country_code, g.region, g.city,
+                   g.latitude, g.longitude, g.isp, g.org, g.asn,
+                   COALESCE(t.threat_level, 'unknown') AS threat_level,
+                   (${sort.expr})::text AS sort_value, c.id::text AS sort_key
+            FROM connections c
+            LEFT JOIN geolocations g ON c.ip = g.ip
+            LEFT JOIN threat_intel t ON c.ip = t.ip
+            WHERE ${whereClauses.join(' AND ')}
+            ORDER BY ${orderByClause(sort, CONNECTION_TIEBREAKER, page)}
+            LIMIT $${queryParams.length}
+        `;
+        
+        try {
+            const [result, count] = await Promise.all([
+                this.pool.query(query, queryParams),
+                this.pool.query(countQuery, countParams)
+            ]);
+            const { rows, nextCursor } = buildPage(result.rows, page);
+        
+            return {
+                connections: rows.map(({ sort_value, sort_key, ...row }) => row),
+                totalCount: parseInt(count.rows[0].total),
+                nextCursor
+            };
+        } catch (err) {
+            console.error('Error getting connection history:', err.message);
+            return { connections: [], totalCount: 0, nextCursor: null };
+        }
+    }
+
+    // Stream the raw connection rows matching filters and searchTerm (matched
+    // like searchConnections()) from a server-side cursor: onBatch(rows) gets
+    // up to EXPORT_BATCH_ROWS rows at a time and is awaited before the next
+    // FETCH; returning false from it stops the export. options: { columns
+    // (EXPORT_COLUMNS names), sort, order, limit }. Returns the rows exported.
+    async exportConnections(filters, searchTerm, options, onBatch) {
+        const queryParams = [];
+        const whereClauses = connectionFilterClauses(filters, queryParams, this.serviceTable);
+        const searchClause = searchTermClause(searchTerm, queryParams);
+        if (searchClause) {
+            whereClauses.push(searchClause);
+        }
+        
+        const select = options.columns.map(name => {
+            const column = EXPORT_COLUMNS[name];
+            const expr = typeof column.sql === 'function' ? column.sql(queryParams, this.serviceTable) : column.sql;
+            return `${expr} AS "${name}"`;
+        });
+        let limit = '';
+        if (options.limit) {
+            queryParams.push(options.limit);
+            limit = `LIMIT $${queryParams.length}`;
+        }
+        
+        const query = `
+            SELECT ${select.join(', ')}
+            FROM connections c
+            LEFT JOIN geolocations g ON c.ip = g.ip
+            LEFT JOIN threat_intel t ON c.ip = t.ip
+            WHERE ${whereClauses.join(' AND ')}
+            ORDER BY ${orderByClause(CONNECTION_SORTS[options.sort], CONNECTION_TIEBREAKER, options)}
+            ${limit}
+        `;
+        
+        return this.inTransaction(async (client) => {
+            await client.query(`DECLARE connection_export NO SCROLL CURSOR FOR ${query}`, queryParams);
+            
+            let exported = 0;
+            let more = true;
+            while (more) {
+                const result = await client.query(`FETCH ${EXPORT_BATCH_ROWS} FROM connection_export`);
+                exported += result.rows.length;
+                more = result.rows.length === EXPORT_BATCH_ROWS;
+                
+                if (result.rows.length > 0 && await onBatch(result.rows) === false) {
+                    more = false;
+                }
+            }
+            
+            await client.query('CLOSE connection_export');
+            return exported;
+        });
+    }
+
     // Get database statistics (optimized for PostgreSQL)
     async getStats() {
         const queries = {
             total_connections: 'SELECT COUNT(*) as total_connections FROM connections',
-            unique_ips: 'SELECT COUNT(DISTINCT ip) as unique_ips FROM connections',
+            unique_ips: `SELECT COUNT(DISTINCT ip) as unique_ips FROM connections WHERE ${publicIPSql('ip')}`,
             cached_geolocations: 'SELECT COUNT(*) as cached_geolocations FROM geolocations',
             date_range: 'SELECT MIN(timestamp) as oldest_record, MAX(timestamp) as newest_record FROM connections'
         };
@@ -268,8 +622,8 @@ class ConnectionsDatabase {
     async getDatabaseSizeMB() {
         try {
             const query = `
-                SELECT pg_size_pretty(pg_database_size('firewalla_monitor')) as size_pretty,
-                       pg_database_size('firewalla_monitor') / (1024 * 1024) as size_mb
+                SELECT pg_size_pretty(pg_database_size(current_database())) as size_pretty,
+                       pg_database_size(current_database()) / (1024 * 1024) as size_mb
             `;
             const result = await this.pool.query(query);
             return Math.round(result.rows[0]?.size_mb * 100) / 100;
@@ -279,23 +633,116 @@ class ConnectionsDatabase {
         }
     }
 
-    // Cleanup old records by age
+    // Daily partitions of connections, oldest first, with their on-disk size
+    // (table and indexes) and planner row estimate. defaultPartition describes
+    // connections_default the same way.
+    async getPartitions() {
+        const result = await this.pool.query(`
+            SELECT c.relname AS name,
+                   pg_total_relation_size(c.oid) AS bytes,
+                   GREATEST(c.reltuples, 0)::bigint AS estimated_rows
+            FROM pg_inherits i
+            JOIN pg_class c ON c.oid = i.inhrelid
+            WHERE i.inhparent = 'connections'::regclass
+        `);
+        
+        const describe = (row) => ({
+            name: row.name,
+            sizeMB: Math.round(parseInt(row.bytes) / (1024 * 1024) * 100) / 100,
+            estimatedRows: parseInt(row.estimated_rows)
+        });
+        
+        const partitions = result.rows
+            .filter(row => partitionDay(row.name))
+            .map(row => ({ ...describe(row), day: partitionDay(row.name) }))
+            .sort((a, b) => a.day - b.day);
+        const defaultRow = result.rows.find(row => row.name === DEFAULT_PARTITION);
+        
+        return { partitions, defaultPartition: defaultRow ? describe(defaultRow) : null };
+    }
+
+    // Create the partition for one UTC day. Rows for that day sitting in
+    // connections_default are moved into it first, since a partition can't be
+    // attached while the default partition holds rows in its range.
+    async createPartition(day) {
+        const name = partitionName(day);
+        const from = day.toISOString();
+        const to = new Date(day.getTime() + DAY_MS).toISOString();
+        
+        await this.inTransaction(async (client) => {
+            await client.query(`CREATE TABLE ${name} (LIKE connections INCLUDING DEFAULTS)`);
+            await client.query(`
+                WITH moved AS (
+                    DELETE FROM ${DEFAULT_PARTITION} WHERE timestamp >= $1 AND timestamp < $2 RETURNING *
+                )
+                INSERT INTO ${name} SELECT * FROM moved
+            `, [from, to]);
+            await client.query(`ALTER TABLE connections ATTACH PARTITION ${name} FOR VALUES FROM ('${from}') TO ('${to}')`);
+        });
+        return name;
+    }
+
+    // Make sure partitions exist from today through partitionDaysAhead days
+    // ahead, and for any day with rows in connections_default (imports of old
+    // data, clock skew). Returns the names of the partitions created.
+    async ensurePartitions() {
+        const { partitions } = await this.getPartitions();
+        const existing = new Set(partitions.map(partition => partition.name));
+        
+        const today = startOfDay(new Date());
+        const days = [];
+        for (let offset = 0; offset <= this.retentionConfig.partitionDaysAhead; offset++) {
+            days.push(new Date(today.getTime() + offset * DAY_MS));
+        }
+        const stray = await this.pool.query(`
+            SELECT DISTINCT to_char(timestamp AT TIME ZONE 'UTC', 'YYYY-MM-DD') AS day FROM ${DEFAULT_PARTITION}
+        `);
+        days.push(...stray.rows.map(row => new Date(`${row.day}T00:00:00Z`)));
+        
+        const created = [];
+        for (const day of days) {
+            const name = partitionName(day);
+            if (existing.has(name)) continue;
+            await this.createPartition(day);
+            existing.add(name);
+            created.push(name);
+        }
+        return created;
+    }
+
+    // Drop one daily partition. Returns the number of rows it held.
+    async dropPartition(name) {
+        const result = await this.pool.query(`SELECT COUNT(*) AS count FROM ${name}`);
+        await this.pool.query(`DROP TABLE ${name}`);
+        return parseInt(result.rows[0].count);
+    }
+
+    // Cleanup old records by age: drop every daily partition whose whole day
+    // is older than maxAgeDays (the partition holding the cutoff is kept until
+    // its day has fully expired) and delete expired rows from connections_default
     async cleanupByAge() {
         if (!this.retentionConfig.enableTimeLimit) return 0;
 
-        const cutoffDate = new Date();
-        cutoffDate.setDate(cutoffDate.getDate() - this.retentionConfig.maxAgeDays);
         const maxAgeDays = this.retentionConfig.maxAgeDays;
+        const cutoff = new Date(Date.now() - maxAgeDays * DAY_MS);
 
         try {
+            const { partitions } = await this.getPartitions();
+            const expired = partitions.filter(partition => partition.day.getTime() + DAY_MS <= cutoff.getTime());
+            
+            let deletedRows = 0;
+            for (const partition of expired) {
+                deletedRows += await this.dropPartition(partition.name);
+            }
+            
             const result = await this.pool.query(
-                'DELETE FROM connections WHERE timestamp < $1',
-                [cutoffDate.toISOString()]
+                `DELETE FROM ${DEFAULT_PARTITION} WHERE timestamp < $1`,
+                [cutoff.toISOString()]
             );
+            deletedRows += result.rowCount;
             
-            const deletedRows = result.rowCount;
             if (deletedRows > 0) {
-                console.log(`🧹 Cleaned up ${deletedRows} connections older than ${maxAgeDays} days`);
+                console.log(`🧹 Cleaned up ${deletedRows} connections older than ${maxAgeDays} days (${expired.length} daily partitions dropped)`);
             }
             return deletedRows;
         } catch (error) {
@@ -304,7 +751,9 @@ class ConnectionsDatabase {
         }
     }
 
-    // Cleanup by database size
+    // Cleanup by database size: drop the oldest daily partitions until the
+    // database would fit maxSizeMB, going by each partition's measured size.
+    // Today's and future partitions are never dropped.
     async cleanupBySize() {
         if (!this.retentionConfig.enableSizeLimit) return 0;
 
@@ -312,44 +761,208 @@ class ConnectionsDatabase {
             const sizeMB = await this.getDatabaseSizeMB();
             if (sizeMB <= this.retentionConfig.maxSizeMB) return 0;
 
-            // Delete oldest records in batches until under size limit
-            const batchSize = this.retentionConfig.cleanupBatchSize;
-            let totalDeleted = 0;
-            
-            while (await this.getDatabaseSizeMB() > this.retentionConfig.maxSizeMB) {
-                const result = await this.pool.query(`
-                    DELETE FROM connections 
-                    WHERE id IN (
-                        SELECT id FROM connections 
-                        ORDER BY timestamp ASC 
-                        LIMIT $1
-                    )
-                `, [batchSize]);
-                
-                const deleted = result.rowCount;
-                totalDeleted += deleted;
-                
-                if (deleted < batchSize) break; // No more records to delete
+            const { partitions } = await this.getPartitions();
+            const today = startOfDay(new Date());
+            let excessMB = sizeMB - this.retentionConfig.maxSizeMB;
+            let deletedRows = 0;
+            let dropped = 0;
+            
+            for (const partition of partitions) {
+                if (excessMB <= 0 || partition.day >= today) break;
+                deletedRows += await this.dropPartition(partition.name);
+                excessMB -= partition.sizeMB;
+                dropped++;
             }
 
-            if (totalDeleted > 0) {
-                console.log(`🧹 Cleaned up ${totalDeleted} connections to maintain ${this.retentionConfig.maxSizeMB}MB size limit`);
+            if (dropped > 0) {
+                console.log(`🧹 Cleaned up ${deletedRows} connections (${dropped} daily partitions) to maintain ${this.retentionConfig.maxSizeMB}MB size limit`);
+            }
+            if (excessMB > 0) {
+                console.warn(`Database still ${Math.round(excessMB)}MB over the ${this.retentionConfig.maxSizeMB}MB limit; only today's connections and other tables remain`);
             }
-            return totalDeleted;
+            return deletedRows;
         } catch (error) {
             console.error('Error cleaning up by size:', error.message);
             return 0;
         }
     }
 
+    // Summarize raw connections into connection_rollups_hourly and _daily.
+    // Concurrent callers (the schedule and a retention run) share one pass.
+    async refreshRollups(options = {}) {
+        if (!this.rollupRun) {
+            this.rollupRun = this.rebuildRollups(options).finally(() => {
+                this.rollupRun = null;
+            });
+        }
+        return this.rollupRun;
+    }
+
+    // Recent hours are rebuilt from scratch on every pass (lookbackHours covers
+    // late rows and geolocations filled in afterwards); the first pass works
+    // through existing history a day at a time. Returns the hours rebuilt.
+    async rebuildRollups(options = {}) {
+        const hourMs = 60 * 60 * 1000;
+        const lookbackHours = options.lookbackHours || 3;
+        
+        try {
+            const { rows: [bounds] } = await this.pool.query(`
+                SELECT (SELECT MAX(bucket) FROM connection_rollups_hourly) AS rolled_up_to,
+                       (SELECT date_trunc('hour', MIN(timestamp)) FROM connections) AS oldest_hour,
+                       date_trunc('hour', NOW()) AS current_hour
+            `);
+            if (!bounds.oldest_hour) return 0;
+            
+            let from = bounds.oldest_hour;
+            if (bounds.rolled_up_to) {
+                // The oldest raw hour may already be partly purged - never rebuild it
+                from = new Date(Math.max(
+                    bounds.rolled_up_to.getTime() - lookbackHours * hourMs,
+                    bounds.oldest_hour.getTime() + hourMs
+                ));
+            }
+            const until = new Date(bounds.current_hour.getTime() + hourMs);
+            if (from >= until) return 0;
+            
+            for (let chunkStart = from; chunkStart < until; chunkStart = new Date(chunkStart.getTime() + 24 * hourMs)) {
+                const chunkEnd = new Date(Math.min(chunkStart.getTime() + 24 * hourMs, until.getTime()));
+                await this.inTransaction(async (client) => {
+                    await client.query(
+                        'DELETE FROM connection_rollups_hourly WHERE bucket >= $1 AND bucket < $2',
+                        [chunkStart, chunkEnd]
+                    );
+                    await client.query(`
+                        INSERT INTO connection_rollups_hourly (
+                            bucket, ip, direction, internal_ip, external_port, country_code,
+                            connections, orig_packets, orig_bytes, reply_packets, reply_bytes
+                        )
+                        SELECT date_trunc('hour', c.timestamp), c.ip, c.direction, c.internal_ip,
+                               c.external_port, g.country_code, COUNT(*),
+                               SUM(COALESCE(c.orig_packets, 0)), SUM(COALESCE(c.orig_bytes, 0)),
+                               SUM(COALESCE(c.reply_packets, 0)), SUM(COALESCE(c.reply_bytes, 0))
+                        FROM connections c
+                        LEFT JOIN geolocations g ON c.ip = g.ip
+                        WHERE c.timestamp >= $1 AND c.timestamp < $2
+                        GROUP BY 1, 2, 3, 4, 5, 6
+                    `, [chunkStart, chunkEnd]);
+                });
+            }
+            
+            // Days touched by this pass are re-summed from their hours
+            await this.inTransaction(async (client) => {
+                await client.query(
+                    `DELETE FROM connection_rollups_daily WHERE bucket >= date_trunc('day', $1::timestamptz)`,
+                    [from]
+                );
+                await client.query(`
+                    INSERT INTO connection_rollups_daily (
+                        bucket, ip, direction, internal_ip, external_port, country_code,
+                        connections, orig_packets, orig_bytes, reply_packets, reply_bytes
+                    )
+                    SELECT date_trunc('day', bucket), ip, direction, internal_ip, external_port, country_code,
+                           SUM(connections), SUM(orig_packets), SUM(orig_bytes), SUM(reply_packets), SUM(reply_bytes)
+                    FROM connection_rollups_hourly
+                    WHERE bucket >= date_trunc('day', $1::timestamptz)
+                    GROUP BY 1, 2, 3, 4, 5, 6
+                `, [from]);
+            });
+            
+            this.lastRollupAt = new Date();
+            return Math.round((until - from) / hourMs);
+        } catch (error) {
+            console.error('Error refreshing connection rollups:', error.message);
+            return 0;
+        }
+    }
+
+    // Rollups are kept far longer than raw connections
+    async purgeRollups() {
+        try {
+            const hourly = await this.pool.query(
+                `DELETE FROM connection_rollups_hourly WHERE bucket < NOW() - make_interval(days => $1)`,
+                [this.retentionConfig.rollupHourlyDays]
+            );
+            const daily = await this.pool.query(
+                `DELETE FROM connection_rollups_daily WHERE bucket < NOW() - make_interval(days => $1)`,
+                [this.retentionConfig.rollupDailyDays]
+            );
+            return hourly.rowCount + daily.rowCount;
+        } catch (error) {
+            console.error('Error purging connection rollups:', error.message);
+            return 0;
+        }
+    }
+
+    // Series for /api/timeseries (options from parseTimeseriesQuery). Without
+    // groupBy there is a single 'total' series, otherwise the top N keys by total.
+    async getTimeseries(options) {
+        const params = [options.start, options.end];
+        const where = ['bucket >= $1', 'bucket < $2'];
+        const filterColumns = {
+            direction: 'direction',
+            ip: 'ip',
+            internalIp: 'internal_ip',
+            country: 'country_code',
+            externalPort: 'external_port'
+        };
+        
+        for (const [field, column] of Object.entries(filterColumns)) {
+            if (options.filters[field] !== undefined) {
+                params.push(options.filters[field]);
+                where.push(`${column} = $${params.length}`);
+            }
+        }
+        
+        params.push(options.groupExpr ? options.top : 1);
+        const query = `
+            WITH grouped AS (
+                SELECT bucket, ${options.groupExpr || "'total'"} AS key, ${options.metricExpr} AS value
+                FROM ${options.table}
+                WHERE ${where.join(' AND ')}
+                GROUP BY 1, 2
+            ), ranked AS (
+                SELECT key, SUM(value) AS total
+                FROM grouped
+                GROUP BY key
+                ORDER BY total DESC, key
+                LIMIT $${params.length}
+            )
+            SELECT g.bucket, g.key, g.value, r.total,
+                   (SELECT COUNT(DISTINCT key) FROM grouped) AS key_count
+            FROM grouped g
+            JOIN ranked r ON g.key = r.key
+            ORDER BY r.total DESC, g.key, g.bucket
+        `;
+        
+        try {
+            const result = await this.pool.query(query, params);
+            const series = new Map();
+            
+            for (const row of result.rows) {
+                if (!series.has(row.key)) {
+                    series.set(row.key, { key: row.key, total: Number(row.total), points: [] });
+                }
+                series.get(row.key).points.push({ bucket: row.bucket, value: Number(row.value) });
+            }
+            
+            return {
+                series: [...series.values()],
+                totalSeries: result.rows.length > 0 ? parseInt(result.rows[0].key_count) : 0
+            };
+        } catch (error) {
+            console.error('Error getting timeseries:', error.message);
+            return { series: [], totalSeries: 0 };
+        }
+    }
+
     // Geolocation methods
     async insertGeolocation(ip, geoData) {
         try {
             const query = `
                 INSERT INTO geolocations (
                     ip, country, country_code, region, city, 
-                    latitude, longitude, timezone, isp, org, asn, hostname
-                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+                    latitude, longitude, timezone, isp, org, asn, hostname, provider
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
                 ON CONFLICT (ip) DO UPDATE SET
                     country = EXCLUDED.country,
                     country_code = EXCLUDED.country_code,
@@ -362,19 +975,77 @@ class ConnectionsDatabase {
                     org = EXCLUDED.org,
                     asn = EXCLUDED.asn,
                     hostname = EXCLUDED.hostname,
+                    provider = EXCLUDED.provider,
+                    lookup_status = 'ok',
+                    lookup_error = NULL,
                     last_updated = NOW()
             `;
             
             await this.pool.query(query, [
-                ip, geoData.country, geoData.country_code, geoData.region,
+                ip, geoData.country, geoData.country_code || geoData.countryCode, geoData.region,
                 geoData.city, geoData.latitude, geoData.longitude, geoData.timezone,
-                geoData.isp, geoData.org, geoData.asn, geoData.hostname
+                geoData.isp, geoData.org, geoData.asn, geoData.hostname, geoData.provider || null
             ]);
+            
+            // Connections usually arrive before their geolocation, so the
+            // ASN and country side of the ledger catches up here
+            const novel = await this.recordFirstSeenForIP(ip);
+            if (novel.length > 0) {
+                this.emit('noveltyDetected', novel);
+            }
         } catch (error) {
             console.error('Error inserting geolocation:', error.message);
         }
     }
 
+    // Negative cache entry; never replaces a previously successful lookup
+    async insertGeolocationFailure(ip, reason) {
+        try {
+            await this.pool.query(`
+                INSERT INTO geolocations (ip, lookup_status, lookup_error, last_updated)
+                VALUES ($1, 'failed', $2, NOW())
+                ON CONFLICT (ip) DO UPDATE SET
+                    lookup_error = EXCLUDED.lookup_error,
+                    last_updated = NOW()
+                WHERE geolocations.lookup_status = 'failed'
+            `, [ip, reason]);
+        } catch (error) {
+            console.error('Error inserting geolocation failure:', error.message);
+        }
+    }
+
+    // Expired geolocations (positive or negative) for IPs with recent connections, oldest first
+    async getStaleGeolocations(options = {}) {
+        try {
+            const result = await this.pool.query(`
+                SELECT g.*
+                FROM geolocations g
+                WHERE ((g.lookup_status = 'ok' AND g.last_updated < $1)
+                    OR (g.lookup_status = 'failed' AND g.last_updated < $2))
+                  AND EXISTS (
+                      SELECT 1 FROM connections c
+                      WHERE c.ip = g.ip AND c.timestamp >= $3
+                  )
+                ORDER BY g.last_updated
+                LIMIT $4
+            `, [options.positiveBefore, options.negativeBefore, options.activeSince, options.limit || 50]);
+            return result.rows;
+        } catch (error) {
+            console.error('Error getting stale geolocations:', error.message);
+            return [];
+        }
+    }
+
+    async getGeolocations(ips) {
+        try {
+            const result = await this.pool.query('SELECT * FROM geolocations WHERE ip = ANY($1)', [ips]);
+            return result.rows;
+        } catch (error) {
+            console.error('Error getting geolocations:', error.message);
+            return [];
+        }
+    }
+
     async getGeolocation(ip) {
         try {
             const result = await this.pool.query('SELECT * FROM geolocations WHERE ip = $1', [ip]);
@@ -400,172 +1071,98 @@ class ConnectionsDatabase {
         return await this.insertGeolocation(ip, geoData);
     }
 
-    // Get aggregated connections for connection list view
-    async getAggregatedConnections(filters = {}) {
-        const limit = filters.limit || 1000;
-        const orderBy = 'c.timestamp DESC';
-        
-        // Use optimized query with subquery to limit data first, then aggregate
-        let query = `
-            WITH recent_connections AS (
-                SELECT c.ip, c.direction, c.timestamp
-                FROM connections c
-                WHERE 1=1
-        `;
-        
+    // Get aggregated connections (one row per IP) for connection list view.
+    // Returns { connections, totalCount, nextCursor } - see pagination.js.
+    async getAggregatedConnections(filters = {}, page = {}) {
         const queryParams = [];
-        const whereClauses = [];
-        
-        // Always exclude invalid/internal IP addresses in subquery
-        whereClauses.push(`c.ip != '0.0.0.0'`);
-        whereClauses.push(`c.ip IS NOT NULL`);
-        
-        // Add time range filters to subquery for better performance
-        if (filters.startDate) {
-            whereClauses.push(`c.timestamp >= $${queryParams.length + 1}`);
-            queryParams.push(filters.startDate);
-        }
+        const whereClauses = connectionFilterClauses(filters, queryParams, this.serviceTable);
         
-        if (filters.endDate) {
-            whereClauses.push(`c.timestamp <= $${queryParams.length + 1}`);
-            queryParams.push(filters.endDate);
+        try {
+            return await this.queryAggregatedConnections(whereClauses, queryParams, page);
+        } catch (err) {
+            console.error('Error getting aggregated connections:', err.message);
+            return { connections: [], totalCount: 0, nextCursor: null };
         }
+    }
+
+    // Search connections with text search functionality
+    async searchConnections(searchTerm, filters = {}, page = {}) {
+        const queryParams = [];
+        const whereClauses = connectionFilterClauses(filters, queryParams, this.serviceTable);
         
-        if (filters.direction) {
-            whereClauses.push(`c.direction = $${queryParams.length + 1}`);
-            queryParams.push(filters.direction);
+        // Add search term filtering if provided
+        const searchClause = searchTermClause(searchTerm, queryParams);
+        if (searchClause) {
+            whereClauses.push(searchClause);
         }
         
-        // Add WHERE clauses to subquery
-        if (whereClauses.length > 0) {
-            query = query.replace('WHERE 1=1', 'WHERE ' + whereClauses.join(' AND '));
+        try {
+            return await this.queryAggregatedConnections(whereClauses, queryParams, page);
+        } catch (err) {
+            console.error('Error searching connections:', err.message);
+            return { connections: [], totalCount: 0, nextCursor: null };
         }
+    }
+
+    // Shared by the aggregated listing and search: groups the matching
+    // connections by IP, then sorts and pages the groups. whereClauses may
+    // refer to c (connections) and g (geolocations).
+    async queryAggregatedConnections(whereClauses, queryParams, page = {}) {
+        page = { sort: 'lastSeen', order: 'desc', limit: 1000, cursor: null, ...page };
+        const sort = AGGREGATE_SORTS[page.sort];
+        const where = whereClauses.join(' AND ');
         
-        // Complete the CTE and main query - don't limit raw connections, let grouping happen first
-        query += `
-                ORDER BY c.timestamp DESC
-            )
-            SELECT 
-                rc.ip,
-                g.hostname,
-                g.country, g.region, g.city,
-                g.latitude, g.longitude, g.country_code,
-                g.isp, g.org, g.asn, g.timezone,
-                COUNT(*) as connection_count,
-                COUNT(CASE WHEN rc.direction = 'inbound' THEN 1 END) as inbound_count,
-                COUNT(CASE WHEN rc.direction = 'outbound' THEN 1 END) as outbound_count,
-                MAX(rc.timestamp) as last_seen,
-                STRING_AGG(DISTINCT rc.direction, ', ') as directions
-            FROM recent_connections rc
-            LEFT JOIN geolocations g ON rc.ip = g.ip
-            GROUP BY rc.ip, g.hostname, g.country, g.region, g.city, g.latitude, g.longitude, g.country_code, g.isp, g.org, g.asn, g.timezone
-            ORDER BY last_seen DESC 
-            LIMIT $${queryParams.length + 1}
+        const countQuery = `
+            SELECT COUNT(DISTINCT c.ip) AS total
+            FROM connections c
+            LEFT JOIN geolocations g ON c.ip = g.ip
+            WHERE ${where}
         `;
+        const countParams = [...queryParams];
         
-        queryParams.push(limit);
+        const params = [...queryParams];
+        const keyset = page.cursor ? `WHERE ${keysetCondition(sort, AGGREGATE_TIEBREAKER, page, params)}` : '';
+        params.push(page.limit + 1);
         
-        try {
-            const result = await this.pool.query(query, queryParams);
-            return result.rows.map(row => ({
-                ip: row.ip,
-                hostname: row.hostname || 'No hostname found',
-                location: `${row.city || ''}, ${row.region || ''}, ${row.country || ''}`.replace(/(^, |, $)/g, '').replace(/, ,/g, ', ').trim() || 'Unknown',
-                country: row.country || 'Unknown',
-                region: row.region || 'Unknown', 
-                city: row.city || 'Unknown',
-                latitude: parseFloat(row.latitude) || 0,
-                longitude: parseFloat(row.longitude) || 0,
-                countryCode: row.country_code || 'XX',
-                isp: row.isp || 'Unknown ISP',
-                org: row.org || 'Unknown Org',
-                asn: row.asn || 'Unknown ASN',
-                timezone: row.timezone,
-                connectionCount: parseInt(row.connection_count),
-                inboundCount: parseInt(row.inbound_count || 0),
-                outboundCount: parseInt(row.outbound_count || 0),
-                lastSeen: row.last_seen,
-                directions: row.directions
-            }));
-        } catch (err) {
-            console.error('Error getting aggregated connections:', err.message);
-            return [];
-        }
-    }
-
-    // Search connections with text search functionality
-    async searchConnections(searchTerm, filters = {}) {
-        const limit = filters.limit || 1000;
-        
-        // Base query similar to getAggregatedConnections but optimized for search
-        let query = `
-            SELECT 
-                c.ip,
-                g.hostname,
-                g.country, g.region, g.city,
-                g.latitude, g.longitude, g.country_code,
-                g.isp, g.org, g.asn, g.timezone,
-                COUNT(*) as connection_count,
-                COUNT(CASE WHEN c.direction = 'inbound' THEN 1 END) as inbound_count,
-                COUNT(CASE WHEN c.direction = 'outbound' THEN 1 END) as outbound_count,
-                MAX(c.timestamp) as last_seen,
-                STRING_AGG(DISTINCT c.direction, ', ') as directions
-            FROM connections c
-            LEFT JOIN geolocations g ON c.ip = g.ip
+        const query = `
+            SELECT agg.*, ${cloudRangeSql('agg.ip')} AS cloud,
+                   (${sort.expr})::text AS sort_value, ip::text AS sort_key
+            FROM (
+                SELECT 
+                    c.ip,
+                    g.hostname,
+                    g.country, g.region, g.city,
+                    g.latitude, g.longitude, g.country_code,
+                    g.isp, g.org, g.asn, g.timezone,
+                    t.threat_level,
+                    ${threatRankSql('t.threat_level')} as threat_rank,
+                    COUNT(*) as connection_count,
+                    COUNT(CASE WHEN c.direction = 'inbound' THEN 1 END) as inbound_count,
+                    COUNT(CASE WHEN c.direction = 'outbound' THEN 1 END) as outbound_count,
+                    SUM(COALESCE(c.orig_bytes, 0) + COALESCE(c.reply_bytes, 0)) as total_bytes,
+                    MAX(c.timestamp) as last_seen,
+                    STRING_AGG(DISTINCT c.direction, ', ') as directions,
+                    ARRAY_AGG(DISTINCT c.internal_port::text || '/' || COALESCE(c.protocol, ''))
+                        FILTER (WHERE c.direction = 'inbound' AND c.internal_port IS NOT NULL) as inbound_ports
+                FROM connections c
+                LEFT JOIN geolocations g ON c.ip = g.ip
+                LEFT JOIN threat_intel t ON c.ip = t.ip
+                WHERE ${where}
+                GROUP BY c.ip, g.hostname, g.country, g.region, g.city, g.latitude, g.longitude, g.country_code, g.isp, g.org, g.asn, g.timezone, t.threat_level
+            ) agg
+            ${keyset}
+            ORDER BY ${orderByClause(sort, AGGREGATE_TIEBREAKER, page)}
+            LIMIT $${params.length}
         `;
         
-        const queryParams = [];
-        const whereClauses = [];
-        
-        // Always exclude invalid/internal IP addresses
-        whereClauses.push(`c.ip != '0.0.0.0'`);
-        whereClauses.push(`c.ip IS NOT NULL`);
-        
-        // Add search term filtering if provided
-        if (searchTerm && searchTerm.trim().length > 0) {
-            const term = searchTerm.trim();
-            whereClauses.push(`(
-                c.ip::text ILIKE $${queryParams.length + 1} OR
-                g.hostname ILIKE $${queryParams.length + 1} OR
-                g.city ILIKE $${queryParams.length + 1} OR
-                g.country ILIKE $${queryParams.length + 1} OR
-                g.region ILIKE $${queryParams.length + 1} OR
-                g.isp ILIKE $${queryParams.length + 1} OR
-                g.org ILIKE $${queryParams.length + 1}
-            )`);
-            queryParams.push(`%${term}%`);
-        }
-        
-        // Add time range filters
-        if (filters.startDate) {
-            whereClauses.push(`c.timestamp >= $${queryParams.length + 1}`);
-            queryParams.push(filters.startDate);
-        }
-        
-        if (filters.endDate) {
-            whereClauses.push(`c.timestamp <= $${queryParams.length + 1}`);
-            queryParams.push(filters.endDate);
-        }
-        
-        if (filters.direction) {
-            whereClauses.push(`c.direction = $${queryParams.length + 1}`);
-            queryParams.push(filters.direction);
-        }
-        
-        if (whereClauses.length > 0) {
-            query += ' WHERE ' + whereClauses.join(' AND ');
-        }
-        
-        query += ` 
-            GROUP BY c.ip, g.hostname, g.country, g.region, g.city, g.latitude, g.longitude, g.country_code, g.isp, g.org, g.asn, g.timezone
-            ORDER BY last_seen DESC 
-            LIMIT $${queryParams.length + 1}
-        `;
-        queryParams.push(limit);
+        const [result, count] = await Promise.all([
+            this.pool.query(query, params),
+            this.pool.query(countQuery, countParams)
+        ]);
+        const { rows, nextCursor } = buildPage(result.rows, page);
         
-        try {
-            const result = await this.pool.query(query, queryParams);
-            return result.rows.map(row => ({
+        return {
+            connections: rows.map(row => ({
                 ip: row.ip,
                 hostname: row.hostname || 'No hostname found',
                 location: `${row.city || ''}, ${row.region || ''}, ${row.country || ''}`.replace(/(^, |, $)/g, '').replace(/, ,/g, ', ').trim() || 'Unknown',
@@ -579,58 +1176,86 @@ class ConnectionsDatabase {
                 org: row.org || 'Unknown Org',
                 asn: row.asn || 'Unknown ASN',
                 timezone: row.timezone,
+                threatLevel: row.threat_level || 'unknown',
+                // Cloud provider range the IP is in: { provider, service, region, network, source }
+                cloud: row.cloud || null,
                 connectionCount: parseInt(row.connection_count),
                 inboundCount: parseInt(row.inbound_count || 0),
                 outboundCount: parseInt(row.outbound_count || 0),
+                bytes: parseInt(row.total_bytes || 0),
                 lastSeen: row.last_seen,
-                directions: row.directions
-            }));
-        } catch (err) {
-            console.error('Error searching connections:', err.message);
-            return [];
-        }
+                directions: row.directions,
+                // Local ports reached by inbound connections ('22/tcp', or '22/' when the protocol is unknown)
+                inboundPorts: row.inbound_ports || []
+            })),
+            totalCount: parseInt(count.rows[0].total),
+            nextCursor
+        };
     }
 
     // Threat intelligence methods
+
+    // Store a lookup from ThreatIntelService.getThreatIntelligence(): the
+    // combined level and score, and one row per provider verdict. Verdicts of
+    // providers no longer in threatData.verdicts are removed.
     async insertThreatIntel(ip, threatData) {
+        const verdicts = threatData.verdicts || [];
+        
         try {
-            const query = `
-                INSERT INTO threat_intel (
-                    ip, virustotal_reputation, virustotal_total, virustotal_categories,
-                    abuseipdb_confidence, abuseipdb_usage_type, abuseipdb_total_reports,
-                    abuseipdb_categories, threat_level
-                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
-                ON CONFLICT (ip) DO UPDATE SET
-                    virustotal_reputation = EXCLUDED.virustotal_reputation,
-                    virustotal_total = EXCLUDED.virustotal_total,
-                    virustotal_categories = EXCLUDED.virustotal_categories,
-                    abuseipdb_confidence = EXCLUDED.abuseipdb_confidence,
-                    abuseipdb_usage_type = EXCLUDED.abuseipdb_usage_type,
-                    abuseipdb_total_reports = EXCLUDED.abuseipdb_total_reports,
-                    abuseipdb_categories = EXCLUDED.abuseipdb_categories,
-                    threat_level = EXCLUDED.threat_level,
-                    last_checked = NOW()
-            `;
+            await this.inTransaction(async (client) => {
+                await client.query(`
+                    INSERT INTO threat_intel (ip, threat_level, threat_score, last_checked)
+                    VALUES ($1, $2, $3, NOW())
+                    ON CONFLICT (ip) DO UPDATE SET
+                        threat_level = EXCLUDED.threat_level,
+                        threat_score = EXCLUDED.threat_score,
+                        last_checked = NOW()
+                `, [ip, threatData.threat_level || 'unknown', threatData.threat_score === undefined ? null : threatData.threat_score]);
+                
+                await client.query(
+                    'DELETE FROM threat_intel_verdicts WHERE ip = $1 AND provider <> ALL($2::text[])',
+                    [ip, verdicts.map(verdict => verdict.provider)]
+                );
+                
+                await client.query(`
+                    INSERT INTO threat_intel_verdicts (ip, provider, verdict, score, summary, categories, details, checked_at)
+                    SELECT $1::inet, v.provider, v.verdict, v.score, v.summary,
+                           COALESCE(v.categories, '[]'), COALESCE(v.details, '{}'), COALESCE(v.checked_at, NOW())
+                    FROM jsonb_to_recordset($2::jsonb) AS v(
+                        provider TEXT, verdict TEXT, score INTEGER, summary TEXT,
+                        categories JSONB, details JSONB, checked_at TIMESTAMPTZ
+                    )
+                    ON CONFLICT (ip, provider) DO UPDATE SET
+                        verdict = EXCLUDED.verdict,
+                        score = EXCLUDED.score,
+                        summary = EXCLUDED.summary,
+                        categories = EXCLUDED.categories,
+                        details = EXCLUDED.details,
+                        checked_at = EXCLUDED.checked_at
+                `, [ip, JSON.stringify(verdicts)]);
+            });
             
-            await this.pool.query(query, [
-                ip,
-                threatData.virustotal_reputation,
-                threatData.virustotal_total,
-                JSON.stringify(threatData.virustotal_categories),
-                threatData.abuseipdb_confidence,
-                threatData.abuseipdb_usage_type,
-                threatData.abuseipdb_total_reports,
-                JSON.stringify(threatData.abuseipdb_categories),
-                threatData.threat_level
-            ]);
+            this.emit('threatIntelUpdated', ip, threatData);
         } catch (error) {
             console.error('Error inserting threat intel:', error.message);
         }
     }
 
+    // Combined threat level and score with the provider verdicts (verdicts:
+    // [{ provider, verdict, score, summary, categories, details, checked_at }])
     async getThreatIntel(ip) {
         try {
-            const result = await this.pool.query('SELECT * FROM threat_intel WHERE ip = $1', [ip]);
+            const result = await this.pool.query(`
+                SELECT t.ip, t.threat_level, t.threat_score, t.last_checked,
+                       COALESCE(
+                           jsonb_agg(to_jsonb(v) - 'ip' ORDER BY v.provider) FILTER (WHERE v.provider IS NOT NULL),
+                           '[]'
+                       ) AS verdicts
+                FROM threat_intel t
+                LEFT JOIN threat_intel_verdicts v ON v.ip = t.ip
+                WHERE t.ip = $1
+                GROUP BY t.ip
+            `, [ip]);
             return result.rows[0] || null;
         } catch (error) {
             console.error('Error getting threat intel:', error.message);
@@ -645,9 +1270,25 @@ class ConnectionsDatabase {
 
     async getIPsNeedingThreatCheck(limit = 50) {
         try {
-            // Tiered approach: Priority 1 (Unknown IPs - 7 days), Priority 2 (Cloud IPs - 30 days)
+            // Tiered approach: Priority 0 (blocklisted IPs - 7 days), Priority 1 (Unknown IPs - 7 days),
+            // Priority 2 (Cloud IPs - 30 days). Allowlisted IPs are never scanned. Cloud means inside
+            // an imported provider range (see cloud-ranges.js).
             const sevenDaysAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
             const thirtyDaysAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+            const listStatus = listStatusSql('c.ip');
+            const inCloudRange = inCloudRangeSql('c.ip');
+            const isPublic = publicIPSql('c.ip');
+            
+            const blockedQuery = `
+                SELECT DISTINCT c.ip
+                FROM connections c
+                LEFT JOIN threat_intel t ON c.ip = t.ip
+                WHERE c.timestamp > $1 
+                AND (t.ip IS NULL OR t.last_checked < $2)
+                AND ${isPublic}
+                AND ${listStatus} = 'block'
+                LIMIT $3
+            `;
             
             // First priority: Unknown/suspicious IPs (non-cloud) - scan every 7 days
             const unknownQuery = `
@@ -656,24 +1297,9 @@ class ConnectionsDatabase {
                 LEFT JOIN threat_intel t ON c.ip = t.ip
                 WHERE c.timestamp > $1 
                 AND (t.ip IS NULL OR t.last_checked < $2)
-                AND c.ip != '0.0.0.0'
-                AND c.ip::text NOT LIKE '192.168.%'
-                AND c.ip::text NOT LIKE '10.%'
-                AND c.ip::text NOT LIKE '172.16.%'
-                AND c.ip::text NOT LIKE '172.17.%'
-                AND c.ip::text NOT LIKE '172.18.%'
-                AND c.ip::text NOT LIKE '172.19.%'
-                AND c.ip::text NOT LIKE '172.2%'
-                AND c.ip::text NOT LIKE '172.30.%'
-                AND c.ip::text NOT LIKE '172.31.%'
-                AND c.ip::text NOT LIKE '3.%'         -- AWS
-                AND c.ip::text NOT LIKE '34.%'        -- Google Cloud
-                AND c.ip::text NOT LIKE '52.%'        -- Microsoft Azure
-                AND c.ip::text NOT LIKE '54.%'        -- AWS
-                AND c.ip::text NOT LIKE '8.8.8.%'     -- Google DNS
-                AND c.ip::text NOT LIKE '8.8.4.%'     -- Google DNS
-                AND c.ip::text NOT LIKE '216.239.%'   -- Google
-                AND c.ip::text NOT LIKE '17.%'        -- Apple
+                AND ${isPublic}
+                AND NOT ${inCloudRange}
+                AND ${listStatus} IS NULL
                 LIMIT $3
             `;
             
@@ -684,12 +1310,21 @@ class ConnectionsDatabase {
                 LEFT JOIN threat_intel t ON c.ip = t.ip
                 WHERE c.timestamp > $1 
                 AND (t.ip IS NULL OR t.last_checked < $2)
-                AND (c.ip::text LIKE '3.%' OR c.ip::text LIKE '34.%' OR c.ip::text LIKE '52.%' OR c.ip::text LIKE '54.%' 
-                     OR c.ip::text LIKE '8.8.8.%' OR c.ip::text LIKE '8.8.4.%' OR c.ip::text LIKE '216.239.%' OR c.ip::text LIKE '17.%')
+                AND ${isPublic}
+                AND ${inCloudRange}
+                AND ${listStatus} IS NULL
                 LIMIT $3
             `;
             
-            // Try unknown IPs first
+            // Blocklisted IPs always go first
+            const blockedResult = await this.pool.query(blockedQuery, [sevenDaysAgo, sevenDaysAgo, limit]);
+            
+            if (blockedResult.rows.length > 0) {
+                console.log(`Found ${blockedResult.rows.length} blocklisted IPs for threat intel scanning`);
+                return blockedResult.rows.map(row => row.ip);
+            }
+            
+            // Then unknown IPs
             const unknownResult = await this.pool.query(unknownQuery, [sevenDaysAgo, sevenDaysAgo, limit]);
             
             if (unknownResult.rows.length > 0) {
@@ -721,10 +1356,7 @@ class ConnectionsDatabase {
                 SELECT COUNT(DISTINCT ip) as count
                 FROM connections 
                 WHERE timestamp > NOW() - INTERVAL '7 days'
-                AND ip != '0.0.0.0'
-                AND ip::text NOT LIKE '192.168.%'
-                AND ip::text NOT LIKE '10.%'
-                AND ip::text NOT LIKE '172.%'
+                AND ${publicIPSql('ip')}
             `;
 
             // Count IPs that have been scanned (have threat intel data)
@@ -734,10 +1366,7 @@ class ConnectionsDatabase {
                 INNER JOIN connections c ON t.ip = c.ip
                 WHERE c.timestamp > NOW() - INTERVAL '7 days'
                 AND t.last_checked IS NOT NULL
-                AND c.ip != '0.0.0.0'
-                AND c.ip::text NOT LIKE '192.168.%'
-                AND c.ip::text NOT LIKE '10.%'
-                AND c.ip::text NOT LIKE '172.%'
+                AND ${publicIPSql('c.ip')}
             `;
 
             // Get last scan time and count of IPs updated since then
@@ -766,21 +1395,24 @@ class ConnectionsDatabase {
                     INNER JOIN connections c ON t.ip = c.ip
                     WHERE c.timestamp > NOW() - INTERVAL '7 days'
                     AND t.last_checked > $1
-                    AND c.ip != '0.0.0.0'
-                    AND c.ip::text NOT LIKE '192.168.%'
-                    AND c.ip::text NOT LIKE '10.%'
-                    AND c.ip::text NOT LIKE '172.%'
+                    AND ${publicIPSql('c.ip')}
                 `;
                 const recentResult = await this.pool.query(recentQuery, [lastScan]);
                 recentlyUpdated = parseInt(recentResult.rows[0].count) || 0;
             }
 
-            // Quick estimate for priority breakdown (use existing fast function)
-            const pendingIps = await this.getIPsNeedingThreatCheck(50);
-            const samplePending = pendingIps.length;
-            const unknownRatio = samplePending > 0 ? 0.7 : 0;
-            const unknownPending = Math.floor(pending * unknownRatio);
-            const cloudPending = pending - unknownPending;
+            // Pending IPs inside imported cloud provider ranges (checked on the 30-day schedule)
+            const cloudPendingResult = await this.pool.query(`
+                SELECT COUNT(DISTINCT c.ip) as count
+                FROM connections c
+                LEFT JOIN threat_intel t ON t.ip = c.ip AND t.last_checked IS NOT NULL
+                WHERE c.timestamp > NOW() - INTERVAL '7 days'
+                AND t.ip IS NULL
+                AND ${publicIPSql('c.ip')}
+                AND ${inCloudRangeSql('c.ip')}
+            `);
+            const cloudPending = Math.min(pending, parseInt(cloudPendingResult.rows[0].count) || 0);
+            const unknownPending = Math.max(0, pending - cloudPending);
 
             const progress = total > 0 ? Math.round((scanned / total) * 100) : 0;
 
@@ -810,70 +1442,1178 @@ class ConnectionsDatabase {
         }
     }
 
-    // Apply data reduction strategies
-    applyDataReduction(connections) {
-        const skipStates = ['TIME_WAIT', 'CLOSE', 'LAST_ACK', 'FIN_WAIT', 'SYN_RECV'];
-        const result = [];
-        const aggregated = new Map();
+    // Geolocation and threat intel for a set of IPs, keyed by IP (used by the alert engine)
+    async getIPContext(ips) {
+        const context = new Map();
+        if (!ips || ips.length === 0) return context;
+        
+        try {
+            const result = await this.pool.query(`
+                SELECT COALESCE(g.ip, t.ip) as ip, g.country, g.country_code, g.region, g.city,
+                       g.latitude, g.longitude, g.isp, g.org, g.asn, t.threat_level
+                FROM geolocations g
+                FULL OUTER JOIN threat_intel t ON g.ip = t.ip
+                WHERE g.ip = ANY($1) OR t.ip = ANY($1)
+            `, [ips]);
+            
+            for (const row of result.rows) {
+                context.set(row.ip, row);
+            }
+        } catch (error) {
+            console.error('Error getting IP context:', error.message);
+        }
+        
+        return context;
+    }
+
+    // Which of these IPs already had connections stored before the given time
+    async getIPsSeenBefore(ips, before) {
+        try {
+            const result = await this.pool.query(`
+                SELECT DISTINCT ip
+                FROM connections
+                WHERE ip = ANY($1) AND created_at < $2
+            `, [ips, before]);
+            return new Set(result.rows.map(row => row.ip));
+        } catch (error) {
+            console.error('Error checking previously seen IPs:', error.message);
+            // Treat everything as already seen rather than flooding clients with false "new" IPs
+            return new Set(ips);
+        }
+    }
 
-        for (const conn of connections) {
-            // Skip transient connection states
-            if (conn.state && skipStates.includes(conn.state)) continue;
-
-            // Deduplicate listening ports
-            if (conn.direction === 'inbound' && conn.state === 'LISTEN') {
-                const portKey = `${conn.internal_ip}:${conn.internal_port}`;
-                const now = Date.now();
-                const lastSeen = this.recentListeningPorts.get(portKey);
-                
-                if (lastSeen && (now - lastSeen) < 3600000) continue; // Skip if seen in last hour
-                this.recentListeningPorts.set(portKey, now);
+    // First-seen ledger methods
+    // Ledger entries for a batch of inserted connections: external IP, and
+    // ASN/country when the IP is already geolocated, per internal device.
+    // Returns the novel entries (see saveFirstSeen).
+    async recordFirstSeen(client, connections) {
+        const rows = connections.filter(conn =>
+            conn.internal_ip && normalizeIP(conn.internal_ip) !== '0.0.0.0' && conn.ip !== '0.0.0.0');
+        if (rows.length === 0) return [];
+        
+        return await this.saveFirstSeen(client, `
+            SELECT b.device, e.kind, e.value, MIN(b.seen_at), MAX(b.seen_at),
+                   (ARRAY_AGG(b.ip ORDER BY b.seen_at))[1]
+            FROM UNNEST($1::inet[], $2::inet[], $3::timestamptz[]) AS b(ip, device, seen_at)
+            LEFT JOIN geolocations g ON g.ip = b.ip
+            CROSS JOIN LATERAL (VALUES ('ip', host(b.ip)), ('asn', g.asn), ('country', g.country_code)) AS e(kind, value)
+            WHERE e.value IS NOT NULL AND e.value != ''
+            GROUP BY b.device, e.kind, e.value
+        `, [
+            rows.map(conn => conn.ip),
+            rows.map(conn => conn.internal_ip),
+            rows.map(conn => conn.timestamp)
+        ]);
+    }
+
+    // ASN/country entries for every device that talked to a newly geolocated IP
+    async recordFirstSeenForIP(ip) {
+        return await this.saveFirstSeen(this.pool, `
+            SELECT c.internal_ip, e.kind, e.value, MIN(c.timestamp), MAX(c.timestamp), c.ip
+            FROM connections c
+            JOIN geolocations g ON g.ip = c.ip
+            CROSS JOIN LATERAL (VALUES ('asn', g.asn), ('country', g.country_code)) AS e(kind, value)
+            WHERE c.ip = $1 AND c.internal_ip IS NOT NULL AND c.internal_ip != '0.0.0.0'
+              AND e.value IS NOT NULL AND e.value != ''
+            GROUP BY c.internal_ip, e.kind, e.value, c.ip
+        `, [ip]);
+    }
+
+    // Upsert ledger rows produced by selectSql (device, kind, value,
+    // first_seen, last_seen, first_ip). Returns the rows created by this call
+    // whose first contact came after the device's learning period - the same
+    // rule getNoveltyFeed() applies.
+    async saveFirstSeen(queryable, selectSql, params) {
+        const result = await queryable.query(`
+            INSERT INTO first_seen_ledger (device, kind, value, first_seen, last_seen, first_ip)
+            ${selectSql}
+            ON CONFLICT (device, kind, value) DO UPDATE SET
+                first_seen = LEAST(first_seen_ledger.first_seen, EXCLUDED.first_seen),
+                last_seen = GREATEST(first_seen_ledger.last_seen, EXCLUDED.last_seen),
+                first_ip = CASE WHEN EXCLUDED.first_seen < first_seen_ledger.first_seen
+                                THEN EXCLUDED.first_ip ELSE first_seen_ledger.first_ip END
+            RETURNING device, kind, value, first_seen, first_ip, (xmax = 0) AS inserted
+        `, params);
+        
+        const created = result.rows.filter(row => row.inserted);
+        if (created.length === 0) return [];
+        
+        // A device without an inventory row yet is brand new, so still learning
+        const devices = await queryable.query(
+            'SELECT ip, first_seen FROM devices WHERE ip = ANY($1::inet[])',
+            [[...new Set(created.map(row => row.device))]]
+        );
+        const baselines = new Map(devices.rows.map(row => [row.ip, new Date(row.first_seen).getTime()]));
+        const learningMs = this.noveltyConfig.learningDays * 24 * 60 * 60 * 1000;
+        
+        return created
+            .filter(row => baselines.has(row.device) &&
+                new Date(row.first_seen).getTime() >= baselines.get(row.device) + learningMs)
+            .map(row => ({
+                device: row.device,
+                kind: row.kind,
+                value: row.value,
+                firstSeen: row.first_seen,
+                firstIp: row.first_ip
+            }));
+    }
+
+    // Entities devices contacted for the first time since options.since,
+    // after their learning period, newest first. Optional options.kinds and
+    // options.device narrow the feed.
+    async getNoveltyFeed(options = {}) {
+        const params = [
+            options.since || new Date(Date.now() - 7 * 24 * 60 * 60 * 1000),
+            this.noveltyConfig.learningDays
+        ];
+        const whereClauses = [
+            'l.first_seen >= $1',
+            `l.first_seen >= d.first_seen + $2 * INTERVAL '1 day'`
+        ];
+        
+        if (options.kinds && options.kinds.length > 0) {
+            params.push(options.kinds);
+            whereClauses.push(`l.kind = ANY($${params.length})`);
+        }
+        if (options.device) {
+            params.push(options.device);
+            whereClauses.push(`l.device = $${params.length}`);
+        }
+        params.push(options.limit || 100);
+        
+        try {
+            const result = await this.pool.query(`
+                SELECT l.*, d.name as device_name,
+                       g.country, g.country_code, g.city, g.org, g.asn, g.hostname
+                FROM first_seen_ledger l
+                JOIN devices d ON d.ip = l.device
+                LEFT JOIN geolocations g ON g.ip = l.first_ip
+                WHERE ${whereClauses.join(' AND ')}
+                ORDER BY l.first_seen DESC
+                LIMIT $${params.length}
+            `, params);
+            
+            return result.rows.map(row => ({
+                device: row.device,
+                deviceName: row.device_name,
+                kind: row.kind,
+                value: row.value,
+                firstSeen: row.first_seen,
+                lastSeen: row.last_seen,
+                firstIp: row.first_ip,
+                country: row.country || null,
+                countryCode: row.country_code || null,
+                city: row.city || null,
+                org: row.org || null,
+                asn: row.asn || null,
+                hostname: row.hostname || null
+            }));
+        } catch (error) {
+            console.error('Error getting novelty feed:', error.message);
+            return [];
+        }
+    }
+
+    // Enrichment queue methods
+    // Add IPs or raise their priority; work already queued is kept
+    async enqueueEnrichment(ips, priority = 0, tasks = {}) {
+        if (!ips || ips.length === 0) return 0;
+        
+        try {
+            const result = await this.pool.query(`
+                INSERT INTO enrichment_queue (ip, priority, needs_geolocation, needs_hostname)
+                SELECT UNNEST($1::inet[]), $2, $3, $4
+                ON CONFLICT (ip) DO UPDATE SET
+                    priority = GREATEST(enrichment_queue.priority, EXCLUDED.priority),
+                    needs_geolocation = enrichment_queue.needs_geolocation OR EXCLUDED.needs_geolocation,
+                    needs_hostname = enrichment_queue.needs_hostname OR EXCLUDED.needs_hostname,
+                    next_attempt_at = CASE WHEN EXCLUDED.priority > enrichment_queue.priority
+                                           THEN NOW() ELSE enrichment_queue.next_attempt_at END
+            `, [ips, priority, tasks.geolocation !== false, tasks.hostname !== false]);
+            return result.rowCount;
+        } catch (error) {
+            console.error('Error enqueueing enrichment:', error.message);
+            return 0;
+        }
+    }
+    
+    // Next due items, highest priority first
+    async getDueEnrichment(limit) {
+        try {
+            const result = await this.pool.query(`
+                SELECT ip, needs_geolocation, needs_hostname, priority, attempts
+                FROM enrichment_queue
+                WHERE next_attempt_at <= NOW()
+                ORDER BY priority DESC, next_attempt_at
+                LIMIT $1
+            `, [limit]);
+            return result.rows;
+        } catch (error) {
+            console.error('Error getting due enrichment:', error.message);
+            return [];
+        }
+    }
+    
+    async completeEnrichment(ips) {
+        if (ips.length === 0) return;
+        try {
+            await this.pool.query('DELETE FROM enrichment_queue WHERE ip = ANY($1)', [ips]);
+        } catch (error) {
+            console.error('Error completing enrichment:', error.message);
+        }
+    }
+    
+    // Keep only the unfinished tasks and push the next attempt out by delaySeconds
+    async retryEnrichment(ip, tasks, delaySeconds, errorMessage) {
+        try {
+            await this.pool.query(`
+                UPDATE enrichment_queue SET
+                    needs_geolocation = $2,
+                    needs_hostname = $3,
+                    attempts = attempts + 1,
+                    last_error = $4,
+                    next_attempt_at = NOW() + make_interval(secs => $5)
+                WHERE ip = $1
+            `, [ip, tasks.geolocation, tasks.hostname, errorMessage, delaySeconds]);
+        } catch (error) {
+            console.error('Error rescheduling enrichment:', error.message);
+        }
+    }
+    
+    async getEnrichmentQueueStats() {
+        try {
+            const result = await this.pool.query(`
+                SELECT COUNT(*) as depth,
+                       COUNT(*) FILTER (WHERE next_attempt_at <= NOW()) as due,
+                       COUNT(*) FILTER (WHERE attempts > 0) as retrying,
+                       COUNT(*) FILTER (WHERE priority > 0) as prioritized,
+                       COUNT(*) FILTER (WHERE needs_geolocation) as geolocation,
+                       COUNT(*) FILTER (WHERE needs_hostname) as hostname,
+                       MIN(enqueued_at) as oldest
+                FROM enrichment_queue
+            `);
+            const row = result.rows[0];
+            return {
+                depth: parseInt(row.depth),
+                due: parseInt(row.due),
+                retrying: parseInt(row.retrying),
+                prioritized: parseInt(row.prioritized),
+                geolocation: parseInt(row.geolocation),
+                hostname: parseInt(row.hostname),
+                oldest: row.oldest
+            };
+        } catch (error) {
+            console.error('Error getting enrichment queue stats:', error.message);
+            return null;
+        }
+    }
+
+    // Device inventory methods
+    // sightings: [{ ip, firstSeen, lastSeen }], one per internal IP
+    async recordDeviceSightings(sightings) {
+        if (!sightings || sightings.length === 0) return;
+        
+        try {
+            await this.pool.query(`
+                INSERT INTO devices (ip, first_seen, last_seen)
+                SELECT * FROM UNNEST($1::inet[], $2::timestamptz[], $3::timestamptz[])
+                ON CONFLICT (ip) DO UPDATE SET
+                    first_seen = LEAST(devices.first_seen, EXCLUDED.first_seen),
+                    last_seen = GREATEST(devices.last_seen, EXCLUDED.last_seen)
+            `, [
+                sightings.map(sighting => sighting.ip),
+                sightings.map(sighting => sighting.firstSeen),
+                sightings.map(sighting => sighting.lastSeen)
+            ]);
+        } catch (error) {
+            console.error('Error recording device sightings:', error.message);
+        }
+    }
+
+    // Devices with traffic totals and top destinations since options.since,
+    // taken from the hourly rollups plus the raw connections of the latest
+    // rolled-up hour onwards (that hour may be partial, and rows inserted since
+    // the last rollup pass aren't in it yet). options.ip limits it to one device.
+    async getDevices(options = {}) {
+        const since = options.since || new Date(Date.now() - 24 * 60 * 60 * 1000);
+        const topDestinations = options.topDestinations || 5;
+        const params = [since];
+        let deviceFilter = '';
+        if (options.ip) {
+            params.push(options.ip);
+            deviceFilter = `AND internal_ip = $2`;
+        }
+        
+        // internal_ip, ip, connections, bytes of every device's traffic since $1
+        const trafficSql = `
+            WITH rolled_up AS (
+                SELECT COALESCE(MAX(bucket), $1::timestamptz) AS until FROM connection_rollups_hourly
+            ),
+            traffic AS (
+                SELECT internal_ip, ip, connections, orig_bytes + reply_bytes AS bytes
+                FROM connection_rollups_hourly
+                WHERE bucket >= $1 AND bucket < (SELECT until FROM rolled_up) ${deviceFilter}
+                UNION ALL
+                SELECT internal_ip, ip, 1, COALESCE(orig_bytes, 0) + COALESCE(reply_bytes, 0)
+                FROM connections
+                WHERE timestamp >= GREATEST($1::timestamptz, (SELECT until FROM rolled_up)) ${deviceFilter}
+            )
+        `;
+        
+        try {
+            const [devices, destinations] = await Promise.all([
+                this.pool.query(`
+                    ${trafficSql}
+                    SELECT d.*, t.connections, t.bytes, t.destinations
+                    FROM devices d
+                    LEFT JOIN (
+                        SELECT internal_ip, SUM(connections) as connections,
+                               SUM(bytes) as bytes, COUNT(DISTINCT ip) as destinations
+                        FROM traffic
+                        GROUP BY internal_ip
+                    ) t ON t.internal_ip = d.ip
+                    ${options.ip ? 'WHERE d.ip = $2' : ''}
+                    ORDER BY d.last_seen DESC NULLS LAST
+                `, params),
+                this.pool.query(`
+                    ${trafficSql}
+                    SELECT ranked.*, g.hostname, g.country, g.country_code, g.org
+                    FROM (
+                        SELECT internal_ip, ip, SUM(connections) as connections,
+                               SUM(bytes) as bytes,
+                               ROW_NUMBER() OVER (
+                                   PARTITION BY internal_ip
+                                   ORDER BY SUM(bytes) DESC, SUM(connections) DESC
+                               ) as rank
+                        FROM traffic
+                        WHERE internal_ip IS NOT NULL
+                        GROUP BY internal_ip, ip
+                    ) ranked
+                    LEFT JOIN geolocations g ON ranked.ip = g.ip
+                    WHERE ranked.rank <= $${params.length + 1}
+                    ORDER BY ranked.internal_ip, ranked.rank
+                `, [...params, topDestinations])
+            ]);
+            
+            const topByDevice = new Map();
+            for (const row of destinations.rows) {
+                if (!topByDevice.has(row.internal_ip)) topByDevice.set(row.internal_ip, []);
+                topByDevice.get(row.internal_ip).push({
+                    ip: row.ip,
+                    hostname: row.hostname || null,
+                    country: row.country || null,
+                    countryCode: row.country_code || null,
+                    org: row.org || null,
+                    connections: parseInt(row.connections),
+                    bytes: Number(row.bytes)
+                });
             }
+            
+            return devices.rows.map(row => ({
+                ip: row.ip,
+                name: row.name,
+                mac: row.mac,
+                vendor: row.vendor,
+                firstSeen: row.first_seen,
+                lastSeen: row.last_seen,
+                connections: parseInt(row.connections || 0),
+                bytes: Number(row.bytes || 0),
+                destinations: parseInt(row.destinations || 0),
+                topDestinations: topByDevice.get(row.ip) || []
+            }));
+        } catch (error) {
+            console.error('Error getting devices:', error.message);
+            return [];
+        }
+    }
 
-            // Aggregate high-volume IPs into 5-minute buckets
-            if (this.highVolumeIPs.has(conn.ip) && conn.direction === 'outbound') {
-                const timestamp = new Date(conn.timestamp);
-                const bucketKey = `${conn.ip}-${Math.floor(timestamp.getTime() / 300000)}`; // 5-minute buckets
-                
-                if (aggregated.has(bucketKey)) {
-                    const existing = aggregated.get(bucketKey);
-                    existing.orig_packets += conn.orig_packets || 0;
-                    existing.orig_bytes += conn.orig_bytes || 0;
-                    existing.reply_packets += conn.reply_packets || 0;
-                    existing.reply_bytes += conn.reply_bytes || 0;
-                    continue;
-                } else {
-                    aggregated.set(bucketKey, { ...conn });
-                }
+    // Set name / mac / vendor (fields from validateDevice); false if the device is unknown
+    async updateDevice(ip, fields) {
+        const columns = Object.keys(fields);
+        const assignments = columns.map((column, index) => `${column} = $${index + 2}`);
+        
+        const result = await this.pool.query(`
+            UPDATE devices SET ${assignments.join(', ')}, updated_at = NOW()
+            WHERE ip = $1
+        `, [ip, ...columns.map(column => fields[column])]);
+        
+        return result.rowCount > 0;
+    }
+
+    // Service classification methods
+    async getServiceOverrides() {
+        try {
+            const result = await this.pool.query('SELECT port, protocol, name, sensitive, updated_at FROM service_overrides ORDER BY port, protocol');
+            return result.rows;
+        } catch (error) {
+            console.error('Error getting service overrides:', error.message);
+            return [];
+        }
+    }
+
+    async upsertServiceOverride(override) {
+        const result = await this.pool.query(`
+            INSERT INTO service_overrides (port, protocol, name, sensitive)
+            VALUES ($1, $2, $3, $4)
+            ON CONFLICT (port, protocol) DO UPDATE SET
+                name = EXCLUDED.name,
+                sensitive = EXCLUDED.sensitive,
+                updated_at = NOW()
+            RETURNING port, protocol, name, sensitive, updated_at
+        `, [override.port, override.protocol, override.name, override.sensitive]);
+        return result.rows[0];
+    }
+
+    async deleteServiceOverride(port, protocol) {
+        const result = await this.pool.query('DELETE FROM service_overrides WHERE port = $1 AND protocol = $2', [port, protocol]);
+        return result.rowCount > 0;
+    }
+
+    // Per-service traffic since options.since (optionally one direction).
+    // Connections are first grouped per service port, protocol, direction
+    // and remote IP so each group is classified once. Unclassified ports
+    // come back with service null.
+    async getServiceStats(options = {}) {
+        const params = [options.since || new Date(Date.now() - 24 * 60 * 60 * 1000)];
+        let directionFilter = '';
+        if (options.direction) {
+            params.push(options.direction);
+            directionFilter = `AND c.direction = $${params.length}`;
+        }
+        const serviceName = serviceNameSql('p.port', 'p.protocol', this.serviceTable, params);
+        
+        try {
+            const result = await this.pool.query(`
+                WITH per_port AS (
+                    SELECT ${SERVICE_PORT_SQL} as port, c.protocol, c.direction, c.ip,
+                           COUNT(*) as connections,
+                           SUM(COALESCE(c.orig_bytes, 0) + COALESCE(c.reply_bytes, 0)) as bytes,
+                           MAX(c.timestamp) as last_seen
+                    FROM connections c
+                    WHERE c.timestamp >= $1 AND ${publicIPSql('c.ip')} ${directionFilter}
+                    GROUP BY 1, 2, 3, 4
+                ), classified AS (
+                    SELECT p.*, ${serviceName} as service
+                    FROM per_port p
+                )
+                SELECT service,
+                       SUM(connections) as connections,
+                       SUM(connections) FILTER (WHERE direction = 'inbound') as inbound_count,
+                       SUM(connections) FILTER (WHERE direction = 'outbound') as outbound_count,
+                       SUM(bytes) as bytes,
+                       COUNT(DISTINCT ip) as remote_ips,
+                       COUNT(DISTINCT ip) FILTER (WHERE direction = 'inbound') as inbound_ips,
+                       MAX(last_seen) as last_seen
+                FROM classified
+                GROUP BY service
+                ORDER BY connections DESC
+            `, params);
+            
+            return result.rows.map(row => ({
+                service: row.service,
+                connections: parseInt(row.connections),
+                inboundCount: parseInt(row.inbound_count || 0),
+                outboundCount: parseInt(row.outbound_count || 0),
+                bytes: Number(row.bytes || 0),
+                remoteIPs: parseInt(row.remote_ips),
+                inboundIPs: parseInt(row.inbound_ips || 0),
+                lastSeen: row.last_seen
+            }));
+        } catch (error) {
+            console.error('Error getting service stats:', error.message);
+            return [];
+        }
+    }
+
+    // Allowlist / blocklist methods
+    async getListEntries() {
+        try {
+            const result = await this.pool.query('SELECT * FROM ip_list_entries ORDER BY list, id');
+            return result.rows;
+        } catch (error) {
+            console.error('Error getting list entries:', error.message);
+            return [];
+        }
+    }
+
+    async getListEntry(id) {
+        try {
+            const result = await this.pool.query('SELECT * FROM ip_list_entries WHERE id = $1', [id]);
+            return result.rows[0] || null;
+        } catch (error) {
+            console.error('Error getting list entry:', error.message);
+            return null;
+        }
+    }
+
+    async createListEntry(entry, createdBy) {
+        const result = await this.pool.query(`
+            INSERT INTO ip_list_entries (list, network, asn, action, note, expires_at, created_by)
+            VALUES ($1, $2, $3, $4, $5, $6, $7)
+            RETURNING *
+        `, [entry.list, entry.network, entry.asn, entry.action, entry.note, entry.expires_at, createdBy]);
+        return result.rows[0];
+    }
+
+    // Replace an entry (fields from validateListEntry); null if it doesn't exist
+    async updateListEntry(id, entry) {
+        const result = await this.pool.query(`
+            UPDATE ip_list_entries SET
+                list = $2,
+                network = $3,
+                asn = $4,
+                action = $5,
+                note = $6,
+                expires_at = $7,
+                updated_at = NOW()
+            WHERE id = $1
+            RETURNING *
+        `, [id, entry.list, entry.network, entry.asn, entry.action, entry.note, entry.expires_at]);
+        return result.rows[0] || null;
+    }
+
+    async deleteListEntry(id) {
+        const result = await this.pool.query('DELETE FROM ip_list_entries WHERE id = $1', [id]);
+        return result.rowCount > 0;
+    }
+
+    // Threat feed methods (see feeds.js)
+    async getThreatFeeds() {
+        try {
+            const result = await this.pool.query('SELECT * FROM threat_feeds ORDER BY name');
+            return result.rows;
+        } catch (error) {
+            console.error('Error getting threat feeds:', error.message);
+            return [];
+        }
+    }
+
+    async getThreatFeed(id) {
+        try {
+            const result = await this.pool.query('SELECT * FROM threat_feeds WHERE id = $1', [id]);
+            return result.rows[0] || null;
+        } catch (error) {
+            console.error('Error getting threat feed:', error.message);
+            return null;
+        }
+    }
+
+    async createThreatFeed(feed, createdBy) {
+        const result = await this.pool.query(`
+            INSERT INTO threat_feeds (name, source, refresh_minutes, score, enabled, created_by)
+            VALUES ($1, $2, $3, $4, $5, $6)
+            RETURNING *
+        `, [feed.name, feed.source, feed.refreshMinutes, feed.score, feed.enabled, createdBy]);
+        return result.rows[0];
+    }
+
+    // Replace a feed's settings (fields from validateFeed); null if it doesn't
+    // exist. A new source is fetched in full on the next refresh.
+    async updateThreatFeed(id, feed) {
+        const result = await this.pool.query(`
+            UPDATE threat_feeds SET
+                name = $2,
+                source = $3,
+                refresh_minutes = $4,
+                score = $5,
+                enabled = $6,
+                checksum = CASE WHEN source = $3 THEN checksum END,
+                updated_at = NOW()
+            WHERE id = $1
+            RETURNING *
+        `, [id, feed.name, feed.source, feed.refreshMinutes, feed.score, feed.enabled]);
+        return result.rows[0] || null;
+    }
+
+    async deleteThreatFeed(id) {
+        const result = await this.pool.query('DELETE FROM threat_feeds WHERE id = $1', [id]);
+        return result.rowCount > 0;
+    }
+
+    // Entries of the enabled feeds
+    async getThreatFeedEntries() {
+        try {
+            const result = await this.pool.query(`
+                SELECT e.feed_id, e.network::text AS network, e.first_seen, e.first_version
+                FROM threat_feed_entries e
+                JOIN threat_feeds f ON f.id = e.feed_id
+                WHERE f.enabled
+            `);
+            return result.rows;
+        } catch (error) {
+            console.error('Error getting threat feed entries:', error.message);
+            return [];
+        }
+    }
+
+    async getThreatFeedNetworks(feedId) {
+        const result = await this.pool.query('SELECT network::text AS network FROM threat_feed_entries WHERE feed_id = $1', [feedId]);
+        return result.rows.map(row => row.network);
+    }
+
+    async getThreatFeedVersions(feedId) {
+        try {
+            const result = await this.pool.query(
+                'SELECT * FROM threat_feed_versions WHERE feed_id = $1 ORDER BY version DESC',
+                [feedId]
+            );
+            return result.rows;
+        } catch (error) {
+            console.error('Error getting threat feed versions:', error.message);
+            return [];
+        }
+    }
+
+    // Apply a changed feed download as the next version: add and remove
+    // entries ({ checksum, entries, added, removed, invalid }, with added and
+    // removed as network lists) and record the version. Returns the version.
+    async saveThreatFeedVersion(feedId, update) {
+        return this.inTransaction(async (client) => {
+            const feed = await client.query(
+                'UPDATE threat_feeds SET version = version + 1 WHERE id = $1 RETURNING version',
+                [feedId]
+            );
+            const version = feed.rows[0].version;
+            
+            if (update.removed.length > 0) {
+                await client.query(
+                    'DELETE FROM threat_feed_entries WHERE feed_id = $1 AND network = ANY($2::cidr[])',
+                    [feedId, update.removed]
+                );
             }
+            if (update.added.length > 0) {
+                await client.query(`
+                    INSERT INTO threat_feed_entries (feed_id, network, first_version)
+                    SELECT $1, network, $3 FROM unnest($2::cidr[]) AS network
+                    ON CONFLICT (feed_id, network) DO NOTHING
+                `, [feedId, update.added, version]);
+            }
+            
+            await client.query(`
+                INSERT INTO threat_feed_versions (feed_id, version, checksum, entry_count, added, removed, invalid_lines)
+                VALUES ($1, $2, $3, $4, $5, $6, $7)
+            `, [feedId, version, update.checksum, update.entries, update.added.length, update.removed.length, update.invalid]);
+            
+            await client.query(`
+                UPDATE threat_feeds SET
+                    checksum = $2,
+                    entry_count = $3,
+                    last_refreshed_at = NOW(),
+                    last_attempt_at = NOW(),
+                    last_error = NULL
+                WHERE id = $1
+            `, [feedId, update.checksum, update.entries]);
+            
+            return version;
+        });
+    }
+
+    // Record a refresh that stored no new version: unchanged (error null) or failed
+    async recordThreatFeedAttempt(feedId, error) {
+        await this.pool.query(`
+            UPDATE threat_feeds SET
+                last_attempt_at = NOW(),
+                last_refreshed_at = CASE WHEN $2::text IS NULL THEN NOW() ELSE last_refreshed_at END,
+                last_error = $2
+            WHERE id = $1
+        `, [feedId, error]);
+    }
+
+    // Cloud range methods (see cloud-ranges.js)
+    async getCloudRangeSources() {
+        try {
+            const result = await this.pool.query('SELECT * FROM cloud_range_sources ORDER BY name');
+            return result.rows;
+        } catch (error) {
+            console.error('Error getting cloud range sources:', error.message);
+            return [];
+        }
+    }
+
+    async getCloudRangeSource(name) {
+        try {
+            const result = await this.pool.query('SELECT * FROM cloud_range_sources WHERE name = $1', [name]);
+            return result.rows[0] || null;
+        } catch (error) {
+            console.error('Error getting cloud range source:', error.message);
+            return null;
+        }
+    }
+
+    // Register a source ({ name, provider, format, locations }) or update the
+    // definition of an existing one; its ranges stay until the next import
+    async saveCloudRangeSource(source, createdBy) {
+        const result = await this.pool.query(`
+            INSERT INTO cloud_range_sources (name, provider, format, locations, created_by)
+            VALUES ($1, $2, $3, $4, $5)
+            ON CONFLICT (name) DO UPDATE SET
+                provider = EXCLUDED.provider,
+                format = EXCLUDED.format,
+                locations = EXCLUDED.locations
+            RETURNING *
+        `, [source.name, source.provider, source.format, source.locations, createdBy]);
+        return result.rows[0];
+    }
+
+    async deleteCloudRangeSource(name) {
+        const result = await this.pool.query('DELETE FROM cloud_range_sources WHERE name = $1', [name]);
+        return result.rowCount > 0;
+    }
+
+    // Replace a source's ranges ([{ network, service, region }]) with a fresh
+    // import. Returns the number of ranges stored.
+    async replaceCloudRanges(name, ranges) {
+        return this.inTransaction(async (client) => {
+            await client.query('DELETE FROM cloud_ranges WHERE source = $1', [name]);
+            const result = await client.query(`
+                INSERT INTO cloud_ranges (source, network, provider, service, region)
+                SELECT s.name, r.network, s.provider, r.service, r.region
+                FROM cloud_range_sources s,
+                     unnest($2::cidr[], $3::text[], $4::text[]) AS r (network, service, region)
+                WHERE s.name = $1
+                ON CONFLICT (source, network) DO NOTHING
+            `, [
+                name,
+                ranges.map(range => range.network),
+                ranges.map(range => range.service),
+                ranges.map(range => range.region)
+            ]);
+            
+            await client.query(`
+                UPDATE cloud_range_sources SET
+                    entry_count = $2,
+                    imported_at = NOW(),
+                    last_attempt_at = NOW(),
+                    last_error = NULL
+                WHERE name = $1
+            `, [name, result.rowCount]);
             
-            result.push(conn);
+            return result.rowCount;
+        });
+    }
+
+    async recordCloudRangeAttempt(name, error) {
+        await this.pool.query(
+            'UPDATE cloud_range_sources SET last_attempt_at = NOW(), last_error = $2 WHERE name = $1',
+            [name, error]
+        );
+    }
+
+    // Provider label of the most specific cloud range containing ip, or null
+    async getCloudRange(ip) {
+        try {
+            const result = await this.pool.query(`SELECT ${cloudRangeSql('$1::inet')} AS cloud`, [ip]);
+            return result.rows[0].cloud;
+        } catch (error) {
+            console.error('Error getting cloud range:', error.message);
+            return null;
+        }
+    }
+
+    // Runtime settings methods (see settings.js)
+    async getSettings() {
+        try {
+            const result = await this.pool.query('SELECT key, value, updated_by, updated_at FROM settings ORDER BY key');
+            return result.rows;
+        } catch (error) {
+            console.error('Error getting settings:', error.message);
+            return [];
+        }
+    }
+
+    // Upsert each { key, oldValue, newValue } and record it in settings_history, all or nothing
+    async saveSettings(changes, changedBy) {
+        await this.inTransaction(async (client) => {
+            for (const change of changes) {
+                await client.query(`
+                    INSERT INTO settings (key, value, updated_by, updated_at)
+                    VALUES ($1, $2::jsonb, $3, NOW())
+                    ON CONFLICT (key) DO UPDATE SET
+                        value = EXCLUDED.value,
+                        updated_by = EXCLUDED.updated_by,
+                        updated_at = NOW()
+                `, [change.key, JSON.stringify(change.newValue), changedBy]);
+                
+                await client.query(`
+                    INSERT INTO settings_history (key, old_value, new_value, changed_by)
+                    VALUES ($1, $2::jsonb, $3::jsonb, $4)
+                `, [change.key, JSON.stringify(change.oldValue), JSON.stringify(change.newValue), changedBy]);
+            }
+        });
+    }
+
+    async getSettingsHistory(options = {}) {
+        const params = [];
+        let where = '';
+        if (options.key) {
+            params.push(options.key);
+            where = `WHERE key = $1 OR key LIKE $1 || '.%'`;
+        }
+        params.push(options.limit || 100);
+        
+        try {
+            const result = await this.pool.query(`
+                SELECT id, key, old_value, new_value, changed_by, changed_at
+                FROM settings_history
+                ${where}
+                ORDER BY changed_at DESC, id DESC
+                LIMIT $${params.length}
+            `, params);
+            return result.rows;
+        } catch (error) {
+            console.error('Error getting settings history:', error.message);
+            return [];
+        }
+    }
+
+    // Alert rule methods
+    async getAlertRules(options = {}) {
+        try {
+            const query = options.enabledOnly
+                ? 'SELECT * FROM alert_rules WHERE enabled = TRUE ORDER BY id'
+                : 'SELECT * FROM alert_rules ORDER BY id';
+            const result = await this.pool.query(query);
+            return result.rows;
+        } catch (error) {
+            console.error('Error getting alert rules:', error.message);
+            return [];
+        }
+    }
+
+    async getAlertRule(id) {
+        try {
+            const result = await this.pool.query('SELECT * FROM alert_rules WHERE id = $1', [id]);
+            return result.rows[0] || null;
+        } catch (error) {
+            console.error('Error getting alert rule:', error.message);
+            return null;
+        }
+    }
+
+    async createAlertRule(rule) {
+        try {
+            const result = await this.pool.query(`
+                INSERT INTO alert_rules (name, enabled, conditions, channels, cooldown_minutes)
+                VALUES ($1, $2, $3, $4, $5)
+                RETURNING *
+            `, [
+                rule.name,
+                rule.enabled !== false,
+                JSON.stringify(rule.conditions || {}),
+                JSON.stringify(rule.channels || []),
+                rule.cooldown_minutes
+            ]);
+            return result.rows[0];
+        } catch (error) {
+            console.error('Error creating alert rule:', error.message);
+            return null;
         }
+    }
 
-        // Add aggregated connections
-        for (const aggregatedConn of aggregated.values()) {
-            result.push(aggregatedConn);
+    async updateAlertRule(id, rule) {
+        try {
+            const result = await this.pool.query(`
+                UPDATE alert_rules SET
+                    name = $2,
+                    enabled = $3,
+                    conditions = $4,
+                    channels = $5,
+                    cooldown_minutes = $6,
+                    updated_at = NOW()
+                WHERE id = $1
+                RETURNING *
+            `, [
+                id,
+                rule.name,
+                rule.enabled !== false,
+                JSON.stringify(rule.conditions || {}),
+                JSON.stringify(rule.channels || []),
+                rule.cooldown_minutes
+            ]);
+            return result.rows[0] || null;
+        } catch (error) {
+            console.error('Error updating alert rule:', error.message);
+            return null;
         }
+    }
 
-        return result;
+    async deleteAlertRule(id) {
+        try {
+            const result = await this.pool.query('DELETE FROM alert_rules WHERE id = $1', [id]);
+            return result.rowCount > 0;
+        } catch (error) {
+            console.error('Error deleting alert rule:', error.message);
+            return false;
+        }
+    }
+
+    // Dedup keys of a rule that already fired within its cooldown window
+    async getRecentAlertKeys(ruleId, dedupKeys, cooldownMinutes) {
+        try {
+            const result = await this.pool.query(`
+                SELECT DISTINCT dedup_key
+                FROM alert_history
+                WHERE rule_id = $1
+                AND dedup_key = ANY($2)
+                AND created_at > NOW() - ($3 * INTERVAL '1 minute')
+            `, [ruleId, dedupKeys, cooldownMinutes]);
+            return new Set(result.rows.map(row => row.dedup_key));
+        } catch (error) {
+            console.error('Error getting recent alert keys:', error.message);
+            return new Set();
+        }
+    }
+
+    async insertAlertHistory(alert) {
+        try {
+            const result = await this.pool.query(`
+                INSERT INTO alert_history (rule_id, rule_name, dedup_key, ip, match_count, summary, details, deliveries)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+                RETURNING id
+            `, [
+                alert.rule_id,
+                alert.rule_name,
+                alert.dedup_key,
+                alert.ip,
+                alert.match_count,
+                alert.summary,
+                JSON.stringify(alert.details || {}),
+                JSON.stringify(alert.deliveries || [])
+            ]);
+            return result.rows[0].id;
+        } catch (error) {
+            console.error('Error inserting alert history:', error.message);
+            return null;
+        }
+    }
+
+    async getAlertHistory(options = {}) {
+        const limit = options.limit || 100;
+        const queryParams = [];
+        let query = 'SELECT * FROM alert_history';
+        
+        if (options.ruleId) {
+            query += ` WHERE rule_id = $${queryParams.length + 1}`;
+            queryParams.push(options.ruleId);
+        }
+        
+        query += ` ORDER BY created_at DESC LIMIT $${queryParams.length + 1}`;
+        queryParams.push(limit);
+        
+        try {
+            const result = await this.pool.query(query, queryParams);
+            return result.rows;
+        } catch (error) {
+            console.error('Error getting alert history:', error.message);
+            return [];
+        }
+    }
+
+    // User, session and API token methods
+    async countUsers() {
+        try {
+            const result = await this.pool.query('SELECT COUNT(*) as count FROM users');
+            return parseInt(result.rows[0].count) || 0;
+        } catch (error) {
+            console.error('Error counting users:', error.message);
+            return 0;
+        }
+    }
+
+    async getUserByUsername(username) {
+        try {
+            const result = await this.pool.query('SELECT * FROM users WHERE username = $1', [username]);
+            return result.rows[0] || null;
+        } catch (error) {
+            console.error('Error getting user:', error.message);
+            return null;
+        }
+    }
+
+    async listUsers() {
+        try {
+            const result = await this.pool.query('SELECT id, username, role, created_at, last_login FROM users ORDER BY id');
+            return result.rows;
+        } catch (error) {
+            console.error('Error listing users:', error.message);
+            return [];
+        }
+    }
+
+    // Throws on duplicate usernames so the caller can report a conflict
+    async createUser(username, passwordHash, role) {
+        const result = await this.pool.query(`
+            INSERT INTO users (username, password_hash, role)
+            VALUES ($1, $2, $3)
+            RETURNING id, username, role, created_at
+        `, [username, passwordHash, role]);
+        return result.rows[0];
+    }
+
+    // Create the first admin account; returns null if any user already exists
+    async createInitialAdmin(username, passwordHash) {
+        const client = await this.pool.connect();
+        try {
+            await client.query('BEGIN');
+            await client.query('LOCK TABLE users IN EXCLUSIVE MODE');
+            const result = await client.query(`
+                INSERT INTO users (username, password_hash, role)
+                SELECT $1, $2, 'admin'
+                WHERE NOT EXISTS (SELECT 1 FROM users)
+                RETURNING id, username, role, created_at
+            `, [username, passwordHash]);
+            await client.query('COMMIT');
+            return result.rows[0] || null;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    async deleteUser(id) {
+        try {
+            const result = await this.pool.query('DELETE FROM users WHERE id = $1', [id]);
+            return result.rowCount > 0;
+        } catch (error) {
+            console.error('Error deleting user:', error.message);
+            return false;
+        }
+    }
+
+    async updateUserPassword(id, passwordHash) {
+        try {
+            const result = await this.pool.query('UPDATE users SET password_hash = $2 WHERE id = $1', [id, passwordHash]);
+            return result.rowCount > 0;
+        } catch (error) {
+            console.error('Error updating user password:', error.message);
+            return false;
+        }
+    }
+
+    async createSession(tokenHash, userId, expiresAt) {
+        await this.pool.query(
+            'INSERT INTO sessions (token_hash, user_id, expires_at) VALUES ($1, $2, $3)',
+            [tokenHash, userId, expiresAt]
+        );
+        await this.pool.query('UPDATE users SET last_login = NOW() WHERE id = $1', [userId]);
+    }
+
+    async getSessionUser(tokenHash) {
+        try {
+            const result = await this.pool.query(`
+                SELECT u.id, u.username, u.role
+                FROM sessions s
+                INNER JOIN users u ON s.user_id = u.id
+                WHERE s.token_hash = $1 AND s.expires_at > NOW()
+            `, [tokenHash]);
+            return result.rows[0] || null;
+        } catch (error) {
+            console.error('Error getting session:', error.message);
+            return null;
+        }
+    }
+
+    async deleteSession(tokenHash) {
+        try {
+            await this.pool.query('DELETE FROM sessions WHERE token_hash = $1', [tokenHash]);
+        } catch (error) {
+            console.error('Error deleting session:', error.message);
+        }
+    }
+
+    async deleteExpiredSessions() {
+        try {
+            const result = await this.pool.query('DELETE FROM sessions WHERE expires_at <= NOW()');
+            return result.rowCount;
+        } catch (error) {
+            console.error('Error deleting expired sessions:', error.message);
+            return 0;
+        }
+    }
+
+    async createApiToken(name, tokenHash, role, createdBy) {
+        const result = await this.pool.query(`
+            INSERT INTO api_tokens (name, token_hash, role, created_by)
+            VALUES ($1, $2, $3, $4)
+            RETURNING id, name, role, created_at
+        `, [name, tokenHash, role, createdBy]);
+        return result.rows[0];
+    }
+
+    // Looks up a token and records its use in one round-trip
+    async useApiToken(tokenHash) {
+        try {
+            const result = await this.pool.query(`
+                UPDATE api_tokens SET last_used_at = NOW()
+                WHERE token_hash = $1
+                RETURNING id, name, role
+            `, [tokenHash]);
+            return result.rows[0] || null;
+        } catch (error) {
+            console.error('Error checking API token:', error.message);
+            return null;
+        }
+    }
+
+    async listApiTokens() {
+        try {
+            const result = await this.pool.query(`
+                SELECT t.id, t.name, t.role, t.created_at, t.last_used_at, u.username as created_by
+                FROM api_tokens t
+                LEFT JOIN users u ON t.created_by = u.id
+                ORDER BY t.id
+            `);
+            return result.rows;
+        } catch (error) {
+            console.error('Error listing API tokens:', error.message);
+            return [];
+        }
+    }
+
+    async deleteApiToken(id) {
+        try {
+            const result = await this.pool.query('DELETE FROM api_tokens WHERE id = $1', [id]);
+            return result.rowCount > 0;
+        } catch (error) {
+            console.error('Error deleting API token:', error.message);
+            return false;
+        }
     }
 
     // Run all retention policies
     async runRetentionPolicies() {
         console.log('🔄 Running retention policies...');
         
+        // Summarize raw rows before any of them are purged
+        const rolledUpHours = await this.refreshRollups();
+        
+        let partitionsCreated = [];
+        try {
+            partitionsCreated = await this.ensurePartitions();
+        } catch (error) {
+            console.error('Error creating connection partitions:', error.message);
+        }
+        
         const results = {
+            rolledUpHours,
+            partitionsCreated: partitionsCreated.length,
             aged: await this.cleanupByAge(),
             sized: await this.cleanupBySize(),
-            geolocations: 0 // Could implement geolocation cleanup later
+            geolocations: 0, // Could implement geolocation cleanup later
+            rollups: await this.purgeRollups()
         };
         
-        // Run VACUUM to reclaim space (PostgreSQL specific)
-        try {
-            await this.pool.query('VACUUM ANALYZE');
-            console.log('✅ Database vacuumed and analyzed');
-        } catch (error) {
-            console.error('Error running VACUUM:', error.message);
+        // Dropped partitions return their space immediately, so there is
+        // nothing to VACUUM. Autovacuum never analyzes a partitioned parent,
+        // though, so refresh its statistics when the set of days changed.
+        if (partitionsCreated.length > 0 || results.aged > 0 || results.sized > 0) {
+            try {
+                await this.pool.query('ANALYZE connections');
+            } catch (error) {
+                console.error('Error analyzing connections:', error.message);
+            }
         }
         
         return results;
@@ -0,0 +1,83 @@
+const { normalizeIP } = require('./ip-utils');
+
+const MAC_PATTERN = /^[0-9a-f]{2}([:-])[0-9a-f]{2}(\1[0-9a-f]{2}){4}$/i;
+const MAX_TEXT_LENGTH = 100;
+
+// Inventory of internal hosts (connections.internal_ip). Every inserted batch
+// moves first/last seen forward; names, MACs and vendors are assigned by the
+// user through PUT /api/devices/:ip.
+class DeviceInventory {
+    constructor(db, options = {}) {
+        this.db = db;
+        this.log = options.logger || console.log;
+        this.queue = Promise.resolve();
+    }
+
+    // Subscribe to the database's insert events
+    attach() {
+        this.db.on('connectionsInserted', (connections) => {
+            this.queue = this.queue
+                .then(() => this.record(connections))
+                .catch(error => this.log(`Error updating device inventory: ${error.message}`));
+        });
+    }
+
+    // One sighting per internal IP in the batch. Returns the number of devices seen.
+    async record(connections) {
+        const sightings = new Map();
+
+        for (const conn of connections) {
+            const ip = normalizeIP(conn.internal_ip);
+            const seenAt = new Date(conn.timestamp);
+            if (!ip || ip === '0.0.0.0' || isNaN(seenAt.getTime())) continue;
+
+            const sighting = sightings.get(ip);
+            if (!sighting) {
+                sightings.set(ip, { ip, firstSeen: seenAt, lastSeen: seenAt });
+            } else {
+                if (seenAt < sighting.firstSeen) sighting.firstSeen = seenAt;
+                if (seenAt > sighting.lastSeen) sighting.lastSeen = seenAt;
+            }
+        }
+
+        await this.db.recordDeviceSightings([...sightings.values()]);
+        return sightings.size;
+    }
+}
+
+// Validate a PUT /api/devices/:ip body. Only fields present are changed and
+// null (or an empty string) clears one. Returns { device, errors }.
+function validateDevice(body) {
+    const errors = [];
+    const input = body || {};
+    const device = {};
+
+    for (const field of ['name', 'vendor']) {
+        if (input[field] === undefined) continue;
+        if (input[field] === null || input[field] === '') {
+            device[field] = null;
+        } else if (typeof input[field] !== 'string' || input[field].trim().length > MAX_TEXT_LENGTH) {
+            errors.push(`${field} must be a string of at most ${MAX_TEXT_LENGTH} characters`);
+        } else {
+            device[field] = input[field].trim();
+        }
+    }
+
+    if (input.mac !== undefined) {
+        if (input.mac === null || input.mac === '') {
+            device.mac = null;
+        } else if (typeof input.mac !== 'string' || !MAC_PATTERN.test(input.mac.trim())) {
+            errors.push('mac must look like aa:bb:cc:dd:ee:ff');
+        } else {
+            device.mac = input.mac.trim().toLowerCase().replace(/-/g, ':');
+        }
+    }
+
+    if (errors.length === 0 && Object.keys(device).length === 0) {
+        errors.push('at least one of name, mac or vendor is required');
+    }
+
+    return { device, errors };
+}
+
+module.exports = { DeviceInventory, validateDevice };
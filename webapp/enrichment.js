@@ -0,0 +1,280 @@
+const { TokenBucket } = require('./rate-limit');
+
+// Queue priorities: IPs the UI is asking about jump ahead of bulk work
+const PRIORITY_NORMAL = 0;
+const PRIORITY_VISIBLE = 10;
+
+const THROUGHPUT_WINDOW_MS = 60 * 1000;
+
+// Background geolocation and reverse DNS for newly seen IPs, decoupled from
+// ingestion. Work is kept in the enrichment_queue table so it survives
+// restarts (an in-memory queue stands in while the database is down).
+//
+// Each pass takes the highest-priority due IPs, geolocates them as one batch
+// through the cache/provider chain (which paces and batches provider calls)
+// and reverse-resolves them under a DNS token bucket. Failures are retried
+// with exponential backoff until maxAttempts.
+class EnrichmentQueue {
+    constructor(db, geoCache, options = {}) {
+        this.db = db;
+        this.geoCache = geoCache;
+        this.resolveHostname = options.resolveHostname;
+        this.hasHostname = options.hasHostname || (() => false);
+        this.log = options.logger || console.log;
+
+        this.batchSize = options.batchSize || 100;
+        this.idleMs = options.idleMs || 2000;
+        this.maxAttempts = options.maxAttempts || 6;
+        this.baseRetrySeconds = options.baseRetrySeconds || 30;
+        this.maxRetrySeconds = options.maxRetrySeconds || 60 * 60;
+        this.dnsBucket = new TokenBucket(options.dnsRatePerSecond || 20);
+
+        this.memoryQueue = new Map();
+        this.waiters = new Map();
+        this.timer = null;
+        this.running = false;
+        this.kicked = false;
+        this.stopped = true;
+
+        this.counters = {
+            enqueued: 0,
+            processed: 0,
+            geolocated: 0,
+            hostnamesResolved: 0,
+            retries: 0,
+            abandoned: 0,
+            batches: 0
+        };
+        this.completedAt = [];
+        this.lastBatchAt = null;
+    }
+
+    async enqueue(ips, options = {}) {
+        if (!ips || ips.length === 0) return 0;
+
+        const priority = options.priority || PRIORITY_NORMAL;
+        const tasks = { geolocation: true, hostname: true, ...(options.tasks || {}) };
+        let count;
+
+        if (this.db.isInitialized) {
+            count = await this.db.enqueueEnrichment(ips, priority, tasks);
+        } else {
+            for (const ip of ips) {
+                const existing = this.memoryQueue.get(ip);
+                this.memoryQueue.set(ip, {
+                    ip,
+                    needs_geolocation: tasks.geolocation || (existing ? existing.needs_geolocation : false),
+                    needs_hostname: tasks.hostname || (existing ? existing.needs_hostname : false),
+                    priority: Math.max(priority, existing ? existing.priority : priority),
+                    attempts: existing ? existing.attempts : 0,
+                    next_attempt_at: existing && priority <= existing.priority ? existing.next_attempt_at : Date.now()
+                });
+            }
+            count = ips.length;
+        }
+
+        this.counters.enqueued += count;
+        if (priority >= PRIORITY_VISIBLE) {
+            this.kick();
+        }
+        return count;
+    }
+
+    // Queue ip at UI priority and wait (up to timeoutMs) for it to be processed.
+    // Resolves true when both tasks finished, false on timeout or retry.
+    async prioritize(ip, timeoutMs = 10000) {
+        const done = this.waitFor(ip, timeoutMs);
+        await this.enqueue([ip], { priority: PRIORITY_VISIBLE });
+        return done;
+    }
+
+    waitFor(ip, timeoutMs) {
+        return new Promise(resolve => {
+            const waiter = (completed) => {
+                clearTimeout(timeout);
+                resolve(completed);
+            };
+            const timeout = setTimeout(() => {
+                const list = this.waiters.get(ip) || [];
+                this.waiters.set(ip, list.filter(entry => entry !== waiter));
+                if (this.waiters.get(ip).length === 0) this.waiters.delete(ip);
+                resolve(false);
+            }, timeoutMs);
+
+            if (!this.waiters.has(ip)) this.waiters.set(ip, []);
+            this.waiters.get(ip).push(waiter);
+        });
+    }
+
+    notify(ip, completed) {
+        const list = this.waiters.get(ip);
+        if (!list) return;
+        this.waiters.delete(ip);
+        list.forEach(waiter => waiter(completed));
+    }
+
+    async due(limit) {
+        if (this.db.isInitialized) {
+            return this.db.getDueEnrichment(limit);
+        }
+
+        const now = Date.now();
+        return [...this.memoryQueue.values()]
+            .filter(item => item.next_attempt_at <= now)
+            .sort((a, b) => b.priority - a.priority || a.next_attempt_at - b.next_attempt_at)
+            .slice(0, limit);
+    }
+
+    async complete(ips) {
+        if (this.db.isInitialized) {
+            await this.db.completeEnrichment(ips);
+        } else {
+            ips.forEach(ip => this.memoryQueue.delete(ip));
+        }
+    }
+
+    async retry(item, tasks, errorMessage) {
+        const delaySeconds = Math.min(this.baseRetrySeconds * Math.pow(2, item.attempts), this.maxRetrySeconds);
+
+        if (this.db.isInitialized) {
+            await this.db.retryEnrichment(item.ip, tasks, delaySeconds, errorMessage);
+        } else if (this.memoryQueue.has(item.ip)) {
+            Object.assign(this.memoryQueue.get(item.ip), {
+                needs_geolocation: tasks.geolocation,
+                needs_hostname: tasks.hostname,
+                attempts: item.attempts + 1,
+                next_attempt_at: Date.now() + delaySeconds * 1000
+            });
+        }
+    }
+
+    // One pass over the queue. Returns the number of items taken.
+    async processBatch() {
+        const items = await this.due(this.batchSize);
+        if (items.length === 0) return 0;
+
+        this.counters.batches++;
+        this.lastBatchAt = new Date();
+
+        const geoIPs = items.filter(item => item.needs_geolocation).map(item => item.ip);
+        let locations = new Map();
+        let geoError = null;
+        if (geoIPs.length > 0) {
+            try {
+                locations = await this.geoCache.getMany(geoIPs);
+            } catch (error) {
+                geoError = error.message;
+            }
+        }
+
+        const finished = [];
+
+        for (const item of items) {
+            const remaining = {
+                geolocation: item.needs_geolocation && !locations.has(item.ip),
+                hostname: item.needs_hostname
+            };
+            let error = remaining.geolocation ? `Geolocation: ${geoError || 'providers unavailable'}` : null;
+
+            if (item.needs_geolocation && !remaining.geolocation) {
+                this.counters.geolocated++;
+            }
+
+            if (remaining.hostname) {
+                try {
+                    if (!this.hasHostname(item.ip)) {
+                        await this.dnsBucket.take();
+                        await this.resolveHostname(item.ip);
+                    }
+                    remaining.hostname = false;
+                    this.counters.hostnamesResolved++;
+                } catch (dnsError) {
+                    error = error || `Reverse DNS: ${dnsError.message}`;
+                }
+            }
+
+            if (!remaining.geolocation && !remaining.hostname) {
+                finished.push(item.ip);
+                this.counters.processed++;
+                this.completedAt.push(Date.now());
+                this.notify(item.ip, true);
+            } else if (item.attempts + 1 >= this.maxAttempts) {
+                finished.push(item.ip);
+                this.counters.abandoned++;
+                this.log(`Giving up enrichment of ${item.ip} after ${item.attempts + 1} attempts: ${error}`);
+                this.notify(item.ip, false);
+            } else {
+                this.counters.retries++;
+                await this.retry(item, remaining, error);
+                this.notify(item.ip, false);
+            }
+        }
+
+        await this.complete(finished);
+        return items.length;
+    }
+
+    start() {
+        this.stopped = false;
+        this.schedule(0);
+    }
+
+    stop() {
+        this.stopped = true;
+        clearTimeout(this.timer);
+    }
+
+    // Run a pass as soon as possible (new high-priority work)
+    kick() {
+        if (this.running) {
+            this.kicked = true;
+        } else {
+            this.schedule(0);
+        }
+    }
+
+    schedule(delayMs) {
+        clearTimeout(this.timer);
+        if (!this.stopped) {
+            this.timer = setTimeout(() => this.run(), delayMs);
+        }
+    }
+
+    async run() {
+        if (this.running) return;
+        this.running = true;
+        this.kicked = false;
+
+        let taken = 0;
+        try {
+            taken = await this.processBatch();
+        } catch (error) {
+            this.log(`Error processing enrichment queue: ${error.message}`);
+        } finally {
+            this.running = false;
+        }
+
+        // Keep draining while there is a backlog, otherwise poll
+        this.schedule(taken >= this.batchSize || this.kicked ? 0 : this.idleMs);
+    }
+
+    async stats() {
+        const cutoff = Date.now() - THROUGHPUT_WINDOW_MS;
+        this.completedAt = this.completedAt.filter(time => time >= cutoff);
+
+        const queue = this.db.isInitialized
+            ? await this.db.getEnrichmentQueueStats()
+            : { depth: this.memoryQueue.size, storage: 'memory' };
+
+        return {
+            queue,
+            throughputPerMinute: this.completedAt.length,
+            ...this.counters,
+            running: this.running,
+            lastBatchAt: this.lastBatchAt,
+            dnsRateLimit: this.dnsBucket.describe()
+        };
+    }
+}
+
+module.exports = { EnrichmentQueue, PRIORITY_NORMAL, PRIORITY_VISIBLE };
@@ -0,0 +1,169 @@
+// Streaming exports of raw connection rows (GET /api/export). The database
+// hands rows over in batches from a server-side cursor
+// (ConnectionsDatabase.exportConnections) and each batch is serialized and
+// written before the next one is fetched, so memory use stays the same
+// however many rows match.
+//
+//   csv       header line, then one RFC 4180 record per row
+//   ndjson    one JSON object per line
+//   geojson   FeatureCollection of Points at the IP's geolocation (null
+//             geometry when unknown) with the columns as properties
+
+const { CONNECTION_SORTS } = require('./pagination');
+const { serviceNameSql, SERVICE_PORT_SQL } = require('./services');
+const { cloudRangeSql } = require('./cloud-ranges');
+
+// Exportable columns: name -> SQL over c (connections), g (geolocations) and
+// t (threat_intel), or a function (params, serviceTable) -> SQL for columns
+// that bind parameters. number marks values converted from pg's strings.
+const EXPORT_COLUMNS = {
+    id: { sql: 'c.id', number: true },
+    timestamp: { sql: 'c.timestamp' },
+    ip: { sql: 'c.ip' },
+    direction: { sql: 'c.direction' },
+    connection_type: { sql: 'c.connection_type' },
+    internal_ip: { sql: 'c.internal_ip' },
+    internal_port: { sql: 'c.internal_port', number: true },
+    external_port: { sql: 'c.external_port', number: true },
+    protocol: { sql: 'c.protocol' },
+    service: { sql: (params, serviceTable) => serviceNameSql(SERVICE_PORT_SQL, 'c.protocol', serviceTable, params) },
+    state: { sql: 'c.state' },
+    orig_packets: { sql: 'c.orig_packets', number: true },
+    orig_bytes: { sql: 'c.orig_bytes', number: true },
+    reply_packets: { sql: 'c.reply_packets', number: true },
+    reply_bytes: { sql: 'c.reply_bytes', number: true },
+    list_tag: { sql: 'c.list_tag' },
+    source_file: { sql: 'c.source_file' },
+    hostname: { sql: 'g.hostname' },
+    country: { sql: 'g.country' },
+    country_code: { sql: 'g.country_code' },
+    region: { sql: 'g.region' },
+    city: { sql: 'g.city' },
+    latitude: { sql: 'g.latitude', number: true },
+    longitude: { sql: 'g.longitude', number: true },
+    isp: { sql: 'g.isp' },
+    org: { sql: 'g.org' },
+    asn: { sql: 'g.asn' },
+    threat_level: { sql: "COALESCE(t.threat_level, 'unknown')" },
+    threat_score: { sql: 't.threat_score', number: true },
+    cloud_provider: { sql: `${cloudRangeSql('c.ip')}->>'provider'` },
+    cloud_service: { sql: `${cloudRangeSql('c.ip')}->>'service'` }
+};
+
+// Everything but the cloud labels, which cost a range lookup per row
+const DEFAULT_EXPORT_COLUMNS = Object.keys(EXPORT_COLUMNS).filter(name => !name.startsWith('cloud_'));
+
+function exportValue(row, name) {
+    const value = row[name];
+    if (value === null || value === undefined) return null;
+    if (value instanceof Date) return value.toISOString();
+    return EXPORT_COLUMNS[name].number ? Number(value) : value;
+}
+
+function csvField(value) {
+    if (value === null) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function exportObject(row, columns) {
+    return Object.fromEntries(columns.map(name => [name, exportValue(row, name)]));
+}
+
+// Serializer state for one export: header(), rows(rows) and footer() return
+// the text to write. extraColumns are fetched for the format's own use.
+const EXPORT_FORMATS = {
+    csv: {
+        contentType: 'text/csv; charset=utf-8',
+        extension: 'csv',
+        extraColumns: [],
+        create: (columns) => ({
+            header: () => `${columns.join(',')}\r\n`,
+            rows: (rows) => rows.map(row => `${columns.map(name => csvField(exportValue(row, name))).join(',')}\r\n`).join(''),
+            footer: () => ''
+        })
+    },
+    ndjson: {
+        contentType: 'application/x-ndjson',
+        extension: 'ndjson',
+        extraColumns: [],
+        create: (columns) => ({
+            header: () => '',
+            rows: (rows) => rows.map(row => `${JSON.stringify(exportObject(row, columns))}\n`).join(''),
+            footer: () => ''
+        })
+    },
+    geojson: {
+        contentType: 'application/geo+json',
+        extension: 'geojson',
+        extraColumns: ['latitude', 'longitude'],
+        create: (columns) => {
+            let first = true;
+            return {
+                header: () => '{"type":"FeatureCollection","features":[\n',
+                rows: (rows) => rows.map(row => {
+                    const latitude = exportValue(row, 'latitude');
+                    const longitude = exportValue(row, 'longitude');
+                    const feature = {
+                        type: 'Feature',
+                        geometry: latitude !== null && longitude !== null ? { type: 'Point', coordinates: [longitude, latitude] } : null,
+                        properties: exportObject(row, columns)
+                    };
+                    const separator = first ? '' : ',\n';
+                    first = false;
+                    return separator + JSON.stringify(feature);
+                }).join(''),
+                footer: () => '\n]}\n'
+            };
+        }
+    }
+};
+
+// Validate ?format=&columns=&sort=&order=&limit= of an export. Returns
+// { exportOptions, errors } like the other request validators;
+// exportOptions.fetchColumns adds the columns the format needs itself.
+function parseExportQuery(query) {
+    const errors = [];
+    const format = (query.format || 'csv').toLowerCase();
+    const columns = query.columns
+        ? [...new Set(String(query.columns).split(',').map(name => name.trim()).filter(Boolean))]
+        : DEFAULT_EXPORT_COLUMNS;
+    const sort = query.sort || 'timestamp';
+    const order = (query.order || 'asc').toLowerCase();
+    const limit = query.limit !== undefined ? parseInt(query.limit) : null;
+
+    if (!EXPORT_FORMATS[format]) {
+        errors.push(`format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+    }
+    const unknown = columns.filter(name => !EXPORT_COLUMNS[name]);
+    if (unknown.length > 0) {
+        errors.push(`unknown columns ${unknown.join(', ')}; available: ${Object.keys(EXPORT_COLUMNS).join(', ')}`);
+    }
+    if (columns.length === 0) {
+        errors.push('columns must name at least one column');
+    }
+    if (!CONNECTION_SORTS[sort]) {
+        errors.push(`sort must be one of ${Object.keys(CONNECTION_SORTS).join(', ')}`);
+    }
+    if (!['asc', 'desc'].includes(order)) {
+        errors.push('order must be asc or desc');
+    }
+    if (limit !== null && (!Number.isInteger(limit) || limit < 1)) {
+        errors.push('limit must be a positive integer');
+    }
+
+    const extraColumns = EXPORT_FORMATS[format] ? EXPORT_FORMATS[format].extraColumns : [];
+    return {
+        exportOptions: {
+            format,
+            columns,
+            fetchColumns: [...new Set([...columns, ...extraColumns])],
+            sort,
+            order,
+            limit
+        },
+        errors
+    };
+}
+
+module.exports = { EXPORT_COLUMNS, EXPORT_FORMATS, parseExportQuery };
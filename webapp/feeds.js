@@ -0,0 +1,296 @@
+// Offline threat feeds: plain-text blocklists with one address or CIDR range
+// per line and # or ; comments (FireHOL .netset, Spamhaus DROP, Emerging
+// Threats compromised-ips.txt and the like), imported from a file or URL on a
+// schedule. A refresh that changes a feed's contents becomes a new version;
+// each entry keeps the time and version it first appeared in. The entries of
+// enabled feeds are indexed in memory and matched at ingest and by
+// /api/threat-intel/:ip, where the 'feeds' threat intelligence provider turns
+// matches into a verdict (see threat-intel.js).
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { parseNetwork } = require('./lists');
+const { ipToBytes } = require('./ip-utils');
+
+const FETCH_TIMEOUT_MS = 30000;
+const MAX_FEED_BYTES = 50 * 1024 * 1024;
+const CHECK_INTERVAL_MS = 60 * 1000;
+const MIN_REFRESH_MINUTES = 5;
+const FEED_NAME_PATTERN = /^[A-Za-z0-9][\w.-]{0,63}$/;
+// Forget recorded ingest matches past this many IPs (they are re-recorded once)
+const MAX_RECORDED_MATCHES = 100000;
+
+// One network per line; everything after # or ; is a comment ("1.10.16.0/20 ; SBL256894").
+// Returns { networks, invalid } with networks deduplicated.
+function parseFeedText(text) {
+    const networks = new Set();
+    let invalid = 0;
+
+    for (const line of String(text).split(/\r?\n/)) {
+        const content = line.replace(/[#;].*$/, '').trim();
+        if (!content) continue;
+
+        const parsed = parseNetwork(content.split(/\s+/)[0]);
+        if (parsed) networks.add(parsed.network);
+        else invalid++;
+    }
+
+    return { networks: [...networks], invalid };
+}
+
+// Networks grouped by address length and prefix length, keyed by their masked
+// bytes, so a lookup costs one Map probe per distinct prefix length
+class NetworkIndex {
+    constructor() {
+        this.byLength = new Map(); // 4 | 16 -> Map(prefix -> Map(key -> values))
+        this.size = 0;
+    }
+
+    static key(bytes, prefix) {
+        const key = Buffer.from(bytes.subarray(0, Math.ceil(prefix / 8)));
+        if (prefix % 8 !== 0) key[key.length - 1] &= 0xff << (8 - prefix % 8);
+        return key.toString('hex');
+    }
+
+    add(network, value) {
+        const parsed = parseNetwork(network);
+        if (!parsed) return;
+
+        if (!this.byLength.has(parsed.bytes.length)) this.byLength.set(parsed.bytes.length, new Map());
+        const prefixes = this.byLength.get(parsed.bytes.length);
+        if (!prefixes.has(parsed.prefix)) prefixes.set(parsed.prefix, new Map());
+        const networks = prefixes.get(parsed.prefix);
+
+        const key = NetworkIndex.key(parsed.bytes, parsed.prefix);
+        if (!networks.has(key)) networks.set(key, []);
+        networks.get(key).push(value);
+        this.size++;
+    }
+
+    // Values of every network containing ip
+    lookup(ip) {
+        const bytes = ipToBytes(ip);
+        const prefixes = bytes ? this.byLength.get(bytes.length) : null;
+        if (!prefixes) return [];
+
+        const found = [];
+        for (const [prefix, networks] of prefixes) {
+            const values = networks.get(NetworkIndex.key(bytes, prefix));
+            if (values) found.push(...values);
+        }
+        return found;
+    }
+}
+
+class ThreatFeeds {
+    constructor(db, options = {}) {
+        this.db = db;
+        this.log = options.logger || console.log;
+        this.dataDir = options.dataDir || process.cwd();
+        this.feeds = [];
+        this.index = new NetworkIndex();
+        this.recorded = new Map(); // ip -> match signature last handed out by changedMatches()
+        this.refreshing = false;
+        this.timer = null;
+    }
+
+    // (Re)read the feeds and the entries of enabled ones. Returns the number of entries indexed.
+    async load() {
+        if (!this.db.isInitialized) return 0;
+
+        const [feeds, entries] = await Promise.all([this.db.getThreatFeeds(), this.db.getThreatFeedEntries()]);
+        const byId = new Map(feeds.map(feed => [feed.id, feed]));
+        const index = new NetworkIndex();
+        for (const entry of entries) {
+            const feed = byId.get(entry.feed_id);
+            if (!feed) continue;
+            index.add(entry.network, {
+                feed: feed.name,
+                score: feed.score,
+                network: entry.network,
+                since: entry.first_seen,
+                version: entry.first_version
+            });
+        }
+
+        this.feeds = feeds;
+        this.index = index;
+        this.recorded.clear();
+        return index.size;
+    }
+
+    // Number of enabled feeds with entries loaded
+    loadedCount() {
+        return this.feeds.filter(feed => feed.enabled && feed.entry_count > 0).length;
+    }
+
+    // Feed entries containing ip: [{ feed, score, network, since, version }], by feed name
+    matches(ip) {
+        return this.index.lookup(ip).sort((a, b) => a.feed.localeCompare(b.feed) || a.network.localeCompare(b.network));
+    }
+
+    // Listed IPs among ips whose matches changed since they were last returned
+    // here (or that were never returned), so ingest records each change once
+    changedMatches(ips) {
+        const changed = [];
+        for (const ip of new Set(ips)) {
+            const matched = this.matches(ip);
+            if (matched.length === 0) continue;
+
+            const signature = matched.map(match => `${match.feed}@${match.version}:${match.network}`).join(',');
+            if (this.recorded.get(ip) === signature) continue;
+
+            if (this.recorded.size >= MAX_RECORDED_MATCHES) this.recorded.clear();
+            this.recorded.set(ip, signature);
+            changed.push(ip);
+        }
+        return changed;
+    }
+
+    // Fetch and parse one feed and store a new version when its contents
+    // changed. Failures are recorded on the feed and rethrown.
+    // Returns { version, changed, entries, added, removed, invalid }.
+    async refresh(feed) {
+        let text;
+        try {
+            text = await this.fetchSource(feed.source);
+        } catch (error) {
+            await this.db.recordThreatFeedAttempt(feed.id, error.message);
+            throw error;
+        }
+
+        const checksum = crypto.createHash('sha256').update(text).digest('hex');
+        const { networks, invalid } = parseFeedText(text);
+        if (checksum === feed.checksum) {
+            await this.db.recordThreatFeedAttempt(feed.id, null);
+            return { version: feed.version, changed: false, entries: feed.entry_count, added: 0, removed: 0, invalid };
+        }
+        if (networks.length === 0) {
+            const message = `no addresses or CIDR ranges found (${invalid} unparseable lines)`;
+            await this.db.recordThreatFeedAttempt(feed.id, message);
+            throw new Error(message);
+        }
+
+        // Compare in parseNetwork() form so PostgreSQL's cidr text doesn't cause spurious changes
+        const current = new Set((await this.db.getThreatFeedNetworks(feed.id))
+            .map(network => (parseNetwork(network) || { network }).network));
+        const next = new Set(networks);
+        const added = networks.filter(network => !current.has(network));
+        const removed = [...current].filter(network => !next.has(network));
+
+        const version = await this.db.saveThreatFeedVersion(feed.id, {
+            checksum,
+            entries: networks.length,
+            added,
+            removed,
+            invalid
+        });
+        this.log(`Threat feed ${feed.name} updated to version ${version}: ${networks.length} entries (+${added.length} -${removed.length})`);
+        return { version, changed: true, entries: networks.length, added: added.length, removed: removed.length, invalid };
+    }
+
+    // Feed contents from an http(s) URL or a file (relative paths resolve against dataDir)
+    async fetchSource(source) {
+        if (/^https?:\/\//i.test(source)) {
+            const axios = require('axios');
+            const response = await axios.get(source, {
+                timeout: FETCH_TIMEOUT_MS,
+                responseType: 'text',
+                transformResponse: data => data,
+                maxContentLength: MAX_FEED_BYTES
+            });
+            return String(response.data);
+        }
+
+        const file = path.resolve(this.dataDir, source);
+        const stat = await fs.promises.stat(file);
+        if (stat.size > MAX_FEED_BYTES) {
+            throw new Error(`${file} is larger than ${MAX_FEED_BYTES / 1024 / 1024}MB`);
+        }
+        return fs.promises.readFile(file, 'utf8');
+    }
+
+    // Refresh enabled feeds whose schedule is due, then reload the index if
+    // any changed. Returns the number of feeds that changed.
+    async refreshDue() {
+        if (this.refreshing || !this.db.isInitialized) return 0;
+        this.refreshing = true;
+
+        let changed = 0;
+        try {
+            const now = Date.now();
+            const due = (await this.db.getThreatFeeds()).filter(feed => feed.enabled &&
+                (!feed.last_attempt_at || now - new Date(feed.last_attempt_at).getTime() >= feed.refresh_minutes * 60 * 1000));
+
+            for (const feed of due) {
+                try {
+                    if ((await this.refresh(feed)).changed) changed++;
+                } catch (error) {
+                    this.log(`Error refreshing threat feed ${feed.name}: ${error.message}`);
+                }
+            }
+            if (changed > 0) await this.load();
+        } catch (error) {
+            this.log(`Error checking threat feed schedules: ${error.message}`);
+        } finally {
+            this.refreshing = false;
+        }
+        return changed;
+    }
+
+    start() {
+        this.timer = setInterval(() => this.refreshDue(), CHECK_INTERVAL_MS);
+        this.refreshDue();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+}
+
+// Validate a feed: { name, source, refreshMinutes, score, enabled }. source is
+// an http(s) URL or a file path. Returns { feed, errors } like the other
+// request validators.
+function validateFeed(input) {
+    const errors = [];
+    const body = input || {};
+    const feed = {
+        name: typeof body.name === 'string' ? body.name.trim() : body.name,
+        source: typeof body.source === 'string' ? body.source.trim() : body.source,
+        refreshMinutes: body.refreshMinutes === undefined ? 1440 : body.refreshMinutes,
+        score: body.score === undefined ? 75 : body.score,
+        enabled: body.enabled === undefined ? true : body.enabled
+    };
+
+    if (typeof feed.name !== 'string' || !FEED_NAME_PATTERN.test(feed.name)) {
+        errors.push('name must be 1-64 letters, digits, dots, dashes or underscores');
+    }
+
+    if (typeof feed.source !== 'string' || feed.source === '') {
+        errors.push('source must be an http(s) URL or a file path');
+    } else if (/^[a-z][a-z0-9+.-]*:\/\//i.test(feed.source)) {
+        let url = null;
+        try {
+            url = new URL(feed.source);
+        } catch (error) {
+            url = null;
+        }
+        if (!url || !['http:', 'https:'].includes(url.protocol)) errors.push('source URLs must use http or https');
+    }
+
+    if (!Number.isInteger(feed.refreshMinutes) || feed.refreshMinutes < MIN_REFRESH_MINUTES) {
+        errors.push(`refreshMinutes must be an integer >= ${MIN_REFRESH_MINUTES}`);
+    }
+    if (!Number.isInteger(feed.score) || feed.score < 0 || feed.score > 100) {
+        errors.push('score must be an integer between 0 and 100');
+    }
+    if (typeof feed.enabled !== 'boolean') {
+        errors.push('enabled must be a boolean');
+    }
+
+    return { feed, errors };
+}
+
+module.exports = { ThreatFeeds, NetworkIndex, parseFeedText, validateFeed };
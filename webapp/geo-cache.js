@@ -0,0 +1,278 @@
+const fs = require('fs').promises;
+
+// Geolocation cache: the geolocations table is the authoritative store and a
+// bounded LRU sits in front of it. Successful lookups are trusted for ttlDays,
+// failed ones for negativeTtlMinutes, after which the provider chain is asked
+// again. A background refresher re-resolves stale entries for IPs that are
+// still seen in traffic so the collection cycle rarely waits on a provider.
+// Provider errors and rate limits are transient: nothing is negative-cached
+// and callers (the enrichment queue) retry later.
+class GeolocationCache {
+    constructor(db, geoip, options = {}) {
+        this.db = db;
+        this.geoip = geoip;
+        this.log = options.logger || console.log;
+
+        this.maxEntries = options.maxEntries || 10000;
+        this.ttlMs = (options.ttlDays || 30) * 24 * 60 * 60 * 1000;
+        this.negativeTtlMs = (options.negativeTtlMinutes || 60) * 60 * 1000;
+        this.refreshIntervalMs = (options.refreshIntervalMinutes || 30) * 60 * 1000;
+        this.refreshBatchSize = options.refreshBatchSize || 50;
+        this.refreshActiveDays = options.refreshActiveDays || 7;
+
+        // Map iteration order doubles as LRU order: oldest first
+        this.memory = new Map();
+        this.refreshTimer = null;
+        this.refreshing = false;
+
+        this.counters = {
+            hits: 0,
+            negativeHits: 0,
+            dbHits: 0,
+            misses: 0,
+            expired: 0,
+            evictions: 0,
+            lookups: 0,
+            lookupFailures: 0,
+            refreshed: 0
+        };
+        this.lastRefreshAt = null;
+    }
+
+    // Map of ip -> location, or null when no provider knows it (negative-cached).
+    // IPs whose lookup hit a transient provider failure (and have no stale
+    // answer) are left out.
+    async getMany(ips) {
+        const results = new Map();
+        let toLoad = [];
+
+        for (const ip of ips) {
+            const cached = this.memory.get(ip);
+            if (cached && cached.expiresAt > Date.now()) {
+                this.memory.delete(ip);
+                this.memory.set(ip, cached);
+                this.counters.hits++;
+                if (!cached.location) this.counters.negativeHits++;
+                results.set(ip, cached.location);
+                continue;
+            }
+            if (cached) {
+                this.memory.delete(ip);
+                this.counters.expired++;
+            }
+            toLoad.push(ip);
+        }
+
+        const stale = new Map();
+        if (toLoad.length > 0 && this.db.isInitialized) {
+            const rows = await this.db.getGeolocations(toLoad);
+            for (const row of rows) {
+                const entry = this.entryFromRow(row);
+                if (entry.expiresAt > Date.now()) {
+                    this.counters.dbHits++;
+                    this.remember(row.ip, entry);
+                    results.set(row.ip, entry.location);
+                } else {
+                    this.counters.expired++;
+                    if (entry.location) stale.set(row.ip, entry.location);
+                }
+            }
+            toLoad = toLoad.filter(ip => !results.has(ip));
+        }
+
+        if (toLoad.length > 0) {
+            this.counters.misses += toLoad.length;
+            const resolved = await this.resolveMany(toLoad, stale);
+            resolved.forEach((location, ip) => results.set(ip, location));
+        }
+
+        return results;
+    }
+
+    // Ask the provider chain and persist the outcome
+    async resolveMany(ips, stale = new Map()) {
+        this.counters.lookups += ips.length;
+        const answers = await this.geoip.lookupBatch(ips);
+        const results = new Map();
+
+        for (const ip of ips) {
+            const location = answers.get(ip);
+
+            if (location) {
+                if (this.db.isInitialized) {
+                    await this.db.insertGeolocation(ip, location);
+                }
+                this.remember(ip, { location, expiresAt: Date.now() + this.ttlMs });
+                results.set(ip, location);
+                continue;
+            }
+
+            this.counters.lookupFailures++;
+
+            // Keep serving the last good answer; the refresher retries it later
+            if (stale.has(ip)) {
+                this.remember(ip, { location: stale.get(ip), expiresAt: Date.now() + this.negativeTtlMs });
+                results.set(ip, stale.get(ip));
+                continue;
+            }
+
+            // Providers failed or were rate limited - don't let that stick
+            if (!answers.has(ip)) continue;
+
+            if (this.db.isInitialized) {
+                await this.db.insertGeolocationFailure(ip, 'No geolocation provider returned a location');
+            }
+            this.remember(ip, { location: null, expiresAt: Date.now() + this.negativeTtlMs });
+            results.set(ip, null);
+        }
+
+        return results;
+    }
+
+    // Cached answer without ever calling a provider (undefined when unknown)
+    async peekMany(ips) {
+        const results = new Map();
+        const missing = [];
+
+        for (const ip of ips) {
+            const cached = this.memory.get(ip);
+            if (cached) results.set(ip, cached.location);
+            else missing.push(ip);
+        }
+
+        if (missing.length > 0 && this.db.isInitialized) {
+            for (const row of await this.db.getGeolocations(missing)) {
+                const entry = this.entryFromRow(row);
+                this.remember(row.ip, entry);
+                results.set(row.ip, entry.location);
+            }
+        }
+
+        return results;
+    }
+
+    remember(ip, entry) {
+        this.memory.delete(ip);
+        this.memory.set(ip, entry);
+
+        while (this.memory.size > this.maxEntries) {
+            this.memory.delete(this.memory.keys().next().value);
+            this.counters.evictions++;
+        }
+    }
+
+    entryFromRow(row) {
+        const checkedAt = new Date(row.last_updated).getTime();
+
+        if (row.lookup_status === 'failed') {
+            return { location: null, expiresAt: checkedAt + this.negativeTtlMs };
+        }
+
+        return {
+            location: {
+                ip: row.ip,
+                country: row.country,
+                countryCode: row.country_code,
+                region: row.region,
+                city: row.city,
+                latitude: row.latitude !== null ? parseFloat(row.latitude) : null,
+                longitude: row.longitude !== null ? parseFloat(row.longitude) : null,
+                timezone: row.timezone,
+                isp: row.isp,
+                org: row.org,
+                asn: row.asn,
+                provider: row.provider,
+                cachedAt: new Date(checkedAt).toISOString()
+            },
+            expiresAt: checkedAt + this.ttlMs
+        };
+    }
+
+    // Re-resolve one batch of expired entries for recently active IPs
+    async refreshStale() {
+        if (this.refreshing || !this.db.isInitialized) return 0;
+        this.refreshing = true;
+
+        try {
+            const now = Date.now();
+            const rows = await this.db.getStaleGeolocations({
+                positiveBefore: new Date(now - this.ttlMs),
+                negativeBefore: new Date(now - this.negativeTtlMs),
+                activeSince: new Date(now - this.refreshActiveDays * 24 * 60 * 60 * 1000),
+                limit: this.refreshBatchSize
+            });
+
+            const stale = new Map();
+            for (const row of rows) {
+                this.memory.delete(row.ip);
+                const location = this.entryFromRow(row).location;
+                if (location) stale.set(row.ip, location);
+            }
+
+            const refreshed = await this.resolveMany(rows.map(row => row.ip), stale);
+            this.counters.refreshed += refreshed.size;
+
+            this.lastRefreshAt = new Date();
+            if (rows.length > 0) {
+                this.log(`Refreshed ${rows.length} stale geolocation entries`);
+            }
+            return rows.length;
+        } catch (error) {
+            this.log(`Error refreshing stale geolocations: ${error.message}`);
+            return 0;
+        } finally {
+            this.refreshing = false;
+        }
+    }
+
+    start() {
+        this.refreshTimer = setInterval(() => this.refreshStale(), this.refreshIntervalMs);
+    }
+
+    stop() {
+        clearInterval(this.refreshTimer);
+        this.refreshTimer = null;
+    }
+
+    // One-time import of the pre-database data/geolocation_cache.json. Entries
+    // already in the table win; the file is renamed so it is never read again.
+    async importLegacyFile(filePath) {
+        let entries;
+        try {
+            entries = JSON.parse(await fs.readFile(filePath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                this.log(`Error reading legacy geolocation cache ${filePath}: ${error.message}`);
+            }
+            return 0;
+        }
+
+        if (!this.db.isInitialized) return 0;
+
+        let imported = 0;
+        for (const [ip, location] of entries) {
+            if (!location || location.error || !location.latitude || !location.longitude) continue;
+            if (await this.db.getGeolocation(ip)) continue;
+
+            await this.db.insertGeolocation(ip, { ...location, provider: location.provider || 'ip-api' });
+            imported++;
+        }
+
+        await fs.rename(filePath, `${filePath}.imported`);
+        this.log(`Imported ${imported} entries from legacy geolocation cache (renamed to ${filePath}.imported)`);
+        return imported;
+    }
+
+    stats() {
+        return {
+            size: this.memory.size,
+            maxEntries: this.maxEntries,
+            ttlDays: this.ttlMs / (24 * 60 * 60 * 1000),
+            negativeTtlMinutes: this.negativeTtlMs / (60 * 1000),
+            ...this.counters,
+            lastRefreshAt: this.lastRefreshAt
+        };
+    }
+}
+
+module.exports = GeolocationCache;
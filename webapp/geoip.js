@@ -0,0 +1,421 @@
+const fs = require('fs');
+const MMDBReader = require('./mmdb');
+const { TokenBucket } = require('./rate-limit');
+
+const ONLINE_TIMEOUT_MS = 5000;
+const DATABASE_RECHECK_MS = 5 * 60 * 1000;
+const IP_API_BATCH_SIZE = 100;
+
+// Default request rates (tokens per second), overridable with GEOIP_RATE_LIMITS
+const DEFAULT_RATE_LIMITS = {
+    'ip-api': 40 / 60, // Free tier allows 45 single lookups per minute
+    'ip-api-batch': 14 / 60, // and 15 batch requests (100 IPs each) per minute
+    ipinfo: 1
+};
+
+// Geolocation provider chain. Providers are tried in the configured order and
+// the first one with coordinates wins; the result records which one answered.
+// Online providers are paced by token buckets and take batches where the
+// service supports it (ip-api: 100 IPs per request).
+//
+//   mmdb     local GeoLite2-City (+ optional GeoLite2-ASN) database, no network
+//   ip-api   http://ip-api.com (free, ~45 requests/minute)
+//   ipinfo   https://ipinfo.io (token optional, raises the free quota)
+//
+// In offline mode online providers are dropped from the chain entirely, so no
+// traffic IPs ever leave the box for geolocation.
+class GeoIPService {
+    constructor(options = {}) {
+        this.log = options.logger || console.log;
+        this.offline = options.offline === true;
+
+        const order = options.providers && options.providers.length > 0 ? options.providers : ['mmdb', 'ip-api'];
+        this.providers = [];
+
+        for (const name of order) {
+            const provider = createProvider(name, options);
+            if (!provider) {
+                this.log(`Unknown geolocation provider "${name}" ignored`);
+                continue;
+            }
+            if (this.offline && provider.online) {
+                this.log(`Offline mode: geolocation provider "${name}" disabled`);
+                continue;
+            }
+            this.providers.push(provider);
+        }
+
+        if (this.providers.length === 0) {
+            this.log('Warning: no geolocation providers enabled - locations will not be resolved');
+        }
+    }
+
+    // Returns location data tagged with `provider`, or null when nobody knows the IP.
+    // Throws when no provider could give a definite answer (errors, rate limits).
+    async lookup(ip) {
+        const results = await this.lookupBatch([ip]);
+        if (!results.has(ip)) {
+            throw new Error('No geolocation provider could answer');
+        }
+        return results.get(ip);
+    }
+
+    // Map of ip -> location, or ip -> null when every provider answered "unknown".
+    // IPs missing from the map hit an error or a rate-limited provider and
+    // should be retried later rather than negative-cached.
+    async lookupBatch(ips) {
+        const results = new Map();
+        const unsettled = new Set(); // Some provider failed or was unavailable for these
+        let remaining = [...ips];
+
+        for (const provider of this.providers) {
+            if (remaining.length === 0) break;
+
+            if (!provider.isAvailable()) {
+                // A missing local database is configuration, not a transient failure
+                if (provider.online) remaining.forEach(ip => unsettled.add(ip));
+                continue;
+            }
+
+            provider.stats.lookups += remaining.length;
+            let answers;
+            try {
+                answers = await provider.lookupBatch(remaining);
+            } catch (error) {
+                provider.stats.errors++;
+                provider.stats.lastError = error.message;
+                this.log(`Geolocation provider ${provider.name} failed for ${remaining.length} IP(s): ${error.message}`);
+                remaining.forEach(ip => unsettled.add(ip));
+                continue;
+            }
+
+            const stillMissing = [];
+            for (const ip of remaining) {
+                const location = answers.get(ip);
+                if (location && location.latitude !== undefined && location.latitude !== null &&
+                    location.longitude !== undefined && location.longitude !== null) {
+                    provider.stats.hits++;
+                    results.set(ip, {
+                        ip,
+                        ...location,
+                        provider: provider.name,
+                        cachedAt: new Date().toISOString()
+                    });
+                } else {
+                    if (answers.has(ip)) provider.stats.misses++;
+                    else unsettled.add(ip);
+                    stillMissing.push(ip);
+                }
+            }
+            remaining = stillMissing;
+        }
+
+        for (const ip of remaining) {
+            if (!unsettled.has(ip)) results.set(ip, null);
+        }
+
+        return results;
+    }
+
+    status() {
+        return {
+            offline: this.offline,
+            order: this.providers.map(provider => provider.name),
+            providers: this.providers.map(provider => ({
+                name: provider.name,
+                online: provider.online,
+                available: provider.isAvailable(),
+                ...provider.describe(),
+                stats: provider.stats
+            }))
+        };
+    }
+}
+
+const PROVIDER_NAMES = ['mmdb', 'ip-api', 'ipinfo'];
+
+function createProvider(name, options) {
+    const rates = { ...DEFAULT_RATE_LIMITS, ...(options.rateLimits || {}) };
+
+    switch (name) {
+        case 'mmdb':
+            return new MMDBProvider(options.cityDatabase, options.asnDatabase, options.logger);
+        case 'ip-api':
+            return new IpApiProvider(rates['ip-api'], rates['ip-api-batch']);
+        case 'ipinfo':
+            return new IpInfoProvider(options.ipinfoToken, rates.ipinfo);
+        default:
+            return null;
+    }
+}
+
+function newStats() {
+    return { lookups: 0, hits: 0, misses: 0, errors: 0, lastError: null };
+}
+
+// Local MaxMind-format databases. Files are re-opened when they change on disk
+// (e.g. after geoipupdate runs) and picked up if they appear after startup.
+class MMDBProvider {
+    constructor(cityPath, asnPath, logger) {
+        this.name = 'mmdb';
+        this.online = false;
+        this.log = logger || console.log;
+        this.stats = newStats();
+        this.databases = {
+            city: { path: cityPath, reader: null, mtime: 0, checkedAt: 0 },
+            asn: { path: asnPath, reader: null, mtime: 0, checkedAt: 0 }
+        };
+    }
+
+    refresh(database) {
+        const now = Date.now();
+        if (!database.path || now - database.checkedAt < DATABASE_RECHECK_MS) return;
+        database.checkedAt = now;
+
+        try {
+            const stat = fs.statSync(database.path);
+            if (stat.mtimeMs === database.mtime) return;
+
+            database.reader = MMDBReader.open(database.path);
+            database.mtime = stat.mtimeMs;
+            const info = database.reader.describe();
+            this.log(`Loaded ${info.type} database from ${database.path} (built ${info.builtAt.toISOString().slice(0, 10)})`);
+        } catch (error) {
+            if (error.code !== 'ENOENT' || database.reader) {
+                this.log(`Error loading MaxMind database ${database.path}: ${error.message}`);
+            }
+            database.reader = null;
+            database.mtime = 0;
+        }
+    }
+
+    isAvailable() {
+        this.refresh(this.databases.city);
+        this.refresh(this.databases.asn);
+        return this.databases.city.reader !== null;
+    }
+
+    describe() {
+        const describeDatabase = (database) => ({
+            path: database.path || null,
+            loaded: database.reader !== null,
+            ...(database.reader ? database.reader.describe() : {})
+        });
+        return { cityDatabase: describeDatabase(this.databases.city), asnDatabase: describeDatabase(this.databases.asn) };
+    }
+
+    // Local lookups are cheap; no pacing needed
+    async lookupBatch(ips) {
+        const results = new Map();
+        for (const ip of ips) {
+            results.set(ip, await this.lookup(ip));
+        }
+        return results;
+    }
+
+    async lookup(ip) {
+        const city = this.databases.city.reader.get(ip);
+        if (!city) return null;
+
+        // GeoLite2-City has no ISP data; GeoLite2-ASN fills in the network owner
+        const asn = this.databases.asn.reader ? this.databases.asn.reader.get(ip) : null;
+        const country = city.country || city.registered_country || {};
+        const subdivision = (city.subdivisions || [])[0] || {};
+        const location = city.location || {};
+        const owner = asn ? asn.autonomous_system_organization || null : null;
+
+        return {
+            country: englishName(country),
+            countryCode: country.iso_code || null,
+            region: englishName(subdivision),
+            city: englishName(city.city),
+            latitude: location.latitude,
+            longitude: location.longitude,
+            timezone: location.time_zone || null,
+            isp: owner,
+            org: owner,
+            asn: asn && asn.autonomous_system_number ? `AS${asn.autonomous_system_number}${owner ? ` ${owner}` : ''}` : null
+        };
+    }
+}
+
+function englishName(entity) {
+    return entity && entity.names ? entity.names.en || null : null;
+}
+
+// Shared pacing for free online services: a token bucket per provider and a
+// hold-off when the service says the quota is spent
+class OnlineProvider {
+    constructor(name, ratePerSecond) {
+        this.name = name;
+        this.online = true;
+        this.stats = newStats();
+        this.bucket = new TokenBucket(ratePerSecond);
+        this.blockedUntil = 0;
+    }
+
+    isAvailable() {
+        return Date.now() >= this.blockedUntil;
+    }
+
+    describe() {
+        return {
+            rateLimit: this.bucket.describe(),
+            blockedUntil: this.blockedUntil > Date.now() ? new Date(this.blockedUntil).toISOString() : null
+        };
+    }
+
+    // One request per IP; IPs that error are left out of the result
+    async lookupBatch(ips) {
+        const results = new Map();
+        for (const ip of ips) {
+            if (!this.isAvailable()) break;
+            try {
+                results.set(ip, await this.lookup(ip));
+            } catch (error) {
+                this.stats.errors++;
+                this.stats.lastError = error.message;
+            }
+        }
+        return results;
+    }
+
+    async throttle() {
+        await this.bucket.take();
+    }
+
+    block(seconds) {
+        this.blockedUntil = Date.now() + Math.max(seconds, 1) * 1000;
+    }
+}
+
+const IP_API_FIELDS = 'status,message,query,country,countryCode,regionName,city,lat,lon,timezone,isp,org,as';
+
+class IpApiProvider extends OnlineProvider {
+    constructor(ratePerSecond, batchRatePerSecond) {
+        super('ip-api', ratePerSecond);
+        this.url = 'http://ip-api.com';
+        this.batchBucket = new TokenBucket(batchRatePerSecond);
+    }
+
+    describe() {
+        return { ...super.describe(), batchRateLimit: this.batchBucket.describe() };
+    }
+
+    async lookup(ip) {
+        const axios = require('axios');
+        await this.throttle();
+
+        const response = await axios.get(`${this.url}/json/${ip}?fields=${IP_API_FIELDS}`, {
+            timeout: ONLINE_TIMEOUT_MS,
+            validateStatus: status => status === 200 || status === 429
+        });
+        this.checkQuota(response);
+
+        return response.data.status === 'success' ? ipApiLocation(response.data) : null;
+    }
+
+    // POST /batch resolves up to 100 IPs per request
+    async lookupBatch(ips) {
+        if (ips.length === 1) {
+            return super.lookupBatch(ips);
+        }
+
+        const axios = require('axios');
+        const results = new Map();
+
+        for (let i = 0; i < ips.length && this.isAvailable(); i += IP_API_BATCH_SIZE) {
+            const chunk = ips.slice(i, i + IP_API_BATCH_SIZE);
+            await this.batchBucket.take();
+
+            const response = await axios.post(`${this.url}/batch?fields=${IP_API_FIELDS}`, chunk, {
+                timeout: ONLINE_TIMEOUT_MS * 2,
+                validateStatus: status => status === 200 || status === 429
+            });
+            this.checkQuota(response);
+
+            response.data.forEach((entry, index) => {
+                results.set(chunk[index], entry.status === 'success' ? ipApiLocation(entry) : null);
+            });
+        }
+
+        return results;
+    }
+
+    // X-Rl: requests left in the current window, X-Ttl: seconds until it resets
+    checkQuota(response) {
+        const remaining = parseInt(response.headers['x-rl']);
+        const resetSeconds = parseInt(response.headers['x-ttl']) || 60;
+        if (response.status === 429 || remaining === 0) {
+            this.block(resetSeconds);
+        }
+        if (response.status === 429) {
+            throw new Error(`rate limited for ${resetSeconds}s`);
+        }
+    }
+}
+
+function ipApiLocation(data) {
+    return {
+        country: data.country,
+        countryCode: data.countryCode,
+        region: data.regionName,
+        city: data.city,
+        latitude: data.lat,
+        longitude: data.lon,
+        timezone: data.timezone,
+        isp: data.isp,
+        org: data.org,
+        asn: data.as
+    };
+}
+
+class IpInfoProvider extends OnlineProvider {
+    constructor(token, ratePerSecond) {
+        super('ipinfo', ratePerSecond);
+        this.token = token || null;
+    }
+
+    async lookup(ip) {
+        const axios = require('axios');
+        await this.throttle();
+
+        const response = await axios.get(`https://ipinfo.io/${encodeURIComponent(ip)}/json`, {
+            timeout: ONLINE_TIMEOUT_MS,
+            headers: this.token ? { Authorization: `Bearer ${this.token}` } : {},
+            validateStatus: status => status === 200 || status === 404 || status === 429
+        });
+
+        if (response.status === 429) {
+            this.block(60 * 60);
+            throw new Error('rate limited for 1h');
+        }
+        if (response.status === 404 || response.data.bogon || !response.data.loc) {
+            return null;
+        }
+
+        const [latitude, longitude] = response.data.loc.split(',').map(parseFloat);
+        const asnMatch = String(response.data.org || '').match(/^(AS\d+)\s*(.*)$/);
+
+        return {
+            country: response.data.country || null, // ipinfo only returns the ISO code
+            countryCode: response.data.country || null,
+            region: response.data.region || null,
+            city: response.data.city || null,
+            latitude,
+            longitude,
+            timezone: response.data.timezone || null,
+            isp: asnMatch ? asnMatch[2] : response.data.org || null,
+            org: asnMatch ? asnMatch[2] : response.data.org || null,
+            asn: response.data.org || null
+        };
+    }
+}
+
+// "mmdb, ip-api" -> ['mmdb', 'ip-api']
+function parseProviderList(value) {
+    if (!value) return [];
+    return value.split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+}
+
+module.exports = { GeoIPService, parseProviderList, PROVIDER_NAMES };
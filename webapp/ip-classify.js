@@ -0,0 +1,68 @@
+// The one answer to "is this address an external peer?" (IPv4 and IPv6).
+// classifyIP() puts an address in a category; ingest keeps only 'public'
+// peers, and the SQL helpers built from the same table keep listings, threat
+// check scheduling and stats in agreement with it.
+//
+//   public     routable internet address
+//   private    RFC 1918, IPv6 unique local (fc00::/7) and link-local
+//   cgnat      carrier-grade NAT shared space (100.64.0.0/10)
+//   loopback   127.0.0.0/8, ::1
+//   multicast  224.0.0.0/4, ff00::/8
+//   reserved   "this network", documentation, benchmarking, 240.0.0.0/4
+//              (including broadcast) and other special-purpose blocks
+//   wan        one of our own WAN addresses (only known to the server)
+
+const { normalizeIP } = require('./ip-utils');
+const { parseNetwork, networkContains } = require('./lists');
+
+// IANA special-purpose blocks that are never an internet peer. The blocks don't
+// overlap, so the first (only) match decides.
+const SPECIAL_NETWORKS = [
+    ['0.0.0.0/8', 'reserved'],          // "this network", includes 0.0.0.0
+    ['10.0.0.0/8', 'private'],
+    ['100.64.0.0/10', 'cgnat'],
+    ['127.0.0.0/8', 'loopback'],
+    ['169.254.0.0/16', 'private'],      // link-local
+    ['172.16.0.0/12', 'private'],
+    ['192.0.0.0/24', 'reserved'],       // IETF protocol assignments
+    ['192.0.2.0/24', 'reserved'],       // TEST-NET-1
+    ['192.88.99.0/24', 'reserved'],     // deprecated 6to4 relay anycast
+    ['192.168.0.0/16', 'private'],
+    ['198.18.0.0/15', 'reserved'],      // benchmarking
+    ['198.51.100.0/24', 'reserved'],    // TEST-NET-2
+    ['203.0.113.0/24', 'reserved'],     // TEST-NET-3
+    ['224.0.0.0/4', 'multicast'],
+    ['240.0.0.0/4', 'reserved'],        // future use, includes 255.255.255.255
+    ['::/128', 'reserved'],             // unspecified
+    ['::1/128', 'loopback'],
+    ['100::/64', 'reserved'],           // discard-only
+    ['2001:db8::/32', 'reserved'],      // documentation
+    ['3fff::/20', 'reserved'],          // documentation
+    ['fc00::/7', 'private'],            // unique local
+    ['fe80::/10', 'private'],           // link-local
+    ['ff00::/8', 'multicast']
+].map(([network, category]) => ({ ...parseNetwork(network), category }));
+
+// Category of ip, 'wan' when it is one of wanIPs (normalized addresses).
+// Null when ip isn't an address.
+function classifyIP(ip, wanIPs = []) {
+    const normalized = normalizeIP(ip);
+    if (!normalized) return null;
+    if (wanIPs.includes(normalized)) return 'wan';
+
+    const special = SPECIAL_NETWORKS.find(network => networkContains(network, normalized));
+    return special ? special.category : 'public';
+}
+
+function isPublicIP(ip, wanIPs = []) {
+    return classifyIP(ip, wanIPs) === 'public';
+}
+
+// SQL condition: ipExpr is a public address (the database doesn't know the WAN
+// addresses, but ingest never stores them)
+function publicIPSql(ipExpr) {
+    const networks = SPECIAL_NETWORKS.map(network => `'${network.network}'`).join(', ');
+    return `NOT (${ipExpr} <<= ANY(ARRAY[${networks}]::cidr[]))`;
+}
+
+module.exports = { SPECIAL_NETWORKS, classifyIP, isPublicIP, publicIPSql };
@@ -0,0 +1,123 @@
+// IP address helpers shared by the server and database layers (IPv4 and IPv6)
+
+const net = require('net');
+
+// Candidate address tokens in free text: hex digits, dots, colons and optional brackets
+const IP_TOKEN_PATTERN = /\[?[0-9A-Fa-f:.]*[:.][0-9A-Fa-f:.]*\]?/g;
+
+// Returns 4, 6 or 0 like net.isIP(), after normalization
+function ipVersion(ip) {
+    const normalized = normalizeIP(ip);
+    return normalized ? net.isIP(normalized) : 0;
+}
+
+function isValidIP(ip) {
+    return ipVersion(ip) !== 0;
+}
+
+// Canonical text form so the same address always compares equal:
+// strips brackets and zone IDs, unwraps IPv4-mapped IPv6 (::ffff:1.2.3.4)
+// and compresses IPv6 per RFC 5952. Returns null for anything that isn't an IP.
+function normalizeIP(ip) {
+    if (typeof ip !== 'string') return null;
+
+    let candidate = ip.trim();
+    if (candidate.startsWith('[') && candidate.endsWith(']')) {
+        candidate = candidate.slice(1, -1);
+    }
+    candidate = candidate.replace(/%.*$/, ''); // fe80::1%eth0
+
+    const version = net.isIP(candidate);
+    if (version === 4) return candidate;
+    if (version !== 6) return null;
+
+    // The WHATWG URL parser already implements RFC 5952 canonical form
+    const canonical = new URL(`http://[${candidate}]/`).hostname.slice(1, -1);
+
+    const mapped = canonical.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+    if (mapped) {
+        const high = parseInt(mapped[1], 16);
+        const low = parseInt(mapped[2], 16);
+        return [high >> 8, high & 0xff, low >> 8, low & 0xff].join('.');
+    }
+
+    return canonical;
+}
+
+// Expand an IPv6 address into its eight 16-bit groups
+function ipv6Groups(ip) {
+    const [head, tail] = ip.split('::');
+    const headGroups = head ? head.split(':') : [];
+    const tailGroups = tail !== undefined && tail !== '' ? tail.split(':') : [];
+    const missing = 8 - headGroups.length - tailGroups.length;
+    const groups = [...headGroups, ...new Array(tail !== undefined ? missing : 0).fill('0'), ...tailGroups];
+    return groups.map(group => parseInt(group, 16) || 0);
+}
+
+// Network-order bytes of an address: 4 for IPv4, 16 for IPv6. Null when invalid.
+function ipToBytes(ip) {
+    const normalized = normalizeIP(ip);
+    if (!normalized) return null;
+
+    if (net.isIPv4(normalized)) {
+        return Buffer.from(normalized.split('.').map(octet => parseInt(octet, 10)));
+    }
+
+    const bytes = Buffer.alloc(16);
+    ipv6Groups(normalized).forEach((group, index) => bytes.writeUInt16BE(group, index * 2));
+    return bytes;
+}
+
+// Pull every IPv4/IPv6 address out of a log line or netstat/ss row.
+// Handles "1.2.3.4:443", "[2001:db8::1]:443" and IPv4-mapped forms.
+function extractIPsFromText(text) {
+    if (!text) return [];
+
+    const found = [];
+    const tokens = String(text).match(IP_TOKEN_PATTERN) || [];
+
+    for (const token of tokens) {
+        let candidate = token;
+
+        // [v6]:port - keep what's inside the brackets
+        const bracketed = candidate.match(/^\[([^\]]+)\]/);
+        if (bracketed) {
+            candidate = bracketed[1];
+        } else {
+            candidate = candidate.replace(/[\[\]]/g, '');
+        }
+
+        // The token as is first: stray dots and colons are only trimmed when
+        // it doesn't parse, since a leading "::" belongs to "::1" and "::ffff:..."
+        const attempts = [
+            candidate,
+            candidate.replace(/[.:]+$/, ''),
+            candidate.replace(/^[.:]+|[.:]+$/g, '')
+        ];
+
+        let normalized = null;
+        for (const attempt of attempts) {
+            normalized = normalizeIP(attempt);
+
+            // v4:port - drop the trailing port
+            if (!normalized && attempt.includes(':')) {
+                normalized = normalizeIP(attempt.replace(/:\d{1,5}$/, ''));
+            }
+            if (normalized) break;
+        }
+
+        if (normalized) {
+            found.push(normalized);
+        }
+    }
+
+    return found;
+}
+
+module.exports = {
+    ipVersion,
+    isValidIP,
+    normalizeIP,
+    ipToBytes,
+    extractIPsFromText
+};
@@ -0,0 +1,211 @@
+// Managed allowlist and blocklist. Each entry covers one address, a CIDR
+// range or an ASN, carries a note and may expire. At ingest, connections
+// matching an allowlist entry whose action is 'drop' are discarded and the
+// rest are tagged with the list they matched (connections.list_tag). An IP
+// on both lists counts as blocklisted. Listing filters and threat-intel
+// scheduling evaluate membership in SQL against the current entries.
+
+const { normalizeIP, ipToBytes } = require('./ip-utils');
+
+const LISTS = ['allow', 'block'];
+const ACTIONS = ['tag', 'drop'];
+const LIST_FILTERS = ['allow', 'block', 'unlisted'];
+const MAX_NOTE_LENGTH = 200;
+
+// "AS15169 Google LLC", "AS15169" or 15169 -> 15169 (null when not an ASN)
+function asnNumber(value) {
+    if (value === null || value === undefined) return null;
+    const match = String(value).trim().match(/^(?:AS)?(\d+)(?:\s|$)/i);
+    const asn = match ? parseInt(match[1]) : NaN;
+    return asn > 0 && asn <= 4294967295 ? asn : null;
+}
+
+// Parse "1.2.3.4", "10.0.0.0/8" or "2001:db8::/32". Host bits are cleared
+// (10.1.2.3/8 becomes 10.0.0.0/8) because cidr columns reject them.
+// Returns { network, bytes, prefix } or null when invalid.
+function parseNetwork(value) {
+    const parts = String(value).trim().split('/');
+    if (parts.length > 2) return null;
+
+    const bytes = ipToBytes(parts[0]);
+    if (!bytes) return null;
+
+    const bits = bytes.length * 8;
+    if (parts.length === 2 && !/^\d{1,3}$/.test(parts[1])) return null;
+    const prefix = parts.length === 2 ? parseInt(parts[1]) : bits;
+    if (prefix > bits) return null;
+
+    for (let bit = prefix; bit < bits; bit++) {
+        bytes[bit >> 3] &= ~(0x80 >> (bit & 7));
+    }
+
+    let address;
+    if (bytes.length === 4) {
+        address = [...bytes].join('.');
+    } else {
+        const groups = [];
+        for (let index = 0; index < 16; index += 2) groups.push(bytes.readUInt16BE(index).toString(16));
+        address = normalizeIP(groups.join(':'));
+    }
+
+    return { network: `${address}/${prefix}`, bytes, prefix };
+}
+
+function networkContains(network, ip) {
+    const bytes = ipToBytes(ip);
+    if (!bytes || bytes.length !== network.bytes.length) return false;
+
+    for (let bit = 0; bit < network.prefix; bit++) {
+        const mask = 0x80 >> (bit & 7);
+        if ((bytes[bit >> 3] & mask) !== (network.bytes[bit >> 3] & mask)) return false;
+    }
+    return true;
+}
+
+// SQL: 'block', 'allow' or NULL for ipExpr against the unexpired entries.
+// ASN entries match through the IP's geolocation.
+function listStatusSql(ipExpr) {
+    const matches = (list) => `EXISTS (
+        SELECT 1 FROM ip_list_entries l
+        WHERE l.list = '${list}'
+          AND (l.expires_at IS NULL OR l.expires_at > NOW())
+          AND (${ipExpr} <<= l.network OR l.asn = (
+              SELECT substring(lg.asn FROM '^AS(\\d+)')::int FROM geolocations lg WHERE lg.ip = ${ipExpr}
+          ))
+    )`;
+    return `(CASE WHEN ${matches('block')} THEN 'block' WHEN ${matches('allow')} THEN 'allow' END)`;
+}
+
+class IPLists {
+    constructor(db, options = {}) {
+        this.db = db;
+        this.geoCache = options.geoCache || null;
+        this.entries = [];
+    }
+
+    // (Re)read the entries. Returns the number loaded.
+    async load() {
+        if (!this.db.isInitialized) return 0;
+        const rows = await this.db.getListEntries();
+        this.entries = rows.map(row => ({
+            ...row,
+            parsed: row.network ? parseNetwork(row.network) : null
+        }));
+        return this.entries.length;
+    }
+
+    active() {
+        const now = Date.now();
+        return this.entries.filter(entry => !entry.expires_at || new Date(entry.expires_at).getTime() > now);
+    }
+
+    // Unexpired entries matching an IP and (optionally) its ASN
+    matches(ip, asn) {
+        const asNumber = asnNumber(asn);
+        return this.active().filter(entry => entry.parsed
+            ? networkContains(entry.parsed, ip)
+            : asNumber !== null && entry.asn === asNumber);
+    }
+
+    // 'block', 'allow' or null
+    statusOf(ip, asn) {
+        const matched = this.matches(ip, asn);
+        if (matched.some(entry => entry.list === 'block')) return 'block';
+        return matched.length > 0 ? 'allow' : null;
+    }
+
+    // Tag connections (list_tag) and drop those an allowlist 'drop' entry
+    // covers. ASNs come from already cached geolocations only, so traffic
+    // from an IP that has never been geolocated can't match an ASN entry yet.
+    // Returns { connections, dropped }.
+    async apply(connections) {
+        const active = this.active();
+        if (active.length === 0) return { connections, dropped: 0 };
+
+        let asns = new Map();
+        if (this.geoCache && active.some(entry => entry.asn)) {
+            const locations = await this.geoCache.peekMany([...new Set(connections.map(conn => conn.ip))]);
+            asns = new Map([...locations].map(([ip, location]) => [ip, location ? location.asn : null]));
+        }
+
+        const kept = [];
+        for (const conn of connections) {
+            const matched = this.matches(conn.ip, asns.get(conn.ip));
+            if (matched.some(entry => entry.list === 'block')) {
+                kept.push({ ...conn, list_tag: 'block' });
+            } else if (matched.some(entry => entry.action === 'drop')) {
+                continue;
+            } else {
+                kept.push({ ...conn, list_tag: matched.length > 0 ? 'allow' : null });
+            }
+        }
+
+        return { connections: kept, dropped: connections.length - kept.length };
+    }
+}
+
+// Validate a list entry: { list, network | asn, action, note, expires_at }.
+// network takes an address or CIDR range. Returns { entry, errors } like the
+// other request validators.
+function validateListEntry(input) {
+    const errors = [];
+    const body = input || {};
+    const entry = {
+        list: body.list,
+        network: null,
+        asn: null,
+        action: body.action || 'tag',
+        note: null,
+        expires_at: null
+    };
+
+    if (!LISTS.includes(body.list)) {
+        errors.push(`list must be one of ${LISTS.join(', ')}`);
+    }
+
+    const hasNetwork = body.network !== undefined && body.network !== null && body.network !== '';
+    const hasAsn = body.asn !== undefined && body.asn !== null && body.asn !== '';
+    if (hasNetwork === hasAsn) {
+        errors.push('exactly one of network (an IP address or CIDR range) or asn is required');
+    } else if (hasNetwork) {
+        const parsed = parseNetwork(body.network);
+        if (parsed) entry.network = parsed.network;
+        else errors.push('network must be an IP address or CIDR range');
+    } else {
+        entry.asn = asnNumber(body.asn);
+        if (entry.asn === null) errors.push('asn must be an AS number like 15169 or AS15169');
+    }
+
+    if (!ACTIONS.includes(entry.action)) {
+        errors.push(`action must be one of ${ACTIONS.join(', ')}`);
+    } else if (entry.action === 'drop' && body.list === 'block') {
+        errors.push('only allowlist entries can drop traffic');
+    }
+
+    if (body.note !== undefined && body.note !== null && body.note !== '') {
+        if (typeof body.note !== 'string' || body.note.trim().length > MAX_NOTE_LENGTH) {
+            errors.push(`note must be a string of at most ${MAX_NOTE_LENGTH} characters`);
+        } else {
+            entry.note = body.note.trim();
+        }
+    }
+
+    if (body.expires_at !== undefined && body.expires_at !== null && body.expires_at !== '') {
+        const expiresAt = new Date(body.expires_at);
+        if (isNaN(expiresAt.getTime())) errors.push('expires_at must be a date');
+        else entry.expires_at = expiresAt.toISOString();
+    }
+
+    return { entry, errors };
+}
+
+module.exports = {
+    IPLists,
+    validateListEntry,
+    listStatusSql,
+    parseNetwork,
+    networkContains,
+    asnNumber,
+    LISTS,
+    LIST_FILTERS
+};
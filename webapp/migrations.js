@@ -0,0 +1,650 @@
+// Versioned schema migrations for the PostgreSQL backend.
+//
+// Each entry is applied once, in order, inside its own transaction and
+// recorded in schema_migrations. Never edit a migration that has shipped -
+// append a new one with the next version number instead.
+
+// Arbitrary key for pg_advisory_lock so two processes (server.js and
+// migrate_to_db.js) never migrate the same database at the same time
+const MIGRATION_LOCK_KEY = 72617461;
+
+const migrations = [
+    {
+        version: 1,
+        name: 'initial_schema',
+        // IF NOT EXISTS so databases created by hand before migrations existed
+        // are adopted as version 1 without touching their data
+        up: `
+            CREATE TABLE IF NOT EXISTS connections (
+                id BIGSERIAL PRIMARY KEY,
+                ip INET NOT NULL,
+                timestamp TIMESTAMPTZ NOT NULL,
+                direction TEXT NOT NULL,
+                connection_type TEXT,
+                internal_ip INET,
+                internal_port INTEGER,
+                external_port INTEGER,
+                state TEXT,
+                orig_packets BIGINT DEFAULT 0,
+                orig_bytes BIGINT DEFAULT 0,
+                reply_packets BIGINT DEFAULT 0,
+                reply_bytes BIGINT DEFAULT 0,
+                details TEXT,
+                source_file TEXT,
+                created_at TIMESTAMPTZ DEFAULT NOW(),
+                UNIQUE (ip, timestamp, direction, internal_ip, external_port)
+            );
+
+            CREATE TABLE IF NOT EXISTS geolocations (
+                ip INET PRIMARY KEY,
+                country TEXT,
+                country_code TEXT,
+                region TEXT,
+                city TEXT,
+                latitude DOUBLE PRECISION,
+                longitude DOUBLE PRECISION,
+                timezone TEXT,
+                isp TEXT,
+                org TEXT,
+                asn TEXT,
+                hostname TEXT,
+                last_updated TIMESTAMPTZ DEFAULT NOW()
+            );
+
+            CREATE TABLE IF NOT EXISTS threat_intel (
+                ip INET PRIMARY KEY,
+                virustotal_reputation INTEGER,
+                virustotal_total INTEGER,
+                virustotal_categories TEXT,
+                abuseipdb_confidence INTEGER,
+                abuseipdb_usage_type TEXT,
+                abuseipdb_total_reports INTEGER,
+                abuseipdb_categories TEXT,
+                threat_level TEXT,
+                last_checked TIMESTAMPTZ DEFAULT NOW()
+            );
+        `
+    },
+    {
+        version: 2,
+        name: 'query_indexes',
+        // Indexes backing the history, aggregation, search and threat-intel queries
+        up: `
+            CREATE INDEX IF NOT EXISTS idx_connections_timestamp ON connections (timestamp DESC);
+            CREATE INDEX IF NOT EXISTS idx_connections_ip_timestamp ON connections (ip, timestamp DESC);
+            CREATE INDEX IF NOT EXISTS idx_connections_direction_timestamp ON connections (direction, timestamp DESC);
+            CREATE INDEX IF NOT EXISTS idx_geolocations_last_updated ON geolocations (last_updated);
+            CREATE INDEX IF NOT EXISTS idx_threat_intel_last_checked ON threat_intel (last_checked);
+        `
+    },
+    {
+        version: 3,
+        name: 'alerting',
+        up: `
+            CREATE TABLE alert_rules (
+                id SERIAL PRIMARY KEY,
+                name TEXT NOT NULL,
+                enabled BOOLEAN NOT NULL DEFAULT TRUE,
+                conditions JSONB NOT NULL DEFAULT '{}',
+                channels JSONB NOT NULL DEFAULT '[]',
+                cooldown_minutes INTEGER NOT NULL DEFAULT 60,
+                created_at TIMESTAMPTZ DEFAULT NOW(),
+                updated_at TIMESTAMPTZ DEFAULT NOW()
+            );
+
+            CREATE TABLE alert_history (
+                id BIGSERIAL PRIMARY KEY,
+                rule_id INTEGER REFERENCES alert_rules (id) ON DELETE SET NULL,
+                rule_name TEXT NOT NULL,
+                dedup_key TEXT NOT NULL,
+                ip INET,
+                match_count INTEGER NOT NULL DEFAULT 1,
+                summary TEXT,
+                details JSONB,
+                deliveries JSONB,
+                created_at TIMESTAMPTZ DEFAULT NOW()
+            );
+
+            CREATE INDEX idx_alert_history_rule_key ON alert_history (rule_id, dedup_key, created_at DESC);
+            CREATE INDEX idx_alert_history_created_at ON alert_history (created_at DESC);
+        `
+    },
+    {
+        version: 4,
+        name: 'authentication',
+        up: `
+            CREATE TABLE users (
+                id SERIAL PRIMARY KEY,
+                username TEXT NOT NULL UNIQUE,
+                password_hash TEXT NOT NULL,
+                role TEXT NOT NULL CHECK (role IN ('readonly', 'admin')),
+                created_at TIMESTAMPTZ DEFAULT NOW(),
+                last_login TIMESTAMPTZ
+            );
+
+            CREATE TABLE sessions (
+                token_hash TEXT PRIMARY KEY,
+                user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+                created_at TIMESTAMPTZ DEFAULT NOW(),
+                expires_at TIMESTAMPTZ NOT NULL
+            );
+
+            CREATE INDEX idx_sessions_expires_at ON sessions (expires_at);
+
+            CREATE TABLE api_tokens (
+                id SERIAL PRIMARY KEY,
+                name TEXT NOT NULL,
+                token_hash TEXT NOT NULL UNIQUE,
+                role TEXT NOT NULL CHECK (role IN ('readonly', 'admin')),
+                created_by INTEGER REFERENCES users (id) ON DELETE SET NULL,
+                created_at TIMESTAMPTZ DEFAULT NOW(),
+                last_used_at TIMESTAMPTZ
+            );
+        `
+    },
+    {
+        version: 5,
+        name: 'geolocation_provider',
+        // Which provider in the GeoIP chain answered (mmdb, ip-api, ipinfo)
+        up: `
+            ALTER TABLE geolocations ADD COLUMN provider TEXT;
+        `
+    },
+    {
+        version: 6,
+        name: 'geolocation_negative_cache',
+        // Failed lookups are stored too so they expire on their own (shorter) TTL
+        up: `
+            ALTER TABLE geolocations ADD COLUMN lookup_status TEXT NOT NULL DEFAULT 'ok'
+                CHECK (lookup_status IN ('ok', 'failed'));
+            ALTER TABLE geolocations ADD COLUMN lookup_error TEXT;
+        `
+    },
+    {
+        version: 7,
+        name: 'enrichment_queue',
+        // Background geolocation / reverse DNS work, one row per IP
+        up: `
+            CREATE TABLE enrichment_queue (
+                ip INET PRIMARY KEY,
+                needs_geolocation BOOLEAN NOT NULL DEFAULT TRUE,
+                needs_hostname BOOLEAN NOT NULL DEFAULT TRUE,
+                priority INTEGER NOT NULL DEFAULT 0,
+                attempts INTEGER NOT NULL DEFAULT 0,
+                last_error TEXT,
+                enqueued_at TIMESTAMPTZ DEFAULT NOW(),
+                next_attempt_at TIMESTAMPTZ DEFAULT NOW()
+            );
+
+            CREATE INDEX idx_enrichment_queue_next ON enrichment_queue (priority DESC, next_attempt_at);
+        `
+    },
+    {
+        version: 8,
+        name: 'connection_rollups',
+        // Hourly/daily summaries that outlive raw connections retention.
+        // Buckets are recomputed from scratch, so no unique key is needed.
+        up: `
+            CREATE TABLE connection_rollups_hourly (
+                bucket TIMESTAMPTZ NOT NULL,
+                ip INET NOT NULL,
+                direction TEXT NOT NULL,
+                internal_ip INET,
+                external_port INTEGER,
+                country_code TEXT,
+                connections BIGINT NOT NULL DEFAULT 0,
+                orig_packets BIGINT NOT NULL DEFAULT 0,
+                orig_bytes BIGINT NOT NULL DEFAULT 0,
+                reply_packets BIGINT NOT NULL DEFAULT 0,
+                reply_bytes BIGINT NOT NULL DEFAULT 0
+            );
+
+            CREATE TABLE connection_rollups_daily (LIKE connection_rollups_hourly INCLUDING DEFAULTS);
+
+            CREATE INDEX idx_rollups_hourly_bucket ON connection_rollups_hourly (bucket);
+            CREATE INDEX idx_rollups_hourly_ip_bucket ON connection_rollups_hourly (ip, bucket);
+            CREATE INDEX idx_rollups_daily_bucket ON connection_rollups_daily (bucket);
+            CREATE INDEX idx_rollups_daily_ip_bucket ON connection_rollups_daily (ip, bucket);
+        `
+    },
+    {
+        version: 9,
+        name: 'devices',
+        // Inventory of internal hosts, seeded from the internal_ip of existing
+        // connections; name, MAC and vendor are assigned by the user
+        up: `
+            CREATE TABLE devices (
+                ip INET PRIMARY KEY,
+                name TEXT,
+                mac MACADDR,
+                vendor TEXT,
+                first_seen TIMESTAMPTZ,
+                last_seen TIMESTAMPTZ,
+                updated_at TIMESTAMPTZ DEFAULT NOW()
+            );
+
+            INSERT INTO devices (ip, first_seen, last_seen)
+            SELECT internal_ip, MIN(timestamp), MAX(timestamp)
+            FROM connections
+            WHERE internal_ip IS NOT NULL AND internal_ip != '0.0.0.0'
+            GROUP BY internal_ip;
+
+            CREATE INDEX idx_connections_internal_ip_timestamp ON connections (internal_ip, timestamp DESC);
+            CREATE INDEX idx_rollups_hourly_internal_ip_bucket ON connection_rollups_hourly (internal_ip, bucket);
+        `
+    },
+    {
+        version: 10,
+        name: 'services',
+        // Transport protocol of each connection (NULL when the source doesn't
+        // say) and user overrides of the built-in port -> service table
+        up: `
+            ALTER TABLE connections ADD COLUMN protocol TEXT;
+
+            UPDATE connections SET protocol = substring(connection_type FROM 10)
+            WHERE connection_type IN ('conntrack_tcp', 'conntrack_udp');
+
+            CREATE TABLE service_overrides (
+                port INTEGER NOT NULL CHECK (port BETWEEN 1 AND 65535),
+                protocol TEXT NOT NULL CHECK (protocol IN ('tcp', 'udp', 'any')),
+                name TEXT NOT NULL,
+                sensitive BOOLEAN NOT NULL DEFAULT FALSE,
+                updated_at TIMESTAMPTZ DEFAULT NOW(),
+                PRIMARY KEY (port, protocol)
+            );
+        `
+    },
+    {
+        version: 11,
+        name: 'first_seen_ledger',
+        // When each internal device first contacted an external IP, ASN and
+        // country; seeded from existing connections and their geolocations
+        up: `
+            CREATE TABLE first_seen_ledger (
+                device INET NOT NULL,
+                kind TEXT NOT NULL CHECK (kind IN ('ip', 'asn', 'country')),
+                value TEXT NOT NULL,
+                first_seen TIMESTAMPTZ NOT NULL,
+                last_seen TIMESTAMPTZ NOT NULL,
+                first_ip INET NOT NULL,
+                PRIMARY KEY (device, kind, value)
+            );
+
+            INSERT INTO first_seen_ledger (device, kind, value, first_seen, last_seen, first_ip)
+            SELECT c.internal_ip, e.kind, e.value, MIN(c.timestamp), MAX(c.timestamp),
+                   (ARRAY_AGG(c.ip ORDER BY c.timestamp))[1]
+            FROM connections c
+            LEFT JOIN geolocations g ON g.ip = c.ip
+            CROSS JOIN LATERAL (VALUES ('ip', host(c.ip)), ('asn', g.asn), ('country', g.country_code)) AS e(kind, value)
+            WHERE c.internal_ip IS NOT NULL AND c.internal_ip != '0.0.0.0' AND c.ip != '0.0.0.0'
+              AND e.value IS NOT NULL AND e.value != ''
+            GROUP BY c.internal_ip, e.kind, e.value;
+
+            CREATE INDEX idx_first_seen_ledger_first_seen ON first_seen_ledger (first_seen DESC);
+        `
+    },
+    {
+        version: 12,
+        name: 'ip_lists',
+        // User-managed allowlist / blocklist entries (an address, CIDR range
+        // or ASN each) and the list a connection matched when it was ingested
+        up: `
+            CREATE TABLE ip_list_entries (
+                id SERIAL PRIMARY KEY,
+                list TEXT NOT NULL CHECK (list IN ('allow', 'block')),
+                network CIDR,
+                asn INTEGER CHECK (asn > 0),
+                action TEXT NOT NULL DEFAULT 'tag' CHECK (action IN ('tag', 'drop')),
+                note TEXT,
+                expires_at TIMESTAMPTZ,
+                created_by TEXT,
+                created_at TIMESTAMPTZ DEFAULT NOW(),
+                updated_at TIMESTAMPTZ DEFAULT NOW(),
+                CHECK ((network IS NULL) != (asn IS NULL)),
+                CHECK (action = 'tag' OR list = 'allow')
+            );
+
+            ALTER TABLE connections ADD COLUMN list_tag TEXT;
+        `
+    },
+    {
+        version: 13,
+        name: 'settings',
+        // Runtime-tunable options (see settings.js) and an audit trail of changes
+        up: `
+            CREATE TABLE settings (
+                key TEXT PRIMARY KEY,
+                value JSONB NOT NULL,
+                updated_by TEXT,
+                updated_at TIMESTAMPTZ DEFAULT NOW()
+            );
+
+            CREATE TABLE settings_history (
+                id BIGSERIAL PRIMARY KEY,
+                key TEXT NOT NULL,
+                old_value JSONB,
+                new_value JSONB NOT NULL,
+                changed_by TEXT,
+                changed_at TIMESTAMPTZ DEFAULT NOW()
+            );
+
+            CREATE INDEX idx_settings_history_changed_at ON settings_history (changed_at DESC);
+        `
+    },
+    {
+        version: 14,
+        name: 'partitioned_connections',
+        // connections becomes range-partitioned by UTC day so retention can
+        // drop whole days. Rows are copied once into partitions for every day
+        // that has data plus the next 7; ConnectionsDatabase.ensurePartitions()
+        // keeps creating them ahead. connections_default catches timestamps
+        // outside every partition. Indexes are built after the copy.
+        up: `
+            ALTER TABLE connections RENAME TO connections_legacy;
+            ALTER SEQUENCE connections_id_seq OWNED BY NONE;
+
+            CREATE TABLE connections (
+                id BIGINT NOT NULL DEFAULT nextval('connections_id_seq'),
+                ip INET NOT NULL,
+                timestamp TIMESTAMPTZ NOT NULL,
+                direction TEXT NOT NULL,
+                connection_type TEXT,
+                internal_ip INET,
+                internal_port INTEGER,
+                external_port INTEGER,
+                state TEXT,
+                orig_packets BIGINT DEFAULT 0,
+                orig_bytes BIGINT DEFAULT 0,
+                reply_packets BIGINT DEFAULT 0,
+                reply_bytes BIGINT DEFAULT 0,
+                details TEXT,
+                source_file TEXT,
+                created_at TIMESTAMPTZ DEFAULT NOW(),
+                protocol TEXT,
+                list_tag TEXT
+            ) PARTITION BY RANGE (timestamp);
+
+            CREATE TABLE connections_default PARTITION OF connections DEFAULT;
+
+            DO $$
+            DECLARE
+                day DATE;
+            BEGIN
+                FOR day IN
+                    SELECT DISTINCT (timestamp AT TIME ZONE 'UTC')::date FROM connections_legacy
+                    UNION
+                    SELECT (NOW() AT TIME ZONE 'UTC')::date + generate_series(0, 7)
+                LOOP
+                    EXECUTE format(
+                        'CREATE TABLE %I PARTITION OF connections FOR VALUES FROM (%L) TO (%L)',
+                        'connections_p' || to_char(day, 'YYYYMMDD'),
+                        day || ' 00:00:00+00',
+                        (day + 1) || ' 00:00:00+00'
+                    );
+                END LOOP;
+            END $$;
+
+            INSERT INTO connections (
+                id, ip, timestamp, direction, connection_type, internal_ip, internal_port,
+                external_port, state, orig_packets, orig_bytes, reply_packets, reply_bytes,
+                details, source_file, created_at, protocol, list_tag
+            )
+            SELECT id, ip, timestamp, direction, connection_type, internal_ip, internal_port,
+                   external_port, state, orig_packets, orig_bytes, reply_packets, reply_bytes,
+                   details, source_file, created_at, protocol, list_tag
+            FROM connections_legacy;
+
+            DROP TABLE connections_legacy;
+            ALTER SEQUENCE connections_id_seq OWNED BY connections.id;
+
+            -- Unique keys of a partitioned table must include the partition key
+            ALTER TABLE connections ADD PRIMARY KEY (id, timestamp);
+            ALTER TABLE connections ADD UNIQUE (ip, timestamp, direction, internal_ip, external_port);
+            CREATE INDEX idx_connections_timestamp ON connections (timestamp DESC);
+            CREATE INDEX idx_connections_ip_timestamp ON connections (ip, timestamp DESC);
+            CREATE INDEX idx_connections_direction_timestamp ON connections (direction, timestamp DESC);
+            CREATE INDEX idx_connections_internal_ip_timestamp ON connections (internal_ip, timestamp DESC);
+        `
+    },
+    {
+        version: 15,
+        name: 'threat_intel_verdicts',
+        // One verdict per IP and threat intelligence provider (see
+        // threat-intel.js); threat_intel keeps the combined level and score.
+        // The VirusTotal and AbuseIPDB columns move into verdict rows, scored
+        // the way the providers score them now.
+        up: `
+            CREATE TABLE threat_intel_verdicts (
+                ip INET NOT NULL REFERENCES threat_intel (ip) ON DELETE CASCADE,
+                provider TEXT NOT NULL,
+                verdict TEXT NOT NULL,
+                score INTEGER,
+                summary TEXT,
+                categories JSONB NOT NULL DEFAULT '[]',
+                details JSONB NOT NULL DEFAULT '{}',
+                checked_at TIMESTAMPTZ DEFAULT NOW(),
+                PRIMARY KEY (ip, provider)
+            );
+
+            INSERT INTO threat_intel_verdicts (ip, provider, verdict, score, summary, categories, details, checked_at)
+            SELECT ip, 'virustotal',
+                   CASE WHEN score >= 75 THEN 'malicious' WHEN score >= 25 THEN 'suspicious' ELSE 'clean' END,
+                   score, positives || '/' || virustotal_total || ' engines',
+                   COALESCE(NULLIF(virustotal_categories, 'null'), '[]')::jsonb,
+                   jsonb_build_object('malicious', positives, 'engines', virustotal_total),
+                   last_checked
+            FROM (
+                SELECT *, COALESCE(virustotal_reputation, 0) AS positives,
+                       LEAST(100, COALESCE(virustotal_reputation, 0) * 20) AS score
+                FROM threat_intel
+                WHERE virustotal_total > 0
+            ) vt;
+
+            INSERT INTO threat_intel_verdicts (ip, provider, verdict, score, summary, categories, details, checked_at)
+            SELECT ip, 'abuseipdb',
+                   CASE WHEN abuseipdb_confidence >= 75 THEN 'malicious' WHEN abuseipdb_confidence >= 25 THEN 'suspicious' ELSE 'clean' END,
+                   abuseipdb_confidence,
+                   abuseipdb_confidence || '% confidence, ' || COALESCE(abuseipdb_total_reports, 0) || ' reports',
+                   COALESCE(NULLIF(abuseipdb_categories, 'null'), '[]')::jsonb,
+                   jsonb_build_object('confidence', abuseipdb_confidence,
+                                      'totalReports', COALESCE(abuseipdb_total_reports, 0),
+                                      'usageType', abuseipdb_usage_type),
+                   last_checked
+            FROM threat_intel
+            WHERE abuseipdb_confidence IS NOT NULL;
+
+            ALTER TABLE threat_intel ADD COLUMN threat_score INTEGER;
+            UPDATE threat_intel t SET threat_score = v.score
+            FROM (SELECT ip, MAX(score) AS score FROM threat_intel_verdicts GROUP BY ip) v
+            WHERE v.ip = t.ip;
+
+            ALTER TABLE threat_intel
+                DROP COLUMN virustotal_reputation,
+                DROP COLUMN virustotal_total,
+                DROP COLUMN virustotal_categories,
+                DROP COLUMN abuseipdb_confidence,
+                DROP COLUMN abuseipdb_usage_type,
+                DROP COLUMN abuseipdb_total_reports,
+                DROP COLUMN abuseipdb_categories;
+        `
+    },
+    {
+        version: 16,
+        name: 'threat_feeds',
+        // Offline blocklist feeds (see feeds.js): their current entries, each
+        // with the time and version it first appeared in, and a row per
+        // version recording what changed
+        up: `
+            CREATE TABLE threat_feeds (
+                id SERIAL PRIMARY KEY,
+                name TEXT NOT NULL UNIQUE,
+                source TEXT NOT NULL,
+                refresh_minutes INTEGER NOT NULL DEFAULT 1440 CHECK (refresh_minutes > 0),
+                score INTEGER NOT NULL DEFAULT 75 CHECK (score BETWEEN 0 AND 100),
+                enabled BOOLEAN NOT NULL DEFAULT TRUE,
+                version INTEGER NOT NULL DEFAULT 0,
+                checksum TEXT,
+                entry_count INTEGER NOT NULL DEFAULT 0,
+                last_refreshed_at TIMESTAMPTZ,
+                last_attempt_at TIMESTAMPTZ,
+                last_error TEXT,
+                created_by TEXT,
+                created_at TIMESTAMPTZ DEFAULT NOW(),
+                updated_at TIMESTAMPTZ DEFAULT NOW()
+            );
+
+            CREATE TABLE threat_feed_entries (
+                feed_id INTEGER NOT NULL REFERENCES threat_feeds (id) ON DELETE CASCADE,
+                network CIDR NOT NULL,
+                first_seen TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+                first_version INTEGER NOT NULL,
+                PRIMARY KEY (feed_id, network)
+            );
+
+            CREATE TABLE threat_feed_versions (
+                feed_id INTEGER NOT NULL REFERENCES threat_feeds (id) ON DELETE CASCADE,
+                version INTEGER NOT NULL,
+                checksum TEXT NOT NULL,
+                entry_count INTEGER NOT NULL,
+                added INTEGER NOT NULL,
+                removed INTEGER NOT NULL,
+                invalid_lines INTEGER NOT NULL DEFAULT 0,
+                loaded_at TIMESTAMPTZ DEFAULT NOW(),
+                PRIMARY KEY (feed_id, version)
+            );
+        `
+    },
+    {
+        version: 17,
+        name: 'cloud_ranges',
+        // Published cloud/hosting provider ranges (see cloud-ranges.js), one
+        // set per source, replaced on every import. The GiST index serves the
+        // inet containment lookups (network >>= ip).
+        up: `
+            CREATE TABLE cloud_range_sources (
+                name TEXT PRIMARY KEY,
+                provider TEXT NOT NULL,
+                format TEXT NOT NULL,
+                locations TEXT[] NOT NULL,
+                entry_count INTEGER NOT NULL DEFAULT 0,
+                imported_at TIMESTAMPTZ,
+                last_attempt_at TIMESTAMPTZ,
+                last_error TEXT,
+                created_by TEXT,
+                created_at TIMESTAMPTZ DEFAULT NOW()
+            );
+
+            CREATE TABLE cloud_ranges (
+                source TEXT NOT NULL REFERENCES cloud_range_sources (name) ON DELETE CASCADE,
+                network CIDR NOT NULL,
+                provider TEXT NOT NULL,
+                service TEXT,
+                region TEXT,
+                PRIMARY KEY (source, network)
+            );
+
+            CREATE INDEX idx_cloud_ranges_network ON cloud_ranges USING gist (network inet_ops);
+        `
+    },
+    {
+        version: 18,
+        name: 'connections_unique_key_nulls',
+        // The unique key treated NULLs as distinct, so rows without an internal
+        // IP or external port were stored again on every import. Remove those
+        // repeats, then key on the columns with NULL folded to a fixed value
+        // (NULLS NOT DISTINCT would need PostgreSQL 15).
+        up: `
+            DELETE FROM connections c
+            USING connections d
+            WHERE c.ip = d.ip
+              AND c.timestamp = d.timestamp
+              AND c.direction = d.direction
+              AND COALESCE(c.internal_ip, '0.0.0.0'::inet) = COALESCE(d.internal_ip, '0.0.0.0'::inet)
+              AND COALESCE(c.external_port, -1) = COALESCE(d.external_port, -1)
+              AND (c.internal_ip IS NULL OR c.external_port IS NULL OR d.internal_ip IS NULL OR d.external_port IS NULL)
+              AND c.id > d.id;
+
+            DO $$
+            DECLARE
+                constraint_name TEXT;
+            BEGIN
+                FOR constraint_name IN
+                    SELECT conname FROM pg_constraint
+                    WHERE conrelid = 'connections'::regclass AND contype = 'u'
+                LOOP
+                    EXECUTE format('ALTER TABLE connections DROP CONSTRAINT %I', constraint_name);
+                END LOOP;
+            END $$;
+
+            CREATE UNIQUE INDEX idx_connections_unique_key ON connections (
+                ip, timestamp, direction,
+                COALESCE(internal_ip, '0.0.0.0'::inet), COALESCE(external_port, -1)
+            );
+        `
+    }
+];
+
+// Highest schema version this code knows how to run against
+const LATEST_VERSION = migrations.reduce((max, m) => Math.max(max, m.version), 0);
+
+// Bring the database up to LATEST_VERSION. Returns { from, to, applied }.
+// Throws with code SCHEMA_TOO_NEW when the database was migrated by newer code.
+async function runMigrations(pool, logger = console.log) {
+    const client = await pool.connect();
+
+    try {
+        await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS schema_migrations (
+                version INTEGER PRIMARY KEY,
+                name TEXT NOT NULL,
+                applied_at TIMESTAMPTZ DEFAULT NOW()
+            )
+        `);
+
+        const result = await client.query('SELECT COALESCE(MAX(version), 0) as version FROM schema_migrations');
+        const currentVersion = parseInt(result.rows[0].version) || 0;
+
+        if (currentVersion > LATEST_VERSION) {
+            const error = new Error(
+                `Database schema is at version ${currentVersion} but this code only supports up to ` +
+                `version ${LATEST_VERSION}. Upgrade the application before starting it against this database.`
+            );
+            error.code = 'SCHEMA_TOO_NEW';
+            throw error;
+        }
+
+        const pending = migrations
+            .filter(m => m.version > currentVersion)
+            .sort((a, b) => a.version - b.version);
+
+        for (const migration of pending) {
+            logger(`Applying schema migration ${migration.version} (${migration.name})...`);
+            try {
+                await client.query('BEGIN');
+                await client.query(migration.up);
+                await client.query(
+                    'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+                    [migration.version, migration.name]
+                );
+                await client.query('COMMIT');
+            } catch (err) {
+                await client.query('ROLLBACK');
+                err.message = `Schema migration ${migration.version} (${migration.name}) failed: ${err.message}`;
+                throw err;
+            }
+        }
+
+        if (pending.length > 0) {
+            logger(`Database schema migrated from version ${currentVersion} to ${LATEST_VERSION}`);
+        }
+
+        return { from: currentVersion, to: LATEST_VERSION, applied: pending.length };
+    } finally {
+        await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]).catch(() => {});
+        client.release();
+    }
+}
+
+module.exports = { migrations, runMigrations, LATEST_VERSION };
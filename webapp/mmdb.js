@@ -0,0 +1,225 @@
+// Minimal reader for MaxMind DB (.mmdb) files such as GeoLite2-City and
+// GeoLite2-ASN, so geolocation works without sending IPs off the box.
+// Format reference: https://maxmind.github.io/MaxMind-DB/
+
+const fs = require('fs');
+const { ipToBytes } = require('./ip-utils');
+
+const METADATA_MARKER = Buffer.from('abcdef4d61784d696e642e636f6d', 'hex'); // \xAB\xCD\xEFMaxMind.com
+const METADATA_MAX_SIZE = 128 * 1024;
+const DATA_SECTION_SEPARATOR_SIZE = 16;
+
+// Data section field types
+const TYPE_EXTENDED = 0;
+const TYPE_POINTER = 1;
+const TYPE_UTF8_STRING = 2;
+const TYPE_DOUBLE = 3;
+const TYPE_BYTES = 4;
+const TYPE_UINT16 = 5;
+const TYPE_UINT32 = 6;
+const TYPE_MAP = 7;
+const TYPE_INT32 = 8;
+const TYPE_UINT64 = 9;
+const TYPE_UINT128 = 10;
+const TYPE_ARRAY = 11;
+const TYPE_BOOLEAN = 14;
+const TYPE_FLOAT = 15;
+
+// Decoded records are shared by many networks, so keep the hot ones around
+const RECORD_CACHE_SIZE = 5000;
+
+class MMDBReader {
+    constructor(buffer) {
+        this.buffer = buffer;
+        this.recordCache = new Map();
+
+        const markerIndex = buffer.lastIndexOf(METADATA_MARKER);
+        if (markerIndex === -1 || markerIndex < buffer.length - METADATA_MAX_SIZE) {
+            throw new Error('Not a MaxMind DB file (metadata marker not found)');
+        }
+
+        this.metadata = this.decode(markerIndex + METADATA_MARKER.length, markerIndex + METADATA_MARKER.length).value;
+
+        const { node_count: nodeCount, record_size: recordSize, ip_version: ipVersion } = this.metadata;
+        if (![24, 28, 32].includes(recordSize)) {
+            throw new Error(`Unsupported MaxMind DB record size: ${recordSize}`);
+        }
+
+        this.nodeCount = nodeCount;
+        this.recordSize = recordSize;
+        this.ipVersion = ipVersion;
+        this.nodeByteSize = recordSize / 4;
+        this.searchTreeSize = nodeCount * this.nodeByteSize;
+        this.dataSectionStart = this.searchTreeSize + DATA_SECTION_SEPARATOR_SIZE;
+
+        // IPv4 addresses live under ::/96 in IPv6 databases
+        this.ipv4StartNode = 0;
+        if (ipVersion === 6) {
+            for (let i = 0; i < 96 && this.ipv4StartNode < nodeCount; i++) {
+                this.ipv4StartNode = this.readRecord(this.ipv4StartNode, 0);
+            }
+        }
+    }
+
+    static open(filePath) {
+        return new MMDBReader(fs.readFileSync(filePath));
+    }
+
+    // Database type and build time, e.g. { type: 'GeoLite2-City', builtAt: Date }
+    describe() {
+        return {
+            type: this.metadata.database_type,
+            ipVersion: this.ipVersion,
+            builtAt: new Date(Number(this.metadata.build_epoch) * 1000),
+            nodeCount: this.nodeCount
+        };
+    }
+
+    // Returns the record for the network containing ip, or null
+    get(ip) {
+        const bytes = ipToBytes(ip);
+        if (!bytes) return null;
+
+        if (bytes.length === 16 && this.ipVersion === 4) return null;
+
+        let node = bytes.length === 4 && this.ipVersion === 6 ? this.ipv4StartNode : 0;
+        const bitCount = bytes.length * 8;
+
+        for (let i = 0; i < bitCount && node < this.nodeCount; i++) {
+            const bit = (bytes[i >> 3] >> (7 - (i & 7))) & 1;
+            node = this.readRecord(node, bit);
+        }
+
+        if (node === this.nodeCount) return null; // No data for this network
+        if (node < this.nodeCount) {
+            throw new Error('Invalid MaxMind DB search tree');
+        }
+
+        const offset = node - this.nodeCount - DATA_SECTION_SEPARATOR_SIZE;
+        if (this.recordCache.has(offset)) {
+            return this.recordCache.get(offset);
+        }
+
+        const record = this.decode(this.dataSectionStart + offset, this.dataSectionStart).value;
+        if (this.recordCache.size >= RECORD_CACHE_SIZE) {
+            this.recordCache.delete(this.recordCache.keys().next().value);
+        }
+        this.recordCache.set(offset, record);
+        return record;
+    }
+
+    readRecord(node, bit) {
+        const buf = this.buffer;
+        const base = node * this.nodeByteSize;
+
+        switch (this.recordSize) {
+            case 24:
+                return buf.readUIntBE(base + bit * 3, 3);
+            case 28:
+                if (bit === 0) {
+                    return ((buf[base + 3] & 0xf0) << 20) | buf.readUIntBE(base, 3);
+                }
+                return ((buf[base + 3] & 0x0f) * 0x1000000) + buf.readUIntBE(base + 4, 3);
+            default:
+                return buf.readUInt32BE(base + bit * 4);
+        }
+    }
+
+    // Decode one field at offset. sectionStart is where pointers are relative to.
+    // Returns { value, next } where next is the offset after the field.
+    decode(offset, sectionStart) {
+        const buf = this.buffer;
+        const control = buf[offset++];
+        let type = control >> 5;
+
+        if (type === TYPE_POINTER) {
+            const pointerSize = (control >> 3) & 0x3;
+            const high = control & 0x7;
+            let target;
+            switch (pointerSize) {
+                case 0:
+                    target = (high << 8) | buf[offset];
+                    break;
+                case 1:
+                    target = ((high << 16) | buf.readUInt16BE(offset)) + 2048;
+                    break;
+                case 2:
+                    target = (high * 0x1000000 + buf.readUIntBE(offset, 3)) + 526336;
+                    break;
+                default:
+                    target = buf.readUInt32BE(offset);
+            }
+            // The pointed-to value replaces the pointer; decoding continues after the pointer
+            const { value } = this.decode(sectionStart + target, sectionStart);
+            return { value, next: offset + pointerSize + 1 };
+        }
+
+        if (type === TYPE_EXTENDED) {
+            type = buf[offset++] + 7;
+        }
+
+        let size = control & 0x1f;
+        if (size === 29) {
+            size = 29 + buf[offset++];
+        } else if (size === 30) {
+            size = 285 + buf.readUInt16BE(offset);
+            offset += 2;
+        } else if (size === 31) {
+            size = 65821 + buf.readUIntBE(offset, 3);
+            offset += 3;
+        }
+
+        switch (type) {
+            case TYPE_UTF8_STRING:
+                return { value: buf.toString('utf8', offset, offset + size), next: offset + size };
+            case TYPE_DOUBLE:
+                return { value: buf.readDoubleBE(offset), next: offset + 8 };
+            case TYPE_FLOAT:
+                return { value: buf.readFloatBE(offset), next: offset + 4 };
+            case TYPE_BYTES:
+                return { value: Buffer.from(buf.subarray(offset, offset + size)), next: offset + size };
+            case TYPE_UINT16:
+            case TYPE_UINT32:
+                return { value: size === 0 ? 0 : buf.readUIntBE(offset, size), next: offset + size };
+            case TYPE_INT32:
+                return { value: size === 0 ? 0 : buf.readIntBE(offset, size), next: offset + size };
+            case TYPE_UINT64:
+            case TYPE_UINT128:
+                return { value: decodeBigUnsigned(buf, offset, size), next: offset + size };
+            case TYPE_BOOLEAN:
+                return { value: size !== 0, next: offset };
+            case TYPE_MAP: {
+                const map = {};
+                for (let i = 0; i < size; i++) {
+                    const key = this.decode(offset, sectionStart);
+                    const entry = this.decode(key.next, sectionStart);
+                    map[key.value] = entry.value;
+                    offset = entry.next;
+                }
+                return { value: map, next: offset };
+            }
+            case TYPE_ARRAY: {
+                const array = [];
+                for (let i = 0; i < size; i++) {
+                    const entry = this.decode(offset, sectionStart);
+                    array.push(entry.value);
+                    offset = entry.next;
+                }
+                return { value: array, next: offset };
+            }
+            default:
+                throw new Error(`Unsupported MaxMind DB field type ${type}`);
+        }
+    }
+}
+
+// uint64/uint128 as a Number when it fits, otherwise a BigInt
+function decodeBigUnsigned(buf, offset, size) {
+    let value = 0n;
+    for (let i = 0; i < size; i++) {
+        value = (value << 8n) | BigInt(buf[offset + i]);
+    }
+    return value <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(value) : value;
+}
+
+module.exports = MMDBReader;
@@ -0,0 +1,48 @@
+// Query options for /api/novelty: external IPs, ASNs and countries an
+// internal device contacted for the first time after its learning period.
+// The first-seen ledger itself is kept by ConnectionsDatabase.
+
+const { normalizeIP } = require('./ip-utils');
+
+const NOVELTY_KINDS = ['ip', 'asn', 'country'];
+const DEFAULT_HOURS = 7 * 24;
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+// Validate the query string. Returns { options, errors } like the other
+// request validators.
+function parseNoveltyQuery(query) {
+    const errors = [];
+    const hours = query.hours !== undefined ? parseFloat(query.hours) : DEFAULT_HOURS;
+    const limit = query.limit !== undefined ? parseInt(query.limit) : DEFAULT_LIMIT;
+    const kinds = query.kind ? String(query.kind).split(',').map(kind => kind.trim()).filter(Boolean) : [];
+
+    if (!(hours > 0)) {
+        errors.push('hours must be a positive number');
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+        errors.push(`limit must be between 1 and ${MAX_LIMIT}`);
+    }
+    const unknown = kinds.filter(kind => !NOVELTY_KINDS.includes(kind));
+    if (unknown.length > 0) {
+        errors.push(`kind must be one or more of ${NOVELTY_KINDS.join(', ')}`);
+    }
+
+    let device = null;
+    if (query.device) {
+        device = normalizeIP(query.device);
+        if (!device) errors.push('device must be a valid IP address');
+    }
+
+    return {
+        options: {
+            since: new Date(Date.now() - hours * 60 * 60 * 1000),
+            kinds,
+            device,
+            limit
+        },
+        errors
+    };
+}
+
+module.exports = { parseNoveltyQuery, NOVELTY_KINDS };
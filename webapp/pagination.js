@@ -0,0 +1,125 @@
+// Keyset (cursor) pagination and server-side sorting for the connection
+// listings. A cursor carries the sort value and tie-breaker of the last row
+// on a page, so every page costs the same as the first and rows don't shift
+// between pages while new connections are being inserted.
+
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 5000;
+
+// Rank used to sort by threat level: malicious first when descending.
+// Unchecked IPs sit between suspicious and clean.
+function threatRankSql(column) {
+    return `CASE ${column} WHEN 'malicious' THEN 3 WHEN 'suspicious' THEN 2 WHEN 'clean' THEN 0 ELSE 1 END`;
+}
+
+// Sortable columns: API sort key -> SQL expression and the type its cursor
+// value is cast back to. Expressions never yield NULL so row comparisons work.
+//
+// Aggregated listings (one row per IP) - expressions refer to the aggregate's
+// output columns
+const AGGREGATE_SORTS = {
+    lastSeen: { expr: 'last_seen', type: 'timestamptz' },
+    connectionCount: { expr: 'connection_count', type: 'bigint' },
+    inboundCount: { expr: 'inbound_count', type: 'bigint' },
+    outboundCount: { expr: 'outbound_count', type: 'bigint' },
+    bytes: { expr: 'total_bytes', type: 'numeric' },
+    country: { expr: "COALESCE(country, '')", type: 'text' },
+    threatLevel: { expr: 'threat_rank', type: 'integer' },
+    ip: { expr: 'ip', type: 'inet' }
+};
+const AGGREGATE_TIEBREAKER = { expr: 'ip', type: 'inet' };
+
+// Raw connection rows - c = connections, g = geolocations, t = threat_intel
+const CONNECTION_SORTS = {
+    timestamp: { expr: 'c.timestamp', type: 'timestamptz' },
+    bytes: { expr: 'COALESCE(c.orig_bytes, 0) + COALESCE(c.reply_bytes, 0)', type: 'bigint' },
+    country: { expr: "COALESCE(g.country, '')", type: 'text' },
+    threatLevel: { expr: threatRankSql('t.threat_level'), type: 'integer' },
+    ip: { expr: 'c.ip', type: 'inet' }
+};
+const CONNECTION_TIEBREAKER = { expr: 'c.id', type: 'bigint' };
+
+function encodeCursor(sort, order, value, key) {
+    return Buffer.from(JSON.stringify({ s: sort, o: order, v: value, k: key })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    try {
+        const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (!decoded || typeof decoded.v !== 'string' || typeof decoded.k !== 'string') return null;
+        return decoded;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Validate ?sort=&order=&limit=&cursor= against an endpoint's sortable columns.
+// Returns { page, errors } like the other request validators.
+function parsePageQuery(query, sorts, defaults = {}) {
+    const errors = [];
+    const sort = query.sort || defaults.sort;
+    const order = (query.order || defaults.order || 'desc').toLowerCase();
+    const limit = query.limit !== undefined ? parseInt(query.limit) : (defaults.limit || DEFAULT_PAGE_SIZE);
+
+    if (!sorts[sort]) {
+        errors.push(`sort must be one of ${Object.keys(sorts).join(', ')}`);
+    }
+    if (!['asc', 'desc'].includes(order)) {
+        errors.push('order must be asc or desc');
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+        errors.push(`limit must be between 1 and ${MAX_PAGE_SIZE}`);
+    }
+
+    let cursor = null;
+    if (query.cursor) {
+        cursor = decodeCursor(query.cursor);
+        if (!cursor) {
+            errors.push('cursor is malformed');
+        } else if (cursor.s !== sort || cursor.o !== order) {
+            errors.push('cursor belongs to a different sort order; start again without a cursor');
+        }
+    }
+
+    return { page: { sort, order, limit, cursor }, errors };
+}
+
+// "(sort, tiebreaker) > (cursor)" for the page after the cursor. Pushes its
+// parameters onto params.
+function keysetCondition(sort, tiebreaker, page, params) {
+    const operator = page.order === 'asc' ? '>' : '<';
+    params.push(page.cursor.v, page.cursor.k);
+    return `(${sort.expr}, ${tiebreaker.expr}) ${operator} ($${params.length - 1}::${sort.type}, $${params.length}::${tiebreaker.type})`;
+}
+
+function orderByClause(sort, tiebreaker, page) {
+    const direction = page.order === 'asc' ? 'ASC' : 'DESC';
+    return `${sort.expr} ${direction}, ${tiebreaker.expr} ${direction}`;
+}
+
+// Rows were fetched with LIMIT page.limit + 1 and select sort_value/sort_key
+// as text (exact round trip, unlike JS Dates). Trims the extra row and builds
+// the cursor for the next page.
+function buildPage(rows, page) {
+    const hasMore = rows.length > page.limit;
+    const pageRows = hasMore ? rows.slice(0, page.limit) : rows;
+    const last = pageRows[pageRows.length - 1];
+
+    return {
+        rows: pageRows,
+        nextCursor: hasMore ? encodeCursor(page.sort, page.order, last.sort_value, last.sort_key) : null
+    };
+}
+
+module.exports = {
+    AGGREGATE_SORTS,
+    AGGREGATE_TIEBREAKER,
+    CONNECTION_SORTS,
+    CONNECTION_TIEBREAKER,
+    MAX_PAGE_SIZE,
+    threatRankSql,
+    parsePageQuery,
+    keysetCondition,
+    orderByClause,
+    buildPage
+};
@@ -0,0 +1,59 @@
+// Token bucket used to pace calls to geolocation and threat intelligence
+// providers and DNS
+
+const UNIT_SECONDS = { s: 1, sec: 1, min: 60, h: 3600, hour: 3600, day: 86400 };
+
+class TokenBucket {
+    // burst defaults to one second's worth of tokens (at least 1)
+    constructor(ratePerSecond, burst) {
+        this.ratePerSecond = ratePerSecond;
+        this.burst = burst || Math.max(1, Math.ceil(ratePerSecond));
+        this.tokens = this.burst;
+        this.updatedAt = Date.now();
+    }
+
+    refill() {
+        const now = Date.now();
+        this.tokens = Math.min(this.burst, this.tokens + (now - this.updatedAt) / 1000 * this.ratePerSecond);
+        this.updatedAt = now;
+    }
+
+    tryTake(count = 1) {
+        this.refill();
+        if (this.tokens < count) return false;
+        this.tokens -= count;
+        return true;
+    }
+
+    // Wait until count tokens are available, then take them. Gives up and
+    // returns false instead when that would mean waiting longer than maxWaitMs.
+    async take(count = 1, maxWaitMs = Infinity) {
+        while (!this.tryTake(count)) {
+            const waitMs = Math.ceil((count - this.tokens) / this.ratePerSecond * 1000);
+            if (waitMs > maxWaitMs) return false;
+            await new Promise(resolve => setTimeout(resolve, Math.max(waitMs, 10)));
+        }
+        return true;
+    }
+
+    describe() {
+        this.refill();
+        return { ratePerSecond: this.ratePerSecond, burst: this.burst, available: Math.floor(this.tokens) };
+    }
+}
+
+// "ip-api=40/min,ipinfo=2/s,dns=20/s" -> { 'ip-api': 0.666, ipinfo: 2, dns: 20 } (tokens per second)
+function parseRateLimits(value) {
+    const limits = {};
+    if (!value) return limits;
+
+    for (const entry of value.split(',')) {
+        const match = entry.trim().match(/^([\w-]+)\s*=\s*(\d+(?:\.\d+)?)\s*\/\s*(\w+)$/);
+        if (!match || !UNIT_SECONDS[match[3]]) continue;
+        limits[match[1]] = parseFloat(match[2]) / UNIT_SECONDS[match[3]];
+    }
+
+    return limits;
+}
+
+module.exports = { TokenBucket, parseRateLimits };
@@ -0,0 +1,239 @@
+// Data reduction applied to connection batches before they are inserted
+// (ConnectionsDatabase.insertConnectionsAggregated). Rules run in order:
+//
+//   skipStates    drop connections in transient TCP states (TIME_WAIT, ...)
+//   listenDedup   keep one inbound LISTEN row per internal IP:port per window
+//   aggregate     merge outbound connections to chatty destinations into one
+//                 row per destination, device, port and time bucket
+//
+// Every rule can be switched off and tuned at runtime through
+// PUT /api/reduction/config; per-rule counters show what each one removed.
+
+const { parseNetwork, networkContains } = require('./lists');
+
+const RULES = ['skipStates', 'listenDedup', 'aggregate'];
+const DIRECTIONS = ['inbound', 'outbound', 'both'];
+const MAX_STATES = 20;
+const MAX_DESTINATIONS = 500;
+
+const DEFAULT_CONFIG = {
+    enabled: true,
+    skipStates: {
+        enabled: true,
+        states: ['TIME_WAIT', 'CLOSE', 'LAST_ACK', 'FIN_WAIT', 'SYN_RECV']
+    },
+    listenDedup: {
+        enabled: true,
+        windowMinutes: 60
+    },
+    aggregate: {
+        enabled: true,
+        bucketMinutes: 5,
+        direction: 'outbound',
+        // DNS resolvers and cloud endpoints that would otherwise fill the table
+        destinations: ['8.8.8.8', '3.12.68.8', '15.197.187.26', '3.33.190.236']
+    }
+};
+
+function cloneConfig(config) {
+    return JSON.parse(JSON.stringify(config));
+}
+
+class DataReducer {
+    constructor(config = {}) {
+        this.recentListeningPorts = new Map(); // internal_ip:port -> last kept (ms)
+        this.resetCounters();
+
+        const { config: merged, errors } = validateReductionConfig(config, DEFAULT_CONFIG);
+        if (errors.length > 0) {
+            throw new Error(`Invalid data reduction config: ${errors.join('; ')}`);
+        }
+        this.configure(merged);
+    }
+
+    // Swap in a validated config (see validateReductionConfig)
+    configure(config) {
+        this.config = config;
+        this.destinations = config.aggregate.destinations.map(parseNetwork);
+    }
+
+    resetCounters() {
+        this.counters = {
+            since: new Date().toISOString(),
+            batches: 0,
+            received: 0,
+            kept: 0,
+            rules: Object.fromEntries(RULES.map(rule => [rule, { removed: 0 }]))
+        };
+        this.counters.rules.aggregate.buckets = 0;
+    }
+
+    isAggregated(conn) {
+        const { direction } = this.config.aggregate;
+        if (direction !== 'both' && conn.direction !== direction) return false;
+
+        return this.destinations.some(network => networkContains(network, conn.ip));
+    }
+
+    // Reduce one batch. Returns the connections to insert; the input is not modified.
+    apply(connections) {
+        const config = this.config;
+        const counters = this.counters;
+        counters.batches++;
+        counters.received += connections.length;
+
+        if (!config.enabled) {
+            counters.kept += connections.length;
+            return connections;
+        }
+
+        const skipStates = new Set(config.skipStates.states);
+        const listenWindowMs = config.listenDedup.windowMinutes * 60 * 1000;
+        const bucketMs = config.aggregate.bucketMinutes * 60 * 1000;
+        const now = Date.now();
+
+        // Forget LISTEN sightings older than the window
+        for (const [key, lastKept] of this.recentListeningPorts) {
+            if (now - lastKept >= listenWindowMs) this.recentListeningPorts.delete(key);
+        }
+
+        const result = [];
+        const buckets = new Map();
+
+        for (const conn of connections) {
+            if (config.skipStates.enabled && conn.state && skipStates.has(conn.state)) {
+                counters.rules.skipStates.removed++;
+                continue;
+            }
+
+            if (config.listenDedup.enabled && conn.direction === 'inbound' && conn.state === 'LISTEN') {
+                const portKey = `${conn.internal_ip}:${conn.internal_port}`;
+                if (this.recentListeningPorts.has(portKey)) {
+                    counters.rules.listenDedup.removed++;
+                    continue;
+                }
+                this.recentListeningPorts.set(portKey, now);
+            }
+
+            if (config.aggregate.enabled && this.isAggregated(conn)) {
+                const bucket = Math.floor(new Date(conn.timestamp).getTime() / bucketMs);
+                const bucketKey = [conn.ip, conn.direction, conn.internal_ip, conn.external_port, bucket].join('|');
+                const existing = buckets.get(bucketKey);
+
+                if (existing) {
+                    existing.orig_packets = (existing.orig_packets || 0) + (conn.orig_packets || 0);
+                    existing.orig_bytes = (existing.orig_bytes || 0) + (conn.orig_bytes || 0);
+                    existing.reply_packets = (existing.reply_packets || 0) + (conn.reply_packets || 0);
+                    existing.reply_bytes = (existing.reply_bytes || 0) + (conn.reply_bytes || 0);
+                    counters.rules.aggregate.removed++;
+                    continue;
+                }
+
+                // The bucket's first connection carries the totals
+                const first = { ...conn };
+                buckets.set(bucketKey, first);
+                counters.rules.aggregate.buckets++;
+                result.push(first);
+                continue;
+            }
+
+            result.push(conn);
+        }
+
+        counters.kept += result.length;
+        return result;
+    }
+
+    stats() {
+        return {
+            ...this.counters,
+            removed: this.counters.received - this.counters.kept,
+            trackedListeningPorts: this.recentListeningPorts.size
+        };
+    }
+}
+
+// Validate a (partial) reduction config on top of current. Omitted fields keep
+// their current values. Returns { config, errors } like the other request validators.
+function validateReductionConfig(input, current) {
+    const errors = [];
+    const body = input || {};
+    const config = cloneConfig(current);
+
+    if (body.enabled !== undefined) {
+        if (typeof body.enabled !== 'boolean') errors.push('enabled must be true or false');
+        else config.enabled = body.enabled;
+    }
+
+    for (const rule of Object.keys(body)) {
+        if (rule !== 'enabled' && !RULES.includes(rule)) {
+            errors.push(`unknown rule ${rule} (rules are ${RULES.join(', ')})`);
+        }
+    }
+
+    for (const rule of RULES) {
+        const ruleBody = body[rule];
+        if (ruleBody === undefined) continue;
+        if (!ruleBody || typeof ruleBody !== 'object' || Array.isArray(ruleBody)) {
+            errors.push(`${rule} must be an object`);
+            continue;
+        }
+        if (ruleBody.enabled !== undefined) {
+            if (typeof ruleBody.enabled !== 'boolean') errors.push(`${rule}.enabled must be true or false`);
+            else config[rule].enabled = ruleBody.enabled;
+        }
+    }
+
+    const { skipStates, listenDedup, aggregate } = body;
+
+    if (skipStates && skipStates.states !== undefined) {
+        const states = skipStates.states;
+        if (!Array.isArray(states) || states.length > MAX_STATES || !states.every(state => typeof state === 'string' && /^[A-Za-z_0-9]+$/.test(state))) {
+            errors.push(`skipStates.states must be a list of at most ${MAX_STATES} state names like TIME_WAIT`);
+        } else {
+            config.skipStates.states = [...new Set(states.map(state => state.toUpperCase()))];
+        }
+    }
+
+    if (listenDedup && listenDedup.windowMinutes !== undefined) {
+        if (!(typeof listenDedup.windowMinutes === 'number' && listenDedup.windowMinutes > 0)) {
+            errors.push('listenDedup.windowMinutes must be a positive number');
+        } else {
+            config.listenDedup.windowMinutes = listenDedup.windowMinutes;
+        }
+    }
+
+    if (aggregate) {
+        if (aggregate.bucketMinutes !== undefined) {
+            if (!(typeof aggregate.bucketMinutes === 'number' && aggregate.bucketMinutes > 0 && aggregate.bucketMinutes <= 1440)) {
+                errors.push('aggregate.bucketMinutes must be a positive number of at most 1440');
+            } else {
+                config.aggregate.bucketMinutes = aggregate.bucketMinutes;
+            }
+        }
+        if (aggregate.direction !== undefined) {
+            if (!DIRECTIONS.includes(aggregate.direction)) errors.push(`aggregate.direction must be one of ${DIRECTIONS.join(', ')}`);
+            else config.aggregate.direction = aggregate.direction;
+        }
+        if (aggregate.destinations !== undefined) {
+            const destinations = aggregate.destinations;
+            if (!Array.isArray(destinations) || destinations.length > MAX_DESTINATIONS) {
+                errors.push(`aggregate.destinations must be a list of at most ${MAX_DESTINATIONS} IP addresses or CIDR ranges`);
+            } else {
+                const parsed = destinations.map(destination => parseNetwork(destination));
+                const invalid = destinations.filter((destination, index) => !parsed[index]);
+                if (invalid.length > 0) {
+                    errors.push(`aggregate.destinations must be IP addresses or CIDR ranges (invalid: ${invalid.join(', ')})`);
+                } else {
+                    // Single addresses are kept without their /32 or /128
+                    config.aggregate.destinations = [...new Set(parsed.map(network =>
+                        network.prefix === network.bytes.length * 8 ? network.network.split('/')[0] : network.network))];
+                }
+            }
+        }
+    }
+
+    return { config, errors };
+}
+
+module.exports = { DataReducer, validateReductionConfig, DEFAULT_CONFIG, RULES };
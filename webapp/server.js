@@ -6,63 +6,118 @@ const cron = require('node-cron');
 const { exec } = require('child_process');
 const { promisify } = require('util');
 const dns = require('dns').promises;
+const crypto = require('crypto');
 const ConnectionsDatabase = require('./database');
-const ThreatIntelService = require('./threat-intel');
+const { normalizeIP, extractIPsFromText } = require('./ip-utils');
+const { classifyIP, isPublicIP } = require('./ip-classify');
+const { ThreatIntelService } = require('./threat-intel');
+const { AlertEngine, validateAlertRule } = require('./alerts');
+const { AuthService, requireRole, validateCredentials, ROLES } = require('./auth');
+const LiveStream = require('./stream');
+const { GeoIPService } = require('./geoip');
+const GeolocationCache = require('./geo-cache');
+const { EnrichmentQueue } = require('./enrichment');
+const { parsePageQuery, AGGREGATE_SORTS, CONNECTION_SORTS } = require('./pagination');
+const { parseTimeseriesQuery } = require('./timeseries');
+const { DeviceInventory, validateDevice } = require('./devices');
+const { ServiceClassifier, validateServiceOverride } = require('./services');
+const { parseNoveltyQuery } = require('./novelty');
+const { IPLists, validateListEntry, LIST_FILTERS } = require('./lists');
+const { ThreatFeeds, validateFeed } = require('./feeds');
+const { CloudRanges, validateRangeSource } = require('./cloud-ranges');
+const { EXPORT_FORMATS, parseExportQuery } = require('./export');
+const { SettingsStore, validateSettings } = require('./settings');
+const { loadConfig } = require('./config');
+
+// Deployment configuration: defaults < config.json (or FWM_CONFIG) < environment
+// (see config.js). Invalid settings stop startup with the full list of problems.
+let deployment;
+try {
+    deployment = loadConfig();
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
+}
 
 const app = express();
-const PORT = 3001; // Safe port away from UniFi
+const PORT = deployment.server.port; // Default 3001, safe away from UniFi
 const execAsync = promisify(exec);
 
+// Only browser origins listed in CORS_ORIGINS may call the API cross-site
+const corsOrigins = deployment.server.corsOrigins;
+
 // Middleware
-app.use(cors());
+app.use(cors({ origin: corsOrigins.length > 0 ? corsOrigins : false, credentials: true }));
+// Push ingestion batches are much larger than any UI request body
+app.use('/api/ingest', express.json({ limit: deployment.server.ingestMaxBodySize }));
 app.use(express.json());
 app.use(express.static(path.join(__dirname, 'public')));
 
 // Configuration
 const CONFIG = {
-    dataDir: path.join(__dirname, '..', 'data'),
-    collectorScript: path.join(__dirname, '..', 'collect_wan_connections.sh'),
-    geoServiceUrl: 'http://ip-api.com/json/', // Free IP geolocation service
-    wanHostname: 'mrfish.ooguy.com', // Our WAN interface hostname
-    homeLocation: {
-        latitude: 41.8781,  // Chicago coordinates
-        longitude: -87.6298,
-        city: 'Chicago',
-        region: 'Illinois',
-        country: 'United States'
+    dataDir: deployment.dataDir,
+    collectorScript: deployment.collectorScript,
+    // Geolocation provider chain, tried in order (see geoip.js)
+    geoip: deployment.geoip,
+    // Background geolocation / reverse DNS queue (see enrichment.js)
+    enrichment: {
+        ...deployment.enrichment,
+        uiWaitMs: 10000 // How long /api/location and /api/hostname wait for a queued lookup
     },
+    // Geolocation cache in front of the geolocations table (see geo-cache.js)
+    geoCache: deployment.geoCache,
+    // Threat intelligence providers and the IPs checked per refresh (see threat-intel.js)
+    threatIntel: deployment.threatIntel,
+    // Cloud provider range sources and refresh interval (see cloud-ranges.js)
+    cloudRanges: deployment.cloudRanges,
+    wanHostname: deployment.wanHostname, // Our WAN interface hostname (excluded from external IPs)
+    // Map marker (with the WAN hostname for its popup); null hides it
+    homeLocation: deployment.homeLocation && { ...deployment.homeLocation, wanHostname: deployment.wanHostname },
     // Data reduction settings
-    maxConnectionsPerIP: parseInt(process.env.MAX_CONNECTIONS_PER_IP) || 50, // Configurable limit per IP per collection cycle
-    maxUniqueIPsPerCycle: parseInt(process.env.MAX_UNIQUE_IPS_PER_CYCLE) || 100 // Limit total unique IPs processed per cycle
+    maxConnectionsPerIP: deployment.maxConnectionsPerIP, // Configurable limit per IP per collection cycle
+    // HTTP push ingestion (POST /api/ingest/:dataType)
+    ingest: {
+        ...deployment.ingest,
+        maxReportedErrors: 100 // Rejected records listed individually in the response
+    }
 };
 
+// Record shapes understood by extractIPsFromData(), keyed by data type
+const INGEST_DATA_TYPES = [
+    'connections',
+    'current_connections',
+    'conntrack_live',
+    'scans_probes',
+    'realtime_connections',
+    'vpn_connections',
+    'outbound_connections',
+    'connection_tracking'
+];
+
 // In-memory cache for processed data
 let connectionsCache = [];
 let lastUpdate = new Date();
 let threatIntelService;
+let alertEngine;
 
 // Hostname resolution cache
 const hostnameCache = new Map();
 
-// Cache for WAN IP resolution
-let wanIPCache = null;
+// Cache for WAN IP resolution (IPv4 and IPv6 addresses of the WAN hostname)
+let wanIPCache = [];
 let wanIPCacheTime = 0;
 const WAN_IP_CACHE_DURATION = 5 * 60 * 1000; // 5 minutes
 
-// Persistent geolocation cache
-const GEOLOCATION_CACHE_FILE = path.join(CONFIG.dataDir, 'geolocation_cache.json');
-let geolocationCache = new Map();
+// Pre-database geolocation cache file, imported into the geolocations table once
+const LEGACY_GEOLOCATION_CACHE_FILE = path.join(CONFIG.dataDir, 'geolocation_cache.json');
 
 // Database instance with retention policies and email notifications
-const db = new ConnectionsDatabase('../data/connections.db', {
-    maxSizeMB: 10240,      // 10GB max database size
-    maxAgeDays: 30,        // 30 days retention
-    cleanupBatchSize: 5000, // Delete 5000 records per cleanup batch
-    enableSizeLimit: true,
-    enableTimeLimit: true,
+const db = new ConnectionsDatabase({
+    ...deployment.database,
+    ...deployment.retention,
     // Email notification settings (uses system mail command)
-    enableEmailNotifications: true,
-    emailRecipient: 'admin@example.com'
+    enableEmailNotifications: deployment.email.enabled,
+    emailRecipient: deployment.email.recipient
 });
 
 // Logging function
@@ -70,54 +125,111 @@ const log = (message) => {
     console.log(`[${new Date().toISOString()}] ${message}`);
 };
 
-// Load geolocation cache from disk
-async function loadGeolocationCache() {
-    try {
-        const cacheData = await fs.readFile(GEOLOCATION_CACHE_FILE, 'utf8');
-        const parsedData = JSON.parse(cacheData);
-        
-        // Convert array back to Map
-        geolocationCache = new Map(parsedData);
-        log(`Loaded ${geolocationCache.size} cached geolocation entries`);
-    } catch (error) {
-        if (error.code !== 'ENOENT') {
-            log(`Error loading geolocation cache: ${error.message}`);
-        }
-        // If file doesn't exist or is invalid, start with empty cache
-        geolocationCache = new Map();
-    }
+// Login sessions and API tokens; every /api route below requires one
+const auth = new AuthService(db, {
+    sessionTTLHours: deployment.auth.sessionTTLHours,
+    // Reachable without a session: login/bootstrap flow, and push ingestion (own per-source tokens)
+    publicPaths: ['/auth/status', '/auth/login', '/auth/logout', '/auth/bootstrap', '/ingest'],
+    logger: log
+});
+app.use('/api', auth.middleware());
+
+// Port -> service classification (SSH, HTTPS, ...) with user overrides
+const serviceClassifier = new ServiceClassifier(db);
+
+// Local MaxMind databases first, online services only as fallbacks
+const geoip = new GeoIPService({ ...CONFIG.geoip, logger: log });
+const geoCache = new GeolocationCache(db, geoip, { ...CONFIG.geoCache, logger: log });
+const enrichmentQueue = new EnrichmentQueue(db, geoCache, {
+    ...CONFIG.enrichment,
+    resolveHostname,
+    hasHostname: (ip) => hostnameCache.has(ip),
+    logger: log
+});
+
+// User-managed allowlist / blocklist applied at ingest (GET /api/lists)
+const ipLists = new IPLists(db, { geoCache });
+
+// Offline blocklist feeds matched at ingest and by /api/threat-intel/:ip (GET /api/threat-feeds)
+const threatFeeds = new ThreatFeeds(db, { dataDir: CONFIG.dataDir, logger: log });
+
+// Published cloud provider ranges labelling IPs and scheduling threat checks (GET /api/cloud-ranges)
+const cloudRanges = new CloudRanges(db, { ...CONFIG.cloudRanges, dataDir: CONFIG.dataDir, logger: log });
+
+// Server-Sent Events push channel for the UI (GET /api/stream)
+const liveStream = new LiveStream(db, { logger: log, services: serviceClassifier, lists: ipLists });
+
+// Internal hosts seen in collected connections (GET /api/devices)
+const deviceInventory = new DeviceInventory(db, { logger: log });
+
+// Runtime-tunable options saved in the database (GET /api/settings)
+const settingsStore = new SettingsStore(db, {
+    bindings: {
+        ...Object.fromEntries(['maxSizeMB', 'maxAgeDays', 'enableSizeLimit', 'enableTimeLimit', 'rollupHourlyDays', 'rollupDailyDays']
+            .map(field => [`retention.${field}`, bindProperty(db.retentionConfig, field)])),
+        'collection.maxConnectionsPerIP': bindProperty(CONFIG, 'maxConnectionsPerIP'),
+        'novelty.learningDays': bindProperty(db.noveltyConfig, 'learningDays'),
+        'reduction': { get: () => db.reduction.config, set: (config) => db.reduction.configure(config) }
+    },
+    logger: log
+});
+
+// get/set pair for one property of a live config object
+function bindProperty(object, property) {
+    return {
+        get: () => object[property],
+        set: (value) => { object[property] = value; }
+    };
 }
 
-// Save geolocation cache to disk
-async function saveGeolocationCache() {
+// Validate, persist and apply setting changes for a PUT route. Answers
+// 400/500 itself and returns false when nothing was saved.
+async function saveSettingChanges(req, res, changes, label) {
+    const { settings, errors } = validateSettings(changes, settingsStore.values());
+    if (errors.length > 0) {
+        res.status(400).json({ error: `Invalid ${label}`, details: errors });
+        return false;
+    }
+    
     try {
-        // Convert Map to array for JSON serialization
-        const cacheArray = Array.from(geolocationCache.entries());
-        await fs.writeFile(GEOLOCATION_CACHE_FILE, JSON.stringify(cacheArray, null, 2));
-        log(`Saved ${geolocationCache.size} geolocation entries to cache`);
+        await settingsStore.save(settings, req.principal.name);
+        return true;
     } catch (error) {
-        log(`Error saving geolocation cache: ${error.message}`);
+        log(`Error saving ${label}: ${error.message}`);
+        res.status(500).json({ error: `Failed to save ${label}`, details: error.message });
+        return false;
     }
 }
 
-// Get current WAN IP by resolving mrfish.ooguy.com
-async function getWanIP() {
+// { field: value } body of a per-section config route -> { 'section.field': value }
+function sectionChanges(section, body) {
+    const fields = body && typeof body === 'object' && !Array.isArray(body) ? body : {};
+    return Object.fromEntries(Object.entries(fields).map(([field, value]) => [`${section}.${field}`, value]));
+}
+
+// Get current WAN IPs (A and AAAA records) by resolving the WAN hostname
+async function getWanIPs() {
     const now = Date.now();
     
-    // Return cached IP if still valid
-    if (wanIPCache && (now - wanIPCacheTime) < WAN_IP_CACHE_DURATION) {
+    // Return cached IPs if still valid
+    if (wanIPCache.length > 0 && (now - wanIPCacheTime) < WAN_IP_CACHE_DURATION) {
+        return wanIPCache;
+    }
+    
+    // Without a WAN hostname only non-routable ranges are filtered
+    if (!CONFIG.wanHostname) {
         return wanIPCache;
     }
     
     try {
-        const addresses = await dns.lookup(CONFIG.wanHostname, { family: 4 });
-        wanIPCache = addresses.address;
+        const addresses = await dns.lookup(CONFIG.wanHostname, { all: true });
+        wanIPCache = addresses.map(entry => normalizeIP(entry.address)).filter(Boolean);
         wanIPCacheTime = now;
-        log(`Resolved WAN IP: ${wanIPCache}`);
+        log(`Resolved WAN IPs: ${wanIPCache.join(', ')}`);
         return wanIPCache;
     } catch (error) {
         log(`Error resolving WAN hostname ${CONFIG.wanHostname}: ${error.message}`);
-        // Return cached value if available, otherwise null
+        // Return cached values if available, otherwise empty
         return wanIPCache;
     }
 }
@@ -137,86 +249,21 @@ async function resolveHostname(ip) {
             return hostname;
         }
     } catch (error) {
-        // DNS resolution failed - cache the failure to avoid repeated attempts
+        // Resolver timeouts and server failures are retried by the enrichment queue
+        if (!['ENOTFOUND', 'ENODATA'].includes(error.code)) {
+            throw error;
+        }
+        // No PTR record - cache the answer to avoid repeated attempts
         hostnameCache.set(ip, 'No hostname found');
     }
     
     return 'No hostname found';
 }
 
-// Get external IP geolocation using free service
-async function getIPLocation(ip) {
-    // Check cache first
-    if (geolocationCache.has(ip)) {
-        const cachedData = geolocationCache.get(ip);
-        log(`Using cached geolocation for ${ip}`);
-        return cachedData;
-    }
-    
-    try {
-        const axios = require('axios');
-        const response = await axios.get(`${CONFIG.geoServiceUrl}${ip}?fields=status,country,countryCode,region,regionName,city,lat,lon,timezone,isp,org,as,query`);
-        
-        if (response.data.status === 'success') {
-            const locationData = {
-                ip: ip,
-                country: response.data.country,
-                countryCode: response.data.countryCode,
-                region: response.data.regionName,
-                city: response.data.city,
-                latitude: response.data.lat,
-                longitude: response.data.lon,
-                timezone: response.data.timezone,
-                isp: response.data.isp,
-                org: response.data.org,
-                asn: response.data.as,
-                cachedAt: new Date().toISOString()
-            };
-            
-            // Cache the result
-            geolocationCache.set(ip, locationData);
-            log(`Cached geolocation for ${ip}: ${locationData.city}, ${locationData.region}, ${locationData.country}`);
-            
-            // Save cache to disk periodically (every 10 entries)
-            if (geolocationCache.size % 10 === 0) {
-                saveGeolocationCache();
-            }
-            
-            return locationData;
-        }
-    } catch (error) {
-        log(`Error getting location for IP ${ip}: ${error.message}`);
-        
-        // Cache failures to avoid repeated API calls for problematic IPs
-        const failureData = {
-            ip: ip,
-            error: 'Location lookup failed',
-            cachedAt: new Date().toISOString()
-        };
-        geolocationCache.set(ip, failureData);
-    }
-    
-    return null;
-}
-
-// Filter for truly external IPs
+// Filter for truly external IPs (IPv4 or IPv6): public addresses other than
+// our own WAN IPs (see ip-classify.js for the categories)
 async function isExternalIP(ip) {
-    if (!ip || !ip.match(/^\d+\.\d+\.\d+\.\d+$/)) return false;
-    
-    // Filter out our own WAN IP (dynamically resolved)
-    const wanIP = await getWanIP();
-    if (wanIP && ip === wanIP) return false;
-    
-    // Private IP ranges
-    if (ip.startsWith('192.168.') || ip.startsWith('10.')) return false;
-    if (ip.match(/^172\.(1[6-9]|2[0-9]|3[0-1])\./)) return false;
-    if (ip.startsWith('127.')) return false;
-    
-    // Other non-routable ranges
-    if (ip.startsWith('169.254.')) return false; // Link-local
-    if (ip.startsWith('224.')) return false; // Multicast
-    
-    return true;
+    return isPublicIP(ip, await getWanIPs());
 }
 
 // Extract IPs from different data source types
@@ -225,8 +272,8 @@ async function extractIPsFromData(data, dataType) {
     
     if (!Array.isArray(data)) return ips;
     
-    // Get WAN IP once for this extraction session
-    const wanIP = await getWanIP();
+    // Get WAN IPs once for this extraction session
+    const wanIPs = await getWanIPs();
     
     for (const item of data) {
         try {
@@ -234,7 +281,7 @@ async function extractIPsFromData(data, dataType) {
                 case 'connections':
                     if (item.external_ip && await isExternalIP(item.external_ip)) {
                         ips.push({
-                            ip: item.external_ip,
+                            ip: normalizeIP(item.external_ip),
                             timestamp: item.timestamp,
                             type: 'firemain_log',
                             details: `Connection from ${item.internal_ip}`,
@@ -248,7 +295,7 @@ async function extractIPsFromData(data, dataType) {
                     let actualExternalIP = null;
                     if (item.local_ip && item.external_ip) {
                         // If external_ip is our WAN IP, then local_ip is actually the external one
-                        if (item.external_ip === wanIP) {
+                        if (wanIPs.includes(normalizeIP(item.external_ip))) {
                             actualExternalIP = item.local_ip;
                         } else {
                             actualExternalIP = item.external_ip;
@@ -256,7 +303,7 @@ async function extractIPsFromData(data, dataType) {
                         
                         if (actualExternalIP && await isExternalIP(actualExternalIP)) {
                             ips.push({
-                                ip: actualExternalIP,
+                                ip: normalizeIP(actualExternalIP),
                                 timestamp: item.timestamp,
                                 type: 'active_connection',
                                 details: `${item.state} connection on port ${item.local_port || item.external_port}`,
@@ -269,8 +316,8 @@ async function extractIPsFromData(data, dataType) {
                 case 'scans_probes':
                     // Extract IPs from log entries
                     const logEntry = item.log_entry || '';
-                    const ipMatches = logEntry.match(/\b(\d{1,3}\.\d{1,3}\.\d{1,3}\.\d{1,3})\b/g);
-                    if (ipMatches) {
+                    const ipMatches = extractIPsFromText(logEntry);
+                    if (ipMatches.length > 0) {
                         for (const ip of ipMatches) {
                             if (await isExternalIP(ip)) {
                                 ips.push({
@@ -288,8 +335,8 @@ async function extractIPsFromData(data, dataType) {
                 case 'realtime_connections':
                     // Extract IPs from netstat/ss data
                     const data_entry = item.data || '';
-                    const realtimeIPs = data_entry.match(/\b(\d{1,3}\.\d{1,3}\.\d{1,3}\.\d{1,3})\b/g);
-                    if (realtimeIPs) {
+                    const realtimeIPs = extractIPsFromText(data_entry);
+                    if (realtimeIPs.length > 0) {
                         for (const ip of realtimeIPs) {
                             if (await isExternalIP(ip)) {
                                 ips.push({
@@ -308,7 +355,7 @@ async function extractIPsFromData(data, dataType) {
                     // Extract IPs from VPN connection data
                     if (item.external_ip && await isExternalIP(item.external_ip)) {
                         ips.push({
-                            ip: item.external_ip,
+                            ip: normalizeIP(item.external_ip),
                             timestamp: item.timestamp,
                             type: item.type || 'vpn',
                             details: `VPN endpoint on port ${item.external_port}`,
@@ -321,7 +368,7 @@ async function extractIPsFromData(data, dataType) {
                     // Extract IPs from outbound connection data
                     if (item.external_ip && await isExternalIP(item.external_ip)) {
                         ips.push({
-                            ip: item.external_ip,
+                            ip: normalizeIP(item.external_ip),
                             timestamp: item.timestamp,
                             type: item.state || 'outbound_connection',
                             details: `Outbound ${item.state} connection from ${item.local_ip}:${item.local_port} to port ${item.external_port}`,
@@ -336,11 +383,21 @@ async function extractIPsFromData(data, dataType) {
                         const bytes_total = (item.orig_bytes || 0) + (item.reply_bytes || 0);
                         const packets_total = (item.orig_packets || 0) + (item.reply_packets || 0);
                         ips.push({
-                            ip: item.external_ip,
+                            ip: normalizeIP(item.external_ip),
                             timestamp: item.timestamp,
                             type: item.state || 'connection_tracking',
                             details: `${item.direction} ${item.state} connection via ${item.internal_ip}:${item.internal_port} ↔ ${item.external_ip}:${item.external_port} (${bytes_total} bytes, ${packets_total} packets)`,
-                            direction: item.direction
+                            direction: item.direction,
+                            internal_ip: normalizeIP(item.internal_ip),
+                            internal_port: parseInt(item.internal_port) || null,
+                            external_port: parseInt(item.external_port) || null,
+                            // The collector only reads TCP entries from nf_conntrack
+                            protocol: 'tcp',
+                            state: item.state || null,
+                            orig_packets: item.orig_packets,
+                            orig_bytes: item.orig_bytes,
+                            reply_packets: item.reply_packets,
+                            reply_bytes: item.reply_bytes
                         });
                     }
                     break;
@@ -349,11 +406,12 @@ async function extractIPsFromData(data, dataType) {
                     // Process conntrack data format: already has ip, direction, protocol, state 
                     if (item.ip && await isExternalIP(item.ip)) {
                         ips.push({
-                            ip: item.ip,
+                            ip: normalizeIP(item.ip),
                             timestamp: item.timestamp,
                             type: `conntrack_${item.protocol}`,
                             details: `${item.direction} ${item.state} ${item.protocol.toUpperCase()} connection to ${item.ip}:${item.port} from ${item.local_ip}`,
-                            direction: item.direction
+                            direction: item.direction,
+                            protocol: item.protocol.toLowerCase()
                         });
                     }
                     break;
@@ -367,6 +425,135 @@ async function extractIPsFromData(data, dataType) {
     return ips;
 }
 
+// Map an extracted connection onto a connections table row
+function toDatabaseRecord(conn, defaultSource) {
+    return {
+        ip: conn.ip,
+        timestamp: conn.timestamp,
+        direction: conn.direction || 'inbound',
+        connection_type: conn.type,
+        internal_ip: conn.internal_ip || null,
+        internal_port: conn.internal_port || null,
+        external_port: conn.external_port || null,
+        protocol: conn.protocol || null,
+        state: conn.state || null,
+        orig_packets: conn.orig_packets || 0,
+        orig_bytes: conn.orig_bytes || 0,
+        reply_packets: conn.reply_packets || 0,
+        reply_bytes: conn.reply_bytes || 0,
+        details: conn.details || null,
+        source_file: conn.source_file || defaultSource
+    };
+}
+
+// Check a pushed record before extraction; returns a rejection reason or null
+function validateIngestRecord(item, dataType) {
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+        return 'Record must be a JSON object';
+    }
+    
+    if (!item.timestamp || isNaN(new Date(item.timestamp).getTime())) {
+        return 'Missing or invalid timestamp';
+    }
+    
+    switch (dataType) {
+        case 'scans_probes':
+            if (typeof item.log_entry !== 'string') return 'Missing log_entry';
+            break;
+        case 'realtime_connections':
+            if (typeof item.data !== 'string') return 'Missing data';
+            break;
+        case 'conntrack_live':
+            if (!item.ip) return 'Missing ip';
+            if (!item.protocol) return 'Missing protocol';
+            break;
+        case 'current_connections':
+            if (!item.local_ip || !item.external_ip) return 'Missing local_ip or external_ip';
+            break;
+        default:
+            if (!item.external_ip) return 'Missing external_ip';
+    }
+    
+    if (item.direction && !['inbound', 'outbound'].includes(item.direction)) {
+        return `Invalid direction: ${item.direction}`;
+    }
+    
+    return null;
+}
+
+// Resolve the ingestion source from an "Authorization: Bearer <token>" header
+function authenticateIngestSource(req) {
+    const header = req.get('authorization') || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    if (!match) return null;
+    
+    const presented = Buffer.from(match[1].trim());
+    for (const source of CONFIG.ingest.sources) {
+        const expected = Buffer.from(source.token);
+        if (expected.length === presented.length && crypto.timingSafeEqual(expected, presented)) {
+            return source;
+        }
+    }
+    
+    return null;
+}
+
+// Filters shared by the connection listing endpoints (?startDate=&endDate=&direction=&ip=&device=&service=&list=).
+// Returns { filters, errors } like the other request validators.
+function connectionListFilters(query) {
+    const { startDate, endDate, direction, ip, device, service, list } = query;
+    const errors = [];
+    
+    const start = startDate ? new Date(startDate) : null;
+    const end = endDate ? new Date(endDate) : null;
+    if (start && isNaN(start.getTime())) errors.push('startDate must be a valid date');
+    if (end && isNaN(end.getTime())) errors.push('endDate must be a valid date');
+    if (errors.length === 0 && start && end && start > end) {
+        errors.push('startDate must not be after endDate');
+    }
+    
+    const filters = {
+        startDate: start && errors.length === 0 ? start.toISOString() : null,
+        endDate: end && errors.length === 0 ? end.toISOString() : null,
+        direction: direction && direction !== 'both' ? direction : null,
+        ip: ip || null,
+        internalIp: device || null,
+        // Service names match case-insensitively; an unknown name matches nothing
+        service: service ? (serviceClassifier.resolveName(service) || service) : null,
+        list: LIST_FILTERS.includes(list) ? list : null
+    };
+    return { filters, errors };
+}
+
+// Sensitive services (SSH, RDP, ...) a remote IP reached inbound, from the
+// inboundPorts of an aggregated connection row
+function sensitiveServicesOf(row) {
+    const names = new Set();
+    for (const key of row.inboundPorts || []) {
+        const [port, protocol] = key.split('/');
+        const entry = serviceClassifier.classify(parseInt(port), protocol || null);
+        if (entry && entry.sensitive) names.add(entry.name);
+    }
+    return [...names];
+}
+
+// Service of a raw connection row; sensitive marks an inbound hit on a sensitive service.
+// list is the row's current allow/block list membership (list_tag is as of ingest).
+function withService(conn) {
+    const entry = serviceClassifier.classifyConnection(conn);
+    return {
+        ...conn,
+        service: entry ? entry.name : null,
+        sensitive: !!(entry && entry.sensitive && conn.direction === 'inbound'),
+        list: ipLists.statusOf(conn.ip, conn.asn)
+    };
+}
+
+// Extra fields of an aggregated (one row per IP) connection listing row
+function withAggregateAnnotations(row) {
+    return { ...row, sensitiveServices: sensitiveServicesOf(row), list: ipLists.statusOf(row.ip, row.asn) };
+}
+
 // Load and process connection data from ALL sources
 async function loadConnectionData() {
     try {
@@ -471,27 +658,16 @@ async function loadConnectionData() {
             try {
                 log(`Inserting ${allConnectionData.length} connection records into database...`);
                 
-                // Prepare connection data for database insertion
-                const connectionsForDB = allConnectionData.map(conn => ({
-                    ip: conn.ip,
-                    timestamp: conn.timestamp,
-                    direction: conn.direction || 'inbound',
-                    connection_type: conn.type,
-                    internal_ip: conn.internal_ip || null,
-                    internal_port: conn.internal_port || null,
-                    external_port: conn.external_port || null,
-                    state: conn.state || null,
-                    orig_packets: conn.orig_packets || 0,
-                    orig_bytes: conn.orig_bytes || 0,
-                    reply_packets: conn.reply_packets || 0,
-                    reply_bytes: conn.reply_bytes || 0,
-                    details: conn.details || null,
-                    source_file: conn.source_file || 'live_collection'
-                }));
+                // Prepare connection data for database insertion, minus allowlisted traffic marked 'drop'
+                const listed = await ipLists.apply(allConnectionData.map(conn => toDatabaseRecord(conn, 'live_collection')));
+                if (listed.dropped > 0) {
+                    log(`Dropped ${listed.dropped} allowlisted connection records`);
+                }
                 
                 // Use aggregated batch insert with data reduction
-                const insertedCount = await db.insertConnectionsAggregated(connectionsForDB);
-                log(`Successfully inserted ${insertedCount} new connection records into database`);
+                const counts = await db.insertConnectionsAggregated(listed.connections);
+                log(`Successfully inserted ${counts.inserted} new connection records into database (${counts.duplicates} already stored, ${counts.invalid} invalid)`);
+                await recordThreatFeedMatches(listed.connections);
                 
             } catch (error) {
                 log(`Warning: Failed to insert connections into database: ${error.message}`);
@@ -510,38 +686,29 @@ async function loadConnectionData() {
         });
         
         const uniqueIPs = Object.keys(ipGroups);
-        const limitedUniqueIPs = uniqueIPs.slice(0, CONFIG.maxUniqueIPsPerCycle);
-        
-        if (uniqueIPs.length > CONFIG.maxUniqueIPsPerCycle) {
-            log(`Limited unique IP processing: ${CONFIG.maxUniqueIPsPerCycle}/${uniqueIPs.length} IPs (${uniqueIPs.length - CONFIG.maxUniqueIPsPerCycle} skipped)`);
-        } else {
-            log(`Found ${uniqueIPs.length} unique external IPs across all sources`);
+        log(`Found ${uniqueIPs.length} unique external IPs across all sources`);
+        
+        // Geolocation and reverse DNS run in the background enrichment queue;
+        // this cycle shows what is already known and queues the rest
+        const knownLocations = await geoCache.peekMany(uniqueIPs);
+        const needsEnrichment = uniqueIPs.filter(ip => !knownLocations.has(ip) || !hostnameCache.has(ip));
+        if (needsEnrichment.length > 0) {
+            await enrichmentQueue.enqueue(needsEnrichment);
+            log(`Queued ${needsEnrichment.length} IPs for geolocation/hostname enrichment`);
         }
         
-        // Get geolocation for each IP (with rate limiting)
         const processedConnections = [];
-        for (let i = 0; i < limitedUniqueIPs.length; i++) { // Use limited IP list
-            const ip = limitedUniqueIPs[i];
-            const location = await getIPLocation(ip);
+        for (const ip of uniqueIPs) {
+            const location = knownLocations.get(ip);
             
             if (location && location.latitude && location.longitude) {
-                // Insert/update geolocation data in database
-                if (db && db.isInitialized) {
-                    try {
-                        await db.upsertGeolocation(ip, location);
-                    } catch (error) {
-                        log(`Warning: Failed to insert geolocation for ${ip}: ${error.message}`);
-                    }
-                }
-                
                 const ipConnections = ipGroups[ip];
                 const connectionCount = ipConnections.length;
                 const lastSeen = ipConnections
                     .map(conn => new Date(conn.timestamp))
                     .sort((a, b) => b - a)[0];
                 
-                // Resolve hostname for this IP
-                const hostname = await resolveHostname(ip);
+                const hostname = hostnameCache.get(ip) || 'No hostname found';
                 
                 // Calculate direction counts
                 const directions = ipConnections.map(c => c.direction || 'inbound');
@@ -560,11 +727,6 @@ async function loadConnectionData() {
                     details: ipConnections.slice(0, 3).map(c => c.details) // Keep some sample details
                 });
             }
-            
-            // Rate limiting delay - be nice to the free service
-            if (i < Math.min(uniqueIPs.length, 50) - 1) {
-                await new Promise(resolve => setTimeout(resolve, 200)); // 200ms delay
-            }
         }
         
         connectionsCache = processedConnections;
@@ -574,11 +736,18 @@ async function loadConnectionData() {
         global.rawConnectionData = allConnectionData;
         
         log(`Processed ${processedConnections.length} IP locations with ${allConnectionData.length} total connection records`);
+        liveStream.publish('collection', {
+            phase: 'finished',
+            at: lastUpdate.toISOString(),
+            records: allConnectionData.length,
+            locations: processedConnections.length
+        });
         
         return processedConnections;
         
     } catch (error) {
         log(`Error loading connection data: ${error.message}`);
+        liveStream.publish('collection', { phase: 'failed', at: new Date().toISOString(), error: error.message });
         return [];
     }
 }
@@ -587,6 +756,7 @@ async function loadConnectionData() {
 async function runDataCollection() {
     try {
         log('Running comprehensive data collection (all sources)...');
+        liveStream.publish('collection', { phase: 'started', at: new Date().toISOString() });
         const { stdout, stderr } = await execAsync(`${CONFIG.collectorScript} --all`);
         
         if (stderr && !stderr.includes('warning: setlocale')) {
@@ -594,6 +764,7 @@ async function runDataCollection() {
         }
         
         log('Comprehensive data collection completed');
+        liveStream.publish('collection', { phase: 'collected', at: new Date().toISOString() });
         
         // Reload processed data after a short delay
         setTimeout(() => {
@@ -602,6 +773,7 @@ async function runDataCollection() {
         
     } catch (error) {
         log(`Error running data collection: ${error.message}`);
+        liveStream.publish('collection', { phase: 'failed', at: new Date().toISOString(), error: error.message });
     }
 }
 
@@ -609,9 +781,15 @@ async function runDataCollection() {
 app.get('/api/connections', async (req, res) => {
     try {
         // Get recent connections from database instead of loading all JSON files
+        const { filters } = connectionListFilters(req.query);
         const recentConnections = await db.getHistoricalConnections({
             limit: 5000, // Limit to recent 5000 connections for map display
-            orderBy: 'timestamp DESC'
+            orderBy: 'timestamp DESC',
+            filters: {
+                internalIp: req.query.device || null,
+                service: filters.service,
+                list: filters.list
+            }
         });
         
         // Process connections for map display (group by location)
@@ -620,9 +798,11 @@ app.get('/api/connections', async (req, res) => {
         for (const conn of recentConnections) {
             if (conn.latitude && conn.longitude) {
                 const key = `${conn.latitude},${conn.longitude}`;
+                const { service, sensitive } = withService(conn);
                 if (locationMap.has(key)) {
                     const location = locationMap.get(key);
                     location.connectionCount++;
+                    if (sensitive) location.sensitiveServices.add(service);
                     // Track direction counts
                     if (conn.direction === 'inbound') {
                         location.inboundCount = (location.inboundCount || 0) + 1;
@@ -673,7 +853,9 @@ app.get('/api/connections', async (req, res) => {
                         org: conn.org,
                         asn: conn.asn,
                         countryCode: conn.country_code,
-                        connectionTypes: connectionTypes
+                        connectionTypes: connectionTypes,
+                        sensitiveServices: new Set(sensitive ? [service] : []),
+                        list: ipLists.statusOf(conn.ip, conn.asn)
                     });
                 }
             }
@@ -681,7 +863,8 @@ app.get('/api/connections', async (req, res) => {
         
         const processedConnections = Array.from(locationMap.values()).map(conn => ({
             ...conn,
-            connectionTypes: conn.connectionTypes ? Array.from(conn.connectionTypes) : []
+            connectionTypes: conn.connectionTypes ? Array.from(conn.connectionTypes) : [],
+            sensitiveServices: Array.from(conn.sensitiveServices)
         }));
         
         res.json({
@@ -755,10 +938,19 @@ app.get('/api/threat-intel/status', async (req, res) => {
     }
 });
 
-// API endpoint for threat intelligence data
+// Enabled threat intelligence providers with their rate limits and lookup stats
+app.get('/api/threat-intel/providers', (req, res) => {
+    res.json(threatIntelService ? threatIntelService.status() : { order: [], providers: [] });
+});
+
+// API endpoint for threat intelligence data: combined level and score plus
+// each provider's verdict
 app.get('/api/threat-intel/:ip', async (req, res) => {
     try {
-        const ip = req.params.ip;
+        const ip = normalizeIP(req.params.ip);
+        if (!ip) {
+            return res.status(400).json({ error: 'Invalid IP address format' });
+        }
         
         // First check if we have cached data (less than 24 hours old)
         let threatData = await db.getThreatIntel(ip);
@@ -768,9 +960,8 @@ app.get('/api/threat-intel/:ip', async (req, res) => {
             threatData = {
                 ip: ip,
                 threat_level: 'unknown',
-                virustotal_reputation: 0,
-                virustotal_total: 0,
-                abuseipdb_confidence: 0,
+                threat_score: null,
+                verdicts: [],
                 last_checked: null
             };
             
@@ -778,17 +969,12 @@ app.get('/api/threat-intel/:ip', async (req, res) => {
             if (threatIntelService) {
                 backgroundThreatIntelRefresh([ip]);
             }
-        } else {
-            // Parse JSON fields
-            try {
-                threatData.virustotal_categories = JSON.parse(threatData.virustotal_categories || '[]');
-                threatData.abuseipdb_categories = JSON.parse(threatData.abuseipdb_categories || '[]');
-            } catch (e) {
-                threatData.virustotal_categories = [];
-                threatData.abuseipdb_categories = [];
-            }
         }
         
+        // Current feed listings, whatever the stored verdict says
+        threatData.feeds = threatFeeds.matches(ip);
+        threatData.cloud = await db.getCloudRange(ip);
+        
         res.json({ threat_intel: threatData });
     } catch (error) {
         console.error(`Error getting threat intel for ${req.params.ip}:`, error.message);
@@ -796,104 +982,312 @@ app.get('/api/threat-intel/:ip', async (req, res) => {
     }
 });
 
-// API endpoint for historical connection data with filtering
+// API endpoint for historical connection data with filtering: raw connection
+// rows, sorted and paged server-side (?sort=&order=&limit=&cursor=)
 app.get('/api/connections/history', async (req, res) => {
+    const { page, errors } = parsePageQuery(req.query, CONNECTION_SORTS, { sort: 'timestamp', limit: 1000 });
+    if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid pagination parameters', details: errors });
+    }
+    
+    const { filters, errors: filterErrors } = connectionListFilters(req.query);
+    if (filterErrors.length > 0) {
+        return res.status(400).json({ error: 'Invalid filter parameters', details: filterErrors });
+    }
+    
     try {
-        const { startDate, endDate, direction, limit = 1000 } = req.query;
+        const { connections, totalCount, nextCursor } = await db.getConnectionHistory(filters, page);
         
-        // Build SQL query with filters
-        let query = `
-            SELECT c.*, g.country, g.region, g.city, g.latitude, g.longitude, g.isp
-            FROM connections c
-            LEFT JOIN geolocations g ON c.ip = g.ip
-        `;
+        res.json({
+            connections: connections.map(withService),
+            totalCount: totalCount,
+            filteredCount: connections.length,
+            nextCursor: nextCursor,
+            sort: page.sort,
+            order: page.order,
+            limit: page.limit,
+            filters: filters
+        });
         
-        let whereConditions = [];
-        let params = [];
+    } catch (error) {
+        log(`Error serving historical connections: ${error.message}`);
+        res.status(500).json({ error: 'Failed to load historical connection data' });
+    }
+});
+
+// Authentication status - tells the login page whether first-run setup is needed
+app.get('/api/auth/status', async (req, res) => {
+    try {
+        const principal = await auth.identify(req);
+        res.json({
+            bootstrapRequired: auth.bootstrapCode !== null,
+            authenticated: !!principal,
+            user: principal ? { name: principal.name, role: principal.role, type: principal.type } : null
+        });
+    } catch (error) {
+        log(`Error getting auth status: ${error.message}`);
+        res.status(500).json({ error: 'Failed to get authentication status' });
+    }
+});
+
+// First-run: create the admin account using the setup code from the server log
+app.post('/api/auth/bootstrap', async (req, res) => {
+    const { username, password, setupCode } = req.body || {};
+    
+    if (auth.bootstrapCode === null) {
+        return res.status(409).json({ error: 'Setup already completed' });
+    }
+    
+    if (typeof setupCode !== 'string' || setupCode.trim() !== auth.bootstrapCode) {
+        return res.status(403).json({ error: 'Invalid setup code' });
+    }
+    
+    const errors = validateCredentials(username, password);
+    if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid credentials', details: errors });
+    }
+    
+    try {
+        const admin = await db.createInitialAdmin(username, await auth.hashPassword(password));
+        auth.bootstrapCode = null;
         
-        // Apply date filtering
-        if (startDate) {
-            whereConditions.push('datetime(c.timestamp) >= datetime(?)');
-            params.push(startDate);
+        if (!admin) {
+            return res.status(409).json({ error: 'Setup already completed' });
         }
         
-        if (endDate) {
-            whereConditions.push('datetime(c.timestamp) <= datetime(?)');
-            params.push(endDate);
-        }
+        log(`Initial admin account created: ${admin.username}`);
         
-        // Apply direction filtering
-        if (direction && direction !== 'both') {
-            whereConditions.push('c.direction = ?');
-            params.push(direction);
+        const session = await auth.login(username, password);
+        res.setHeader('Set-Cookie', auth.sessionCookie(req, session.token, session.expiresAt));
+        res.status(201).json({ success: true, user: session.user });
+    } catch (error) {
+        log(`Error creating initial admin: ${error.message}`);
+        res.status(500).json({ error: 'Failed to create admin account' });
+    }
+});
+
+app.post('/api/auth/login', async (req, res) => {
+    const { username, password } = req.body || {};
+    const clientAddress = req.ip;
+    
+    if (auth.isLockedOut(clientAddress)) {
+        return res.status(429).json({ error: 'Too many failed login attempts, try again later' });
+    }
+    
+    if (typeof username !== 'string' || typeof password !== 'string') {
+        return res.status(400).json({ error: 'Username and password are required' });
+    }
+    
+    try {
+        const session = await auth.login(username, password);
+        if (!session) {
+            auth.recordFailedLogin(clientAddress);
+            log(`Failed login for ${username} from ${clientAddress}`);
+            return res.status(401).json({ error: 'Invalid username or password' });
         }
         
-        if (whereConditions.length > 0) {
-            query += ' WHERE ' + whereConditions.join(' AND ');
+        res.setHeader('Set-Cookie', auth.sessionCookie(req, session.token, session.expiresAt));
+        res.json({ success: true, user: session.user, expiresAt: session.expiresAt });
+    } catch (error) {
+        log(`Error during login: ${error.message}`);
+        res.status(500).json({ error: 'Login failed' });
+    }
+});
+
+app.post('/api/auth/logout', async (req, res) => {
+    try {
+        await auth.logout(req);
+        res.setHeader('Set-Cookie', auth.clearedSessionCookie());
+        res.json({ success: true });
+    } catch (error) {
+        log(`Error logging out: ${error.message}`);
+        res.status(500).json({ error: 'Failed to log out' });
+    }
+});
+
+app.get('/api/auth/me', (req, res) => {
+    res.json({ user: req.principal });
+});
+
+// Account management (admin only)
+app.get('/api/auth/users', requireRole('admin'), async (req, res) => {
+    try {
+        res.json({ users: await db.listUsers() });
+    } catch (error) {
+        log(`Error listing users: ${error.message}`);
+        res.status(500).json({ error: 'Failed to list users' });
+    }
+});
+
+app.post('/api/auth/users', async (req, res) => {
+    const { username, password, role = 'readonly' } = req.body || {};
+    const errors = validateCredentials(username, password, role);
+    if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid user', details: errors });
+    }
+    
+    try {
+        const user = await db.createUser(username, await auth.hashPassword(password), role);
+        log(`User ${user.username} (${user.role}) created by ${req.principal.name}`);
+        res.status(201).json({ success: true, user });
+    } catch (error) {
+        if (error.code === '23505') {
+            return res.status(409).json({ error: 'Username already exists' });
+        }
+        log(`Error creating user: ${error.message}`);
+        res.status(500).json({ error: 'Failed to create user' });
+    }
+});
+
+app.delete('/api/auth/users/:id', async (req, res) => {
+    const id = parseInt(req.params.id);
+    if (req.principal.type === 'session' && req.principal.id === id) {
+        return res.status(400).json({ error: 'You cannot delete your own account' });
+    }
+    
+    try {
+        const deleted = await db.deleteUser(id);
+        if (!deleted) {
+            return res.status(404).json({ error: 'User not found' });
         }
         
-        // Sort and limit
-        query += ' ORDER BY c.timestamp DESC LIMIT ?';
-        params.push(parseInt(limit));
+        log(`User #${id} deleted by ${req.principal.name}`);
+        res.json({ success: true });
+    } catch (error) {
+        log(`Error deleting user: ${error.message}`);
+        res.status(500).json({ error: 'Failed to delete user' });
+    }
+});
+
+app.get('/api/auth/tokens', requireRole('admin'), async (req, res) => {
+    try {
+        res.json({ tokens: await db.listApiTokens() });
+    } catch (error) {
+        log(`Error listing API tokens: ${error.message}`);
+        res.status(500).json({ error: 'Failed to list API tokens' });
+    }
+});
+
+// The token value is only ever returned here, at creation time
+app.post('/api/auth/tokens', async (req, res) => {
+    const { name, role = 'readonly' } = req.body || {};
+    if (!name || typeof name !== 'string' || !name.trim()) {
+        return res.status(400).json({ error: 'Token name is required' });
+    }
+    if (!ROLES.includes(role)) {
+        return res.status(400).json({ error: `role must be one of ${ROLES.join(', ')}` });
+    }
+    
+    try {
+        const createdBy = req.principal.type === 'session' ? req.principal.id : null;
+        const token = await auth.createApiToken(name.trim(), role, createdBy);
+        log(`API token "${token.name}" (${token.role}) created by ${req.principal.name}`);
+        res.status(201).json({ success: true, token });
+    } catch (error) {
+        log(`Error creating API token: ${error.message}`);
+        res.status(500).json({ error: 'Failed to create API token' });
+    }
+});
+
+app.delete('/api/auth/tokens/:id', async (req, res) => {
+    try {
+        const deleted = await db.deleteApiToken(parseInt(req.params.id));
+        if (!deleted) {
+            return res.status(404).json({ error: 'API token not found' });
+        }
         
-        const rows = await new Promise((resolve, reject) => {
-            db.db.all(query, params, (err, rows) => {
-                if (err) reject(err);
-                else resolve(rows);
-            });
+        log(`API token #${req.params.id} revoked by ${req.principal.name}`);
+        res.json({ success: true });
+    } catch (error) {
+        log(`Error revoking API token: ${error.message}`);
+        res.status(500).json({ error: 'Failed to revoke API token' });
+    }
+});
+
+// Push ingestion endpoint - accepts the same record shapes the collector writes to data/
+app.post('/api/ingest/:dataType', async (req, res) => {
+    const { dataType } = req.params;
+    
+    if (CONFIG.ingest.sources.length === 0) {
+        return res.status(503).json({ error: 'Push ingestion is disabled (no INGEST_TOKENS configured)' });
+    }
+    
+    const source = authenticateIngestSource(req);
+    if (!source) {
+        return res.status(401).json({ error: 'Invalid or missing ingestion token' });
+    }
+    
+    if (!INGEST_DATA_TYPES.includes(dataType)) {
+        return res.status(400).json({ error: `Unknown data type: ${dataType}`, supported: INGEST_DATA_TYPES });
+    }
+    
+    const records = Array.isArray(req.body) ? req.body : req.body && req.body.records;
+    if (!Array.isArray(records)) {
+        return res.status(400).json({ error: 'Body must be a JSON array of records or { "records": [...] }' });
+    }
+    
+    if (records.length > CONFIG.ingest.maxBatchSize) {
+        return res.status(413).json({
+            error: `Batch of ${records.length} records exceeds the limit of ${CONFIG.ingest.maxBatchSize}`,
+            maxBatchSize: CONFIG.ingest.maxBatchSize
         });
+    }
+    
+    if (!db || !db.isInitialized) {
+        return res.status(503).json({ error: 'Database not initialized' });
+    }
+    
+    try {
+        const rejected = [];
+        const connectionsForDB = [];
         
-        // Transform to match expected format
-        const connections = rows.map(row => ({
-            timestamp: row.timestamp,
-            ip: row.ip,
-            direction: row.direction,
-            connection_type: row.connection_type,
-            internal_ip: row.internal_ip,
-            internal_port: row.internal_port,
-            external_port: row.external_port,
-            state: row.state,
-            orig_packets: row.orig_packets,
-            orig_bytes: row.orig_bytes,
-            reply_packets: row.reply_packets,
-            reply_bytes: row.reply_bytes,
-            country: row.country,
-            region: row.region,
-            city: row.city,
-            latitude: row.latitude,
-            longitude: row.longitude,
-            isp: row.isp,
-            details: row.details
-        }));
-        
-        // Get total count for the filtered query (without limit)
-        let countQuery = `
-            SELECT COUNT(*) as total
-            FROM connections c
-            LEFT JOIN geolocations g ON c.ip = g.ip
-        `;
-        
-        if (whereConditions.length > 0) {
-            countQuery += ' WHERE ' + whereConditions.join(' AND ');
+        for (let index = 0; index < records.length; index++) {
+            const item = records[index];
+            const reason = validateIngestRecord(item, dataType);
+            
+            if (reason) {
+                rejected.push({ index, reason });
+                continue;
+            }
+            
+            const extracted = await extractIPsFromData([item], dataType);
+            if (extracted.length === 0) {
+                const category = classifyIP(item.external_ip || item.ip, await getWanIPs());
+                rejected.push({
+                    index,
+                    reason: category && category !== 'public' ? `No external IP address in record (${category} address)` : 'No external IP address in record'
+                });
+                continue;
+            }
+            
+            for (const conn of extracted) {
+                connectionsForDB.push(toDatabaseRecord(conn, `ingest:${source.name}`));
+            }
         }
         
-        const countResult = await new Promise((resolve, reject) => {
-            db.db.get(countQuery, params.slice(0, -1), (err, row) => {
-                if (err) reject(err);
-                else resolve(row);
-            });
-        });
+        const listed = await ipLists.apply(connectionsForDB);
+        const counts = await db.insertConnectionsAggregated(listed.connections);
+        await recordThreatFeedMatches(listed.connections);
+        lastUpdate = new Date();
+        
+        log(`Ingest from ${source.name}: ${dataType} batch of ${records.length} records, ${records.length - rejected.length} accepted, ${rejected.length} rejected, ${listed.dropped} allowlisted dropped, ${counts.inserted} rows inserted, ${counts.duplicates} duplicates`);
         
         res.json({
-            connections: connections,
-            totalCount: countResult.total,
-            filteredCount: connections.length,
-            filters: { startDate, endDate, direction, limit }
+            success: true,
+            source: source.name,
+            dataType: dataType,
+            received: records.length,
+            accepted: records.length - rejected.length,
+            rejected: rejected.length,
+            connections: connectionsForDB.length,
+            dropped: listed.dropped,
+            inserted: counts.inserted,
+            duplicates: counts.duplicates,
+            errors: rejected.slice(0, CONFIG.ingest.maxReportedErrors)
         });
-        
     } catch (error) {
-        log(`Error serving historical connections: ${error.message}`);
-        res.status(500).json({ error: 'Failed to load historical connection data' });
+        log(`Error ingesting ${dataType} batch from ${source.name}: ${error.message}`);
+        res.status(500).json({ error: 'Failed to ingest batch', details: error.message });
     }
 });
 
@@ -914,13 +1308,20 @@ app.post('/api/refresh', async (req, res) => {
 // Hostname resolution API endpoint
 app.get('/api/hostname/:ip', async (req, res) => {
     try {
-        const ip = req.params.ip;
-        if (!ip.match(/^\d+\.\d+\.\d+\.\d+$/)) {
+        const ip = normalizeIP(req.params.ip);
+        if (!ip) {
             return res.status(400).json({ error: 'Invalid IP address format' });
         }
         
-        const hostname = await resolveHostname(ip);
-        res.json({ ip, hostname });
+        // The UI is showing this IP: move it to the front of the enrichment queue
+        if (!hostnameCache.has(ip)) {
+            await enrichmentQueue.prioritize(ip, CONFIG.enrichment.uiWaitMs);
+            if (!hostnameCache.has(ip)) {
+                return res.status(202).json({ ip, hostname: null, queued: true });
+            }
+        }
+        
+        res.json({ ip, hostname: hostnameCache.get(ip) });
     } catch (error) {
         log(`Error resolving hostname for ${req.params.ip}: ${error.message}`);
         res.status(500).json({ error: 'Hostname resolution failed' });
@@ -930,12 +1331,22 @@ app.get('/api/hostname/:ip', async (req, res) => {
 // API endpoint to get location information for an IP address
 app.get('/api/location/:ip', async (req, res) => {
     try {
-        const ip = req.params.ip;
-        if (!ip.match(/^\d+\.\d+\.\d+\.\d+$/)) {
+        const ip = normalizeIP(req.params.ip);
+        if (!ip) {
             return res.status(400).json({ error: 'Invalid IP address format' });
         }
         
-        const locationData = await getIPLocation(ip);
+        // Known (possibly stale) answers are served directly; anything else is
+        // looked up through the enrichment queue at UI priority
+        let locationData = (await geoCache.peekMany([ip])).get(ip);
+        if (locationData === undefined) {
+            await enrichmentQueue.prioritize(ip, CONFIG.enrichment.uiWaitMs);
+            locationData = (await geoCache.peekMany([ip])).get(ip);
+            if (locationData === undefined) {
+                return res.status(202).json({ ip, queued: true, error: 'Location lookup queued' });
+            }
+        }
+        
         if (locationData) {
             res.json(locationData);
         } else {
@@ -947,23 +1358,43 @@ app.get('/api/location/:ip', async (req, res) => {
     }
 });
 
-// API endpoint for fast database-backed historical connections
+// Geolocation provider chain: order, offline mode, database versions and hit counts
+app.get('/api/geoip/status', (req, res) => {
+    res.json({ ...geoip.status(), cache: geoCache.stats() });
+});
+
+// Enrichment queue depth, throughput and retry counters
+app.get('/api/enrichment/status', async (req, res) => {
+    try {
+        res.json(await enrichmentQueue.stats());
+    } catch (error) {
+        log(`Error getting enrichment status: ${error.message}`);
+        res.status(500).json({ error: 'Failed to get enrichment status' });
+    }
+});
+
+// API endpoint for fast database-backed historical connections (one row per IP)
 app.get('/api/connections/history-fast', async (req, res) => {
+    const { page, errors } = parsePageQuery(req.query, AGGREGATE_SORTS, { sort: 'lastSeen', limit: 1000 });
+    if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid pagination parameters', details: errors });
+    }
+    
+    const { filters, errors: filterErrors } = connectionListFilters(req.query);
+    if (filterErrors.length > 0) {
+        return res.status(400).json({ error: 'Invalid filter parameters', details: filterErrors });
+    }
+    
     try {
-        const { startDate, endDate, direction, limit = 1000 } = req.query;
-        
-        const filters = {
-            startDate: startDate ? new Date(startDate).toISOString() : null,
-            endDate: endDate ? new Date(endDate).toISOString() : null,
-            direction: direction && direction !== 'both' ? direction : null,
-            limit: parseInt(limit)
-        };
-        
-        const connections = await db.getAggregatedConnections(filters);
+        const { connections, totalCount, nextCursor } = await db.getAggregatedConnections(filters, page);
         
         res.json({
-            connections: connections,
-            totalConnections: connections.length,
+            connections: connections.map(withAggregateAnnotations),
+            totalConnections: totalCount,
+            nextCursor: nextCursor,
+            sort: page.sort,
+            order: page.order,
+            limit: page.limit,
             lastUpdate: new Date().toISOString(),
             homeLocation: CONFIG.homeLocation,
             source: 'database',
@@ -976,23 +1407,29 @@ app.get('/api/connections/history-fast', async (req, res) => {
     }
 });
 
-// API endpoint for database search
+// API endpoint for database search (same paging and sorting as history-fast)
 app.get('/api/connections/search', async (req, res) => {
+    const { page, errors } = parsePageQuery(req.query, AGGREGATE_SORTS, { sort: 'lastSeen', limit: 1000 });
+    if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid pagination parameters', details: errors });
+    }
+    
+    const { filters, errors: filterErrors } = connectionListFilters(req.query);
+    if (filterErrors.length > 0) {
+        return res.status(400).json({ error: 'Invalid filter parameters', details: filterErrors });
+    }
+    
     try {
-        const { q: searchTerm, startDate, endDate, direction, limit = 1000 } = req.query;
-        
-        const filters = {
-            startDate: startDate ? new Date(startDate).toISOString() : null,
-            endDate: endDate ? new Date(endDate).toISOString() : null,
-            direction: direction && direction !== 'both' ? direction : null,
-            limit: parseInt(limit)
-        };
-        
-        const connections = await db.searchConnections(searchTerm, filters);
+        const searchTerm = req.query.q;
+        const { connections, totalCount, nextCursor } = await db.searchConnections(searchTerm, filters, page);
         
         res.json({
-            connections: connections,
-            totalConnections: connections.length,
+            connections: connections.map(withAggregateAnnotations),
+            totalConnections: totalCount,
+            nextCursor: nextCursor,
+            sort: page.sort,
+            order: page.order,
+            limit: page.limit,
             searchTerm: searchTerm || '',
             lastUpdate: new Date().toISOString(),
             homeLocation: CONFIG.homeLocation,
@@ -1006,16 +1443,585 @@ app.get('/api/connections/search', async (req, res) => {
     }
 });
 
+// Write a chunk of a streamed response, waiting until a full socket buffer
+// drains (or the client goes away) before the next one
+function writeChunk(res, chunk) {
+    if (chunk === '' || res.write(chunk)) return Promise.resolve();
+    
+    return new Promise(resolve => {
+        const done = () => {
+            res.off('drain', done);
+            res.off('close', done);
+            resolve();
+        };
+        res.on('drain', done);
+        res.on('close', done);
+    });
+}
+
+// Stream every raw connection row matching the history/search filters
+// (?q=&startDate=&endDate=&direction=&ip=&device=&service=&list=) as CSV,
+// NDJSON or GeoJSON (?format=&columns=&sort=&order=&limit=). Rows come from
+// a database cursor batch by batch, so exports of any size use little memory.
+app.get('/api/export', async (req, res) => {
+    const { exportOptions, errors } = parseExportQuery(req.query);
+    if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid export parameters', details: errors });
+    }
+    
+    const { filters, errors: filterErrors } = connectionListFilters(req.query);
+    if (filterErrors.length > 0) {
+        return res.status(400).json({ error: 'Invalid filter parameters', details: filterErrors });
+    }
+    
+    if (!db.isInitialized) {
+        return res.status(503).json({ error: 'Database not initialized' });
+    }
+    
+    const format = EXPORT_FORMATS[exportOptions.format];
+    const serializer = format.create(exportOptions.columns);
+    
+    let disconnected = false;
+    res.on('close', () => {
+        if (!res.writableFinished) disconnected = true;
+    });
+    
+    // Headers go out with the first batch, so a failing query can still answer 500
+    const begin = async () => {
+        if (res.headersSent) return;
+        const timestamp = new Date().toISOString().slice(0, 19).replace(/[:-]/g, '');
+        res.set({
+            'Content-Type': format.contentType,
+            'Content-Disposition': `attachment; filename="firewalla-connections-${timestamp}.${format.extension}"`,
+            'Cache-Control': 'no-store'
+        });
+        await writeChunk(res, serializer.header());
+    };
+    
+    try {
+        const options = { ...exportOptions, columns: exportOptions.fetchColumns };
+        const exported = await db.exportConnections(filters, req.query.q, options, async (rows) => {
+            await begin();
+            await writeChunk(res, serializer.rows(rows));
+            return !disconnected;
+        });
+        
+        if (disconnected) {
+            log(`Export by ${req.principal.name} cancelled by the client after ${exported} rows`);
+            return;
+        }
+        await begin();
+        res.end(serializer.footer());
+        log(`Exported ${exported} connections as ${exportOptions.format} for ${req.principal.name}`);
+    } catch (error) {
+        log(`Error exporting connections: ${error.message}`);
+        if (!res.headersSent) {
+            return res.status(500).json({ error: 'Failed to export connections' });
+        }
+        // Cut the transfer short so the client can tell the file is incomplete
+        res.destroy(error);
+    }
+});
+
+// Internal device inventory with traffic totals and top destinations over the last ?hours= (default 24)
+app.get('/api/devices', async (req, res) => {
+    try {
+        const hours = parseFloat(req.query.hours) || 24;
+        const since = new Date(Date.now() - hours * 60 * 60 * 1000);
+        const devices = await db.getDevices({ since, topDestinations: parseInt(req.query.top) || 5 });
+        res.json({ devices, since: since.toISOString() });
+    } catch (error) {
+        log(`Error getting devices: ${error.message}`);
+        res.status(500).json({ error: 'Failed to get devices' });
+    }
+});
+
+app.get('/api/devices/:ip', async (req, res) => {
+    const ip = normalizeIP(req.params.ip);
+    if (!ip) {
+        return res.status(400).json({ error: 'Invalid IP address format' });
+    }
+    
+    try {
+        const hours = parseFloat(req.query.hours) || 24;
+        const since = new Date(Date.now() - hours * 60 * 60 * 1000);
+        const [device] = await db.getDevices({ ip, since, topDestinations: parseInt(req.query.top) || 10 });
+        if (!device) {
+            return res.status(404).json({ error: 'Device not found' });
+        }
+        res.json({ device, since: since.toISOString() });
+    } catch (error) {
+        log(`Error getting device ${ip}: ${error.message}`);
+        res.status(500).json({ error: 'Failed to get device' });
+    }
+});
+
+// Name a device, or record its MAC address and vendor
+app.put('/api/devices/:ip', async (req, res) => {
+    const ip = normalizeIP(req.params.ip);
+    if (!ip) {
+        return res.status(400).json({ error: 'Invalid IP address format' });
+    }
+    
+    const { device, errors } = validateDevice(req.body);
+    if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid device', details: errors });
+    }
+    
+    try {
+        if (!await db.updateDevice(ip, device)) {
+            return res.status(404).json({ error: 'Device not found' });
+        }
+        log(`Device ${ip} updated by ${req.principal.name}: ${JSON.stringify(device)}`);
+        const [updated] = await db.getDevices({ ip });
+        res.json({ success: true, device: updated });
+    } catch (error) {
+        log(`Error updating device ${ip}: ${error.message}`);
+        res.status(500).json({ error: 'Failed to update device' });
+    }
+});
+
+// What a device talks to: its connections aggregated per external IP, paged
+// and sorted like /api/connections/history-fast
+app.get('/api/devices/:ip/connections', async (req, res) => {
+    const ip = normalizeIP(req.params.ip);
+    if (!ip) {
+        return res.status(400).json({ error: 'Invalid IP address format' });
+    }
+    
+    const { page, errors } = parsePageQuery(req.query, AGGREGATE_SORTS, { sort: 'lastSeen', limit: 100 });
+    if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid pagination parameters', details: errors });
+    }
+    
+    const { filters: listFilters, errors: filterErrors } = connectionListFilters(req.query);
+    if (filterErrors.length > 0) {
+        return res.status(400).json({ error: 'Invalid filter parameters', details: filterErrors });
+    }
+    
+    try {
+        const filters = { ...listFilters, internalIp: ip };
+        const { connections, totalCount, nextCursor } = await db.getAggregatedConnections(filters, page);
+        
+        res.json({
+            device: ip,
+            connections: connections.map(withAggregateAnnotations),
+            totalConnections: totalCount,
+            nextCursor: nextCursor,
+            sort: page.sort,
+            order: page.order,
+            limit: page.limit,
+            filters: filters
+        });
+    } catch (error) {
+        log(`Error getting connections for device ${ip}: ${error.message}`);
+        res.status(500).json({ error: 'Failed to get device connections' });
+    }
+});
+
+// Traffic per service over the last ?hours= (default 24), optionally for one ?direction=
+app.get('/api/services', async (req, res) => {
+    try {
+        const hours = parseFloat(req.query.hours) || 24;
+        const since = new Date(Date.now() - hours * 60 * 60 * 1000);
+        const direction = ['inbound', 'outbound'].includes(req.query.direction) ? req.query.direction : null;
+        const stats = await db.getServiceStats({ since, direction });
+        const catalog = new Map(serviceClassifier.services().map(service => [service.name, service]));
+        
+        const services = stats.filter(row => row.service).map(({ service, ...row }) => ({
+            name: service,
+            ports: catalog.has(service) ? catalog.get(service).ports : [],
+            sensitive: catalog.has(service) && catalog.get(service).sensitive,
+            ...row
+        }));
+        const unclassified = stats.filter(row => !row.service).map(({ service, ...row }) => row)[0];
+        
+        res.json({
+            since: since.toISOString(),
+            direction: direction || 'both',
+            services: services,
+            unclassified: unclassified || null
+        });
+    } catch (error) {
+        log(`Error getting service stats: ${error.message}`);
+        res.status(500).json({ error: 'Failed to get service statistics' });
+    }
+});
+
+// The port -> service table in effect: built-ins merged with user overrides
+app.get('/api/services/table', (req, res) => {
+    res.json({ entries: serviceClassifier.entries() });
+});
+
+// Add or change the service of a port (protocol tcp, udp or any)
+app.put('/api/services/overrides/:port/:protocol', async (req, res) => {
+    const { override, errors } = validateServiceOverride({ ...req.body, port: req.params.port, protocol: req.params.protocol });
+    if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid service override', details: errors });
+    }
+    
+    try {
+        const saved = await db.upsertServiceOverride(override);
+        await serviceClassifier.load();
+        log(`Service override ${override.port}/${override.protocol} -> ${override.name} set by ${req.principal.name}`);
+        res.json({ success: true, override: saved });
+    } catch (error) {
+        log(`Error saving service override: ${error.message}`);
+        res.status(500).json({ error: 'Failed to save service override' });
+    }
+});
+
+// Drop an override; the port falls back to its built-in service (if any)
+app.delete('/api/services/overrides/:port/:protocol', async (req, res) => {
+    const port = parseInt(req.params.port);
+    if (!(port > 0 && port < 65536)) {
+        return res.status(400).json({ error: 'Invalid port' });
+    }
+    
+    try {
+        if (!await db.deleteServiceOverride(port, req.params.protocol.toLowerCase())) {
+            return res.status(404).json({ error: 'Service override not found' });
+        }
+        await serviceClassifier.load();
+        log(`Service override ${req.params.port}/${req.params.protocol} removed by ${req.principal.name}`);
+        res.json({ success: true });
+    } catch (error) {
+        log(`Error deleting service override: ${error.message}`);
+        res.status(500).json({ error: 'Failed to delete service override' });
+    }
+});
+
+// Entities devices contacted for the first time after their learning period
+// (?hours=168&kind=ip,asn,country&device=&limit=100)
+app.get('/api/novelty', async (req, res) => {
+    const { options, errors } = parseNoveltyQuery(req.query);
+    if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid novelty query', details: errors });
+    }
+    
+    try {
+        const entries = await db.getNoveltyFeed(options);
+        res.json({
+            since: options.since.toISOString(),
+            learningDays: db.noveltyConfig.learningDays,
+            entries: entries
+        });
+    } catch (error) {
+        log(`Error getting novelty feed: ${error.message}`);
+        res.status(500).json({ error: 'Failed to get novelty feed' });
+    }
+});
+
+app.get('/api/novelty/config', (req, res) => {
+    res.json({ config: db.noveltyConfig });
+});
+
+app.put('/api/novelty/config', async (req, res) => {
+    if (await saveSettingChanges(req, res, sectionChanges('novelty', req.body), 'novelty config')) {
+        res.json({ success: true, config: db.noveltyConfig });
+    }
+});
+
+// Allowlist and blocklist entries (?list=allow|block), expired ones included
+app.get('/api/lists', async (req, res) => {
+    try {
+        const entries = await db.getListEntries();
+        const now = Date.now();
+        res.json({
+            entries: entries
+                .filter(entry => !req.query.list || entry.list === req.query.list)
+                .map(entry => ({ ...entry, expired: !!entry.expires_at && new Date(entry.expires_at).getTime() <= now }))
+        });
+    } catch (error) {
+        log(`Error listing allow/block entries: ${error.message}`);
+        res.status(500).json({ error: 'Failed to list entries' });
+    }
+});
+
+app.post('/api/lists', async (req, res) => {
+    const { entry, errors } = validateListEntry(req.body);
+    if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid list entry', details: errors });
+    }
+    
+    try {
+        const created = await db.createListEntry(entry, req.principal.name);
+        await ipLists.load();
+        log(`${created.list}list entry #${created.id} (${created.network || `AS${created.asn}`}) added by ${req.principal.name}`);
+        res.status(201).json({ success: true, entry: created });
+    } catch (error) {
+        log(`Error creating list entry: ${error.message}`);
+        res.status(500).json({ error: 'Failed to create list entry' });
+    }
+});
+
+app.put('/api/lists/:id', async (req, res) => {
+    const id = parseInt(req.params.id);
+    const existing = await db.getListEntry(id);
+    if (!existing) {
+        return res.status(404).json({ error: 'List entry not found' });
+    }
+    
+    // Partial updates: unspecified fields keep their current values, and
+    // giving a network replaces an ASN (and vice versa)
+    const body = req.body || {};
+    const target = body.network !== undefined || body.asn !== undefined
+        ? { network: null, asn: null }
+        : { network: existing.network, asn: existing.asn };
+    const { entry, errors } = validateListEntry({
+        list: existing.list,
+        action: existing.action,
+        note: existing.note,
+        expires_at: existing.expires_at,
+        ...target,
+        ...body
+    });
+    if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid list entry', details: errors });
+    }
+    
+    try {
+        const updated = await db.updateListEntry(id, entry);
+        await ipLists.load();
+        log(`List entry #${id} updated by ${req.principal.name}`);
+        res.json({ success: true, entry: updated });
+    } catch (error) {
+        log(`Error updating list entry: ${error.message}`);
+        res.status(500).json({ error: 'Failed to update list entry' });
+    }
+});
+
+app.delete('/api/lists/:id', async (req, res) => {
+    try {
+        if (!await db.deleteListEntry(parseInt(req.params.id))) {
+            return res.status(404).json({ error: 'List entry not found' });
+        }
+        await ipLists.load();
+        log(`List entry #${req.params.id} removed by ${req.principal.name}`);
+        res.json({ success: true });
+    } catch (error) {
+        log(`Error deleting list entry: ${error.message}`);
+        res.status(500).json({ error: 'Failed to delete list entry' });
+    }
+});
+
+// Offline threat feeds with their version, entry count and last refresh
+app.get('/api/threat-feeds', async (req, res) => {
+    try {
+        res.json({ feeds: await db.getThreatFeeds() });
+    } catch (error) {
+        log(`Error listing threat feeds: ${error.message}`);
+        res.status(500).json({ error: 'Failed to list threat feeds' });
+    }
+});
+
+app.get('/api/threat-feeds/:id/versions', async (req, res) => {
+    try {
+        const feed = await db.getThreatFeed(parseInt(req.params.id));
+        if (!feed) {
+            return res.status(404).json({ error: 'Threat feed not found' });
+        }
+        res.json({ feed, versions: await db.getThreatFeedVersions(feed.id) });
+    } catch (error) {
+        log(`Error listing threat feed versions: ${error.message}`);
+        res.status(500).json({ error: 'Failed to list threat feed versions' });
+    }
+});
+
+// Fetch a feed now and reload the index when it changed. Responds with the
+// refresh result, or 502 with the feed's error.
+async function refreshThreatFeed(feed, res, status = 200) {
+    try {
+        const result = await threatFeeds.refresh(feed);
+        if (result.changed) await threatFeeds.load();
+        res.status(status).json({ success: true, feed: await db.getThreatFeed(feed.id), refresh: result });
+    } catch (error) {
+        log(`Error refreshing threat feed ${feed.name}: ${error.message}`);
+        res.status(502).json({ error: 'Failed to refresh threat feed', details: error.message, feed: await db.getThreatFeed(feed.id) });
+    }
+}
+
+app.post('/api/threat-feeds', async (req, res) => {
+    const { feed, errors } = validateFeed(req.body);
+    if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid threat feed', details: errors });
+    }
+    
+    let created;
+    try {
+        created = await db.createThreatFeed(feed, req.principal.name);
+        log(`Threat feed ${created.name} (${created.source}) added by ${req.principal.name}`);
+    } catch (error) {
+        if (error.code === '23505') {
+            return res.status(409).json({ error: `Threat feed ${feed.name} already exists` });
+        }
+        log(`Error creating threat feed: ${error.message}`);
+        return res.status(500).json({ error: 'Failed to create threat feed' });
+    }
+    
+    // The first import happens right away; a failed one is retried on schedule
+    await refreshThreatFeed(created, res, 201);
+});
+
+app.put('/api/threat-feeds/:id', async (req, res) => {
+    const id = parseInt(req.params.id);
+    const existing = await db.getThreatFeed(id);
+    if (!existing) {
+        return res.status(404).json({ error: 'Threat feed not found' });
+    }
+    
+    // Partial updates: unspecified fields keep their current values
+    const { feed, errors } = validateFeed({
+        name: existing.name,
+        source: existing.source,
+        refreshMinutes: existing.refresh_minutes,
+        score: existing.score,
+        enabled: existing.enabled,
+        ...req.body
+    });
+    if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid threat feed', details: errors });
+    }
+    
+    try {
+        const updated = await db.updateThreatFeed(id, feed);
+        await threatFeeds.load();
+        log(`Threat feed ${updated.name} updated by ${req.principal.name}`);
+        res.json({ success: true, feed: updated });
+    } catch (error) {
+        if (error.code === '23505') {
+            return res.status(409).json({ error: `Threat feed ${feed.name} already exists` });
+        }
+        log(`Error updating threat feed: ${error.message}`);
+        res.status(500).json({ error: 'Failed to update threat feed' });
+    }
+});
+
+app.post('/api/threat-feeds/:id/refresh', async (req, res) => {
+    try {
+        const feed = await db.getThreatFeed(parseInt(req.params.id));
+        if (!feed) {
+            return res.status(404).json({ error: 'Threat feed not found' });
+        }
+        await refreshThreatFeed(feed, res);
+    } catch (error) {
+        log(`Error refreshing threat feed: ${error.message}`);
+        res.status(500).json({ error: 'Failed to refresh threat feed' });
+    }
+});
+
+app.delete('/api/threat-feeds/:id', async (req, res) => {
+    try {
+        if (!await db.deleteThreatFeed(parseInt(req.params.id))) {
+            return res.status(404).json({ error: 'Threat feed not found' });
+        }
+        await threatFeeds.load();
+        log(`Threat feed #${req.params.id} removed by ${req.principal.name}`);
+        res.json({ success: true });
+    } catch (error) {
+        log(`Error deleting threat feed: ${error.message}`);
+        res.status(500).json({ error: 'Failed to delete threat feed' });
+    }
+});
+
+// Cloud range sources with their range counts and last import
+app.get('/api/cloud-ranges', async (req, res) => {
+    try {
+        res.json({ sources: await db.getCloudRangeSources() });
+    } catch (error) {
+        log(`Error listing cloud range sources: ${error.message}`);
+        res.status(500).json({ error: 'Failed to list cloud range sources' });
+    }
+});
+
+// Provider range containing an IP (null when none does)
+app.get('/api/cloud-ranges/lookup/:ip', async (req, res) => {
+    const ip = normalizeIP(req.params.ip);
+    if (!ip) {
+        return res.status(400).json({ error: 'Invalid IP address format' });
+    }
+    
+    try {
+        res.json({ ip, cloud: await db.getCloudRange(ip) });
+    } catch (error) {
+        log(`Error looking up cloud range for ${ip}: ${error.message}`);
+        res.status(500).json({ error: 'Failed to look up cloud range' });
+    }
+});
+
+// Import a source's ranges now. Responds with the import result, or 502 with the error.
+async function importCloudRanges(source, res, status = 200) {
+    try {
+        const result = await cloudRanges.import(source);
+        res.status(status).json({ success: true, source: await db.getCloudRangeSource(source.name), import: result });
+    } catch (error) {
+        log(`Error importing cloud ranges ${source.name}: ${error.message}`);
+        res.status(502).json({ error: 'Failed to import cloud ranges', details: error.message, source: await db.getCloudRangeSource(source.name) });
+    }
+}
+
+// Add (or redefine) a custom source and import it: { name, provider, format, source }
+app.post('/api/cloud-ranges', async (req, res) => {
+    const { source, errors } = validateRangeSource(req.body);
+    if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid cloud range source', details: errors });
+    }
+    
+    let saved;
+    try {
+        saved = await db.saveCloudRangeSource(source, req.principal.name);
+        log(`Cloud range source ${saved.name} (${saved.provider}, ${saved.locations.join(' ')}) saved by ${req.principal.name}`);
+    } catch (error) {
+        log(`Error saving cloud range source: ${error.message}`);
+        return res.status(500).json({ error: 'Failed to save cloud range source' });
+    }
+    
+    await importCloudRanges(saved, res, 201);
+});
+
+app.post('/api/cloud-ranges/:name/refresh', async (req, res) => {
+    try {
+        const source = await db.getCloudRangeSource(req.params.name);
+        if (!source) {
+            return res.status(404).json({ error: 'Cloud range source not found' });
+        }
+        await importCloudRanges(source, res);
+    } catch (error) {
+        log(`Error refreshing cloud ranges ${req.params.name}: ${error.message}`);
+        res.status(500).json({ error: 'Failed to refresh cloud ranges' });
+    }
+});
+
+// Built-in sources come back on restart unless removed from cloudRanges.sources
+app.delete('/api/cloud-ranges/:name', async (req, res) => {
+    try {
+        if (!await db.deleteCloudRangeSource(req.params.name)) {
+            return res.status(404).json({ error: 'Cloud range source not found' });
+        }
+        log(`Cloud range source ${req.params.name} removed by ${req.principal.name}`);
+        res.json({ success: true });
+    } catch (error) {
+        log(`Error deleting cloud range source: ${error.message}`);
+        res.status(500).json({ error: 'Failed to delete cloud range source' });
+    }
+});
+
 app.get('/api/status', (req, res) => {
     res.json({
         status: 'running',
         lastUpdate: lastUpdate,
         connectionsCount: connectionsCache.length,
+        liveClients: liveStream.clients.size,
         uptime: process.uptime(),
         port: PORT
     });
 });
 
+// Live push channel: new connections, newly seen IPs, threat intel updates, collection cycles
+app.get('/api/stream', (req, res) => {
+    liveStream.handle(req, res);
+});
+
 // API endpoint for database statistics
 app.get('/api/stats', async (req, res) => {
     try {
@@ -1029,7 +2035,7 @@ app.get('/api/stats', async (req, res) => {
             },
             cache: {
                 connections: connectionsCache.length,
-                geolocations: geolocationCache.size
+                geolocations: geoCache.stats()
             },
             system: {
                 uptime: process.uptime(),
@@ -1043,6 +2049,33 @@ app.get('/api/stats', async (req, res) => {
     }
 });
 
+// Long-term traffic trends from the hourly/daily rollups (outlive raw retention)
+app.get('/api/timeseries', async (req, res) => {
+    const { options, errors } = parseTimeseriesQuery(req.query);
+    if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid timeseries query', details: errors });
+    }
+    
+    try {
+        const { series, totalSeries } = await db.getTimeseries(options);
+        
+        res.json({
+            granularity: options.granularity,
+            metric: options.metric,
+            groupBy: options.groupBy,
+            startDate: options.start.toISOString(),
+            endDate: options.end.toISOString(),
+            filters: options.filters,
+            series: series,
+            totalSeries: totalSeries,
+            lastRollupAt: db.lastRollupAt
+        });
+    } catch (error) {
+        log(`Error serving timeseries: ${error.message}`);
+        res.status(500).json({ error: 'Failed to load timeseries' });
+    }
+});
+
 // API endpoint to manually run retention policies
 app.post('/api/retention/run', async (req, res) => {
     try {
@@ -1059,6 +2092,23 @@ app.post('/api/retention/run', async (req, res) => {
     }
 });
 
+// Daily connection partitions with their sizes (what retention drops, oldest first)
+app.get('/api/retention/partitions', async (req, res) => {
+    try {
+        const { partitions, defaultPartition } = await db.getPartitions();
+        res.json({
+            partitions: partitions.map(partition => ({ ...partition, day: partition.day.toISOString().slice(0, 10) })),
+            defaultPartition: defaultPartition,
+            totalSizeMB: Math.round(partitions.reduce((sum, partition) => sum + partition.sizeMB, 0) * 100) / 100,
+            databaseSizeMB: await db.getDatabaseSizeMB(),
+            maxSizeMB: db.retentionConfig.maxSizeMB
+        });
+    } catch (error) {
+        log(`Error listing connection partitions: ${error.message}`);
+        res.status(500).json({ error: 'Failed to list connection partitions', details: error.message });
+    }
+});
+
 // API endpoint to get retention policy configuration
 app.get('/api/retention/config', (req, res) => {
     res.json({
@@ -1068,19 +2118,10 @@ app.get('/api/retention/config', (req, res) => {
 });
 
 // API endpoint to update retention policy configuration
-app.put('/api/retention/config', (req, res) => {
-    try {
-        const { maxSizeMB, maxAgeDays, enableSizeLimit, enableTimeLimit } = req.body;
-        
-        if (maxSizeMB && maxSizeMB > 0) db.retentionConfig.maxSizeMB = maxSizeMB;
-        if (maxAgeDays && maxAgeDays > 0) db.retentionConfig.maxAgeDays = maxAgeDays;
-        if (enableSizeLimit !== undefined) db.retentionConfig.enableSizeLimit = enableSizeLimit;
-        if (enableTimeLimit !== undefined) db.retentionConfig.enableTimeLimit = enableTimeLimit;
-        
+app.put('/api/retention/config', async (req, res) => {
+    if (await saveSettingChanges(req, res, sectionChanges('retention', req.body), 'retention config')) {
         log(`Retention config updated: ${JSON.stringify(db.retentionConfig)}`);
         res.json({ success: true, config: db.retentionConfig });
-    } catch (error) {
-        res.status(500).json({ error: 'Failed to update retention config', details: error.message });
     }
 });
 
@@ -1088,42 +2129,159 @@ app.put('/api/retention/config', (req, res) => {
 app.get('/api/collection/config', (req, res) => {
     res.json({
         config: {
-            maxConnectionsPerIP: CONFIG.maxConnectionsPerIP,
-            maxUniqueIPsPerCycle: CONFIG.maxUniqueIPsPerCycle
+            maxConnectionsPerIP: CONFIG.maxConnectionsPerIP
         },
         description: {
-            maxConnectionsPerIP: 'Maximum connections per IP per collection cycle',
-            maxUniqueIPsPerCycle: 'Maximum unique IPs processed per collection cycle'
+            maxConnectionsPerIP: 'Maximum connections per IP per collection cycle'
         }
     });
 });
 
 // API endpoint to update collection limit configuration
-app.put('/api/collection/config', (req, res) => {
-    try {
-        const { maxConnectionsPerIP, maxUniqueIPsPerCycle } = req.body;
-        
-        if (maxConnectionsPerIP && maxConnectionsPerIP > 0) {
-            CONFIG.maxConnectionsPerIP = parseInt(maxConnectionsPerIP);
-            log(`Updated maxConnectionsPerIP to ${CONFIG.maxConnectionsPerIP}`);
-        }
-        
-        if (maxUniqueIPsPerCycle && maxUniqueIPsPerCycle > 0) {
-            CONFIG.maxUniqueIPsPerCycle = parseInt(maxUniqueIPsPerCycle);
-            log(`Updated maxUniqueIPsPerCycle to ${CONFIG.maxUniqueIPsPerCycle}`);
-        }
-        
-        log(`Collection config updated: maxConnectionsPerIP=${CONFIG.maxConnectionsPerIP}, maxUniqueIPsPerCycle=${CONFIG.maxUniqueIPsPerCycle}`);
+app.put('/api/collection/config', async (req, res) => {
+    if (await saveSettingChanges(req, res, sectionChanges('collection', req.body), 'collection config')) {
+        log(`Collection config updated: maxConnectionsPerIP=${CONFIG.maxConnectionsPerIP}`);
         res.json({ 
             success: true, 
             config: {
-                maxConnectionsPerIP: CONFIG.maxConnectionsPerIP,
-                maxUniqueIPsPerCycle: CONFIG.maxUniqueIPsPerCycle
+                maxConnectionsPerIP: CONFIG.maxConnectionsPerIP
             }
         });
+    }
+});
+
+// Data reduction pipeline applied to collected and pushed batches (see reduction.js)
+app.get('/api/reduction/config', (req, res) => {
+    res.json({ config: db.reduction.config });
+});
+
+// Partial updates: omitted rules and fields keep their current values
+app.put('/api/reduction/config', async (req, res) => {
+    if (await saveSettingChanges(req, res, { reduction: req.body }, 'reduction config')) {
+        res.json({ success: true, config: db.reduction.config });
+    }
+});
+
+// Rows each rule removed since startup (or the last reset)
+app.get('/api/reduction/stats', (req, res) => {
+    res.json({ stats: db.reduction.stats() });
+});
+
+app.post('/api/reduction/stats/reset', (req, res) => {
+    db.reduction.resetCounters();
+    res.json({ success: true, stats: db.reduction.stats() });
+});
+
+// Every runtime-tunable option with its type, description and current value
+app.get('/api/settings', (req, res) => {
+    res.json({ settings: settingsStore.describe() });
+});
+
+// Change any settings at once: { "retention.maxAgeDays": 14, "collection.maxConnectionsPerIP": 100 }.
+// All changes are validated before any is saved.
+app.put('/api/settings', async (req, res) => {
+    if (await saveSettingChanges(req, res, req.body, 'settings')) {
+        res.json({ success: true, settings: settingsStore.describe() });
+    }
+});
+
+// Who changed which setting when, newest first (?key=retention&limit=100)
+app.get('/api/settings/history', async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+        const history = await db.getSettingsHistory({ key: req.query.key || null, limit });
+        res.json({ history });
+    } catch (error) {
+        log(`Error loading settings history: ${error.message}`);
+        res.status(500).json({ error: 'Failed to load settings history' });
+    }
+});
+
+// Alert rule CRUD
+app.get('/api/alerts/rules', async (req, res) => {
+    try {
+        const rules = await db.getAlertRules();
+        res.json({ rules });
     } catch (error) {
-        res.status(500).json({ error: 'Failed to update collection config', details: error.message });
+        log(`Error listing alert rules: ${error.message}`);
+        res.status(500).json({ error: 'Failed to list alert rules' });
+    }
+});
+
+app.get('/api/alerts/rules/:id', async (req, res) => {
+    const rule = await db.getAlertRule(parseInt(req.params.id));
+    if (!rule) {
+        return res.status(404).json({ error: 'Alert rule not found' });
+    }
+    res.json({ rule });
+});
+
+app.post('/api/alerts/rules', async (req, res) => {
+    const { rule, errors } = validateAlertRule(req.body);
+    if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid alert rule', details: errors });
+    }
+    
+    const created = await db.createAlertRule(rule);
+    if (!created) {
+        return res.status(500).json({ error: 'Failed to create alert rule' });
+    }
+    
+    log(`Alert rule created: ${created.name} (#${created.id})`);
+    res.status(201).json({ success: true, rule: created });
+});
+
+app.put('/api/alerts/rules/:id', async (req, res) => {
+    const id = parseInt(req.params.id);
+    const existing = await db.getAlertRule(id);
+    if (!existing) {
+        return res.status(404).json({ error: 'Alert rule not found' });
+    }
+    
+    // Partial updates: unspecified fields keep their current values
+    const { rule, errors } = validateAlertRule({
+        name: existing.name,
+        enabled: existing.enabled,
+        conditions: existing.conditions,
+        channels: existing.channels,
+        cooldown_minutes: existing.cooldown_minutes,
+        ...req.body
+    });
+    if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid alert rule', details: errors });
+    }
+    
+    const updated = await db.updateAlertRule(id, rule);
+    if (!updated) {
+        return res.status(500).json({ error: 'Failed to update alert rule' });
     }
+    
+    log(`Alert rule updated: ${updated.name} (#${updated.id})`);
+    res.json({ success: true, rule: updated });
+});
+
+app.delete('/api/alerts/rules/:id', async (req, res) => {
+    const deleted = await db.deleteAlertRule(parseInt(req.params.id));
+    if (!deleted) {
+        return res.status(404).json({ error: 'Alert rule not found' });
+    }
+    
+    log(`Alert rule #${req.params.id} deleted`);
+    res.json({ success: true });
+});
+
+// Alert history, newest first
+app.get('/api/alerts/history', async (req, res) => {
+    const { ruleId, limit = 100 } = req.query;
+    const alerts = await db.getAlertHistory({
+        ruleId: ruleId ? parseInt(ruleId) : null,
+        limit: Math.min(parseInt(limit) || 100, 1000)
+    });
+    
+    res.json({
+        alerts,
+        stats: alertEngine ? alertEngine.stats : null
+    });
 });
 
 // Serve main page
@@ -1131,19 +2289,43 @@ app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
+// Record threat feed matches of ingested IPs as their 'feeds' verdict right
+// away instead of waiting for the scheduled refresh. Only IPs whose matches
+// changed since they were last recorded are looked at.
+async function recordThreatFeedMatches(connections) {
+    if (!threatIntelService) return;
+    
+    for (const ip of threatFeeds.changedMatches(connections.map(conn => conn.ip))) {
+        try {
+            const existingData = await db.getThreatIntel(ip);
+            const threatData = await threatIntelService.getThreatIntelligence(
+                ip, existingData ? existingData.verdicts : [], { providers: ['feeds'] });
+            if (threatData) {
+                await db.upsertThreatIntel(ip, threatData);
+                log(`Threat feed match for ${ip}: ${threatData.verdicts.find(verdict => verdict.provider === 'feeds').summary} (${threatData.threat_level})`);
+            }
+        } catch (error) {
+            log(`Error recording threat feed match for ${ip}: ${error.message}`);
+        }
+    }
+}
+
 // Background threat intelligence refresh function
 async function backgroundThreatIntelRefresh(specificIPs = null) {
     if (!threatIntelService) {
         console.log('Threat intelligence service not initialized');
         return;
     }
+    if (!threatIntelService.isEnabled()) {
+        return;
+    }
 
     try {
         let ipsToCheck = specificIPs;
         
         if (!ipsToCheck) {
             // Get IPs that need refresh (older than 24 hours or never checked)
-            ipsToCheck = await db.getIPsNeedingThreatCheck(3); // Process 3 at a time to match API rate limits
+            ipsToCheck = await db.getIPsNeedingThreatCheck(CONFIG.threatIntel.batchSize); // Small batches to stay within API quotas
         }
         
         if (ipsToCheck.length === 0) {
@@ -1155,23 +2337,24 @@ async function backgroundThreatIntelRefresh(specificIPs = null) {
         
         for (const ip of ipsToCheck) {
             try {
-                // Check if we already have fresh data (race condition protection)
+                // Skip IPs another refresh checked in the last hour (race condition protection)
                 const existingData = await db.getThreatIntel(ip);
-                if (existingData) {
-                    continue; // Skip if already fresh
+                if (existingData && existingData.last_checked &&
+                    Date.now() - new Date(existingData.last_checked).getTime() < 60 * 60 * 1000) {
+                    continue;
                 }
                 
-                // Fetch threat intelligence
-                const threatData = await threatIntelService.getThreatIntelligence(ip);
+                // Providers that fail keep their stored verdict
+                const threatData = await threatIntelService.getThreatIntelligence(ip, existingData ? existingData.verdicts : []);
                 
                 if (threatData) {
-                    // Store in database
                     await db.upsertThreatIntel(ip, threatData);
-                    console.log(`Updated threat intel for ${ip}: threat_level determined from data`);
+                    console.log(`Updated threat intel for ${ip}: ${threatData.threat_level}` +
+                        (threatData.threat_score !== null ? ` (score ${threatData.threat_score})` : '') +
+                        (threatData.errors.length > 0 ? `; ${threatData.errors.join('; ')}` : ''));
                 } else {
-                    // Store empty result to avoid repeated API calls
-                    await db.upsertThreatIntel(ip, {});
-                    console.log(`No threat intel data available for ${ip}`);
+                    // Nothing stored, so the IP is picked up again by a later refresh
+                    console.log(`No threat intel provider answered for ${ip}; will retry`);
                 }
                 
             } catch (error) {
@@ -1207,20 +2390,72 @@ async function initializeServer() {
         await db.init();
         log('Database initialized successfully');
     } catch (error) {
+        // Never run against a schema written by newer code - it may have changed underneath us
+        if (error.code === 'SCHEMA_TOO_NEW') {
+            throw error;
+        }
         log(`Warning: Database initialization failed: ${error.message}`);
         log('Historical data will fall back to JSON files');
     }
     
+    // First run: no accounts yet, so log a one-time setup code for the admin bootstrap
+    if (db.isInitialized) {
+        await auth.prepareBootstrap();
+    }
+    
+    // Saved settings override env/default values
+    const savedSettings = await settingsStore.load();
+    if (savedSettings > 0) {
+        log(`Loaded ${savedSettings} saved settings`);
+    }
+    
+    // Purge expired login sessions hourly
+    cron.schedule('0 * * * *', () => {
+        db.deleteExpiredSessions();
+    });
+    
+    // Push inserted connections and threat intel updates to live UI clients
+    liveStream.attach();
+    
+    // Keep first/last seen of internal devices current
+    deviceInventory.attach();
+    
+    // Built-in port -> service table plus the user's overrides
+    await serviceClassifier.load();
+    
+    // Allowlist / blocklist entries for ingest tagging and dropping
+    await ipLists.load();
+    
+    // Evaluate alert rules against every inserted batch
+    alertEngine = new AlertEngine(db, { logger: log });
+    alertEngine.attach();
+    log('Alert engine initialized');
+    
+    // Offline threat feeds, refreshed on their own schedules
+    await threatFeeds.load();
+    threatFeeds.start();
+    
+    // Cloud provider ranges, imported now and refreshed weekly
+    await cloudRanges.start();
+    
     // Initialize threat intelligence service
-    threatIntelService = new ThreatIntelService();
-    log('Threat intelligence service initialized');
+    threatIntelService = new ThreatIntelService({ ...CONFIG.threatIntel, feeds: threatFeeds, logger: log });
+    log(`Threat intelligence service initialized (providers: ${threatIntelService.status().order.join(', ') || 'none'})`);
     
-    // Load geolocation cache
-    await loadGeolocationCache();
+    // Geolocations live in the database; bring over the old JSON cache once
+    await geoCache.importLegacyFile(LEGACY_GEOLOCATION_CACHE_FILE);
+    geoCache.start();
+    enrichmentQueue.start();
     
-    // Schedule periodic cache saves (every 5 minutes)
-    cron.schedule('*/5 * * * *', () => {
-        saveGeolocationCache();
+    // Summarize connections into hourly/daily rollups every 15 minutes; the
+    // first pass backfills whatever raw history exists
+    if (db.isInitialized) {
+        db.refreshRollups().then(hours => {
+            if (hours > 0) log(`Connection rollups refreshed (${hours} hours)`);
+        });
+    }
+    cron.schedule('*/15 * * * *', () => {
+        if (db.isInitialized) db.refreshRollups();
     });
     
     // Schedule database retention policies (every 30 minutes)
@@ -1228,18 +2463,21 @@ async function initializeServer() {
         try {
             log('Running database retention policies...');
             const results = await db.runRetentionPolicies();
-            log(`Retention completed: ${results.aged} aged, ${results.sized} oversized, ${results.geolocations} orphaned geo records removed`);
+            log(`Retention completed: ${results.aged} aged, ${results.sized} oversized, ${results.geolocations} orphaned geo records, ${results.rollups} expired rollup rows removed`);
         } catch (error) {
             log(`Error running retention policies: ${error.message}`);
         }
     });
     
     // Start server
-    app.listen(PORT, '0.0.0.0', () => {
-        log(`Firewalla IP Monitor server running on http://0.0.0.0:${PORT}`);
+    app.listen(PORT, deployment.server.host, () => {
+        log(`Firewalla IP Monitor server running on http://${deployment.server.host}:${PORT}`);
+        log(`Configuration: ${deployment.configFile || 'environment and defaults only'}`);
         log(`Access via: http://localhost:${PORT} or http://[your-ip]:${PORT}`);
+        log(`CORS allowed origins: ${corsOrigins.length > 0 ? corsOrigins.join(', ') : 'same-origin only'}`);
         log('Scheduled comprehensive data collection every 2 minutes');
-        log('Scheduled geolocation cache saves every 5 minutes');
+        log(`Scheduled stale geolocation refresh every ${CONFIG.geoCache.refreshIntervalMinutes} minutes`);
+        log('Scheduled connection rollups every 15 minutes');
         log(`Scheduled database retention policies every 30 minutes (${db.retentionConfig.maxAgeDays}d/${db.retentionConfig.maxSizeMB}MB limits)`);
     });
 }
@@ -1247,13 +2485,15 @@ async function initializeServer() {
 // Handle graceful shutdown
 process.on('SIGINT', async () => {
     log('Shutting down server...');
-    await saveGeolocationCache();
+    enrichmentQueue.stop();
+    geoCache.stop();
     process.exit(0);
 });
 
 process.on('SIGTERM', async () => {
     log('Shutting down server...');
-    await saveGeolocationCache();
+    enrichmentQueue.stop();
+    geoCache.stop();
     process.exit(0);
 });
 
@@ -0,0 +1,197 @@
+// Port/protocol -> service classification. A connection's service port is
+// the remote port for outbound connections and the local (forwarded) port
+// for inbound ones. The built-in table below can be extended or overridden
+// per port/protocol through the service_overrides table.
+
+const PROTOCOLS = ['tcp', 'udp', 'any'];
+const MAX_NAME_LENGTH = 50;
+
+// Sensitive services are remote-access, file-sharing and database ports that
+// should never be reachable from the internet; inbound hits on them are
+// flagged in the UI.
+const DEFAULT_SERVICES = [
+    { port: 20, protocol: 'tcp', name: 'FTP-Data', sensitive: true },
+    { port: 21, protocol: 'tcp', name: 'FTP', sensitive: true },
+    { port: 22, protocol: 'tcp', name: 'SSH', sensitive: true },
+    { port: 23, protocol: 'tcp', name: 'Telnet', sensitive: true },
+    { port: 25, protocol: 'tcp', name: 'SMTP' },
+    { port: 53, protocol: 'any', name: 'DNS' },
+    { port: 67, protocol: 'udp', name: 'DHCP' },
+    { port: 80, protocol: 'tcp', name: 'HTTP' },
+    { port: 110, protocol: 'tcp', name: 'POP3' },
+    { port: 123, protocol: 'udp', name: 'NTP' },
+    { port: 135, protocol: 'any', name: 'MS-RPC', sensitive: true },
+    { port: 137, protocol: 'udp', name: 'NetBIOS', sensitive: true },
+    { port: 138, protocol: 'udp', name: 'NetBIOS', sensitive: true },
+    { port: 139, protocol: 'tcp', name: 'NetBIOS', sensitive: true },
+    { port: 143, protocol: 'tcp', name: 'IMAP' },
+    { port: 161, protocol: 'udp', name: 'SNMP', sensitive: true },
+    { port: 389, protocol: 'any', name: 'LDAP', sensitive: true },
+    { port: 443, protocol: 'tcp', name: 'HTTPS' },
+    { port: 443, protocol: 'udp', name: 'QUIC' },
+    { port: 445, protocol: 'tcp', name: 'SMB', sensitive: true },
+    { port: 465, protocol: 'tcp', name: 'SMTPS' },
+    { port: 500, protocol: 'udp', name: 'IKE' },
+    { port: 514, protocol: 'udp', name: 'Syslog' },
+    { port: 587, protocol: 'tcp', name: 'SMTP-Submission' },
+    { port: 853, protocol: 'any', name: 'DNS-over-TLS' },
+    { port: 993, protocol: 'tcp', name: 'IMAPS' },
+    { port: 995, protocol: 'tcp', name: 'POP3S' },
+    { port: 1194, protocol: 'any', name: 'OpenVPN' },
+    { port: 1433, protocol: 'tcp', name: 'MSSQL', sensitive: true },
+    { port: 1701, protocol: 'udp', name: 'L2TP' },
+    { port: 1723, protocol: 'tcp', name: 'PPTP', sensitive: true },
+    { port: 1883, protocol: 'tcp', name: 'MQTT', sensitive: true },
+    { port: 1900, protocol: 'udp', name: 'SSDP', sensitive: true },
+    { port: 3306, protocol: 'tcp', name: 'MySQL', sensitive: true },
+    { port: 3389, protocol: 'any', name: 'RDP', sensitive: true },
+    { port: 3478, protocol: 'any', name: 'STUN' },
+    { port: 4500, protocol: 'udp', name: 'IPsec-NAT-T' },
+    { port: 5060, protocol: 'any', name: 'SIP' },
+    { port: 5222, protocol: 'tcp', name: 'XMPP' },
+    { port: 5353, protocol: 'udp', name: 'mDNS' },
+    { port: 5432, protocol: 'tcp', name: 'PostgreSQL', sensitive: true },
+    { port: 5900, protocol: 'tcp', name: 'VNC', sensitive: true },
+    { port: 6379, protocol: 'tcp', name: 'Redis', sensitive: true },
+    { port: 8080, protocol: 'tcp', name: 'HTTP-Alt' },
+    { port: 8443, protocol: 'tcp', name: 'HTTPS-Alt' },
+    { port: 8883, protocol: 'tcp', name: 'MQTT-TLS' },
+    { port: 9200, protocol: 'tcp', name: 'Elasticsearch', sensitive: true },
+    { port: 11211, protocol: 'any', name: 'Memcached', sensitive: true },
+    { port: 27017, protocol: 'tcp', name: 'MongoDB', sensitive: true },
+    { port: 32400, protocol: 'tcp', name: 'Plex' },
+    { port: 51820, protocol: 'udp', name: 'WireGuard' }
+];
+
+// Service port of a connections row
+function servicePort(conn) {
+    const port = parseInt(conn.direction === 'inbound' ? conn.internal_port : conn.external_port);
+    return port > 0 ? port : null;
+}
+
+// SQL counterpart of servicePort() (c = connections)
+const SERVICE_PORT_SQL = "CASE WHEN c.direction = 'inbound' THEN c.internal_port ELSE c.external_port END";
+
+// SQL expression naming the service of portExpr/protocolExpr, with the same
+// precedence as ServiceClassifier.classify(): exact protocol, then 'any',
+// then (protocol unknown) tcp before udp. NULL when the port is unclassified.
+// Pushes the service table onto params.
+function serviceNameSql(portExpr, protocolExpr, entries, params) {
+    params.push(entries.map(e => e.port), entries.map(e => e.protocol), entries.map(e => e.name));
+    const n = params.length;
+    return `(
+        SELECT s.name
+        FROM UNNEST($${n - 2}::int[], $${n - 1}::text[], $${n}::text[]) AS s(port, protocol, name)
+        WHERE s.port = ${portExpr}
+          AND (s.protocol = 'any' OR ${protocolExpr} IS NULL OR s.protocol = ${protocolExpr})
+        ORDER BY CASE WHEN s.protocol = ${protocolExpr} THEN 0 WHEN s.protocol = 'any' THEN 1 WHEN s.protocol = 'tcp' THEN 2 ELSE 3 END
+        LIMIT 1
+    )`;
+}
+
+class ServiceClassifier {
+    constructor(db) {
+        this.db = db;
+        this.overrides = [];
+        this.rebuild();
+    }
+
+    // (Re)read the user's overrides. Returns the number loaded.
+    async load() {
+        if (!this.db.isInitialized) return 0;
+        this.overrides = await this.db.getServiceOverrides();
+        this.rebuild();
+        return this.overrides.length;
+    }
+
+    rebuild() {
+        // port/protocol -> entry; an override replaces the built-in entry for the same key
+        this.table = new Map();
+        for (const entry of DEFAULT_SERVICES) {
+            this.table.set(`${entry.port}/${entry.protocol}`, { ...entry, sensitive: !!entry.sensitive, source: 'default' });
+        }
+        for (const entry of this.overrides) {
+            this.table.set(`${entry.port}/${entry.protocol}`, { ...entry, source: 'override' });
+        }
+        // Connection filters and stats classify in SQL with the same table
+        this.db.serviceTable = this.entries();
+    }
+
+    entries() {
+        return [...this.table.values()].sort((a, b) => a.port - b.port || a.protocol.localeCompare(b.protocol));
+    }
+
+    // Service for a port and protocol ('tcp', 'udp' or null when unknown)
+    classify(port, protocol) {
+        if (!port) return null;
+        const candidates = protocol ? [protocol, 'any'] : ['any', 'tcp', 'udp'];
+        for (const candidate of candidates) {
+            const entry = this.table.get(`${port}/${candidate}`);
+            if (entry) return entry;
+        }
+        return null;
+    }
+
+    classifyConnection(conn) {
+        return this.classify(servicePort(conn), conn.protocol || null);
+    }
+
+    // Canonical spelling of a service name, or null when no entry uses it
+    resolveName(name) {
+        const wanted = String(name).toLowerCase();
+        for (const entry of this.table.values()) {
+            if (entry.name.toLowerCase() === wanted) return entry.name;
+        }
+        return null;
+    }
+
+    // One row per service name with its ports and whether any of them is sensitive
+    services() {
+        const byName = new Map();
+        for (const entry of this.entries()) {
+            const service = byName.get(entry.name) || { name: entry.name, ports: [], sensitive: false };
+            service.ports.push(`${entry.port}/${entry.protocol}`);
+            service.sensitive = service.sensitive || entry.sensitive;
+            byName.set(entry.name, service);
+        }
+        return [...byName.values()];
+    }
+}
+
+// Validate a service override. Returns { override, errors } like the other
+// request validators.
+function validateServiceOverride(input) {
+    const errors = [];
+    const body = input || {};
+    const port = parseInt(body.port);
+    const protocol = (body.protocol || 'any').toString().toLowerCase();
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+
+    if (!(port > 0 && port < 65536) || String(port) !== String(body.port).trim()) {
+        errors.push('port must be a port number (1-65535)');
+    }
+    if (!PROTOCOLS.includes(protocol)) {
+        errors.push(`protocol must be one of ${PROTOCOLS.join(', ')}`);
+    }
+    if (!name || name.length > MAX_NAME_LENGTH) {
+        errors.push(`name is required (at most ${MAX_NAME_LENGTH} characters)`);
+    }
+    if (body.sensitive !== undefined && typeof body.sensitive !== 'boolean') {
+        errors.push('sensitive must be true or false');
+    }
+
+    return {
+        override: { port, protocol, name, sensitive: body.sensitive === true },
+        errors
+    };
+}
+
+module.exports = {
+    ServiceClassifier,
+    validateServiceOverride,
+    servicePort,
+    serviceNameSql,
+    SERVICE_PORT_SQL,
+    DEFAULT_SERVICES,
+    PROTOCOLS
+};
@@ -0,0 +1,147 @@
+// Runtime-tunable options persisted in the settings table. Each key has a
+// typed schema; saved values are applied to the live config objects through
+// bindings supplied by the server and reloaded from the database at startup.
+// Every change is recorded in settings_history with who made it and the old
+// and new values.
+
+const { validateReductionConfig } = require('./reduction');
+
+const SETTINGS_SCHEMA = {
+    'retention.maxSizeMB': { type: 'number', min: 1, description: 'Database size that triggers size-based cleanup (MB)' },
+    'retention.maxAgeDays': { type: 'number', min: 1, description: 'Raw connections older than this are deleted' },
+    'retention.enableSizeLimit': { type: 'boolean', description: 'Run size-based cleanup' },
+    'retention.enableTimeLimit': { type: 'boolean', description: 'Run age-based cleanup' },
+    'retention.rollupHourlyDays': { type: 'number', min: 1, description: 'Hourly rollups older than this are deleted' },
+    'retention.rollupDailyDays': { type: 'number', min: 1, description: 'Daily rollups older than this are deleted' },
+    'collection.maxConnectionsPerIP': { type: 'integer', min: 1, description: 'Maximum connections per IP per collection cycle' },
+    'novelty.learningDays': { type: 'number', min: 0, description: 'Days a new device is observed before first contacts count as novel' },
+    'reduction': {
+        type: 'object',
+        description: 'Data reduction pipeline (see /api/reduction/config); updates may be partial',
+        validate: validateReductionConfig
+    }
+};
+
+function describeType(schema) {
+    const kind = schema.type === 'integer' ? 'an integer' : `a ${schema.type}`;
+    return schema.min !== undefined ? `${kind} >= ${schema.min}` : kind;
+}
+
+// Validate one value against its schema. current is the value in effect
+// (object settings merge partial updates into it). Returns { value, errors }.
+function validateSetting(key, value, current) {
+    const schema = SETTINGS_SCHEMA[key];
+    if (!schema) {
+        return { value, errors: [`unknown setting ${key}`] };
+    }
+
+    if (schema.validate) {
+        const { config, errors } = schema.validate(value, current);
+        return { value: config, errors: errors.map(error => `${key}: ${error}`) };
+    }
+
+    const valid = schema.type === 'boolean'
+        ? typeof value === 'boolean'
+        : typeof value === 'number' && Number.isFinite(value) &&
+          (schema.type !== 'integer' || Number.isInteger(value)) &&
+          (schema.min === undefined || value >= schema.min);
+
+    return { value, errors: valid ? [] : [`${key} must be ${describeType(schema)}`] };
+}
+
+// Validate a { key: value } map of changes. Returns { settings, errors } like
+// the other request validators; settings holds the values to save.
+function validateSettings(changes, current) {
+    const errors = [];
+    const settings = {};
+
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes) || Object.keys(changes).length === 0) {
+        return { settings, errors: ['body must be an object of setting keys and values'] };
+    }
+
+    for (const [key, value] of Object.entries(changes)) {
+        const result = validateSetting(key, value, current[key]);
+        if (result.errors.length > 0) errors.push(...result.errors);
+        else settings[key] = result.value;
+    }
+
+    return { settings, errors };
+}
+
+class SettingsStore {
+    // bindings: { key: { get(), set(value) } } for every key in SETTINGS_SCHEMA
+    constructor(db, options = {}) {
+        this.db = db;
+        this.bindings = options.bindings || {};
+        this.log = options.logger || console.log;
+        this.persisted = new Set();
+    }
+
+    // Values in effect, by key
+    values() {
+        const values = {};
+        for (const [key, binding] of Object.entries(this.bindings)) {
+            values[key] = binding.get();
+        }
+        return values;
+    }
+
+    // Schema, current value and whether it came from the database, by key
+    describe() {
+        return Object.entries(SETTINGS_SCHEMA).map(([key, schema]) => ({
+            key,
+            type: schema.type,
+            min: schema.min,
+            description: schema.description,
+            value: this.bindings[key] ? this.bindings[key].get() : null,
+            persisted: this.persisted.has(key)
+        }));
+    }
+
+    // Apply the saved values over the env/default ones. Values that no longer
+    // pass validation are logged and skipped. Returns the number applied.
+    async load() {
+        if (!this.db.isInitialized) return 0;
+
+        const current = this.values();
+        let applied = 0;
+        for (const row of await this.db.getSettings()) {
+            const binding = this.bindings[row.key];
+            const { value, errors } = validateSetting(row.key, row.value, current[row.key]);
+            if (!binding || errors.length > 0) {
+                this.log(`Ignoring saved setting ${row.key}: ${errors.join('; ') || 'not configurable'}`);
+                continue;
+            }
+            binding.set(value);
+            this.persisted.add(row.key);
+            applied++;
+        }
+        return applied;
+    }
+
+    // Persist and apply validated settings (from validateSettings). Unchanged
+    // values are skipped. Returns the recorded changes.
+    async save(settings, changedBy) {
+        const changes = [];
+        for (const [key, value] of Object.entries(settings)) {
+            const oldValue = this.bindings[key].get();
+            if (JSON.stringify(oldValue) === JSON.stringify(value)) continue;
+            changes.push({ key, oldValue, newValue: value });
+        }
+
+        if (changes.length === 0) return [];
+        if (!this.db.isInitialized) {
+            throw new Error('Database not initialized; settings cannot be saved');
+        }
+
+        await this.db.saveSettings(changes, changedBy);
+        for (const change of changes) {
+            this.bindings[change.key].set(change.newValue);
+            this.persisted.add(change.key);
+        }
+        this.log(`Settings changed by ${changedBy}: ${changes.map(change => change.key).join(', ')}`);
+        return changes;
+    }
+}
+
+module.exports = { SettingsStore, validateSettings, validateSetting, SETTINGS_SCHEMA };
@@ -0,0 +1,189 @@
+// Server-Sent Events hub for GET /api/stream.
+//
+// Events:
+//   connections   batch of newly inserted connections, enriched with location and threat level
+//   new-ips       external IPs seen for the first time in that batch
+//   threat-intel  threat intelligence refreshed for an IP
+//   collection    collection cycle progress (started, collected, finished, failed)
+//
+// Clients may filter with ?direction=inbound|outbound, ?country=US,DE (code or
+// name), ?threatLevel=suspicious,malicious, ?device=192.168.1.50 (internal
+// IP), ?service=SSH,RDP and ?list=allow|block|unlisted. Filters apply to connection and
+// new-ip events; threat-intel events honour the threat-level filter only.
+
+const { normalizeIP } = require('./ip-utils');
+
+const HEARTBEAT_INTERVAL_MS = 25000;
+const MAX_CONNECTIONS_PER_EVENT = 500;
+
+class LiveStream {
+    constructor(db, options = {}) {
+        this.db = db;
+        this.log = options.logger || console.log;
+        this.services = options.services || null; // ServiceClassifier
+        this.lists = options.lists || null; // IPLists
+        this.clients = new Set();
+        this.nextEventId = 1;
+
+        this.heartbeat = setInterval(() => {
+            for (const client of this.clients) {
+                client.res.write(': keep-alive\n\n');
+            }
+        }, HEARTBEAT_INTERVAL_MS);
+    }
+
+    // Subscribe to the database's insert and threat-intel events
+    attach() {
+        this.db.on('connectionsInserted', (connections, batch) => {
+            if (this.clients.size === 0) return;
+            this.publishConnections(connections, batch).catch(error => {
+                this.log(`Error publishing live connections: ${error.message}`);
+            });
+        });
+
+        this.db.on('threatIntelUpdated', (ip, threatData) => {
+            this.publish('threat-intel', {
+                ip,
+                threat_level: threatData.threat_level || 'unknown',
+                checked_at: new Date().toISOString()
+            });
+        });
+    }
+
+    // Express handler for GET /api/stream
+    handle(req, res) {
+        const client = { res, filters: parseFilters(req.query) };
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx)
+        });
+        res.write('retry: 5000\n\n');
+        this.send(client, 'ready', { filters: client.filters, clients: this.clients.size + 1 });
+
+        this.clients.add(client);
+        req.on('close', () => {
+            this.clients.delete(client);
+        });
+    }
+
+    send(client, event, data) {
+        client.res.write(`id: ${this.nextEventId++}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+
+    // Broadcast an event; connection-shaped payloads are filtered per client
+    publish(event, data) {
+        for (const client of this.clients) {
+            if (event === 'threat-intel' && client.filters.threatLevels.length > 0 &&
+                !client.filters.threatLevels.includes(data.threat_level)) {
+                continue;
+            }
+            this.send(client, event, data);
+        }
+    }
+
+    async publishConnections(connections, batch = {}) {
+        const ips = [...new Set(connections.map(conn => conn.ip))];
+        const [ipContext, seenBefore] = await Promise.all([
+            this.db.getIPContext(ips),
+            batch.startedAt ? this.db.getIPsSeenBefore(ips, batch.startedAt) : Promise.resolve(new Set(ips))
+        ]);
+
+        const enriched = connections.map(conn => {
+            const context = ipContext.get(conn.ip) || {};
+            const service = this.services ? this.services.classifyConnection(conn) : null;
+            return {
+                ip: conn.ip,
+                timestamp: conn.timestamp,
+                direction: conn.direction,
+                connection_type: conn.connection_type,
+                internal_ip: conn.internal_ip,
+                external_port: conn.external_port,
+                internal_port: conn.internal_port,
+                service: service ? service.name : null,
+                sensitive: !!(service && service.sensitive && conn.direction === 'inbound'),
+                bytes: (parseInt(conn.orig_bytes) || 0) + (parseInt(conn.reply_bytes) || 0),
+                country: context.country || null,
+                countryCode: context.country_code || null,
+                city: context.city || null,
+                region: context.region || null,
+                latitude: context.latitude !== undefined && context.latitude !== null ? parseFloat(context.latitude) : null,
+                longitude: context.longitude !== undefined && context.longitude !== null ? parseFloat(context.longitude) : null,
+                isp: context.isp || null,
+                org: context.org || null,
+                asn: context.asn || null,
+                threat_level: context.threat_level || 'unknown',
+                list: this.lists ? this.lists.statusOf(conn.ip, context.asn) : null
+            };
+        });
+
+        const newIPs = ips.filter(ip => !seenBefore.has(ip));
+
+        for (const client of this.clients) {
+            const matching = enriched.filter(conn => matchesFilters(client.filters, conn));
+            if (matching.length === 0) continue;
+
+            this.send(client, 'connections', {
+                count: matching.length,
+                truncated: Math.max(0, matching.length - MAX_CONNECTIONS_PER_EVENT),
+                connections: matching.slice(0, MAX_CONNECTIONS_PER_EVENT)
+            });
+
+            const matchingNew = newIPs.filter(ip => matching.some(conn => conn.ip === ip));
+            if (matchingNew.length > 0) {
+                this.send(client, 'new-ips', {
+                    ips: matchingNew.map(ip => matching.find(conn => conn.ip === ip))
+                });
+            }
+        }
+    }
+
+    close() {
+        clearInterval(this.heartbeat);
+        for (const client of this.clients) {
+            client.res.end();
+        }
+        this.clients.clear();
+    }
+}
+
+function parseList(value) {
+    if (!value) return [];
+    return String(value).split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function parseFilters(query) {
+    const direction = ['inbound', 'outbound'].includes(query.direction) ? query.direction : null;
+    return {
+        direction,
+        countries: parseList(query.country).map(country => country.toLowerCase()),
+        threatLevels: parseList(query.threatLevel),
+        devices: parseList(query.device).map(ip => normalizeIP(ip) || ip),
+        services: parseList(query.service).map(service => service.toLowerCase()),
+        list: ['allow', 'block', 'unlisted'].includes(query.list) ? query.list : null
+    };
+}
+
+function matchesFilters(filters, conn) {
+    if (filters.direction && conn.direction !== filters.direction) return false;
+
+    if (filters.countries.length > 0) {
+        const code = (conn.countryCode || '').toLowerCase();
+        const name = (conn.country || '').toLowerCase();
+        if (!filters.countries.includes(code) && !filters.countries.includes(name)) return false;
+    }
+
+    if (filters.threatLevels.length > 0 && !filters.threatLevels.includes(conn.threat_level)) return false;
+
+    if (filters.devices.length > 0 && !filters.devices.includes(normalizeIP(conn.internal_ip))) return false;
+
+    if (filters.services.length > 0 && !filters.services.includes((conn.service || '').toLowerCase())) return false;
+
+    if (filters.list && (conn.list || 'unlisted') !== filters.list) return false;
+
+    return true;
+}
+
+module.exports = LiveStream;
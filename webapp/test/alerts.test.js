@@ -0,0 +1,49 @@
+// node --test webapp/test/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateAlertRule } = require('../alerts');
+
+function channelErrors(channel) {
+    return validateAlertRule({ name: 'Inbound SSH', conditions: { externalPorts: [22] }, channels: [channel] }).errors;
+}
+
+const VALID = [
+    { type: 'email' },
+    { type: 'email', recipient: 'admin@example.com' },
+    { type: 'email', recipient: "o'brien+alerts@mail.example.co.uk" },
+    { type: 'webhook', url: 'https://hooks.example.com/firewalla' },
+    { type: 'webhook', url: 'http://10.0.0.5/hook', headers: { Authorization: 'Bearer abc', 'X-Source': 'firewalla' } },
+    { type: 'syslog' },
+    { type: 'syslog', facility: 'local0', severity: 'warning', tag: 'firewalla-monitor' }
+];
+
+const INVALID = [
+    { type: 'email', recipient: '-S sendmail=/tmp/x admin@example.com' },
+    { type: 'email', recipient: '-admin@example.com' },
+    { type: 'email', recipient: 'admin' },
+    { type: 'email', recipient: 'admin@example.com other@example.com' },
+    { type: 'email', recipient: ['admin@example.com'] },
+    { type: 'webhook', url: 'ftp://example.com' },
+    { type: 'webhook', url: 'https://example.com', headers: { 'X-Count': 1 } },
+    { type: 'webhook', url: 'https://example.com', headers: ['Authorization: x'] },
+    { type: 'webhook', url: 'https://example.com', headers: 'Authorization: x' },
+    { type: 'syslog', facility: 'local9' },
+    { type: 'syslog', severity: 'loud' },
+    { type: 'syslog', tag: '-i' },
+    { type: 'syslog', tag: 'two words' },
+    { type: 'syslog', tag: 'x'.repeat(49) },
+    { type: 'sms' }
+];
+
+for (const channel of VALID) {
+    test(`accepts ${JSON.stringify(channel)}`, () => {
+        assert.deepStrictEqual(channelErrors(channel), []);
+    });
+}
+
+for (const channel of INVALID) {
+    test(`rejects ${JSON.stringify(channel)}`, () => {
+        assert.strictEqual(channelErrors(channel).length, 1);
+    });
+}
@@ -0,0 +1,103 @@
+// node --test webapp/test/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { SPECIAL_NETWORKS, classifyIP, isPublicIP, publicIPSql } = require('../ip-classify');
+
+const WAN_IPS = ['198.51.200.7', '2001:470:1f0b::2'];
+
+const CASES = [
+    // IPv4
+    ['8.8.8.8', 'public'],
+    ['1.1.1.1', 'public'],
+    ['172.200.1.1', 'public'],
+    ['172.15.255.255', 'public'],
+    ['100.63.255.255', 'public'],
+    ['100.128.0.0', 'public'],
+    ['10.1.2.3', 'private'],
+    ['172.16.0.1', 'private'],
+    ['172.31.255.255', 'private'],
+    ['192.168.1.10', 'private'],
+    ['169.254.1.1', 'private'],
+    ['100.64.0.1', 'cgnat'],
+    ['100.127.255.255', 'cgnat'],
+    ['127.0.0.1', 'loopback'],
+    ['127.255.255.254', 'loopback'],
+    ['224.0.0.251', 'multicast'],
+    ['239.255.255.250', 'multicast'],
+    ['0.0.0.0', 'reserved'],
+    ['0.1.2.3', 'reserved'],
+    ['240.0.0.1', 'reserved'],
+    ['255.255.255.255', 'reserved'],
+    ['192.0.0.8', 'reserved'],
+    ['192.0.2.1', 'reserved'],
+    ['198.51.100.1', 'reserved'],
+    ['203.0.113.1', 'reserved'],
+    ['198.18.0.1', 'reserved'],
+    ['192.88.99.1', 'reserved'],
+    ['198.51.200.7', 'wan'],
+
+    // IPv6
+    ['2606:4700:4700::1111', 'public'],
+    ['2001:4860:4860::8888', 'public'],
+    ['fd00::1', 'private'],
+    ['fc12:3456::1', 'private'],
+    ['fe80::1', 'private'],
+    ['fe80::1%eth0', 'private'],
+    ['::1', 'loopback'],
+    ['[::1]', 'loopback'],
+    ['ff02::fb', 'multicast'],
+    ['::', 'reserved'],
+    ['100::1', 'reserved'],
+    ['2001:db8::1', 'reserved'],
+    ['2001:db8:ffff:ffff::1', 'reserved'],
+    ['3fff::1', 'reserved'],
+    ['2001:470:1f0b::2', 'wan'],
+    ['2001:470:1f0b:0:0:0:0:2', 'wan'],
+
+    // IPv4-mapped IPv6 is classified as the IPv4 address
+    ['::ffff:8.8.8.8', 'public'],
+    ['::ffff:172.200.1.1', 'public'],
+    ['::ffff:192.168.1.10', 'private'],
+    ['::ffff:100.64.0.1', 'cgnat'],
+    ['::ffff:127.0.0.1', 'loopback'],
+    ['::ffff:224.0.0.1', 'multicast'],
+    ['::ffff:255.255.255.255', 'reserved'],
+    ['::ffff:198.51.200.7', 'wan'],
+
+    // Not addresses
+    ['', null],
+    ['example.com', null],
+    ['256.1.1.1', null],
+    ['2001:db8::g', null],
+    [null, null]
+];
+
+for (const [ip, category] of CASES) {
+    test(`classifyIP(${JSON.stringify(ip)}) is ${category}`, () => {
+        assert.strictEqual(classifyIP(ip, WAN_IPS), category);
+        assert.strictEqual(isPublicIP(ip, WAN_IPS), category === 'public');
+    });
+}
+
+test('WAN addresses are public without wanIPs', () => {
+    assert.strictEqual(classifyIP('198.51.200.7'), 'public');
+    assert.strictEqual(classifyIP('2001:470:1f0b::2'), 'public');
+});
+
+test('publicIPSql excludes exactly SPECIAL_NETWORKS', () => {
+    const sql = publicIPSql('c.ip');
+    const match = sql.match(/^NOT \(c\.ip <<= ANY\(ARRAY\[(.*)\]::cidr\[\]\)\)$/);
+    assert.ok(match, sql);
+
+    const networks = match[1].split(', ').map(network => network.replace(/^'|'$/g, ''));
+    assert.deepStrictEqual(networks, SPECIAL_NETWORKS.map(network => network.network));
+});
+
+test('every special network is non-public at its first address', () => {
+    for (const network of SPECIAL_NETWORKS) {
+        const address = network.network.split('/')[0];
+        assert.strictEqual(classifyIP(address), network.category, network.network);
+        assert.notStrictEqual(network.category, 'public', network.network);
+    }
+});
@@ -0,0 +1,35 @@
+// node --test webapp/test/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { extractIPsFromText } = require('../ip-utils');
+
+const CASES = [
+    ['1.2.3.4', ['1.2.3.4']],
+    ['1.2.3.4:443', ['1.2.3.4']],
+    ['connection from 1.2.3.4.', ['1.2.3.4']],
+    ['to:1.2.3.4:443,', ['1.2.3.4']],
+    ['[2001:db8::1]:443', ['2001:db8::1']],
+    ['[::1]:53', ['::1']],
+    ['[fe80::1%eth0]:22', ['fe80::1']],
+    ['::1', ['::1']],
+    ['listening on ::1 port 53', ['::1']],
+    ['::', ['::']],
+    ['2001:db8::', ['2001:db8::']],
+    ['2001:DB8:0:0:0:0:0:1', ['2001:db8::1']],
+    ['::ffff:8.8.8.8', ['8.8.8.8']],
+    ['::ffff:8.8.8.8:53', ['8.8.8.8']],
+    ['[::ffff:8.8.8.8]:53', ['8.8.8.8']],
+    ['tcp6  0  0 ::ffff:192.168.1.10:22  ::ffff:203.0.113.5:51234  ESTABLISHED',
+        ['192.168.1.10', '203.0.113.5']],
+    ['tcp  0  0 192.168.1.10:22  8.8.8.8:443  ESTABLISHED', ['192.168.1.10', '8.8.8.8']],
+    ['time 12:34:56 version 1.2', []],
+    ['', []],
+    [null, []]
+];
+
+for (const [text, expected] of CASES) {
+    test(`extractIPsFromText(${JSON.stringify(text)})`, () => {
+        assert.deepStrictEqual(extractIPsFromText(text), expected);
+    });
+}
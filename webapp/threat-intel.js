@@ -0,0 +1,423 @@
+const { TokenBucket } = require('./rate-limit');
+
+const REQUEST_TIMEOUT_MS = 10000;
+// A provider whose quota is spent sits a lookup out rather than stalling the
+// refresh; its previous verdict for the IP is kept
+const MAX_RATE_WAIT_MS = 30000;
+
+// Default request rates (tokens per second), overridable with THREAT_INTEL_RATE_LIMITS
+const DEFAULT_RATE_LIMITS = {
+    abuseipdb: 1000 / 86400, // Free tier: 1,000 checks per day
+    virustotal: 4 / 60, // Public API: 4 requests per minute (500 per day)
+    greynoise: 50 / 86400, // Community API: small daily quota
+    otx: 1
+};
+
+// Threat intelligence lookups. Each provider turns its service's answer for an
+// IP into a verdict:
+//
+//   { provider, verdict, score, summary, categories, details, checked_at }
+//
+// score (0-100) rates the provider's own evidence and verdict follows from it
+// (levelForScore). scoreVerdicts() combines the verdicts of all providers into
+// the IP's threat_level. An online provider is enabled by giving it an API
+// key; baseUrl replaces the service URL, e.g. with a local mock server.
+//
+//   feeds       local threat feeds (feeds.js), used whenever any are loaded
+//   abuseipdb   https://api.abuseipdb.com/api/v2   abuse confidence score
+//   virustotal  https://www.virustotal.com/api/v3  engines flagging the IP
+//   greynoise   https://api.greynoise.io           internet scanner classification
+//   otx         https://otx.alienvault.com/api/v1  AlienVault OTX pulses
+class ThreatIntelService {
+    constructor(options = {}) {
+        this.log = options.logger || console.log;
+        const rates = { ...DEFAULT_RATE_LIMITS, ...(options.rateLimits || {}) };
+        const order = options.providers && options.providers.length > 0 ? options.providers : THREAT_PROVIDER_NAMES;
+        this.providers = options.feeds ? [new FeedProvider(options.feeds)] : [];
+
+        for (const name of order) {
+            const settings = options[name] || {};
+            const provider = createProvider(name, settings, rates[name]);
+            if (!provider) {
+                this.log(`Unknown threat intelligence provider "${name}" ignored`);
+                continue;
+            }
+            if (!settings.apiKey) {
+                this.log(`Threat intelligence provider "${name}" has no API key - disabled`);
+                continue;
+            }
+            this.providers.push(provider);
+        }
+
+        if (!this.providers.some(provider => provider.online)) {
+            this.log('No online threat intelligence providers enabled - only local threat feeds are checked');
+        }
+    }
+
+    // Online providers are configured, or local feeds are loaded
+    isEnabled() {
+        return this.providers.some(provider => provider.online || provider.isAvailable());
+    }
+
+    // Ask the providers about ip (all of them, or those named in
+    // options.providers). previous holds the verdicts stored for it; providers
+    // not asked, failing or out of quota keep their previous verdict. Returns
+    // { ip, threat_level, threat_score, verdicts, errors } covering the enabled
+    // providers, or null when none of those asked answered.
+    async getThreatIntelligence(ip, previous = [], options = {}) {
+        const asked = this.providers.filter(provider =>
+            (!options.providers || options.providers.includes(provider.name)) &&
+            (provider.online || provider.isAvailable()));
+
+        const answers = new Map();
+        const errors = [];
+        await Promise.all(asked.map(async provider => {
+            try {
+                answers.set(provider.name, await provider.check(ip));
+            } catch (error) {
+                errors.push(`${provider.name}: ${error.message}`);
+            }
+        }));
+
+        if (answers.size === 0) {
+            return null;
+        }
+
+        const verdicts = [];
+        for (const provider of this.providers) {
+            const verdict = answers.get(provider.name) || previous.find(entry => entry.provider === provider.name);
+            if (verdict) verdicts.push(verdict);
+        }
+
+        const weights = Object.fromEntries(this.providers.map(provider => [provider.name, provider.weight]));
+        const { level, score } = scoreVerdicts(verdicts, weights);
+
+        return {
+            ip,
+            threat_level: level,
+            threat_score: score,
+            verdicts,
+            errors
+        };
+    }
+
+    status() {
+        return {
+            order: this.providers.map(provider => provider.name),
+            providers: this.providers.map(provider => ({
+                name: provider.name,
+                label: provider.label,
+                online: provider.online,
+                baseUrl: provider.baseUrl,
+                weight: provider.weight,
+                available: provider.isAvailable(),
+                ...provider.describe(),
+                stats: provider.stats
+            }))
+        };
+    }
+}
+
+const THREAT_PROVIDER_NAMES = ['abuseipdb', 'virustotal', 'greynoise', 'otx'];
+
+function createProvider(name, settings, ratePerSecond) {
+    switch (name) {
+        case 'abuseipdb':
+            return new AbuseIPDBProvider(settings, ratePerSecond);
+        case 'virustotal':
+            return new VirusTotalProvider(settings, ratePerSecond);
+        case 'greynoise':
+            return new GreyNoiseProvider(settings, ratePerSecond);
+        case 'otx':
+            return new OTXProvider(settings, ratePerSecond);
+        default:
+            return null;
+    }
+}
+
+// Provider scores at or above these map to the level
+const SUSPICIOUS_SCORE = 25;
+const MALICIOUS_SCORE = 75;
+// Added to the top score for every other provider that also flags the IP
+const CORROBORATION_BONUS = 10;
+
+function levelForScore(score) {
+    if (score === null || score === undefined) return 'unknown';
+    if (score >= MALICIOUS_SCORE) return 'malicious';
+    if (score >= SUSPICIOUS_SCORE) return 'suspicious';
+    return 'clean';
+}
+
+// Combine provider verdicts into one score and threat level:
+//
+//   1. Each provider's score (0-100) is multiplied by its weight (default 1).
+//   2. The highest weighted score is the base - one confident source is
+//      enough to flag an IP, and a provider that knows nothing about it
+//      cannot dilute another's finding.
+//   3. Every other provider whose weighted score is also suspicious (>= 25)
+//      adds 10, so sources agreeing raise the score.
+//   4. The total, capped at 100, maps to a level: >= 75 malicious,
+//      >= 25 suspicious, anything lower clean.
+//
+// Verdicts without a score are ignored; when none are left the level is
+// 'unknown' and the score null. Returns { level, score }.
+function scoreVerdicts(verdicts, weights = {}) {
+    const scores = verdicts
+        .filter(verdict => typeof verdict.score === 'number')
+        .map(verdict => verdict.score * (verdict.provider in weights ? weights[verdict.provider] : 1))
+        .sort((a, b) => b - a);
+
+    if (scores.length === 0) {
+        return { level: 'unknown', score: null };
+    }
+
+    const corroborating = scores.slice(1).filter(score => score >= SUSPICIOUS_SCORE).length;
+    const score = Math.min(100, Math.round(scores[0] + corroborating * CORROBORATION_BONUS));
+    return { level: levelForScore(score), score };
+}
+
+// Shared request handling: a token bucket per provider, a hold-off when the
+// service says the quota is spent or the key is refused, and lookup stats
+class ThreatIntelProvider {
+    constructor(name, label, defaultUrl, settings, ratePerSecond) {
+        this.name = name;
+        this.label = label;
+        this.online = true;
+        this.apiKey = settings.apiKey || null;
+        this.baseUrl = (settings.baseUrl || defaultUrl).replace(/\/+$/, '');
+        this.weight = typeof settings.weight === 'number' ? settings.weight : 1;
+        this.bucket = new TokenBucket(ratePerSecond);
+        this.blockedUntil = 0;
+        this.stats = { lookups: 0, answers: 0, skipped: 0, errors: 0, lastError: null };
+    }
+
+    isAvailable() {
+        return Date.now() >= this.blockedUntil;
+    }
+
+    describe() {
+        return {
+            rateLimit: this.bucket.describe(),
+            blockedUntil: this.blockedUntil > Date.now() ? new Date(this.blockedUntil).toISOString() : null
+        };
+    }
+
+    block(seconds) {
+        this.blockedUntil = Date.now() + Math.max(seconds, 1) * 1000;
+    }
+
+    // Look ip up and return its verdict. Throws when the provider is held
+    // off, out of quota or the request fails.
+    async check(ip) {
+        if (!this.isAvailable() || !(await this.bucket.take(1, MAX_RATE_WAIT_MS))) {
+            this.stats.skipped++;
+            throw new Error('rate limited');
+        }
+
+        this.stats.lookups++;
+        try {
+            const result = await this.lookup(ip);
+            this.stats.answers++;
+            return {
+                provider: this.name,
+                verdict: levelForScore(result.score),
+                score: result.score,
+                summary: result.summary,
+                categories: result.categories || [],
+                details: result.details || {},
+                checked_at: new Date().toISOString()
+            };
+        } catch (error) {
+            this.stats.errors++;
+            this.stats.lastError = error.message;
+            throw error;
+        }
+    }
+
+    // GET path with the provider's auth headers. Returns the response body,
+    // or null for 404 (the service has no record of the IP).
+    async request(path, headers) {
+        const axios = require('axios');
+        const response = await axios.get(`${this.baseUrl}${path}`, {
+            timeout: REQUEST_TIMEOUT_MS,
+            headers: { Accept: 'application/json', ...headers },
+            validateStatus: status => [200, 401, 403, 404, 429].includes(status)
+        });
+
+        if (response.status === 429) {
+            const resetSeconds = parseInt(response.headers['retry-after']) || 60 * 60;
+            this.block(resetSeconds);
+            throw new Error(`rate limited for ${resetSeconds}s`);
+        }
+        if (response.status === 401 || response.status === 403) {
+            this.block(60 * 60);
+            throw new Error(`API key rejected (HTTP ${response.status})`);
+        }
+        return response.status === 404 ? null : response.data;
+    }
+}
+
+// Matches in the local threat feeds (feeds.js): no key, no quota, and only
+// asked while some feed is loaded. Score: the highest score among the feeds
+// listing the IP; an IP on no feed scores 0.
+class FeedProvider {
+    constructor(feeds) {
+        this.name = 'feeds';
+        this.label = 'Threat feeds';
+        this.online = false;
+        this.baseUrl = null;
+        this.weight = 1;
+        this.feeds = feeds;
+        this.stats = { lookups: 0, answers: 0, skipped: 0, errors: 0, lastError: null };
+    }
+
+    isAvailable() {
+        return this.feeds.loadedCount() > 0;
+    }
+
+    describe() {
+        return { feeds: this.feeds.loadedCount(), networks: this.feeds.index.size };
+    }
+
+    async check(ip) {
+        this.stats.lookups++;
+        this.stats.answers++;
+        const matches = this.feeds.matches(ip);
+        const names = [...new Set(matches.map(match => match.feed))];
+        const score = matches.reduce((max, match) => Math.max(max, match.score), 0);
+
+        return {
+            provider: this.name,
+            verdict: levelForScore(score),
+            score,
+            summary: names.length > 0 ? `listed in ${names.join(', ')}` : `not listed in ${this.feeds.loadedCount()} feeds`,
+            categories: names,
+            details: { feeds: matches.map(({ feed, network, since, version }) => ({ feed, network, since, version })) },
+            checked_at: new Date().toISOString()
+        };
+    }
+}
+
+// Score: the abuse confidence score as reported
+class AbuseIPDBProvider extends ThreatIntelProvider {
+    constructor(settings, ratePerSecond) {
+        super('abuseipdb', 'AbuseIPDB', 'https://api.abuseipdb.com/api/v2', settings, ratePerSecond);
+    }
+
+    async lookup(ip) {
+        const body = await this.request(`/check?ipAddress=${encodeURIComponent(ip)}&maxAgeInDays=90`, { Key: this.apiKey });
+        const data = (body && body.data) || {};
+        const confidence = data.abuseConfidenceScore || 0;
+        const reports = data.totalReports || 0;
+
+        return {
+            score: confidence,
+            summary: `${confidence}% confidence, ${reports} report${reports === 1 ? '' : 's'}`,
+            categories: data.usageType ? [data.usageType] : [],
+            details: {
+                confidence,
+                totalReports: reports,
+                usageType: data.usageType || null,
+                isWhitelisted: data.isWhitelisted === true,
+                lastReportedAt: data.lastReportedAt || null
+            }
+        };
+    }
+}
+
+// Score: 20 per engine calling the IP malicious and 10 per engine calling it
+// suspicious, so a lone detection stays clean and four or more are malicious
+class VirusTotalProvider extends ThreatIntelProvider {
+    constructor(settings, ratePerSecond) {
+        super('virustotal', 'VirusTotal', 'https://www.virustotal.com/api/v3', settings, ratePerSecond);
+    }
+
+    async lookup(ip) {
+        const body = await this.request(`/ip_addresses/${encodeURIComponent(ip)}`, { 'x-apikey': this.apiKey });
+        const attributes = (body && body.data && body.data.attributes) || {};
+        const stats = attributes.last_analysis_stats || {};
+        const malicious = stats.malicious || 0;
+        const suspicious = stats.suspicious || 0;
+        const engines = Object.values(stats).reduce((sum, count) => sum + (count || 0), 0);
+
+        // What the flagging engines called it ('malware', 'phishing', ...)
+        const categories = new Set();
+        for (const result of Object.values(attributes.last_analysis_results || {})) {
+            if ((result.category === 'malicious' || result.category === 'suspicious') && result.result) {
+                categories.add(result.result);
+            }
+        }
+
+        return {
+            score: Math.min(100, malicious * 20 + suspicious * 10),
+            summary: `${malicious + suspicious}/${engines} engines`,
+            categories: [...categories],
+            details: { malicious, suspicious, engines, reputation: typeof attributes.reputation === 'number' ? attributes.reputation : null }
+        };
+    }
+}
+
+// Score: 80 for scanners GreyNoise classifies as malicious, 30 for other
+// scanners, 0 for benign services and IPs it has not seen scanning
+class GreyNoiseProvider extends ThreatIntelProvider {
+    constructor(settings, ratePerSecond) {
+        super('greynoise', 'GreyNoise', 'https://api.greynoise.io', settings, ratePerSecond);
+    }
+
+    async lookup(ip) {
+        const data = await this.request(`/v3/community/${encodeURIComponent(ip)}`, { key: this.apiKey }) || {};
+        const classification = data.classification || 'unknown';
+        const noise = data.noise === true;
+        const riot = data.riot === true; // Known benign service (CDN, DNS resolver, ...)
+
+        let score = 0;
+        if (noise && classification === 'malicious') score = 80;
+        else if (noise && classification !== 'benign') score = 30;
+
+        let summary = 'not seen scanning';
+        if (riot) summary = `known service${data.name ? ` (${data.name})` : ''}`;
+        else if (noise) summary = `scanner: ${classification}`;
+
+        return {
+            score,
+            summary,
+            categories: noise ? ['scanner'] : [],
+            details: { noise, riot, classification, name: data.name || null, lastSeen: data.last_seen || null }
+        };
+    }
+}
+
+// Score: 15 per pulse (threat report) listing the IP, 0 for IPs OTX marks as
+// known good (validation entries such as popular DNS resolvers)
+class OTXProvider extends ThreatIntelProvider {
+    constructor(settings, ratePerSecond) {
+        super('otx', 'AlienVault OTX', 'https://otx.alienvault.com/api/v1', settings, ratePerSecond);
+    }
+
+    async lookup(ip) {
+        const type = ip.includes(':') ? 'IPv6' : 'IPv4';
+        const data = await this.request(`/indicators/${type}/${encodeURIComponent(ip)}/general`, { 'X-OTX-API-KEY': this.apiKey }) || {};
+        const pulseInfo = data.pulse_info || {};
+        const pulses = pulseInfo.count || 0;
+        const validated = Array.isArray(data.validation) && data.validation.length > 0;
+
+        // Most common pulse tags, e.g. 'botnet', 'c2', 'scanner'
+        const tagCounts = new Map();
+        for (const pulse of pulseInfo.pulses || []) {
+            for (const tag of pulse.tags || []) {
+                const name = String(tag).toLowerCase();
+                tagCounts.set(name, (tagCounts.get(name) || 0) + 1);
+            }
+        }
+        const categories = [...tagCounts.entries()].sort((a, b) => b[1] - a[1]).slice(0, 5).map(([tag]) => tag);
+
+        return {
+            score: validated ? 0 : Math.min(100, pulses * 15),
+            summary: validated ? 'known good' : `${pulses} pulse${pulses === 1 ? '' : 's'}`,
+            categories,
+            details: { pulses, validated, reputation: typeof data.reputation === 'number' ? data.reputation : null }
+        };
+    }
+}
+
+module.exports = { ThreatIntelService, scoreVerdicts, levelForScore, THREAT_PROVIDER_NAMES };
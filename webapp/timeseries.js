@@ -0,0 +1,106 @@
+// Query options for /api/timeseries, which is served from the hourly and
+// daily connection rollups rather than raw connections, so it reaches back
+// past the raw data retention window.
+
+const { normalizeIP } = require('./ip-utils');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const GRANULARITIES = {
+    hour: { table: 'connection_rollups_hourly', defaultDays: 7 },
+    day: { table: 'connection_rollups_daily', defaultDays: 90 }
+};
+
+// metric -> aggregate over rollup rows
+const METRICS = {
+    connections: 'SUM(connections)',
+    bytes: 'SUM(orig_bytes + reply_bytes)',
+    packets: 'SUM(orig_packets + reply_packets)',
+    origBytes: 'SUM(orig_bytes)',
+    replyBytes: 'SUM(reply_bytes)'
+};
+
+// groupBy -> series key expression (text, never NULL)
+const GROUPS = {
+    direction: 'direction',
+    country: "COALESCE(country_code, 'unknown')",
+    ip: 'host(ip)',
+    internalIp: "COALESCE(host(internal_ip), 'unknown')",
+    externalPort: "COALESCE(external_port::text, 'unknown')"
+};
+
+const DEFAULT_SERIES = 10;
+const MAX_SERIES = 50;
+
+// Validate the query string. Returns { options, errors } like the other
+// request validators.
+function parseTimeseriesQuery(query) {
+    const errors = [];
+    const granularity = query.granularity || 'hour';
+    const metric = query.metric || 'bytes';
+    const groupBy = query.groupBy || null;
+    const top = query.top !== undefined ? parseInt(query.top) : DEFAULT_SERIES;
+
+    if (!GRANULARITIES[granularity]) {
+        errors.push(`granularity must be one of ${Object.keys(GRANULARITIES).join(', ')}`);
+    }
+    if (!METRICS[metric]) {
+        errors.push(`metric must be one of ${Object.keys(METRICS).join(', ')}`);
+    }
+    if (groupBy && !GROUPS[groupBy]) {
+        errors.push(`groupBy must be one of ${Object.keys(GROUPS).join(', ')}`);
+    }
+    if (!Number.isInteger(top) || top < 1 || top > MAX_SERIES) {
+        errors.push(`top must be between 1 and ${MAX_SERIES}`);
+    }
+
+    const end = query.endDate ? new Date(query.endDate) : new Date();
+    const defaultDays = GRANULARITIES[granularity] ? GRANULARITIES[granularity].defaultDays : 7;
+    const start = query.startDate ? new Date(query.startDate) : new Date(end.getTime() - defaultDays * DAY_MS);
+    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+        errors.push('startDate and endDate must be valid dates');
+    } else if (start >= end) {
+        errors.push('startDate must be before endDate');
+    }
+
+    const filters = {};
+    if (query.direction && query.direction !== 'both') {
+        if (!['inbound', 'outbound'].includes(query.direction)) {
+            errors.push('direction must be inbound, outbound or both');
+        }
+        filters.direction = query.direction;
+    }
+    for (const field of ['ip', 'internalIp']) {
+        if (query[field]) {
+            filters[field] = normalizeIP(query[field]);
+            if (!filters[field]) errors.push(`${field} must be a valid IP address`);
+        }
+    }
+    if (query.country) {
+        filters.country = query.country.toUpperCase();
+    }
+    if (query.externalPort) {
+        filters.externalPort = parseInt(query.externalPort);
+        if (!(filters.externalPort > 0 && filters.externalPort < 65536)) {
+            errors.push('externalPort must be a port number (1-65535)');
+        }
+    }
+
+    return {
+        options: {
+            granularity,
+            table: GRANULARITIES[granularity] && GRANULARITIES[granularity].table,
+            metric,
+            metricExpr: METRICS[metric],
+            groupBy,
+            groupExpr: groupBy ? GROUPS[groupBy] : null,
+            top,
+            start,
+            end,
+            filters
+        },
+        errors
+    };
+}
+
+module.exports = { parseTimeseriesQuery, METRICS, GROUPS, GRANULARITIES };